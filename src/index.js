@@ -1,23 +1,68 @@
 import Node from "./lib/node.js"
+import diff from "./lib/compare/diff.js"
+import patch from "./lib/compare/patch.js"
 import AttListDeclaration from "./lib/declarations/attlist.js"
+import ContentModel from "./lib/declarations/contentModel.js"
 import DoctypeDeclaration from "./lib/declarations/doctype.js"
 import ElementDeclaration from "./lib/declarations/element.js"
 import EntityDeclaration from "./lib/declarations/entity.js"
+import NotationDeclaration from "./lib/declarations/notation.js"
 import XmlDeclaration from "./lib/declarations/xml.js"
-import { Document, Element, VoidElement, CDATA, ProcessingInstruction, Text, Comment } from "./lib/nodeTypes.js"
+import History from "./lib/observers/history.js"
+import MutationObserver from "./lib/observers/mutationObserver.js"
+import parseDTD from "./lib/parsers/dtd.js"
+import expandEntities from "./lib/parsers/entities.js"
+import parseHTML from "./lib/parsers/html.js"
+import SAXParser from "./lib/parsers/sax.js"
+import parseXML from "./lib/parsers/xml.js"
+import XMLCatalog from "./lib/resolvers/catalog.js"
+import NodeFilter from "./lib/traversal/nodeFilter.js"
+import NodeIterator from "./lib/traversal/nodeIterator.js"
+import TreeWalker from "./lib/traversal/treeWalker.js"
+import validate from "./lib/validation/dtd.js"
+import { XPathAttribute, XPathNamespace } from "./lib/xpath/values.js"
+import {
+	Document,
+	Element,
+	VoidElement,
+	CDATA,
+	ProcessingInstruction,
+	Text,
+	Comment,
+	EntityReference
+} from "./lib/nodeTypes.js"
 
 export {
 	Node,
 	AttListDeclaration,
+	ContentModel,
 	DoctypeDeclaration,
 	ElementDeclaration,
 	EntityDeclaration,
+	NotationDeclaration,
 	XmlDeclaration,
+	History,
+	MutationObserver,
+	NodeIterator,
+	TreeWalker,
+	XMLCatalog,
+	XPathAttribute,
+	XPathNamespace,
+	SAXParser,
+	diff,
+	expandEntities,
+	parseDTD,
+	parseHTML,
+	parseXML,
+	patch,
+	validate,
+	NodeFilter,
 	Document,
 	Element,
 	VoidElement,
 	CDATA,
 	ProcessingInstruction,
 	Text,
-	Comment
+	Comment,
+	EntityReference
 }
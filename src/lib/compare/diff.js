@@ -0,0 +1,241 @@
+import Node from "../node.js"
+import { Element, VoidElement, ProcessingInstruction, EntityReference } from "../nodeTypes.js"
+
+/**
+ * @typedef {object} NodeData A Node as plain data, as carried by `insert` operations
+ * @property {number} type
+ * @property {string} [name]
+ * @property {{[name: string]: string|null}} [attributes] With `null` for boolean attributes
+ * @property {string} [value]
+ * @property {Array<NodeData>} [children]
+ */
+
+/**
+ * @typedef {object} DiffOperation
+ * @property {"insert"|"remove"|"move"|"setAttribute"|"removeAttribute"|"setValue"|"rename"} op
+ * @property {Array<number>} path The indexes of the children to follow from the root to the Node the operation is
+ * about, as the tree is when the operation is applied. For `insert`, the last index is where the Node goes
+ * @property {number} [index] Where `move` puts the Node among its siblings, counted without it
+ * @property {NodeData} [node] The Node that `insert` adds
+ * @property {string} [name] The attribute that `setAttribute` or `removeAttribute` is about, or the new name of
+ * `rename`
+ * @property {string|null} [value] The new value of `setAttribute` or `setValue`, with `null` for a boolean attribute
+ */
+
+const hasName = node => [Element, VoidElement, ProcessingInstruction, EntityReference].includes(node.type)
+
+// Boolean attributes have no value, which JSON cannot keep, so they get null instead
+const mapValues = attributes =>
+	Object.fromEntries(Object.entries(attributes).map(([name, value]) => [name, value ?? null]))
+
+const toData = node => {
+	const data = { type: node.type }
+
+	if (hasName(node)) data.name = node.name
+	if (node.type === Element || node.type === VoidElement) data.attributes = mapValues(node.attributes)
+	if (Node.isCharacterData(node)) data.value = node.value
+	if (node.canContainChildren) data.children = node.children.map(toData)
+
+	return data
+}
+
+/**
+ * Gets the key the given Node is paired by, or `undefined` if it is paired by its type and name.
+ */
+const keyOf = (node, key) => {
+	if (node.type !== Element && node.type !== VoidElement) return undefined
+
+	const value = node.getAttribute(key)
+
+	return value === undefined ? undefined : `${node.type}:${value}`
+}
+
+const signatureOf = node => `${node.type}:${hasName(node) ? node.name : ""}`
+
+/**
+ * Pairs the given old children with the given new ones: first by key, then, among the others, in order by type and
+ * name.
+ *
+ * @return {Array<Node|undefined>} The old child paired with each new child, if any
+ */
+const pairChildren = (oldChildren, newChildren, key) => {
+	const pairs = new Array(newChildren.length)
+	const byKey = new Map()
+
+	for (const child of oldChildren) {
+		const k = keyOf(child, key)
+
+		// Should a key be used more than once, only its first Node can be paired
+		if (k !== undefined && !byKey.has(k)) byKey.set(k, child)
+	}
+
+	newChildren.forEach((child, i) => {
+		const match = byKey.get(keyOf(child, key))
+
+		if (!match) return
+
+		pairs[i] = match
+		byKey.delete(keyOf(child, key))
+	})
+
+	const bySignature = new Map()
+
+	for (const child of oldChildren) {
+		if (keyOf(child, key) !== undefined) continue
+
+		const signature = signatureOf(child)
+
+		if (!bySignature.has(signature)) bySignature.set(signature, [])
+
+		bySignature.get(signature).push(child)
+	}
+
+	newChildren.forEach((child, i) => {
+		if (pairs[i] || keyOf(child, key) !== undefined) return
+
+		const match = bySignature.get(signatureOf(child))?.shift()
+
+		if (match) pairs[i] = match
+	})
+
+	return pairs
+}
+
+/**
+ * Finds which of the given numbers form a longest increasing subsequence.
+ *
+ * @param {Array<number>} numbers
+ * @return {Set<number>} The indexes of the numbers in the subsequence
+ */
+const longestIncreasingSubsequence = numbers => {
+	const tails = []
+	const previous = new Array(numbers.length)
+
+	numbers.forEach((n, i) => {
+		let low = 0
+		let high = tails.length
+
+		while (low < high) {
+			const middle = (low + high) >> 1
+
+			if (numbers[tails[middle]] < n) low = middle + 1
+			else high = middle
+		}
+
+		previous[i] = low ? tails[low - 1] : -1
+		tails[low] = i
+	})
+
+	const result = new Set()
+
+	for (let i = tails[tails.length - 1] ?? -1; i !== -1; i = previous[i]) result.add(i)
+
+	return result
+}
+
+const diffAttributes = (oldNode, newNode, path, ops) => {
+	const oldAttributes = oldNode.attributes
+	const newAttributes = newNode.attributes
+
+	for (const name of Object.keys(oldAttributes)) {
+		if (!Object.hasOwn(newAttributes, name)) ops.push({ op: "removeAttribute", path, name })
+	}
+	for (const [name, value] of Object.entries(newAttributes)) {
+		if (!Object.hasOwn(oldAttributes, name) || oldAttributes[name] !== value)
+			ops.push({ op: "setAttribute", path, name, value: value ?? null })
+	}
+}
+
+const diffChildren = (oldNode, newNode, path, key, ops, stack) => {
+	const newChildren = newNode.children
+	const pairs = pairChildren(oldNode.children, newChildren, key)
+	const paired = new Set(pairs)
+	const current = []
+
+	for (let i = oldNode.children.length - 1; i >= 0; i--) {
+		if (!paired.has(oldNode.children[i])) ops.push({ op: "remove", path: [...path, i] })
+	}
+	for (const child of oldNode.children) {
+		if (paired.has(child)) current.push(child)
+	}
+
+	// The paired children in the longest run that is already in order stay where they are, and the others move
+	const pairedIndexes = []
+	const positions = new Map(current.map((child, i) => [child, i]))
+
+	pairs.forEach((match, i) => match && pairedIndexes.push(i))
+
+	const staying = longestIncreasingSubsequence(pairedIndexes.map(i => positions.get(pairs[i])))
+	const isStaying = new Set([...staying].map(i => pairs[pairedIndexes[i]]))
+
+	// Each Node that moves or is inserted goes right after the one before it in the new children, which is in place
+	for (let i = 0; i < newChildren.length; i++) {
+		const match = pairs[i]
+		const after = i ? pairs[i - 1] ?? newChildren[i - 1] : undefined
+		const index = after ? current.indexOf(after) + 1 : 0
+
+		if (!match) {
+			ops.push({ op: "insert", path: [...path, index], node: toData(newChildren[i]) })
+			current.splice(index, 0, newChildren[i])
+		} else if (!isStaying.has(match)) {
+			const from = current.indexOf(match)
+
+			current.splice(from, 1)
+
+			const to = after ? current.indexOf(after) + 1 : 0
+
+			ops.push({ op: "move", path: [...path, from], index: to })
+			current.splice(to, 0, match)
+		}
+	}
+
+	for (let i = newChildren.length - 1; i >= 0; i--) {
+		if (pairs[i]) stack.push([pairs[i], newChildren[i], [...path, i]])
+	}
+}
+
+/**
+ * Works out the operations that turn the first tree into the second, which `patch` applies. Serialized as JSON, they
+ * can be sent elsewhere and applied to a copy of the first tree.
+ *
+ * @note Children are paired up with the children they become: those with the key attribute by its value, and the
+ * others in order by type and name. Paired children are kept, moving as few as possible, and compared in turn; the
+ * others are removed or inserted. The roots are always paired, and the XML and doctype declarations of Documents are
+ * not compared.
+ * @param {Node} oldNode The tree as it is
+ * @param {Node} newNode The tree as it should become
+ * @param {object} [options]
+ * @param {string} [options.key] The attribute that pairs up Element children, e.g. in lists whose items are reordered
+ * (default: `"id"`)
+ * @return {DiffOperation[]} The operations, in the order to apply them, or an empty array if the trees are the same
+ * @throws {TypeError} If the roots are not of the same type
+ */
+export default function diff(oldNode, newNode, options) {
+	if (!Node.isNode(oldNode)) throw new TypeError(`Expected oldNode to be a Node, instead got ${typeof oldNode}`)
+	if (!Node.isNode(newNode)) throw new TypeError(`Expected newNode to be a Node, instead got ${typeof newNode}`)
+	if (oldNode.type !== newNode.type)
+		throw new TypeError(
+			`Expected newNode to be a ${oldNode.typeText} Node like oldNode, instead got ${newNode.typeText} Node`
+		)
+	if (options === undefined) options = {}
+	if (Object.prototype.toString.call(options) !== "[object Object]")
+		throw new TypeError(`Expected options to be an object, instead got ${typeof options}`)
+	if (options.key === undefined) options = { ...options, key: "id" }
+	if (typeof options.key !== "string")
+		throw new TypeError(`Expected options.key to be a string, instead got ${typeof options.key}`)
+
+	const ops = []
+	const stack = [[oldNode, newNode, []]]
+
+	while (stack.length) {
+		const [oldNode, newNode, path] = stack.pop()
+
+		if (hasName(oldNode) && oldNode.name !== newNode.name) ops.push({ op: "rename", path, name: newNode.name })
+		if (Node.isElement(oldNode)) diffAttributes(oldNode, newNode, path, ops)
+		if (Node.isCharacterData(oldNode) && oldNode.value !== newNode.value)
+			ops.push({ op: "setValue", path, value: newNode.value })
+		if (oldNode.canContainChildren) diffChildren(oldNode, newNode, path, options.key, ops, stack)
+	}
+
+	return ops
+}
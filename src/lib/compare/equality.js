@@ -0,0 +1,139 @@
+import { Document, Text, Comment } from "../nodeTypes.js"
+import { createSHA256 } from "./sha256.js"
+
+const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0)
+const isWhitespace = value => !/[^ \t\n\r]/.test(value)
+
+/**
+ * Checks the options of `Node.prototype.isEqual` and `Node.prototype.hash`, and fills in their defaults.
+ *
+ * @param {unknown} options
+ * @return {{ignoreComments: boolean, ignoreWhitespace: boolean, ignoreAttributeOrder: boolean}}
+ */
+export const normalizeOptions = options => {
+	options = Object.prototype.toString.call(options) === "[object Object]" ? { ...options } : {}
+
+	if (options.ignoreComments === undefined) options.ignoreComments = false
+	if (typeof options.ignoreComments !== "boolean")
+		throw new TypeError(`Expected options.ignoreComments to be a boolean, instead got ${typeof options.ignoreComments}`)
+	if (options.ignoreWhitespace === undefined) options.ignoreWhitespace = false
+	if (typeof options.ignoreWhitespace !== "boolean")
+		throw new TypeError(
+			`Expected options.ignoreWhitespace to be a boolean, instead got ${typeof options.ignoreWhitespace}`
+		)
+	if (options.ignoreAttributeOrder === undefined) options.ignoreAttributeOrder = true
+	if (typeof options.ignoreAttributeOrder !== "boolean")
+		throw new TypeError(
+			`Expected options.ignoreAttributeOrder to be a boolean, instead got ${typeof options.ignoreAttributeOrder}`
+		)
+
+	return options
+}
+
+/**
+ * Gets the children of the given Node the way they are compared: ignored Nodes are left out, and each run of adjacent
+ * Text Nodes becomes a single Text Node-like object, so that `a<!---->b` is the same as `ab` when comments are ignored.
+ */
+const childrenOf = (node, options) => {
+	const result = []
+
+	for (const child of node.children) {
+		if (options.ignoreComments && child.type === Comment) continue
+
+		const last = result[result.length - 1]
+
+		if (child.type === Text && last?.type === Text) {
+			result[result.length - 1] = { type: Text, name: "", value: `${last.value}${child.value}`, children: [] }
+		} else {
+			result.push(child)
+		}
+	}
+
+	return options.ignoreWhitespace ? result.filter(child => child.type !== Text || !isWhitespace(child.value)) : result
+}
+
+const attributesOf = (node, options) => {
+	const attributes = Object.entries(node.attributes ?? {})
+
+	return options.ignoreAttributeOrder ? attributes.sort(([a], [b]) => compare(a, b)) : attributes
+}
+
+const declarationsOf = node =>
+	node.type === Document ? [String(node.xmlDeclaration ?? ""), String(node.doctypeDeclaration ?? "")] : []
+
+const isShallowEqual = (a, b, options) => {
+	if (a.type !== b.type || a.name !== b.name || a.value !== b.value) return false
+
+	const aAttributes = attributesOf(a, options)
+	const bAttributes = attributesOf(b, options)
+
+	if (aAttributes.length !== bAttributes.length) return false
+
+	for (let i = 0; i < aAttributes.length; i++) {
+		if (aAttributes[i][0] !== bAttributes[i][0] || aAttributes[i][1] !== bAttributes[i][1]) return false
+	}
+
+	const [aXml, aDoctype] = declarationsOf(a)
+	const [bXml, bDoctype] = declarationsOf(b)
+
+	return aXml === bXml && aDoctype === bDoctype
+}
+
+/**
+ * Checks if the given Nodes have the same content: the same type, name, attributes, value, and declarations, and
+ * children that are the same in turn.
+ *
+ * @param {Node} a
+ * @param {Node} b
+ * @param {object} options The options of `Node.prototype.isEqual`, with every default filled in
+ * @return {boolean}
+ */
+export const isEqual = (a, b, options) => {
+	const stack = [[a, b]]
+
+	while (stack.length) {
+		const [a, b] = stack.pop()
+
+		if (!isShallowEqual(a, b, options)) return false
+
+		const aChildren = childrenOf(a, options)
+		const bChildren = childrenOf(b, options)
+
+		if (aChildren.length !== bChildren.length) return false
+
+		for (let i = aChildren.length - 1; i >= 0; i--) stack.push([aChildren[i], bChildren[i]])
+	}
+
+	return true
+}
+
+/**
+ * Computes a SHA-256 digest of the content of the given Node, such that Nodes that are equal by `isEqual` (with the
+ * same options) get the same digest.
+ *
+ * @param {Node} node
+ * @param {object} options The options of `Node.prototype.hash`, with every default filled in
+ * @return {string} The digest as a hexadecimal string
+ */
+export const hash = (node, options) => {
+	const digest = createSHA256()
+	const stack = [node]
+	// Every string is prefixed with its length, so that no two different trees write the same input, and missing ones
+	// (such as the values of boolean attributes) are written as "-", which no length starts with
+	const field = value => (value === undefined ? "-" : `${value.length}:${value}`)
+
+	while (stack.length) {
+		const node = stack.pop()
+		const attributes = attributesOf(node, options)
+		const children = childrenOf(node, options)
+
+		digest.update(`${node.type}${field(node.name)}${field(node.value)}`)
+		digest.update(declarationsOf(node).map(field).join(""))
+		digest.update(`${attributes.length}:${attributes.map(([name, value]) => field(name) + field(value)).join("")}`)
+		digest.update(`${children.length};`)
+
+		for (let i = children.length - 1; i >= 0; i--) stack.push(children[i])
+	}
+
+	return digest.digest()
+}
@@ -0,0 +1,96 @@
+import { moveChild } from "../keyMask.js"
+import Node from "../node.js"
+
+const OPS = ["insert", "remove", "move", "setAttribute", "removeAttribute", "setValue", "rename"]
+
+const fromData = data => {
+	const node = new Node({ type: data.type, name: data.name, value: data.value })
+
+	for (const [name, value] of Object.entries(data.attributes ?? {})) node.addAttribute(name, value ?? undefined)
+	if (data.children?.length) node.appendChild(data.children.map(fromData))
+
+	return node
+}
+
+const resolve = (root, path, length = path.length) => {
+	let node = root
+
+	for (let i = 0; i < length; i++) {
+		node = node.children[path[i]]
+
+		if (!node) throw new Error(`Expected path ${path.join("/")} to lead to a Node`)
+	}
+
+	return node
+}
+
+const insertAt = (parent, index, node) => {
+	if (!Number.isInteger(index) || index < 0 || index > parent.children.length)
+		throw new Error(`Expected index ${index} to be within the ${parent.children.length} children`)
+
+	if (index < parent.children.length) parent.children[index].prependSibling(node)
+	else parent.appendChild(node)
+}
+
+/**
+ * Applies the given operations from `diff` to the given tree, in order.
+ *
+ * @note The tree is changed through Node, so mutation observers see the changes and a `History` can
+ * undo them, e.g. as one step with `History#transaction`. If an operation cannot be applied, those before it stay
+ * applied.
+ * @param {Node} node The root of the tree, which should be the same as the first tree given to `diff`
+ * @param {DiffOperation[]} ops
+ * @return {Node} The given Node
+ * @throws {Error} If a path does not lead to a Node, or an index is not within the children
+ */
+export default function patch(node, ops) {
+	if (!Node.isNode(node)) throw new TypeError(`Expected node to be a Node, instead got ${typeof node}`)
+	if (!Array.isArray(ops)) throw new TypeError(`Expected ops to be an array, instead got ${typeof ops}`)
+
+	for (const operation of ops) {
+		if (Object.prototype.toString.call(operation) !== "[object Object]")
+			throw new TypeError(`Expected each operation to be an object, instead got ${typeof operation}`)
+		if (!OPS.includes(operation.op))
+			throw new TypeError(`Expected operation.op to be one of ${OPS.join("|")}, instead got ${operation.op}`)
+		if (!Array.isArray(operation.path) || operation.path.some(i => !Number.isInteger(i) || i < 0))
+			throw new TypeError(`Expected operation.path to be an array of indexes, instead got ${operation.path}`)
+
+		const { op, path } = operation
+
+		if (!path.length && ["insert", "remove", "move"].includes(op))
+			throw new Error(`Cannot ${op} the root, as it has no parent`)
+
+		switch (op) {
+			case "insert":
+				insertAt(resolve(node, path, path.length - 1), path[path.length - 1], fromData(operation.node))
+				break
+			case "remove":
+				resolve(node, path).emancipate()
+				break
+			case "move": {
+				const { parent } = resolve(node, path)
+				const { index } = operation
+
+				if (!Number.isInteger(index) || index < 0 || index >= parent.children.length)
+					throw new Error(`Expected index ${index} to be within the ${parent.children.length - 1} other children`)
+
+				parent[moveChild](path[path.length - 1], index)
+				break
+			}
+			case "setAttribute":
+				resolve(node, path).addAttribute(operation.name, operation.value ?? undefined)
+				break
+			case "removeAttribute":
+				resolve(node, path).removeAttribute(operation.name)
+				break
+			case "setValue":
+				resolve(node, path).setValue(operation.value)
+				break
+			case "rename":
+				resolve(node, path).setName(operation.name)
+				break
+		}
+	}
+
+	return node
+}
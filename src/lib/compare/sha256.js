@@ -0,0 +1,108 @@
+// The first 32 bits of the fractional parts of the cube roots of the first 64 primes
+const K = new Uint32Array([
+	0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5, 0xd807aa98,
+	0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174, 0xe49b69c1, 0xefbe4786,
+	0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da, 0x983e5152, 0xa831c66d, 0xb00327c8,
+	0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967, 0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13,
+	0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85, 0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819,
+	0xd6990624, 0xf40e3585, 0x106aa070, 0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a,
+	0x5b9cca4f, 0x682e6ff3, 0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+])
+
+const rotate = (x, n) => (x >>> n) | (x << (32 - n))
+
+/**
+ * Creates a SHA-256 digest that strings are added to as UTF-8, as `createHash("sha256")` of `node:crypto` does, but
+ * without depending on Node.js.
+ *
+ * @return {{update: function(string): void, digest: function(): string}} `digest` gets the digest as a hexadecimal
+ * string, after which no more strings can be added
+ */
+export const createSHA256 = () => {
+	const state = new Uint32Array([
+		0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+	])
+	const block = new Uint8Array(64)
+	const words = new Uint32Array(64)
+	const encoder = new TextEncoder()
+	let blockLength = 0
+	let length = 0
+
+	const compress = () => {
+		for (let i = 0; i < 16; i++)
+			words[i] = (block[i * 4] << 24) | (block[i * 4 + 1] << 16) | (block[i * 4 + 2] << 8) | block[i * 4 + 3]
+		for (let i = 16; i < 64; i++) {
+			const a = words[i - 15]
+			const b = words[i - 2]
+
+			words[i] =
+				words[i - 16] +
+				(rotate(a, 7) ^ rotate(a, 18) ^ (a >>> 3)) +
+				words[i - 7] +
+				(rotate(b, 17) ^ rotate(b, 19) ^ (b >>> 10))
+		}
+
+		let [a, b, c, d, e, f, g, h] = state
+
+		for (let i = 0; i < 64; i++) {
+			const t1 = (h + (rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + words[i]) | 0
+			const t2 = ((rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0
+
+			h = g
+			g = f
+			f = e
+			e = (d + t1) | 0
+			d = c
+			c = b
+			b = a
+			a = (t1 + t2) | 0
+		}
+
+		state[0] += a
+		state[1] += b
+		state[2] += c
+		state[3] += d
+		state[4] += e
+		state[5] += f
+		state[6] += g
+		state[7] += h
+	}
+
+	const write = bytes => {
+		for (const byte of bytes) {
+			block[blockLength++] = byte
+
+			if (blockLength === 64) {
+				compress()
+				blockLength = 0
+			}
+		}
+	}
+
+	return {
+		update(string) {
+			const bytes = encoder.encode(string)
+
+			length += bytes.length
+			write(bytes)
+		},
+		digest() {
+			const bits = new Uint8Array(8)
+			const high = Math.floor(length / 0x20000000)
+			const low = (length * 8) % 0x100000000
+
+			for (let i = 0; i < 4; i++) {
+				bits[i] = high >>> (24 - i * 8)
+				bits[i + 4] = low >>> (24 - i * 8)
+			}
+
+			write([0x80])
+
+			while (blockLength !== 56) write([0])
+
+			write(bits)
+
+			return [...state].map(word => word.toString(16).padStart(8, "0")).join("")
+		}
+	}
+}
@@ -14,6 +14,7 @@
  */
 
 import { toHashTable } from "alltheutils"
+import { quote } from "./quote.js"
 
 const TYPE_KEYWORDS = ["cdata", "id", "idref", "idrefs", "nmtoken", "nmtokens", "entity", "entities"]
 const TYPE_KEYWORDS_HASH = toHashTable(TYPE_KEYWORDS)
@@ -277,6 +278,22 @@ export default class AttListDeclaration {
 		return this
 	}
 
+	/**
+	 * Creates a copy of the AttListDeclaration.
+	 *
+	 * @return {AttListDeclaration}
+	 */
+	clone() {
+		const clone = new AttListDeclaration()
+
+		clone.#element = this.#element
+
+		for (const [name, attribute] of Object.entries(this.#attributes))
+			clone.#attributes[name] = { ...attribute, type: [...attribute.type] }
+
+		return clone
+	}
+
 	/**
 	 * Converts the AttListDeclaration into a String.
 	 *
@@ -284,23 +301,21 @@ export default class AttListDeclaration {
 	 */
 	toString() {
 		const element = this.#element ? ` ${this.#element}` : ""
-		const attArr = Object.values(this.#attributes)
-		const attributes = attArr.length
-			? ` ${attArr.map(a => {
-					const name = a.name ? ` ${a.name}` : ""
-					const type = a.type
-						? ` ${a.isNotationType ? "NOTATION" : ""}${a.type.length === 1 ? a.type : ` (${a.type.join("|")})`}`
-						: ""
-					const defaultType = a.defaultType
-						? ` #${a.defaultType === "optional" ? "IMPLIED" : a.defaultType.toUpperCase()}`
-						: ""
-					const defaultValue = a.defaultValue
-						? ` ${DEFAULT_KEYWORDS[a.defaultValue] ? `#${a.defaultValue.toUpperCase()}` : `"${a.defaultValue}"`}`
-						: ""
-
-					return `${name}${type}${defaultType}${defaultValue}`
-			  })}`
-			: ""
+		const attributes = Object.values(this.#attributes).map(a => {
+			const isKeyword = a.type.length === 1 && !a.isNotationType && TYPE_KEYWORDS_HASH[a.type[0]]
+			const type = isKeyword ? a.type[0].toUpperCase() : `${a.isNotationType ? "NOTATION " : ""}(${a.type.join("|")})`
+			const defaultType =
+				a.defaultType === "required"
+					? " #REQUIRED"
+					: a.defaultType === "optional"
+					? " #IMPLIED"
+					: a.defaultType === "fixed"
+					? " #FIXED"
+					: ""
+			const defaultValue = a.defaultValue !== undefined ? ` ${quote(a.defaultValue)}` : ""
+
+			return ` ${a.name} ${type}${defaultType}${defaultValue}`
+		})
 
 		return `<!ATTLIST${element}${attributes.join("")}>`
 	}
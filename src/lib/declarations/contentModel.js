@@ -0,0 +1,364 @@
+import { toHashTable } from "alltheutils"
+import { NAME } from "../parsers/scanner.js"
+
+const TYPES = toHashTable(["empty", "any", "mixed", "children"])
+const OCCURRENCES = toHashTable(["", "?", "*", "+"])
+const PARTICLE_TYPES = toHashTable(["element", "sequence", "choice"])
+const NAME_AT = /[^\s|,()?*+]+/y
+
+/**
+ * @typedef {object} ContentParticle
+ * @property {"element"|"sequence"|"choice"} type
+ * @property {string} [name] The element name, for `"element"` particles
+ * @property {ContentParticle[]} [particles] The particles in the group, for `"sequence"` and `"choice"` particles
+ * @property {""|"?"|"*"|"+"} occurrence How many times the particle may occur: exactly once (`""`), at most once
+ * (`"?"`), any number of times (`"*"`), or at least once (`"+"`)
+ */
+
+const checkOccurrence = occurrence => {
+	if (!OCCURRENCES[occurrence])
+		throw new TypeError(`Expected occurrence to be one of ""|?|*|+, instead got ${occurrence}`)
+}
+
+const checkName = name => {
+	if (typeof name !== "string") throw new TypeError(`Expected name to be a string, instead got ${typeof name}`)
+	if (!NAME.test(name)) throw new Error(`Expected name to be a valid XML name, instead got "${name}"`)
+}
+
+const createGroup = (type, particles, occurrence) => {
+	if (!Array.isArray(particles) || !particles.length)
+		throw new TypeError(`Expected particles to be a non-empty array of content particles`)
+
+	for (const particle of particles) {
+		if (Object.prototype.toString.call(particle) !== "[object Object]" || !PARTICLE_TYPES[particle.type])
+			throw new TypeError(`Expected particles to be a non-empty array of content particles`)
+	}
+
+	checkOccurrence(occurrence)
+
+	return Object.freeze({ type, particles: Object.freeze([...particles]), occurrence })
+}
+
+const particleToString = particle => {
+	if (particle.type === "element") return `${particle.name}${particle.occurrence}`
+
+	const separator = particle.type === "sequence" ? "," : "|"
+
+	return `(${particle.particles.map(particleToString).join(separator)})${particle.occurrence}`
+}
+
+/**
+ * Parses the given content specification (`EMPTY`, `ANY`, `(#PCDATA|a)*`, `(a,(b|c)+)?`, ...).
+ *
+ * @param {string} input
+ * @param {function(string, number): Error} fail Creates the error to throw for a problem at the given offset
+ * @return {ContentModel}
+ * @ignore
+ */
+export const parseContentModel = (input, fail) => {
+	let pos = 0
+
+	const skipWhitespace = () => {
+		while (/\s/.test(input[pos] ?? "")) pos++
+	}
+	const describe = () => (pos < input.length ? `"${input[pos]}"` : "the end of the content specification")
+	const unexpected = expected => fail(`Expected ${expected}, instead found ${describe()}`, pos)
+	const readOccurrence = () => (input[pos] === "?" || input[pos] === "*" || input[pos] === "+" ? input[pos++] : "")
+	const readName = () => {
+		NAME_AT.lastIndex = pos
+
+		const match = NAME_AT.exec(input)
+
+		if (!match || !NAME.test(match[0])) throw unexpected(`an element name or "("`)
+
+		pos += match[0].length
+
+		return match[0]
+	}
+
+	// Reads the rest of a group whose "(" has been consumed
+	const readGroup = () => {
+		const particles = [readParticle()]
+		let separator
+
+		while (true) {
+			skipWhitespace()
+
+			if (input[pos] === ")") break
+			if (input[pos] !== "," && input[pos] !== "|")
+				throw unexpected(separator ? `"${separator}" or ")"` : `",", "|", or ")"`)
+			if (separator && input[pos] !== separator)
+				throw fail(`Expected "${separator}" or ")", as a group cannot mix "," and "|"`, pos)
+
+			separator = input[pos++]
+			particles.push(readParticle())
+		}
+
+		pos++
+
+		return createGroup(separator === "|" ? "choice" : "sequence", particles, readOccurrence())
+	}
+
+	const readParticle = () => {
+		skipWhitespace()
+
+		if (input[pos] === "(") {
+			pos++
+			return readGroup()
+		}
+
+		const name = readName()
+
+		return Object.freeze({ type: "element", name, occurrence: readOccurrence() })
+	}
+
+	let model
+
+	skipWhitespace()
+
+	if (input.startsWith("EMPTY", pos)) {
+		pos += 5
+		model = ContentModel.empty()
+	} else if (input.startsWith("ANY", pos)) {
+		pos += 3
+		model = ContentModel.any()
+	} else if (input[pos] !== "(") {
+		throw unexpected(`"EMPTY", "ANY", or "("`)
+	} else {
+		pos++
+		skipWhitespace()
+
+		if (input.startsWith("#PCDATA", pos)) {
+			const names = []
+
+			pos += 7
+			skipWhitespace()
+
+			while (input[pos] === "|") {
+				pos++
+				skipWhitespace()
+				names.push(readName())
+				skipWhitespace()
+			}
+
+			if (input[pos] !== ")") throw unexpected(`"|" or ")"`)
+
+			pos++
+
+			// Mixed content with element names must allow any number of them
+			if (names.length && input[pos] !== "*") throw unexpected(`"*" after mixed content with element names`)
+
+			const isRepeated = input[pos] === "*"
+
+			if (isRepeated) pos++
+
+			model = ContentModel.mixed(names, isRepeated)
+		} else {
+			model = ContentModel.children(readGroup())
+		}
+	}
+
+	skipWhitespace()
+
+	if (pos < input.length) throw unexpected("the end of the content specification")
+
+	return model
+}
+
+/**
+ * The structured form of the content specification of an ElementDeclaration, which says what an element may contain.
+ *
+ * @category Declarations
+ */
+export default class ContentModel {
+	#type
+	#names
+	#isRepeated
+	#particle
+
+	/**
+	 * @note Use the static builders (`empty`, `any`, `mixed`, and `children`) or `parse` to create ContentModels.
+	 * @param {object} init
+	 * @param {"empty"|"any"|"mixed"|"children"} init.type
+	 * @param {string[]} [init.names] The element names allowed alongside text, for `"mixed"` models
+	 * @param {boolean} [init.isRepeated] Whether a `"mixed"` model without element names is written `(#PCDATA)*`
+	 * rather than `(#PCDATA)`, which means the same (default: `false`)
+	 * @param {ContentParticle} [init.particle] The sequence or choice group, for `"children"` models
+	 */
+	constructor(init) {
+		if (Object.prototype.toString.call(init) !== "[object Object]") init = {}
+		if (!TYPES[init.type])
+			throw new TypeError(`Expected init.type to be one of empty|any|mixed|children, instead got ${init.type}`)
+
+		this.#type = init.type
+
+		if (init.type === "mixed") {
+			if (!Array.isArray(init.names)) throw new TypeError(`Expected init.names to be an array of element names`)
+
+			init.names.forEach(checkName)
+			if (init.isRepeated !== undefined && typeof init.isRepeated !== "boolean")
+				throw new TypeError(`Expected init.isRepeated to be a boolean, instead got ${typeof init.isRepeated}`)
+
+			this.#names = Object.freeze([...init.names])
+			this.#isRepeated = init.names.length > 0 || init.isRepeated === true
+		}
+
+		if (init.type === "children") {
+			if (init.particle?.type !== "sequence" && init.particle?.type !== "choice")
+				throw new TypeError(`Expected init.particle to be a sequence or choice content particle`)
+
+			this.#particle = init.particle
+		}
+	}
+
+	/**
+	 * Checks if the given value is a ContentModel.
+	 *
+	 * @param {unknown} value
+	 * @return {boolean}
+	 */
+	static isContentModel(value) {
+		return value instanceof ContentModel
+	}
+
+	/**
+	 * Parses the given content specification, as found in `<!ELEMENT name ...>` declarations.
+	 *
+	 * @param {string} string e.g. `EMPTY`, `ANY`, `(#PCDATA|em|strong)*`, or `(head,(p|list)+,foot?)`
+	 * @return {ContentModel}
+	 * @throws {SyntaxError} If the content specification is malformed
+	 */
+	static parse(string) {
+		if (typeof string !== "string") throw new TypeError(`Expected string to be a string, instead got ${typeof string}`)
+
+		return parseContentModel(string, (message, pos) => new SyntaxError(`${message} at position ${pos}`))
+	}
+
+	/**
+	 * Creates the content model of elements that must be empty (`EMPTY`).
+	 *
+	 * @return {ContentModel}
+	 */
+	static empty() {
+		return new ContentModel({ type: "empty" })
+	}
+
+	/**
+	 * Creates the content model of elements that may contain anything (`ANY`).
+	 *
+	 * @return {ContentModel}
+	 */
+	static any() {
+		return new ContentModel({ type: "any" })
+	}
+
+	/**
+	 * Creates the content model of elements that may contain text, mixed with the given elements in any order
+	 * (`(#PCDATA)` or `(#PCDATA|a|b)*`).
+	 *
+	 * @param {string[]} [names] (default: `[]`)
+	 * @param {boolean} [isRepeated] Whether a model without names is written `(#PCDATA)*` rather than `(#PCDATA)`
+	 * (default: `false`)
+	 * @return {ContentModel}
+	 */
+	static mixed(names = [], isRepeated = false) {
+		return new ContentModel({ type: "mixed", names, isRepeated })
+	}
+
+	/**
+	 * Creates the content model of elements that may only contain elements, as given by a sequence or choice group.
+	 *
+	 * @param {ContentParticle} particle
+	 * @return {ContentModel}
+	 */
+	static children(particle) {
+		return new ContentModel({ type: "children", particle })
+	}
+
+	/**
+	 * Creates a content particle for an element.
+	 *
+	 * @param {string} name
+	 * @param {""|"?"|"*"|"+"} [occurrence] (default: `""`)
+	 * @return {ContentParticle}
+	 */
+	static element(name, occurrence = "") {
+		checkName(name)
+		checkOccurrence(occurrence)
+
+		return Object.freeze({ type: "element", name, occurrence })
+	}
+
+	/**
+	 * Creates a content particle for a group whose particles must occur in order (`(a,b,c)`).
+	 *
+	 * @param {ContentParticle[]} particles
+	 * @param {""|"?"|"*"|"+"} [occurrence] (default: `""`)
+	 * @return {ContentParticle}
+	 */
+	static sequence(particles, occurrence = "") {
+		return createGroup("sequence", particles, occurrence)
+	}
+
+	/**
+	 * Creates a content particle for a group of which exactly one particle must occur (`(a|b|c)`).
+	 *
+	 * @param {ContentParticle[]} particles
+	 * @param {""|"?"|"*"|"+"} [occurrence] (default: `""`)
+	 * @return {ContentParticle}
+	 */
+	static choice(particles, occurrence = "") {
+		return createGroup("choice", particles, occurrence)
+	}
+
+	/**
+	 * The kind of content model.
+	 *
+	 * @return {"empty"|"any"|"mixed"|"children"}
+	 */
+	get type() {
+		return this.#type
+	}
+
+	/**
+	 * The element names allowed alongside text, for `"mixed"` models.
+	 *
+	 * @return {string[]|undefined}
+	 */
+	get names() {
+		return this.#names
+	}
+
+	/**
+	 * Whether the text of a `"mixed"` model is followed by `*`, as it always is when there are element names.
+	 *
+	 * @return {boolean|undefined}
+	 */
+	get isRepeated() {
+		return this.#isRepeated
+	}
+
+	/**
+	 * The sequence or choice group, for `"children"` models.
+	 *
+	 * @return {ContentParticle|undefined}
+	 */
+	get particle() {
+		return this.#particle
+	}
+
+	/**
+	 * Converts the ContentModel to the string form used in `<!ELEMENT>` declarations, without any whitespace, which
+	 * `parse` turns back into an equal ContentModel.
+	 *
+	 * @return {string}
+	 */
+	toString() {
+		if (this.#type === "empty") return "EMPTY"
+		if (this.#type === "any") return "ANY"
+		if (this.#type === "mixed")
+			return `(#PCDATA${this.#names.map(name => `|${name}`).join("")})${this.#isRepeated ? "*" : ""}`
+
+		return particleToString(this.#particle)
+	}
+}
@@ -1,6 +1,10 @@
 import AttListDeclaration from "./attlist.js"
 import ElementDeclaration from "./element.js"
 import EntityDeclaration from "./entity.js"
+import NotationDeclaration from "./notation.js"
+import { createDTDState, parseDoctypeDeclaration } from "../parsers/dtd.js"
+import Scanner, { normalizeLineEndings } from "../parsers/scanner.js"
+import { quote } from "./quote.js"
 
 /**
  * @category Declarations
@@ -17,7 +21,7 @@ export default class DoctypeDeclaration {
 	 * @param {string} [init.element] The name of the root element of the document
 	 * @param {string} [init.formalPublicIdentifier] The FPI (Formal Public Identifier), or ID that corresponds to a key publicly available lookup table
 	 * @param {string} [init.systemIdentifier] The URI corresponding to the external DTD (Document Type Declaration) resource
-	 * @param {Array<(AttListDeclaration|ElementDeclaration|EntityDeclaration)>} [init.internalSubset] The internal subset of rules to use (overrides all identifiers)
+	 * @param {Array<(AttListDeclaration|ElementDeclaration|EntityDeclaration|NotationDeclaration)>} [init.internalSubset] The internal subset of rules to use (overrides all identifiers)
 	 */
 	constructor(init) {
 		if (Object.prototype.toString.call(init) !== "[object Object]") init = {}
@@ -27,6 +31,39 @@ export default class DoctypeDeclaration {
 		if (init.internalSubset) this.setInternalSubset(init.internalSubset)
 	}
 
+	/**
+	 * Parses the given document type declaration, e.g. `<!DOCTYPE note SYSTEM "note.dtd" [<!ELEMENT note (#PCDATA)>]>`.
+	 *
+	 * @note The internal subset is parsed as `parseDTD` parses DTDs, so comments, parameter entity references (both
+	 * between and within declarations), and `INCLUDE`/`IGNORE` conditional sections are handled. This is more lenient
+	 * than `parseXML`, which follows XML in allowing neither conditional sections nor references within declarations in
+	 * the internal subset of a document.
+	 * @param {string} string
+	 * @return {DoctypeDeclaration}
+	 * @throws {SyntaxError} If the declaration is malformed. The error's `line` and `column` properties point to the
+	 * problem.
+	 */
+	static parse(string) {
+		if (typeof string !== "string") throw new TypeError(`Expected string to be a string, instead got ${typeof string}`)
+
+		const scanner = new Scanner(normalizeLineEndings(string))
+
+		scanner.skipWhitespace()
+		scanner.expect("<!DOCTYPE")
+
+		const declaration = parseDoctypeDeclaration(
+			scanner,
+			{ dtd: createDTDState(), hasExternalSubset: false },
+			{ internal: false }
+		)
+
+		scanner.skipWhitespace()
+
+		if (!scanner.done) throw scanner.unexpected("the end of the input")
+
+		return declaration
+	}
+
 	/**
 	 * Checks if the given value is an DoctypeDeclaration.
 	 *
@@ -67,7 +104,7 @@ export default class DoctypeDeclaration {
 	/**
 	 * The Internal Subset of rules used in place of a separate DTD file or resource.
 	 *
-	 * @return {Array<(AttListDeclaration|ElementDeclaration|EntityDeclaration)>}
+	 * @return {Array<(AttListDeclaration|ElementDeclaration|EntityDeclaration|NotationDeclaration)>}
 	 */
 	get internalSubset() {
 		return this.#internalSubset
@@ -122,7 +159,7 @@ export default class DoctypeDeclaration {
 	/**
 	 * Sets the Internal Subset of rules used in place of a separate DTD file or resource.
 	 *
-	 * @param {Array<(AttListDeclaration|ElementDeclaration|EntityDeclaration)>} subset
+	 * @param {Array<(AttListDeclaration|ElementDeclaration|EntityDeclaration|NotationDeclaration)>} subset
 	 * @return {DoctypeDeclaration} The instance for chaining
 	 */
 	setInternalSubset(subset) {
@@ -133,10 +170,11 @@ export default class DoctypeDeclaration {
 			if (
 				!AttListDeclaration.isAttListDeclaration(rule) &&
 				!ElementDeclaration.isElementDeclaration(rule) &&
-				!EntityDeclaration.isEntityDeclaration(rule)
+				!EntityDeclaration.isEntityDeclaration(rule) &&
+				!NotationDeclaration.isNotationDeclaration(rule)
 			)
 				throw new TypeError(
-					`Expected each item of subset to be one of AttListDeclaration|ElementDeclaration|EntityDeclaration, instead found ${typeof rule}`
+					`Expected each item of subset to be one of AttListDeclaration|ElementDeclaration|EntityDeclaration|NotationDeclaration, instead found ${typeof rule}`
 				)
 		}
 
@@ -189,6 +227,24 @@ export default class DoctypeDeclaration {
 		return this
 	}
 
+	/**
+	 * Creates a copy of the DoctypeDeclaration.
+	 *
+	 * @note The declarations of the internal subset are copied too.
+	 *
+	 * @return {DoctypeDeclaration}
+	 */
+	clone() {
+		const clone = new DoctypeDeclaration()
+
+		clone.#element = this.#element
+		clone.#formalPublicIdentifier = this.#formalPublicIdentifier
+		clone.#systemIdentifier = this.#systemIdentifier
+		clone.#internalSubset = this.#internalSubset?.map(declaration => declaration.clone())
+
+		return clone
+	}
+
 	/**
 	 * Converts the DoctypeDeclaration into a String.
 	 *
@@ -197,9 +253,9 @@ export default class DoctypeDeclaration {
 	toString() {
 		const element = this.#element ? ` ${this.#element}` : ""
 		const keyword = this.#formalPublicIdentifier ? " PUBLIC" : this.#systemIdentifier ? " SYSTEM" : ""
-		const fpid = this.#formalPublicIdentifier ? ` ${this.#formalPublicIdentifier}` : ""
-		const sid = this.#systemIdentifier ? ` ${this.#systemIdentifier}` : ""
-		const subset = this.#internalSubset ? ` [${this.#internalSubset.map(x => x.toString()).join(", ")}]` : ""
+		const fpid = this.#formalPublicIdentifier ? ` "${this.#formalPublicIdentifier}"` : ""
+		const sid = this.#systemIdentifier ? ` ${quote(this.#systemIdentifier)}` : ""
+		const subset = this.#internalSubset ? ` [${this.#internalSubset.map(x => x.toString()).join("")}]` : ""
 
 		return `<!DOCTYPE${element}${keyword}${fpid}${sid}${subset}>`
 	}
@@ -1,20 +1,26 @@
+import ContentModel from "./contentModel.js"
+
 /**
  * @category Declarations
  */
 export default class ElementDeclaration {
 	#name
 	#rules
+	#contentModel
 
 	/**
 	 * @note To be used within `DoctypeDeclaration`
 	 * @param {object} [init]
 	 * @param {string} [init.name] The name of the ElementDeclaration
 	 * @param {string} [init.rules] The rules of the ElementDeclaration
+	 * @param {ContentModel} [init.contentModel] The rules of the ElementDeclaration, in structured form (takes
+	 * precedence over `init.rules`)
 	 */
 	constructor(init) {
 		if (Object.prototype.toString.call(init) !== "[object Object]") init = {}
 		if (init.name) this.setName(init.name)
-		if (init.rules) this.setRules(init.rules)
+		if (init.contentModel) this.setContentModel(init.contentModel)
+		else if (init.rules) this.setRules(init.rules)
 	}
 
 	/**
@@ -27,6 +33,28 @@ export default class ElementDeclaration {
 		return value instanceof ElementDeclaration
 	}
 
+	/**
+	 * The content rules of the ElementDeclaration, in structured form.
+	 *
+	 * @note Rules set with `setRules` are parsed the first time they are needed here.
+	 * @return {ContentModel|undefined} The ContentModel, or `undefined` if there are no rules or they are not a
+	 * well-formed content specification
+	 */
+	get contentModel() {
+		if (this.#contentModel === undefined && this.#rules !== undefined) {
+			// Rules that cannot be parsed are remembered as such (`null`), so that they are only parsed once
+			try {
+				this.#contentModel = ContentModel.parse(this.#rules)
+			} catch (error) {
+				if (!(error instanceof SyntaxError)) throw error
+
+				this.#contentModel = null
+			}
+		}
+
+		return this.#contentModel ?? undefined
+	}
+
 	/**
 	 * The name of the ElementDeclaration.
 	 *
@@ -45,6 +73,23 @@ export default class ElementDeclaration {
 		return this.#rules
 	}
 
+	/**
+	 * Sets the content rules of the ElementDeclaration, in structured form.
+	 *
+	 * @note The rules become the string form of the ContentModel.
+	 * @param {ContentModel} contentModel
+	 * @return {ElementDeclaration} The instance for chaining
+	 */
+	setContentModel(contentModel) {
+		if (!ContentModel.isContentModel(contentModel))
+			throw new TypeError(`Expected contentModel to be a ContentModel, instead got ${typeof contentModel}`)
+
+		this.#rules = contentModel.toString()
+		this.#contentModel = contentModel
+
+		return this
+	}
+
 	/**
 	 * Sets the name of the ElementDeclaration.
 	 *
@@ -66,7 +111,7 @@ export default class ElementDeclaration {
 	/**
 	 * Sets the content rules of the ElementDeclaration.
 	 *
-	 * @param {string} rules
+	 * @param {string} rules e.g. `EMPTY`, `ANY`, `(#PCDATA|em)*`, or `(head,body)`
 	 * @return {ElementDeclaration} The instance for chaining
 	 */
 	setRules(rules) {
@@ -77,6 +122,7 @@ export default class ElementDeclaration {
 		if (!rules.length) throw new Error(`Expected rules to have at least one character, instead got an empty string`)
 
 		this.#rules = rules
+		this.#contentModel = undefined
 
 		return this
 	}
@@ -99,10 +145,28 @@ export default class ElementDeclaration {
 	 */
 	removeRules() {
 		this.#rules = undefined
+		this.#contentModel = undefined
 
 		return this
 	}
 
+	/**
+	 * Creates a copy of the ElementDeclaration.
+	 *
+	 * @note The ContentModel is shared with the copy, as it cannot be changed.
+	 *
+	 * @return {ElementDeclaration}
+	 */
+	clone() {
+		const clone = new ElementDeclaration()
+
+		clone.#name = this.#name
+		clone.#rules = this.#rules
+		clone.#contentModel = this.#contentModel
+
+		return clone
+	}
+
 	/**
 	 * Converts the ElementDeclaration declaration to a String.
 	 *
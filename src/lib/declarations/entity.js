@@ -1,3 +1,5 @@
+import { quote } from "./quote.js"
+
 /**
  * @category Declarations
  */
@@ -25,7 +27,7 @@ export default class EntityDeclaration {
 		if (init.name) this.setName(init.name)
 		if (init.publicID) this.setPublicID(init.publicID)
 		if (init.systemURI) this.setSystemURI(init.systemURI)
-		if (init.value) this.setValue(init.value)
+		if (init.value !== undefined) this.setValue(init.value)
 		if (init.ndata) this.setNDATA(init.ndata)
 	}
 
@@ -269,6 +271,24 @@ export default class EntityDeclaration {
 		return this
 	}
 
+	/**
+	 * Creates a copy of the EntityDeclaration.
+	 *
+	 * @return {EntityDeclaration}
+	 */
+	clone() {
+		const clone = new EntityDeclaration()
+
+		clone.#isParameterEntityDeclaration = this.#isParameterEntityDeclaration
+		clone.#name = this.#name
+		clone.#publicID = this.#publicID
+		clone.#systemURI = this.#systemURI
+		clone.#value = this.#value
+		clone.#ndata = this.#ndata
+
+		return clone
+	}
+
 	/**
 	 * Converts the EntityDeclaration declaration into a String.
 	 *
@@ -277,9 +297,9 @@ export default class EntityDeclaration {
 	toString() {
 		const paramToken = this.#isParameterEntityDeclaration ? " %" : ""
 		const name = this.#name ? ` ${this.#name}` : ""
-		const pubsys = this.#publicID ? ` PUBLIC "${this.#publicID}" "${this.#systemURI || ""}"` : ""
-		const sys = !this.#publicID && this.#systemURI ? ` SYSTEM "${this.#systemURI}"` : ""
-		const value = !this.#publicID && !this.systemURI ? ` "${this.#value}"` : ""
+		const pubsys = this.#publicID ? ` PUBLIC "${this.#publicID}" ${quote(this.#systemURI || "")}` : ""
+		const sys = !this.#publicID && this.#systemURI ? ` SYSTEM ${quote(this.#systemURI)}` : ""
+		const value = !this.#publicID && !this.#systemURI ? ` ${quote(this.#value ?? "")}` : ""
 		const ndata = this.#ndata ? ` NDATA ${this.#ndata}` : ""
 
 		return `<!ENTITY${paramToken}${name}${pubsys}${sys}${value}${ndata}>`
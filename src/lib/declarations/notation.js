@@ -0,0 +1,182 @@
+import { quote } from "./quote.js"
+
+/**
+ * @category Declarations
+ */
+export default class NotationDeclaration {
+	#name
+	#publicID
+	#systemURI
+
+	/**
+	 * @note To be used within `DoctypeDeclaration`
+	 * @param {object} [init]
+	 * @param {string} [init.name] The name used to refer to the NotationDeclaration, e.g. in NDATA or NOTATION types
+	 * @param {string} [init.publicID] The ID used with the PUBLIC keyword
+	 * @param {string} [init.systemURI] The URI used with the SYSTEM keyword, or in tandem with the PUBLIC keyword's ID
+	 */
+	constructor(init) {
+		if (Object.prototype.toString.call(init) !== "[object Object]") init = {}
+		if (init.name) this.setName(init.name)
+		if (init.publicID) this.setPublicID(init.publicID)
+		if (init.systemURI !== undefined) this.setSystemURI(init.systemURI)
+	}
+
+	/**
+	 * Checks if the given value is a NotationDeclaration.
+	 *
+	 * @param {unknown} value
+	 * @return {boolean}
+	 */
+	static isNotationDeclaration(value) {
+		return value instanceof NotationDeclaration
+	}
+
+	/**
+	 * The name of the NotationDeclaration.
+	 *
+	 * @return {string|undefined}
+	 */
+	get name() {
+		return this.#name
+	}
+
+	/**
+	 * The PUBLIC Identifier of the NotationDeclaration.
+	 *
+	 * @return {string|undefined}
+	 */
+	get publicID() {
+		return this.#publicID
+	}
+
+	/**
+	 * The SYSTEM URI of the NotationDeclaration.
+	 *
+	 * @return {string|undefined}
+	 */
+	get systemURI() {
+		return this.#systemURI
+	}
+
+	/**
+	 * Sets the name of the NotationDeclaration.
+	 *
+	 * @param {string} name
+	 * @return {NotationDeclaration} The instance for chaining
+	 */
+	setName(name) {
+		if (typeof name !== "string") throw new TypeError(`Expected name to be a string, instead got ${typeof name}`)
+
+		name = name.trim()
+
+		if (!name.length) throw new Error(`Expected name to have at least one character, instead got an empty string`)
+
+		this.#name = name
+
+		return this
+	}
+
+	/**
+	 * Sets the PUBLIC Identifier of the NotationDeclaration. You can optionally set the System URI that goes along with
+	 * the PUBLIC Identifer as well.
+	 *
+	 * @note Unlike entities, notations may have a PUBLIC Identifier without a System URI.
+	 * @param {string} publicID
+	 * @param {string} [systemURI]
+	 * @return {NotationDeclaration} The instance for chaining
+	 */
+	setPublicID(publicID, systemURI) {
+		if (typeof publicID !== "string")
+			throw new TypeError(`Expected publicID to be a string, instead got ${typeof publicID}`)
+
+		this.#publicID = publicID
+
+		if (systemURI !== undefined) {
+			if (typeof systemURI !== "string")
+				throw new TypeError(`Expected systemURI to be a string, instead got ${typeof systemURI}`)
+
+			this.#systemURI = systemURI
+		}
+
+		return this
+	}
+
+	/**
+	 * Sets the SYSTEM URI of the NotationDeclaration.
+	 *
+	 * @param {string} systemURI
+	 * @return {NotationDeclaration} The instance for chaining
+	 */
+	setSystemURI(systemURI) {
+		if (typeof systemURI !== "string")
+			throw new TypeError(`Expected systemURI to be a string, instead got ${typeof systemURI}`)
+
+		this.#systemURI = systemURI
+
+		return this
+	}
+
+	/**
+	 * Removes the name of the NotationDeclaration.
+	 *
+	 * @return {NotationDeclaration} The instance for chaining
+	 */
+	removeName() {
+		this.#name = undefined
+
+		return this
+	}
+
+	/**
+	 * Removes the PUBLIC Identifier of the NotationDeclaration.
+	 *
+	 * @return {NotationDeclaration} The instance for chaining
+	 */
+	removePublicID() {
+		this.#publicID = undefined
+
+		return this
+	}
+
+	/**
+	 * Removes the SYSTEM URI of the NotationDeclaration.
+	 *
+	 * @return {NotationDeclaration} The instance for chaining
+	 */
+	removeSystemURI() {
+		this.#systemURI = undefined
+
+		return this
+	}
+
+	/**
+	 * Creates a copy of the NotationDeclaration.
+	 *
+	 * @return {NotationDeclaration}
+	 */
+	clone() {
+		const clone = new NotationDeclaration()
+
+		clone.#name = this.#name
+		clone.#publicID = this.#publicID
+		clone.#systemURI = this.#systemURI
+
+		return clone
+	}
+
+	/**
+	 * Converts the NotationDeclaration into a String.
+	 *
+	 * @return {string}
+	 */
+	toString() {
+		const name = this.#name ? ` ${this.#name}` : ""
+		const pubsys = this.#publicID
+			? ` PUBLIC "${this.#publicID}"${this.#systemURI !== undefined ? ` ${quote(this.#systemURI)}` : ""}`
+			: ""
+		const sys = !this.#publicID && this.#systemURI !== undefined ? ` SYSTEM ${quote(this.#systemURI)}` : ""
+
+		return `<!NOTATION${name}${pubsys}${sys}>`
+	}
+}
@@ -0,0 +1,14 @@
+/**
+ * Wraps the given literal in double quotes, or in single quotes when it contains a double quote.
+ *
+ * @note Literals within declarations cannot escape their delimiter, so a literal containing both kinds of quote is
+ * wrapped in double quotes with its double quotes replaced by `&#34;`.
+ * @param {string} literal
+ * @return {string}
+ */
+export const quote = literal => {
+	if (!literal.includes('"')) return `"${literal}"`
+	if (!literal.includes("'")) return `'${literal}'`
+
+	return `"${literal.replaceAll('"', "&#34;")}"`
+}
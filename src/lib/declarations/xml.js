@@ -143,6 +143,21 @@ export default class XmlDeclaration {
 		return this
 	}
 
+	/**
+	 * Creates a copy of the XmlDeclaration.
+	 *
+	 * @return {XmlDeclaration}
+	 */
+	clone() {
+		const clone = new XmlDeclaration()
+
+		clone.#version = this.#version
+		clone.#encoding = this.#encoding
+		clone.#isStandalone = this.#isStandalone
+
+		return clone
+	}
+
 	/**
 	 * Converts the XML document to a String.
 	 *
@@ -153,6 +168,6 @@ export default class XmlDeclaration {
 		const encoding = this.#encoding ? ` encoding="${this.#encoding}"` : ""
 		const standalone = this.#isStandalone !== undefined ? ` standalone="${this.#isStandalone ? "yes" : "no"}"` : ""
 
-		return `<?${version}${encoding}${standalone}?>`
+		return `<?xml${version}${encoding}${standalone}?>`
 	}
 }
@@ -5,3 +5,6 @@
 export const setNext = Symbol("setNext")
 export const setParent = Symbol("setParent")
 export const setPrevious = Symbol("setPrevious")
+export const setState = Symbol("setState")
+export const beforeRemove = Symbol("beforeRemove")
+export const moveChild = Symbol("moveChild")
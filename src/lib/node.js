@@ -1,8 +1,71 @@
 import { toHashTable } from "alltheutils"
 import DoctypeDeclaration from "./declarations/doctype.js"
 import XmlDeclaration from "./declarations/xml.js"
-import { setNext, setParent, setPrevious } from "./keyMask.js"
-import { Document, Element, VoidElement, CDATA, ProcessingInstruction, Text, Comment } from "./nodeTypes.js"
+import { moveChild, setNext, setParent, setPrevious, setState } from "./keyMask.js"
+import parseHTML from "./parsers/html.js"
+import parseXML from "./parsers/xml.js"
+import { selectAttributes } from "./query/attributes.js"
+import { matches, select } from "./query/css.js"
+import {
+	findAttributeNS,
+	inheritedNamespaces,
+	localNameOf,
+	lookupNamespaceURI,
+	lookupPrefix,
+	prefixOf,
+	qualifyAttributeName
+} from "./query/namespaces.js"
+import { hash, isEqual, normalizeOptions as normalizeEqualityOptions } from "./compare/equality.js"
+import { walkAncestors, walkDescendants, walkFollowing, walkPreceding } from "./query/walk.js"
+import canonicalize from "./serializers/c14n.js"
+import format, { formatPieces } from "./serializers/format.js"
+import serialize, { normalizeOptions, serializePieces } from "./serializers/markup.js"
+import { queueMutation } from "./observers/mutationObserver.js"
+import { removingNode } from "./traversal/nodeIterator.js"
+import evaluate from "./xpath/evaluate.js"
+import {
+	Document,
+	Element,
+	VoidElement,
+	CDATA,
+	ProcessingInstruction,
+	Text,
+	Comment,
+	EntityReference
+} from "./nodeTypes.js"
+
+const WRITE_SIZE = 16384
+const TYPE_TEXTS = [
+	"Document",
+	"Element",
+	"VoidElement",
+	"CDATA",
+	"ProcessingInstruction",
+	"Text",
+	"Comment",
+	"EntityReference"
+]
+
+/**
+ * Waits for the given stream to emit `drain`, or rejects if it emits `error` first.
+ *
+ * @param {Writable} writable
+ * @return {Promise<void>}
+ */
+const drain = writable =>
+	new Promise((resolve, reject) => {
+		const onDrain = () => {
+			writable.off("error", onError)
+			resolve()
+		}
+		const onError = error => {
+			writable.off("drain", onDrain)
+			reject(error)
+		}
+
+		writable.once("drain", onDrain)
+		writable.once("error", onError)
+	})
 
 /**
  * @typedef {0} Virty.Document
@@ -12,6 +75,7 @@ import { Document, Element, VoidElement, CDATA, ProcessingInstruction, Text, Com
  * @typedef {4} Virty.ProcessingInstruction
  * @typedef {5} Virty.Text
  * @typedef {6} Virty.Comment
+ * @typedef {7} Virty.EntityReference
  */
 
 /**
@@ -31,10 +95,10 @@ export default class Node {
 
 	/**
 	 * @param {object} init
-	 * @param {Virty.Document|Virty.Element|Virty.VoidElement|Virty.CDATA|Virty.ProcessingInstruction|Virty.Text|Virty.Comment} init.type The type of the Node
+	 * @param {Virty.Document|Virty.Element|Virty.VoidElement|Virty.CDATA|Virty.ProcessingInstruction|Virty.Text|Virty.Comment|Virty.EntityReference} init.type The type of the Node
 	 * @param {XmlDeclaration} [init.xmlDeclaration] The XML declaration of the Document Node
 	 * @param {DoctypeDeclaration} [init.doctypeDeclaration] The Doctype declaration of the Document Node
-	 * @param {string} [init.name] The name of the Element, VoidElement, or ProcessingInstruction Node
+	 * @param {string} [init.name] The name of the Element, VoidElement, ProcessingInstruction, or EntityReference Node
 	 * @param {object} [init.attributes] Attributes to assign to the Element or VoidElement Node
 	 * @param {Array<Node>} [init.children] Children of the Document or Element Node
 	 * @param {string} [init.value] Raw text data of the CDATA, ProcessingInstruction, Text, or Comment Node
@@ -60,8 +124,14 @@ export default class Node {
 				if (init.name) this.setName(init.name)
 				if (init.attributes) this.setAttributes(init.attributes)
 				break
-			case CDATA:
 			case ProcessingInstruction:
+				if (init.name) this.setName(init.name)
+				if (init.value) this.setValue(init.value)
+				break
+			case EntityReference:
+				if (init.name) this.setName(init.name)
+				break
+			case CDATA:
 			case Text:
 			case Comment:
 				if (init.value) this.setValue(init.value)
@@ -71,6 +141,28 @@ export default class Node {
 		}
 	}
 
+	/**
+	 * Parses the given XML or HTML string into a Document Node.
+	 *
+	 * @see `parseXML` and `parseHTML` for what each mode reads from the document, and the other options they take.
+	 * @param {string} string The document to parse
+	 * @param {object} [options] Passed on to `parseXML` or `parseHTML`
+	 * @param {"xml"|"html"} [options.mode] How to parse the document (default: `"xml"`)
+	 * @return {Node} The Document Node
+	 * @throws {SyntaxError} If the document is not well-formed XML, with the `line` and `column` of the problem
+	 */
+	static fromString(string, options) {
+		if (typeof string !== "string") throw new TypeError(`Expected string to be a string, instead got ${typeof string}`)
+		if (Object.prototype.toString.call(options) !== "[object Object]") options = {}
+
+		const mode = options.mode ?? "xml"
+
+		if (mode !== "xml" && mode !== "html")
+			throw new TypeError(`Expected options.mode to be one of xml|html, instead got ${mode}`)
+
+		return mode === "html" ? parseHTML(string, options) : parseXML(string, options)
+	}
+
 	/**
 	 * Checks if the given value is a CDATA Node.
 	 *
@@ -129,6 +221,16 @@ export default class Node {
 		return value instanceof Node && (value.type === Element || value.type === VoidElement)
 	}
 
+	/**
+	 * Checks if the given value is an EntityReference Node.
+	 *
+	 * @param {unknown} value
+	 * @return {boolean}
+	 */
+	static isEntityReference(value) {
+		return value instanceof Node && value.type === EntityReference
+	}
+
 	/**
 	 * Checks if the given value is a Node.
 	 *
@@ -237,6 +339,75 @@ export default class Node {
 		this.#previous = node
 	}
 
+	/**
+	 *  ⚠️ This method is protected and should be used internally by Virty **only**.
+	 *
+	 * Sets the attributes, name, value, type, or a declaration of the node as given, and records the change for the
+	 * mutation observers if there is one.
+	 *
+	 * @note This method assumes no responsibility of keeping the node congruent to its type.
+	 * @protected
+	 * @ignore
+	 * @param {"attributes"|"name"|"value"|"type"|"xmlDeclaration"|"doctypeDeclaration"} property
+	 * @param {unknown} value
+	 * @return {void}
+	 */
+	[setState](property, value) {
+		if (property === "attributes") return this.#replaceAttributes({ ...value })
+
+		const oldValue = this[property]
+
+		if (oldValue === value) return
+		if (property === "name") this.#name = value
+		else if (property === "value") this.#value = value
+		else if (property === "type") this.#type = value
+		else if (property === "xmlDeclaration") this.#xmlDeclaration = value
+		else if (property === "doctypeDeclaration") this.#doctypeDeclaration = value
+		else
+			throw new TypeError(`Expected property to be one of attributes|name|value|type|xmlDeclaration|doctypeDeclaration`)
+
+		queueMutation(property === "value" ? "characterData" : property, this, { oldValue })
+	}
+
+	/**
+	 *  ⚠️ This method is protected and should be used internally by Virty **only**.
+	 *
+	 * Moves the child at the given index to the other given index, relinking only the siblings around both places, and
+	 * records the move as a removal and an insertion for the mutation observers.
+	 *
+	 * @protected
+	 * @ignore
+	 * @param {number} from The index of the child
+	 * @param {number} to Where the child goes, counted without it
+	 * @return {void}
+	 */
+	[moveChild](from, to) {
+		const children = this.#children
+		const node = children[from]
+
+		if (!node) throw new RangeError(`Expected from to be the index of a child, instead got ${from}`)
+		if (!Number.isInteger(to) || to < 0 || to >= children.length)
+			throw new RangeError(`Expected to to be within the ${children.length - 1} other children, instead got ${to}`)
+
+		removingNode(node)
+		queueMutation("childList", this, { removedNodes: [node], previousSibling: node.previous, nextSibling: node.next })
+
+		node.previous?.[setNext](node.next)
+		node.next?.[setPrevious](node.previous)
+		children.splice(from, 1)
+		children.splice(to, 0, node)
+
+		const previous = children[to - 1]
+		const next = children[to + 1]
+
+		previous?.[setNext](node)
+		next?.[setPrevious](node)
+		node[setPrevious](previous)
+		node[setNext](next)
+
+		queueMutation("childList", this, { addedNodes: [node], previousSibling: previous, nextSibling: next })
+	}
+
 	/**
 	 * The attributes of this Node.
 	 *
@@ -269,27 +440,8 @@ export default class Node {
 
 		let result = ""
 
-		const stack = [{ node: this, remainingChildren: [...this.#children] }]
-
-		while (stack.length) {
-			const { node, remainingChildren } = stack.shift()
-
-			if (Node.isCharacterData(node)) {
-				result = `${result}${node.value}`
-				continue
-			}
-
-			while (remainingChildren.length) {
-				const child = remainingChildren.shift()
-
-				if (child.children?.length) {
-					if (remainingChildren.length) stack.unshift({ node, remainingChildren })
-
-					stack.unshift({ node: child, remainingChildren: [...child.children] })
-				} else if (Node.isCharacterData(child.type)) {
-					result = `${result}${child.value}`
-				}
-			}
+		for (const node of walkDescendants(this)) {
+			if (Node.isCharacterData(node)) result = `${result}${node.value}`
 		}
 
 		return result
@@ -446,6 +598,16 @@ export default class Node {
 		return this.#children[this.children.length - 1]
 	}
 
+	/**
+	 * The local part of this Node's name, i.e. the name without its namespace prefix.
+	 *
+	 * @note Only Element and VoidElement Nodes have a local name.
+	 * @return {string|undefined}
+	 */
+	get localName() {
+		return Node.isElement(this) ? localNameOf(this.#name) : undefined
+	}
+
 	/**
 	 * The root, or highest ancestor of this Node.
 	 *
@@ -469,6 +631,27 @@ export default class Node {
 		return this.#name
 	}
 
+	/**
+	 * The namespace URI of this Node, as bound to its prefix (or the default namespace, when it has none) by the
+	 * `xmlns` declarations on it and its ancestors.
+	 *
+	 * @note Only Element and VoidElement Nodes have a namespace URI.
+	 * @return {string|undefined}
+	 */
+	get namespaceURI() {
+		return Node.isElement(this) ? lookupNamespaceURI(this, prefixOf(this.#name)) : undefined
+	}
+
+	/**
+	 * The namespace prefix of this Node's name, e.g. `svg` in `svg:rect`.
+	 *
+	 * @note Only Element and VoidElement Nodes have a prefix.
+	 * @return {string|undefined}
+	 */
+	get prefix() {
+		return Node.isElement(this) ? prefixOf(this.#name) || undefined : undefined
+	}
+
 	/**
 	 * Concatenates and returns all text content from Text Nodes within this Node and its descendants.
 	 *
@@ -482,27 +665,8 @@ export default class Node {
 
 		let result = ""
 
-		const stack = [{ node: this, remainingChildren: [...this.#children] }]
-
-		while (stack.length) {
-			const { node, remainingChildren } = stack.shift()
-
-			if (node.type === Text) {
-				result = `${result}${node.value}`
-				continue
-			}
-
-			while (remainingChildren.length) {
-				const child = remainingChildren.shift()
-
-				if (child.children?.length) {
-					if (remainingChildren.length) stack.unshift({ node, remainingChildren })
-
-					stack.unshift({ node: child, remainingChildren: [...child.children] })
-				} else if (child.type === Text) {
-					result = `${result}${child.value}`
-				}
-			}
+		for (const node of walkDescendants(this)) {
+			if (node.type === Text) result = `${result}${node.value}`
 		}
 
 		return result
@@ -511,7 +675,7 @@ export default class Node {
 	/**
 	 * The type of this Node.
 	 *
-	 * @return {Virty.Document|Virty.Element|Virty.VoidElement|Virty.CDATA|Virty.ProcessingInstruction|Virty.Text|Virty.Comment}
+	 * @return {Virty.Document|Virty.Element|Virty.VoidElement|Virty.CDATA|Virty.ProcessingInstruction|Virty.Text|Virty.Comment|Virty.EntityReference}
 	 */
 	get type() {
 		return this.#type
@@ -520,10 +684,10 @@ export default class Node {
 	/**
 	 * The type of this Node as text.
 	 *
-	 * @return {"Document"|"Element"|"VoidElement"|"CDATA"|"ProcessingInstruction"|"Text"|"Comment"}
+	 * @return {"Document"|"Element"|"VoidElement"|"CDATA"|"ProcessingInstruction"|"Text"|"Comment"|"EntityReference"}
 	 */
 	get typeText() {
-		return ["Document", "Element", "VoidElement", "CDATA", "ProcessingInstruction", "Text", "Comment"][this.#type]
+		return TYPE_TEXTS[this.#type]
 	}
 
 	/**
@@ -558,7 +722,8 @@ export default class Node {
 	 * overwritten.
 	 *
 	 * @param {string} name The attribute name
-	 * @param {string} [value] The attribute's value as a string (default: `"true"`)
+	 * @param {string} [value] The attribute's value as a string. Without one, the attribute is a boolean attribute, and is
+	 * serialized as such by `toString`
 	 * @return {Node} The instance for chaining
 	 */
 	addAttribute(name, value) {
@@ -571,7 +736,7 @@ export default class Node {
 		if (value !== undefined && typeof value !== "string")
 			throw new TypeError(`Expected value to be a string, instead got ${typeof value}`)
 
-		this.#attributes[name] = value
+		this.#setAttribute(name, value)
 
 		return this
 	}
@@ -585,9 +750,8 @@ export default class Node {
 	addClass(className) {
 		if (!Node.isElement(this)) throw new Error(`Cannot use addClass on ${this.typeText} Node`)
 		if (!Array.isArray(className)) className = [className]
-		if (!this.#attributes?.class) this.#attributes.class = ""
 
-		const split = this.#attributes.class.trim().split(/\s+/)
+		const split = (this.#attributes.class || "").trim().split(/\s+/)
 
 		for (let i = 0; i < className.length; i++) {
 			const c = className[i]
@@ -598,15 +762,25 @@ export default class Node {
 			split.push(c.trim())
 		}
 
-		this.#attributes.class = [...new Set(split)].join(" ")
+		this.#setAttribute("class", [...new Set(split)].join(" "))
 
 		return this
 	}
 
+	/**
+	 * Walks the ancestors of this Node, from its parent up to the root.
+	 *
+	 * @return {Generator<Node>}
+	 */
+	ancestors() {
+		return walkAncestors(this)
+	}
+
 	/**
 	 * Appends the given Nodes as children to this Node.
 	 *
-	 * @note Appended children will lose all parent and sibling references.
+	 * @note Appended children will lose all parent and sibling references. Elements moved from elsewhere in a tree get
+	 * `xmlns` declarations for the namespaces they used from their old ancestors that are bound differently here.
 	 * @param {Node|Array<Node>} node The Node(s) to append
 	 * @return {Node} The instance for chaining
 	 */
@@ -614,12 +788,10 @@ export default class Node {
 		if (!this.canContainChildren) throw new Error(`Cannot use appendChild on ${this.typeText} Node`)
 		if (!Array.isArray(node)) node = [node]
 
+		const namespaces = Node.#detach(node)
 		let p = this.#children[this.#children.length - 1]
 
 		for (const c of node) {
-			if (!Node.isNode(c)) throw new TypeError(`Expected node to be one of Node|Array<Node>, instead found ${typeof c}`)
-			if (c.parent) c.parent.removeChild(c)
-
 			c[setParent](this)
 
 			if (Node.isNode(p)) {
@@ -631,13 +803,18 @@ export default class Node {
 			p = c
 		}
 
+		if (node.length) queueMutation("childList", this, { addedNodes: [...node], previousSibling: node[0].previous })
+
+		Node.#keepNamespaces(namespaces)
+
 		return this
 	}
 
 	/**
 	 * Appends the given Nodes as direct siblings to this Node.
 	 *
-	 * @note Appended siblings will lose all parent and sibling references.
+	 * @note Appended siblings will lose all parent and sibling references. Elements moved from elsewhere in a tree get
+	 * `xmlns` declarations for the namespaces they used from their old ancestors that are bound differently here.
 	 * @param {Node|Array<Node>} node The Node(s) to append
 	 * @return {Node} The instance for chaining
 	 */
@@ -646,11 +823,16 @@ export default class Node {
 		if (!this.#parent) throw new Error(`Cannot use appendSibling on Nodes without a parent Node`)
 		if (!Array.isArray(node)) node = [node]
 
+		// This Node stays where it is, as it cannot be its own sibling
+		node = node.filter(c => c !== this)
+
+		const namespaces = Node.#detach(node)
 		const p = this.#parent
 		const pc = p.children
 
 		if (pc[pc.length - 1] === this) {
 			this.#parent.appendChild(node)
+			Node.#keepNamespaces(namespaces)
 			return this
 		}
 
@@ -659,14 +841,20 @@ export default class Node {
 		for (let i = 0; i < pc.length; i++) {
 			const c = pc[i]
 
-			if (!(c instanceof Node))
-				throw new TypeError(`Expected node to be one of Node|Array<Node>, instead found ${typeof c}`)
-
 			c[setParent](p)
 			c[setPrevious](pc[i - 1])
 			c[setNext](pc[i + 1])
 		}
 
+		if (node.length)
+			queueMutation("childList", p, {
+				addedNodes: [...node],
+				previousSibling: this,
+				nextSibling: node[node.length - 1].next
+			})
+
+		Node.#keepNamespaces(namespaces)
+
 		return this
 	}
 
@@ -683,6 +871,115 @@ export default class Node {
 		return this
 	}
 
+	/**
+	 * Converts this Node into its canonical form, as used to sign and hash XML.
+	 *
+	 * @note Implements Canonical XML 1.0 (https://www.w3.org/TR/xml-c14n) and Exclusive XML Canonicalization 1.0
+	 * (https://www.w3.org/TR/xml-exc-c14n). The XML and doctype declarations are left out, CDATA sections become text,
+	 * empty elements get end tags, attributes are sorted, and namespace declarations are only written where they are
+	 * needed.
+	 * @note Using this method on an Element Node canonicalizes the subtree it starts, taking the namespaces declared by
+	 * its ancestors into account.
+	 * @param {object} [options]
+	 * @param {boolean} [options.exclusive] Whether to use Exclusive XML Canonicalization (default: `false`)
+	 * @param {boolean} [options.withComments] Whether to keep comments (default: `false`)
+	 * @param {Array<string>} [options.inclusiveNamespaces] The prefixes to handle as in inclusive canonicalization when
+	 * `exclusive` is `true`, with `"#default"` for the default namespace (default: `[]`)
+	 * @return {string}
+	 */
+	canonicalize(options) {
+		if (!Node.isElement(this) && this.#type !== Document)
+			throw new Error(`Cannot use canonicalize on ${this.typeText} Node`)
+		if (Object.prototype.toString.call(options) !== "[object Object]") options = {}
+		if (options.exclusive === undefined) options.exclusive = false
+		if (typeof options.exclusive !== "boolean")
+			throw new TypeError(`Expected options.exclusive to be a boolean, instead got ${typeof options.exclusive}`)
+		if (options.withComments === undefined) options.withComments = false
+		if (typeof options.withComments !== "boolean")
+			throw new TypeError(`Expected options.withComments to be a boolean, instead got ${typeof options.withComments}`)
+		if (options.inclusiveNamespaces === undefined) options.inclusiveNamespaces = []
+		if (!Array.isArray(options.inclusiveNamespaces) || options.inclusiveNamespaces.some(p => typeof p !== "string"))
+			throw new TypeError(`Expected options.inclusiveNamespaces to be an array of strings`)
+
+		return canonicalize(this, {
+			...options,
+			inclusiveNamespaces: options.inclusiveNamespaces.map(p => (p === "#default" ? "" : p))
+		})
+	}
+
+	/**
+	 * Creates a copy of this Node, with no parent or siblings.
+	 *
+	 * @note The copy shares no state with this Node: attributes, the XmlDeclaration, and the DoctypeDeclaration are
+	 * copied as well. Copies of Element and VoidElement Nodes get `xmlns` declarations for the namespaces they use that
+	 * were declared by this Node's ancestors, as Nodes moved into another tree do.
+	 * @param {object} [options]
+	 * @param {boolean} [options.deep] Whether to copy the descendants of this Node too (default: `false`)
+	 * @return {Node}
+	 */
+	clone(options) {
+		if (Object.prototype.toString.call(options) !== "[object Object]") options = {}
+		if (options.deep === undefined) options.deep = false
+		if (typeof options.deep !== "boolean")
+			throw new TypeError(`Expected options.deep to be a boolean, instead got ${typeof options.deep}`)
+
+		const copy = node => {
+			const clone = new Node({ type: node.#type })
+
+			clone.#attributes = { ...node.#attributes }
+			clone.#name = node.#name
+			clone.#value = node.#value
+			clone.#xmlDeclaration = node.#xmlDeclaration?.clone()
+			clone.#doctypeDeclaration = node.#doctypeDeclaration?.clone()
+
+			return clone
+		}
+		const root = copy(this)
+
+		if (Node.isElement(this)) {
+			for (const [prefix, uri] of inheritedNamespaces(this, options.deep))
+				root.#attributes[prefix ? `xmlns:${prefix}` : "xmlns"] = uri
+		}
+		if (!options.deep) return root
+
+		const stack = [[this, root]]
+
+		while (stack.length) {
+			const [source, target] = stack.pop()
+
+			target.appendChild(source.#children.map(copy))
+
+			for (let i = 0; i < source.#children.length; i++) {
+				if (source.#children[i].#children.length) stack.push([source.#children[i], target.#children[i]])
+			}
+		}
+
+		return root
+	}
+
+	/**
+	 * Walks the descendants of this Node, lazily, so that walks can end early without visiting the whole tree.
+	 *
+	 * @note Each Node's children are read when the walk gets to them, so the walk sees changes made to the parts of the
+	 * tree it has not reached yet.
+	 * @param {object} [options]
+	 * @param {"pre"|"post"|"breadth"} [options.order] Whether to yield each Node before its descendants (document
+	 * order), after them, or level by level (default: `"pre"`)
+	 * @param {function(Node): boolean} [options.filter] Which Nodes to yield. The descendants of Nodes it rejects are
+	 * still walked
+	 * @return {Generator<Node>}
+	 */
+	descendants(options) {
+		if (Object.prototype.toString.call(options) !== "[object Object]") options = {}
+		if (options.order === undefined) options.order = "pre"
+		if (options.order !== "pre" && options.order !== "post" && options.order !== "breadth")
+			throw new TypeError(`Expected options.order to be one of pre|post|breadth, instead got ${options.order}`)
+		if (options.filter !== undefined && typeof options.filter !== "function")
+			throw new TypeError(`Expected options.filter to be a function, instead got ${typeof options.filter}`)
+
+		return walkDescendants(this, options.order, options.filter)
+	}
+
 	/**
 	 * Removes this Node from its parent's list of child Nodes.
 	 *
@@ -694,6 +991,69 @@ export default class Node {
 		return this
 	}
 
+	/**
+	 * Walks the Nodes that come after this Node in document order, leaving out its descendants.
+	 *
+	 * @return {Generator<Node>}
+	 */
+	following() {
+		return walkFollowing(this)
+	}
+
+	/**
+	 * Gets the value of the attribute corresponding to the given name from this Node's attribute list.
+	 *
+	 * @param {string} name
+	 * @return {string|undefined}
+	 */
+	getAttribute(name) {
+		return Object.hasOwn(this.#attributes, name) ? this.#attributes[name] : undefined
+	}
+
+	/**
+	 * Gets the value of the attribute in the given namespace with the given local name from this Node's attribute list,
+	 * whatever prefix it is written with.
+	 *
+	 * @note Unprefixed attributes are in no namespace, as default namespaces do not apply to attributes. `xmlns` and
+	 * `xmlns:*` attributes are in the `http://www.w3.org/2000/xmlns/` namespace.
+	 * @param {string|undefined} namespaceURI The namespace URI, or `undefined` (or `null` or `""`) for no namespace
+	 * @param {string} localName
+	 * @return {string|undefined}
+	 */
+	getAttributeNS(namespaceURI, localName) {
+		if (namespaceURI === null || namespaceURI === "") namespaceURI = undefined
+		if (namespaceURI !== undefined && typeof namespaceURI !== "string")
+			throw new TypeError(`Expected namespaceURI to be a string, instead got ${typeof namespaceURI}`)
+		if (typeof localName !== "string")
+			throw new TypeError(`Expected localName to be a string, instead got ${typeof localName}`)
+		if (!Node.isElement(this)) return undefined
+
+		const name = findAttributeNS(this, namespaceURI, localName)
+
+		return name === undefined ? undefined : this.#attributes[name]
+	}
+
+	/**
+	 * Evaluates the given XPath 1.0 expression using this Node as the context node.
+	 *
+	 * @note Document, Element, VoidElement, Text, CDATA, Comment, and ProcessingInstruction Nodes map onto the XPath
+	 * root, element, text, comment, and processing-instruction node kinds. Attributes selected through the `attribute`
+	 * axis are returned as `XPathAttribute` objects, and the namespaces in scope at an Element Node selected through the
+	 * `namespace` axis as `XPathNamespace` objects. Adjacent Text and CDATA Nodes are treated as separate text nodes.
+	 * @param {string} expression The XPath 1.0 expression
+	 * @param {object} [options]
+	 * @param {{[name: string]: Node|Array<Node>|string|number|boolean}} [options.variables] Values for `$variable` references
+	 * @param {{[name: string]: Function}} [options.functions] Additional functions, called with the evaluation context followed by the evaluated arguments
+	 * @param {"any"|"node-set"|"string"|"number"|"boolean"} [options.resultType] The type to convert the result into (default: `"any"`)
+	 * @param {{[prefix: string]: string}} [options.namespaces] The namespace URIs of the prefixes used in name tests, which otherwise resolve through the `xmlns` declarations in scope at this Node. Unprefixed name tests match names as they are written
+	 * @return {Array<Node|XPathAttribute|XPathNamespace>|string|number|boolean} A node-set (in document order), string, number, or boolean
+	 * @throws {SyntaxError} If the expression is malformed
+	 * @throws {ReferenceError} If a prefix used in a name test is not bound
+	 */
+	evaluate(expression, options) {
+		return evaluate(expression, this, options)
+	}
+
 	/**
 	 * Checks if an attribute with the given name exists on this Node's attribute list.
 	 *
@@ -704,6 +1064,23 @@ export default class Node {
 		return Object.hasOwn(this.#attributes, name)
 	}
 
+	/**
+	 * Computes a digest of this Node's content, which is the same for any Nodes that are equal by `isEqual` with the
+	 * same options, e.g. to find duplicate subtrees or to key caches on a document.
+	 *
+	 * @note The digest is a SHA-256 hash, and is stable across runs and versions of Node.js.
+	 * @param {object} [options] The same options as `isEqual`
+	 * @param {boolean} [options.ignoreComments] Whether to leave Comment Nodes out of the digest (default: `false`)
+	 * @param {boolean} [options.ignoreWhitespace] Whether to leave Text Nodes with only whitespace out of the digest
+	 * (default: `false`)
+	 * @param {boolean} [options.ignoreAttributeOrder] Whether the order of attributes is left out of the digest
+	 * (default: `true`)
+	 * @return {string} The digest as a hexadecimal string
+	 */
+	hash(options) {
+		return hash(this, normalizeEqualityOptions(options))
+	}
+
 	/**
 	 * Checks if this Node is a child of the given Node.
 	 *
@@ -714,6 +1091,25 @@ export default class Node {
 		return this.#parent === node
 	}
 
+	/**
+	 * Checks if this Node has the same content as the given Node: the same type, name, attributes, value, and (on
+	 * Document Nodes) declarations, and children that are the same in turn.
+	 *
+	 * @note Only the content of the Nodes is compared, not where they are. Adjacent Text Nodes are compared as one.
+	 * @param {Node} node
+	 * @param {object} [options]
+	 * @param {boolean} [options.ignoreComments] Whether to leave Comment Nodes out of the comparison (default: `false`)
+	 * @param {boolean} [options.ignoreWhitespace] Whether to leave Text Nodes with only whitespace out of the comparison
+	 * (default: `false`)
+	 * @param {boolean} [options.ignoreAttributeOrder] Whether attributes may be in any order (default: `true`)
+	 * @return {boolean}
+	 */
+	isEqual(node, options) {
+		options = normalizeEqualityOptions(options)
+
+		return Node.isNode(node) && isEqual(this, node, options)
+	}
+
 	/**
 	 * Checks if this Node is a parent to the given Node.
 	 *
@@ -724,6 +1120,54 @@ export default class Node {
 		return this.#children.includes(node)
 	}
 
+	/**
+	 * Gets the namespace URI the given prefix is bound to at this Node, through the `xmlns` declarations on it and its
+	 * ancestors.
+	 *
+	 * @note Document Nodes look through their root element, and other Nodes through their parent. The `xml` and `xmlns`
+	 * prefixes are always bound.
+	 * @param {string} [prefix] The prefix, or `undefined` (or `null` or `""`) for the default namespace
+	 * @return {string|undefined} The namespace URI, or `undefined` if the prefix is not bound
+	 */
+	lookupNamespaceURI(prefix) {
+		if (prefix === undefined || prefix === null) prefix = ""
+		if (typeof prefix !== "string") throw new TypeError(`Expected prefix to be a string, instead got ${typeof prefix}`)
+
+		return lookupNamespaceURI(this, prefix)
+	}
+
+	/**
+	 * Gets a prefix bound to the given namespace URI at this Node, through the `xmlns` declarations on it and its
+	 * ancestors, preferring the closest one.
+	 *
+	 * @param {string} namespaceURI
+	 * @return {string|undefined} The prefix, or `undefined` if no prefix is bound to the namespace URI (even if it is
+	 * the default namespace)
+	 */
+	lookupPrefix(namespaceURI) {
+		if (typeof namespaceURI !== "string")
+			throw new TypeError(`Expected namespaceURI to be a string, instead got ${typeof namespaceURI}`)
+
+		return lookupPrefix(this, namespaceURI)
+	}
+
+	/**
+	 * Checks if this Node matches the given CSS selector list.
+	 *
+	 * @see `query` for the supported selector syntax.
+	 * @param {string} selector The CSS selector list to match against
+	 * @param {object} [options]
+	 * @param {{[prefix: string]: string}} [options.namespaces] The namespace URIs of the prefixes used in the selector
+	 * @return {boolean}
+	 * @throws {SyntaxError} If the selector is malformed
+	 */
+	matches(selector, options) {
+		if (!Node.isElement(this)) return false
+		if (Object.prototype.toString.call(options) !== "[object Object]") options = {}
+
+		return matches(this, selector, options.namespaces)
+	}
+
 	/**
 	 * Gets the nth child of this Node.
 	 *
@@ -742,10 +1186,21 @@ export default class Node {
 		return this.#children[idx]
 	}
 
+	/**
+	 * Walks the Nodes that come before this Node, leaving out its ancestors, from the closest one back to the start of
+	 * the document (i.e. in reverse document order).
+	 *
+	 * @return {Generator<Node>}
+	 */
+	preceding() {
+		return walkPreceding(this)
+	}
+
 	/**
 	 * Prepends the given Nodes as children to this Node.
 	 *
-	 * @note Prepended children will lose all parent and sibling references.
+	 * @note Prepended children will lose all parent and sibling references. Elements moved from elsewhere in a tree get
+	 * `xmlns` declarations for the namespaces they used from their old ancestors that are bound differently here.
 	 * @param {Node|Array<Node>} node The Node(s) to prepend
 	 * @return {Node} The instance for chaining
 	 */
@@ -753,22 +1208,23 @@ export default class Node {
 		if (!this.canContainChildren) throw new Error(`Cannot use prependChild on ${this.typeText} Node`)
 		if (!Array.isArray(node)) node = [node]
 
-		let p = this.#children[this.#children.length - 1]
+		const namespaces = Node.#detach(node)
 
-		for (const c of node) {
-			if (!Node.isNode(c)) throw new TypeError(`Expected node to be one of Node|Array<Node>, instead found ${typeof c}`)
-			if (c.parent) c.parent.removeChild(c)
+		this.#children = [...node, ...this.#children]
+
+		// The first Node that was already a child needs its previous sibling updated too
+		for (let i = 0; i <= node.length && i < this.#children.length; i++) {
+			const c = this.#children[i]
 
 			c[setParent](this)
+			c[setPrevious](this.#children[i - 1])
+			c[setNext](this.#children[i + 1])
+		}
 
-			if (Node.isNode(p)) {
-				p[setNext](c)
-				c[setPrevious](p)
-			}
+		if (node.length)
+			queueMutation("childList", this, { addedNodes: [...node], nextSibling: node[node.length - 1].next })
 
-			this.#children.unshift(c)
-			p = c
-		}
+		Node.#keepNamespaces(namespaces)
 
 		return this
 	}
@@ -776,36 +1232,39 @@ export default class Node {
 	/**
 	 * Prepends the given Nodes as direct siblings to this Node.
 	 *
-	 * @note Prepended siblings will lose all parent and sibling references.
+	 * @note Prepended siblings will lose all parent and sibling references. Elements moved from elsewhere in a tree get
+	 * `xmlns` declarations for the namespaces they used from their old ancestors that are bound differently here.
 	 * @param {Node|Array<Node>} node The Node(s) to prepend
 	 * @return {Node} The instance for chaining
 	 */
-	prependSibling(...node) {
+	prependSibling(node) {
 		if (Node.isDocument(this)) throw new Error(`Cannot use prependSibling on Document Node`)
 		if (!this.#parent) throw new Error(`Cannot use prependSibling on Nodes without a parent Node`)
 		if (!Array.isArray(node)) node = [node]
 
-		const p = this.#parent
-		const pc = p[getChildren]()
+		// This Node stays where it is, as it cannot be its own sibling
+		node = node.filter(c => c !== this)
 
-		if (pc[pc.length - 1] === this) {
-			this.#parent.appendChild(...node)
-			return this
-		}
+		const namespaces = Node.#detach(node)
+
+		const p = this.#parent
+		const pc = p.children
 
 		pc.splice(pc.indexOf(this), 0, ...node)
 
 		for (let i = 0; i < pc.length; i++) {
 			const c = pc[i]
 
-			if (!(c instanceof Node))
-				throw new TypeError(`Expected node to be one of Node|Array<Node>, instead found ${typeof c}`)
-
 			c[setParent](p)
 			c[setPrevious](pc[i - 1])
 			c[setNext](pc[i + 1])
 		}
 
+		if (node.length)
+			queueMutation("childList", p, { addedNodes: [...node], previousSibling: node[0].previous, nextSibling: this })
+
+		Node.#keepNamespaces(namespaces)
+
 		return this
 	}
 
@@ -819,7 +1278,7 @@ export default class Node {
 		if (!Node.isElement(this)) return this
 		if (typeof name !== "string") throw new TypeError(`Expected name to be a string, instead got ${typeof name}`)
 
-		delete this.#attributes[name]
+		this.#deleteAttribute(name)
 
 		return this
 	}
@@ -830,7 +1289,7 @@ export default class Node {
 	 * @return {Node} The instance for chaining
 	 */
 	removeAttributes() {
-		this.#attributes = {}
+		for (const name of Object.keys(this.#attributes)) this.#deleteAttribute(name)
 
 		return this
 	}
@@ -838,11 +1297,13 @@ export default class Node {
 	/**
 	 * Removes the given Node(s) from this Node's children.
 	 *
+	 * @note Removed Nodes are left as they are, so elements that use namespaces declared by their old ancestors have no
+	 * namespace until they are inserted somewhere that declares them.
 	 * @param {Node|Array<Node>} node The Node(s) to remove
 	 * @return {Node} The instance for chaining
 	 */
 	removeChild(node) {
-		if (!!this.#children.length) return this
+		if (!this.#children.length) return this
 		if (!Array.isArray(node)) node = [node]
 
 		const remaining = []
@@ -853,6 +1314,9 @@ export default class Node {
 				continue
 			}
 
+			removingNode(c)
+			queueMutation("childList", this, { removedNodes: [c], previousSibling: c.previous, nextSibling: c.next })
+
 			if (c.previous) c.previous[setNext](c.next)
 			if (c.next) c.next[setPrevious](c.previous)
 
@@ -896,7 +1360,7 @@ export default class Node {
 			delete classHash[classToRemove.trim()]
 		}
 
-		this.#attributes.class = Object.keys(classHash).join(" ")
+		this.#setAttribute("class", Object.keys(classHash).join(" "))
 
 		return this
 	}
@@ -907,7 +1371,7 @@ export default class Node {
 	 * @return {Node} The instance for chaining
 	 */
 	removeDoctypeDeclaration() {
-		this.#doctypeDeclaration = undefined
+		this[setState]("doctypeDeclaration", undefined)
 
 		return this
 	}
@@ -918,10 +1382,15 @@ export default class Node {
 	 * @return {Node} The instance for chaining
 	 */
 	removeName() {
-		if (this.#type === ProcessingInstruction) throw new Error(`Cannot use removeName on a ProcessingInstruction Node`)
+		if (this.#type === ProcessingInstruction || this.#type === EntityReference)
+			throw new Error(`Cannot use removeName on a ${this.typeText} Node`)
+
+		const oldValue = this.#name
 
 		this.#name = ""
 
+		queueMutation("name", this, { oldValue })
+
 		return this
 	}
 
@@ -931,8 +1400,12 @@ export default class Node {
 	 * @return {Node} The instance for chaining
 	 */
 	removeValue() {
+		const oldValue = this.#value
+
 		this.#value = ""
 
+		queueMutation("characterData", this, { oldValue })
+
 		return this
 	}
 
@@ -942,11 +1415,37 @@ export default class Node {
 	 * @return {Node} The instance for chaining
 	 */
 	removeXmlDeclaration() {
-		this.#xmlDeclaration = undefined
+		this[setState]("xmlDeclaration", undefined)
 
 		return this
 	}
 
+	/**
+	 * Converts this Node and all of its descendants into markup piece by piece, without holding the whole string in
+	 * memory at once.
+	 *
+	 * @note Joining the chunks gives the same string as `toString` with the same options.
+	 * @see `toString` for the options.
+	 * @param {object} [options]
+	 * @return {Generator<string>} The chunks of markup, in order
+	 * @throws {TypeError} If `entities`, `quote`, or `mode` is not one of the accepted values
+	 * @throws {Error} If this Node or a descendant cannot be serialized, as with `toString`
+	 */
+	*serializeStream(options) {
+		options = normalizeOptions(options)
+
+		const separator = options.useNewLine ? "\n" : ""
+		let isFirst = true
+
+		const pieces =
+			options.useNewLine && options.printWidth ? formatPieces(this, options) : serializePieces(this, options)
+
+		for (const piece of pieces) {
+			yield isFirst ? piece : `${separator}${piece}`
+			isFirst = false
+		}
+	}
+
 	/**
 	 * Sets this Node's attributes list to the given attributes.
 	 *
@@ -959,7 +1458,7 @@ export default class Node {
 		if (Object.prototype.toString.call(attributes) !== "[object Object]")
 			throw new TypeError(`Expected attributes to be an object, instead got ${typeof attributes}`)
 
-		this.#attributes = {}
+		const result = {}
 
 		for (let [name, value] of Object.entries(attributes)) {
 			if (typeof name !== "string") throw new TypeError(`Expected name to be a string, instead got ${typeof name}`)
@@ -969,9 +1468,49 @@ export default class Node {
 
 			if (!name.length) throw new Error(`Expected name to have at least one character, instead got an empty string`)
 
-			this.#attributes[name] = value
+			result[name] = value
 		}
 
+		this.#replaceAttributes(result)
+
+		return this
+	}
+
+	/**
+	 * Sets the attribute in the given namespace with the given qualified name on this Node. If the attribute already
+	 * exists, it will be overwritten.
+	 *
+	 * @note The attribute keeps the name it already has, if any. Otherwise, when its prefix is not bound yet, an `xmlns`
+	 * declaration for it is added to this Node. When its prefix is missing or bound to another namespace, a prefix
+	 * already bound to the namespace is used instead, or else a new one (`ns1`, `ns2`, ...) is declared.
+	 * @param {string|undefined} namespaceURI The namespace URI, or `undefined` (or `null` or `""`) for no namespace
+	 * @param {string} qualifiedName The attribute name, with or without a prefix, e.g. `xlink:href`
+	 * @param {string} [value] The attribute's value as a string
+	 * @return {Node} The instance for chaining
+	 * @throws {Error} If the qualified name cannot be used with the namespace, e.g. a prefixed name in no namespace, or
+	 * the `xml` or `xmlns` prefix with another namespace than their own
+	 */
+	setAttributeNS(namespaceURI, qualifiedName, value) {
+		if (!Node.isElement(this)) throw new Error(`Cannot use setAttributeNS on ${this.typeText} Node`)
+		if (namespaceURI === null || namespaceURI === "") namespaceURI = undefined
+		if (namespaceURI !== undefined && typeof namespaceURI !== "string")
+			throw new TypeError(`Expected namespaceURI to be a string, instead got ${typeof namespaceURI}`)
+		if (typeof qualifiedName !== "string")
+			throw new TypeError(`Expected qualifiedName to be a string, instead got ${typeof qualifiedName}`)
+
+		qualifiedName = qualifiedName.trim()
+
+		if (!qualifiedName.length)
+			throw new Error(`Expected qualifiedName to have at least one character, instead got an empty string`)
+		if (value !== undefined && typeof value !== "string")
+			throw new TypeError(`Expected value to be a string, instead got ${typeof value}`)
+
+		const { name, declare } = qualifyAttributeName(this, namespaceURI, qualifiedName)
+
+		if (declare !== undefined) this.#setAttribute(`xmlns:${declare}`, namespaceURI)
+
+		this.#setAttribute(name, value)
+
 		return this
 	}
 
@@ -1007,7 +1546,7 @@ export default class Node {
 				`Expected doctypeDeclaration to be a DoctypeDeclaration, instead got ${typeof doctypeDeclaration}`
 			)
 
-		this.#doctypeDeclaration = doctypeDeclaration
+		this[setState]("doctypeDeclaration", doctypeDeclaration)
 
 		return this
 	}
@@ -1019,7 +1558,7 @@ export default class Node {
 	 * @return {Node} The instance for chaining
 	 */
 	setName(name) {
-		if (![Element, VoidElement, ProcessingInstruction].includes(this.#type))
+		if (![Element, VoidElement, ProcessingInstruction, EntityReference].includes(this.#type))
 			throw new Error(`Cannot use setName on ${this.#type} Node`)
 		if (typeof name !== "string") throw new TypeError(`Expected name to be a string, instead got ${typeof name}`)
 
@@ -1027,8 +1566,12 @@ export default class Node {
 
 		if (!name.length) throw new Error(`Expected name to have at least one character, instead got an empty string`)
 
+		const oldValue = this.#name
+
 		this.#name = name
 
+		queueMutation("name", this, { oldValue })
+
 		return this
 	}
 
@@ -1038,54 +1581,68 @@ export default class Node {
 	 * @note This method will adjust this Node so that its properties are congruent to the type it holds. For
 	 * example, if it were previously an Element and was changed to a VoidElement, all of its children will be
 	 * removed.
-	 * @param {Virty.Document|Virty.Element|Virty.VoidElement|Virty.CDATA|Virty.ProcessingInstruction|Virty.Text|Virty.Comment} type
+	 * @param {Virty.Document|Virty.Element|Virty.VoidElement|Virty.CDATA|Virty.ProcessingInstruction|Virty.Text|Virty.Comment|Virty.EntityReference} type
 	 * @return {Node} The instance for chaining
 	 */
 	setType(type) {
+		if (!Number.isInteger(type) || !TYPE_TEXTS[type])
+			throw new TypeError(`Expected type to be one of 0|1|2|3|4|5|6|7, instead got ${type}`)
+
+		const oldValue = this.#type
+
 		this.#type = type
 
+		// Everything is cleared through setState, so that observers (and undo history) see what was lost
 		switch (type) {
 			case Document:
 				this.batman() // I mean... I made the function. dya think I wasn't gonna use it internally?
-				this.#attributes = {}
-				this.#name = ""
-				this.#value = ""
+				this[setState]("attributes", {})
+				this[setState]("name", "")
+				this[setState]("value", "")
 
 				break
 			case Element:
-				this.#doctypeDeclaration = undefined
-				this.#value = ""
-				this.#xmlDeclaration = undefined
+				this[setState]("doctypeDeclaration", undefined)
+				this[setState]("value", "")
+				this[setState]("xmlDeclaration", undefined)
 
 				break
 			case VoidElement:
 				this.removeChildren()
-				this.#doctypeDeclaration = undefined
-				this.#value = ""
-				this.#xmlDeclaration = undefined
+				this[setState]("doctypeDeclaration", undefined)
+				this[setState]("value", "")
+				this[setState]("xmlDeclaration", undefined)
 
 				break
 			case ProcessingInstruction:
 				this.removeChildren()
-				this.#attributes = {}
-				this.#doctypeDeclaration = undefined
-				this.xmlDeclaration = undefined
+				this[setState]("attributes", {})
+				this[setState]("doctypeDeclaration", undefined)
+				this[setState]("xmlDeclaration", undefined)
 
 				break
 			case CDATA:
 			case Text:
 			case Comment:
 				this.removeChildren()
-				this.#attributes = {}
-				this.#doctypeDeclaration = undefined
-				this.#name = ""
-				this.xmlDeclaration = undefined
+				this[setState]("attributes", {})
+				this[setState]("doctypeDeclaration", undefined)
+				this[setState]("name", "")
+				this[setState]("xmlDeclaration", undefined)
+
+				break
+			case EntityReference:
+				this.removeChildren()
+				this[setState]("attributes", {})
+				this[setState]("doctypeDeclaration", undefined)
+				this[setState]("value", "")
+				this[setState]("xmlDeclaration", undefined)
 
 				break
-			default:
-				throw new TypeError(`Expected type to be one of 0|1|2|3|4|5|6, instead got ${type}`)
 		}
 
+		queueMutation("type", this, { oldValue })
+
 		return this
 	}
 
@@ -1099,8 +1656,12 @@ export default class Node {
 		if (!Node.isCharacterData(this)) throw new Error(`Cannot use setValue on ${this.#type} Node`)
 		if (typeof value !== "string") throw new TypeError(`Expected value to be a string, instead got ${typeof value}`)
 
+		const oldValue = this.#value
+
 		this.#value = value
 
+		queueMutation("characterData", this, { oldValue })
+
 		return this
 	}
 
@@ -1115,11 +1676,22 @@ export default class Node {
 		if (!XmlDeclaration.isXmlDeclaration(xmlDeclaration))
 			throw new TypeError(`Expected xmlDeclaration to be an XmlDeclaration, instead got ${typeof xmlDeclaration}`)
 
-		this.#xmlDeclaration = xmlDeclaration
+		this[setState]("xmlDeclaration", xmlDeclaration)
 
 		return this
 	}
 
+	/**
+	 * Walks the other children of this Node's parent, in document order.
+	 *
+	 * @return {Generator<Node>}
+	 */
+	*siblings() {
+		for (const sibling of this.#parent?.children ?? []) {
+			if (sibling !== this) yield sibling
+		}
+	}
+
 	/**
 	 * Toggles the given class name(s) on this Node's class attribute.
 	 *
@@ -1129,9 +1701,8 @@ export default class Node {
 	toggleClass(className) {
 		if (!Node.isElement(this)) throw new Error(`Cannot use toggleClass on ${this.typeText} Node`)
 		if (!Array.isArray(className)) className = [className]
-		if (!this.#attributes?.class) this.#attributes.class = ""
 
-		const classHash = toHashTable(this.#attributes.class.split(/\s+/))
+		const classHash = toHashTable((this.#attributes.class || "").split(/\s+/))
 
 		for (let classToToggle of className) {
 			if (typeof classToToggle !== "string")
@@ -1148,7 +1719,7 @@ export default class Node {
 			}
 		}
 
-		this.#attributes.class = Object.keys(classHash).join(" ")
+		this.#setAttribute("class", Object.keys(classHash).join(" "))
 
 		return this
 	}
@@ -1160,108 +1731,241 @@ export default class Node {
 	 * @param {string} [options.indentChar] The character to use for indentation (default: `""`)
 	 * @param {number} [options.indentSize] The number of times to use the indentation character (default: `0`)
 	 * @param {boolean} [options.useNewLine] Whether to use a `\n` to separate each node (default: `true` when `indentChar` and `indentSize` are truthy, otherwise `false`)
-	 * @param {number} [options.printWidth] The maximum visual column size to print before wrapping to the next line (default: `100`) ⚠️ Planned, but not implemented
+	 * @param {number} [options.printWidth] The maximum visual column size to print before wrapping to the next line, when `useNewLine` is `true` (default: `undefined`, which puts every Node on its own line). Nodes are kept on one line when they fit, otherwise their children are put on their own lines, attributes one per line if the start tag does not fit either, and text is wrapped between words. Whitespace-sensitive content, like that of `pre`, `textarea`, or elements with `xml:space="preserve"`, is left as it is
+	 * @param {"named"|"numeric"} [options.entities] Whether to escape special characters with named references like `&lt;` or numeric references like `&#60;` (default: `"named"`)
+	 * @param {'"'|"'"} [options.quote] The character to wrap attribute values in (default: `'"'`)
+	 * @param {"xml"|"html"|"xhtml"} [options.mode] How to write the markup (default: `"xml"`)
+	 * - `"xml"`: empty elements are self-closing (`<x/>`), and attributes without a value repeat their name (`checked="checked"`)
+	 * - `"html"`: void elements have no end tag (`<br>`), other elements always do, boolean attributes are written without a value, and the contents of raw text elements like `script` are not escaped
+	 * - `"xhtml"`: void elements are self-closing (`<br />`), other elements always have an end tag, and attributes are written as in `"xml"`
 	 * @return {string}
+	 * @throws {TypeError} If `entities`, `quote`, or `mode` is not one of the accepted values
+	 * @throws {Error} If, in html mode, an element named as a void element (e.g. `br`) has children
+	 * @throws {Error} If a Comment or ProcessingInstruction has a value that would end it early, such as a Comment
+	 * containing `--`
 	 */
 	toString(options) {
+		options = normalizeOptions(options)
+
+		return options.useNewLine && options.printWidth ? format(this, options) : serialize(this, options)
+	}
+
+	/**
+	 * Gets the first descendant Element Node of this Node that matches the given CSS selector list.
+	 *
+	 * @note Supports type, class, id, and attribute selectors, the descendant, child, and sibling combinators, selector
+	 * lists, and the `:first-child`, `:last-child`, `:only-child`, `:nth-child()`, `:nth-last-child()`,
+	 * `:first-of-type`, `:last-of-type`, `:only-of-type`, `:nth-of-type()`, `:nth-last-of-type()`, `:not()`, `:is()`,
+	 * `:where()`, `:has()`, `:empty`, `:root`, and `:scope` pseudo-classes.
+	 * @note Type and attribute selectors may have a namespace prefix, as in `svg|rect`, `[xlink|href]`, `*|rect` (any
+	 * namespace), or `|rect` (no namespace), in which case they match local names in that namespace. Prefixes resolve
+	 * through `options.namespaces`, or else the `xmlns` declarations in scope at this Node. Selectors without a prefix
+	 * match names as they are written.
+	 * @param {string} selector The CSS selector list to match against
+	 * @param {object} [options]
+	 * @param {{[prefix: string]: string}} [options.namespaces] The namespace URIs of the prefixes used in the selector
+	 * @return {Node|undefined}
+	 * @throws {SyntaxError} If the selector is malformed, or uses a prefix that is not declared
+	 */
+	query(selector, options) {
+		if (!Node.isElement(this) && this.#type !== Document) throw new Error(`Cannot use query on ${this.typeText} Node`)
 		if (Object.prototype.toString.call(options) !== "[object Object]") options = {}
-		if (typeof options.indentChar !== "string") options.indentChar = ""
-		if (typeof options.indentSize !== "number" || !Number.isInteger(options.indentSize)) options.indentSize = 0
-		if (typeof options.useNewLine !== "boolean")
-			options.useNewLine = options.indentChar && options.indentSize ? true : false
-
-		let result = []
-		const q = [{ node: this, depth: 0 }]
-
-		while (q.length) {
-			const { node, depth, shouldClose } = q.shift()
-			const indent = options.indentChar.repeat(depth * options.indentSize)
-
-			if (node.type === Element) {
-				if (shouldClose) {
-					result.push(`${indent}</${node.name}>`)
-					continue
-				}
-
-				const attr = Object.entries(node.attributes).reduce((p, [n, v]) => `${p} ${n}="${v}"`, "")
-
-				result.push(`${indent}<${node.name}${attr}>`)
-
-				if (node.children.length) {
-					const children = node.children.map(c => ({ node: c, depth: depth + 1 }))
-
-					q.unshift(...children, { node, depth, shouldClose: true })
-				}
-			} else if (node.type === Text) {
-				if (node.value.length) result.push(`${indent}${node.value}`)
-			} else if (node.type === Comment) {
-				result.push(`${indent}<!-- ${node.value} -->`)
-			} else if (node.type === CDATA) {
-				result.push(`${indent}<![CDATA[${node.value}]]`)
-			} else if (node.type === ProcessingInstruction) {
-				result.push(`<?${node.name} ${node.value}?>`)
-			} else if (node.type === Document) {
-				const xmlDeclarationStr = node.xmlDeclaration?.toString()
-				const doctypeDeclarationStr = node.doctypeDeclaration?.toString()
-
-				if (xmlDeclarationStr) result.push(xmlDeclarationStr)
-				if (doctypeDeclarationStr) result.push(doctypeDeclarationStr)
-				if (node.children.length) {
-					const children = node.children.map(c => ({ node: c, depth }))
-
-					q.unshift(...children)
-				}
-			}
+
+		return select(this, selector, true, options.namespaces)[0]
+	}
+
+	/**
+	 * Gets every descendant Element Node of this Node that matches the given CSS selector list, in document order.
+	 *
+	 * @see `query` for the supported selector syntax.
+	 * @param {string} selector The CSS selector list to match against
+	 * @param {object} [options]
+	 * @param {{[prefix: string]: string}} [options.namespaces] The namespace URIs of the prefixes used in the selector
+	 * @return {Array<Node>}
+	 * @throws {SyntaxError} If the selector is malformed, or uses a prefix that is not declared
+	 */
+	queryAll(selector, options) {
+		if (!Node.isElement(this) && this.#type !== Document)
+			throw new Error(`Cannot use queryAll on ${this.typeText} Node`)
+		if (Object.prototype.toString.call(options) !== "[object Object]") options = {}
+
+		return select(this, selector, false, options.namespaces)
+	}
+
+	/**
+	 * Gets the first descendant Element Node of this Node that matches the given attribute query.
+	 *
+	 * @note The attribute query language expresses boolean logic over attribute names and values, e.g. `[a|b&c]`
+	 * matches Nodes with an `a` attribute, or with both `b` and `c` attributes. `[class:"a"|"b"]` matches Nodes whose
+	 * `class` is exactly `"a"` or `"b"`, `[data-value|value:"username"]` matches Nodes with either attribute set to
+	 * `"username"`, and `[:true]` matches Nodes with any attribute set to `"true"`. `&` binds tighter than `|`, and
+	 * parentheses may be used for grouping.
+	 * @see `query` Gets the first descendant Element Node of this Node that matches the given CSS selector list.
+	 * @param {string} query The attribute query to match against
+	 * @return {Node|undefined}
+	 * @throws {SyntaxError} If the query is malformed
+	 */
+	queryAttributes(query) {
+		if (!Node.isElement(this) && this.#type !== Document)
+			throw new Error(`Cannot use queryAttributes on ${this.typeText} Node`)
+
+		return selectAttributes(this, query, true)[0]
+	}
+
+	/**
+	 * Gets every descendant Element Node of this Node that matches the given attribute query, in document order.
+	 *
+	 * @see `queryAttributes` for the attribute query syntax.
+	 * @param {string} query The attribute query to match against
+	 * @return {Array<Node>}
+	 * @throws {SyntaxError} If the query is malformed
+	 */
+	queryAttributesAll(query) {
+		if (!Node.isElement(this) && this.#type !== Document)
+			throw new Error(`Cannot use queryAttributesAll on ${this.typeText} Node`)
+
+		return selectAttributes(this, query)
+	}
+
+	/**
+	 * Walks this Node and its descendants in document order, calling the visitor's callback for the type of each Node.
+	 *
+	 * @note A callback can return `"skip"` to leave the descendants of its Node out of the walk, or `"stop"` to end the
+	 * walk there. Nodes whose type has no callback are walked through.
+	 * @param {object} visitor The callbacks, named after the Node types as in `typeText`, each called with the Node
+	 * @param {function(Node): ("skip"|"stop"|void)} [visitor.Document]
+	 * @param {function(Node): ("skip"|"stop"|void)} [visitor.Element]
+	 * @param {function(Node): ("skip"|"stop"|void)} [visitor.VoidElement]
+	 * @param {function(Node): ("skip"|"stop"|void)} [visitor.CDATA]
+	 * @param {function(Node): ("skip"|"stop"|void)} [visitor.ProcessingInstruction]
+	 * @param {function(Node): ("skip"|"stop"|void)} [visitor.Text]
+	 * @param {function(Node): ("skip"|"stop"|void)} [visitor.Comment]
+	 * @param {function(Node): ("skip"|"stop"|void)} [visitor.EntityReference]
+	 * @return {Node} The instance for chaining
+	 */
+	walk(visitor) {
+		if (Object.prototype.toString.call(visitor) !== "[object Object]")
+			throw new TypeError(`Expected visitor to be an object, instead got ${typeof visitor}`)
+
+		for (const type of TYPE_TEXTS) {
+			if (visitor[type] !== undefined && typeof visitor[type] !== "function")
+				throw new TypeError(`Expected visitor.${type} to be a function, instead got ${typeof visitor[type]}`)
 		}
 
-		return result.join(options.useNewLine ? "\n" : "")
-	}
-
-	// Work in progress
-	query(queryString) {
-		if (typeof queryString !== "string") throw new TypeError("Expected 'queryString' to be a string")
-		if (!queryString.length) return undefined
-
-		// [attrName] (matches nodes that have the given attribute name)
-		// [attrName: attrValue] (matches nodes that have the given attribute name with the given attribute value)
-		// [attrName1|attrName2] (matches nodes that have one of the given attribute names)
-		// [attrName1&attrName2] (matches nodes that have both of the given attribute names)
-		// [attrName: attrValue1|attrValue2] (matches nodes that have the given attribute name with one of the given attribute values)
-		// [attrName: attrValue1&attrValue2] (matches nodes that have the given attribute name with both of the given attribute values)
-		// [:attrValue] (matches nodes that have any attribute with the given attribute value)
-		// [an{op?}?:?av{op?}?] (matches attribute name with optional operators "&" and "|" that have a matching attribute value with optional operators "&" and "|")
-		// ex. [class:"a"|"b"] - matches a node with the attribute "class" that fully matches its value as either "a" or "b"
-		// ex. [data-value|value:"username"] - matches a node with either an attribute "data-value" or "value" that has the value "username"
-		// ex. [:true] - matches any node with a boolean attribute
-		// ex. [data-toggle] - matches any node with a data-toggle attribute regardless of its value
-		// ex. [a|b&c] - matches any node with either an attribute called "a", or a node with both a "b" and a "c" attribute, regardless of value
-
-		// Characters
-		// const DQ = '"'
-		// const SQ = "'"
-		// const OB = "["
-		// const CB = "]"
-
-		// Gates
-		const TAG_NAME = "tag name"
-		const ATT_NAME = "attribute name"
-		const ATT_VALU = "attribute value"
-
-		const selectors = []
-		let qbuf = {}
-		let buf = ""
-		let gate
-		let suspect
-		let context
-
-		for (const char of queryString) {
-			// need to define the full workings of my query language first, and only then can I actually make a parser
-			// either that, or just do css selectors...
-
-			buf = `${char}${buf}`
+		const stack = [this]
+
+		while (stack.length) {
+			const node = stack.pop()
+			const signal = visitor[node.typeText]?.(node)
+
+			if (signal === "stop") break
+			if (signal === "skip") continue
+
+			for (let i = node.#children.length - 1; i >= 0; i--) stack.push(node.#children[i])
 		}
+
+		return this
 	}
-}
 
-// TODO: query
-// TODO: document api/changes in readme
+	/**
+	 * Converts this Node and all of its descendants into markup, writing it into the given Node.js Writable stream as it
+	 * goes. Writing pauses whenever the stream's buffer is full, until it drains.
+	 *
+	 * @note The stream is not ended, so more can be written to it afterwards.
+	 * @see `toString` for the options.
+	 * @param {Writable} writable The stream to write to
+	 * @param {object} [options]
+	 * @return {Promise<void>} Resolves once everything has been written into the stream
+	 * @throws {TypeError} If `entities`, `quote`, or `mode` is not one of the accepted values
+	 * @throws {Error} If this Node or a descendant cannot be serialized, as with `toString`
+	 */
+	async writeTo(writable, options) {
+		if (typeof writable?.write !== "function" || typeof writable?.once !== "function")
+			throw new TypeError(`Expected writable to be a Writable stream, instead got ${typeof writable}`)
+
+		let chunk = ""
+
+		for (const piece of this.serializeStream(options)) {
+			chunk = `${chunk}${piece}`
+
+			// Pieces are batched, as most are too small to be worth a write of their own
+			if (chunk.length < WRITE_SIZE) continue
+			if (!writable.write(chunk)) await drain(writable)
+
+			chunk = ""
+		}
+
+		if (chunk.length && !writable.write(chunk)) await drain(writable)
+	}
+
+	#setAttribute(name, value) {
+		const hadAttribute = Object.hasOwn(this.#attributes, name)
+		const oldValue = hadAttribute ? this.#attributes[name] : undefined
+
+		this.#attributes[name] = value
+
+		queueMutation("attributes", this, { attributeName: name, oldValue, hadAttribute })
+	}
+
+	#deleteAttribute(name) {
+		if (!Object.hasOwn(this.#attributes, name)) return
+
+		const oldValue = this.#attributes[name]
+		const index = Object.keys(this.#attributes).indexOf(name)
+
+		delete this.#attributes[name]
+
+		queueMutation("attributes", this, { attributeName: name, oldValue, hadAttribute: true, index })
+	}
+
+	#replaceAttributes(attributes) {
+		const oldAttributes = this.#attributes
+
+		this.#attributes = attributes
+
+		for (const [name, oldValue] of Object.entries(oldAttributes)) {
+			if (!Object.hasOwn(attributes, name))
+				queueMutation("attributes", this, { attributeName: name, oldValue, oldAttributes })
+		}
+		for (const [name, value] of Object.entries(attributes)) {
+			const hadAttribute = Object.hasOwn(oldAttributes, name)
+			const oldValue = hadAttribute ? oldAttributes[name] : undefined
+
+			// Attributes that kept their value are left out, as nothing happened to them
+			if (hadAttribute && oldValue === value) continue
+
+			queueMutation("attributes", this, { attributeName: name, oldValue, hadAttribute, oldAttributes })
+		}
+	}
+
+	/**
+	 * Takes the given Nodes out of their parents before they are inserted, and finds the namespaces the elements among
+	 * them used from their old ancestors.
+	 */
+	static #detach(nodes) {
+		const namespaces = []
+
+		for (const c of nodes) {
+			if (!Node.isNode(c)) throw new TypeError(`Expected node to be one of Node|Array<Node>, instead found ${typeof c}`)
+		}
+		for (const c of nodes) {
+			if (!c.parent) continue
+			if (Node.isElement(c)) namespaces.push([c, inheritedNamespaces(c)])
+
+			c.parent.removeChild(c)
+		}
+
+		return namespaces
+	}
+
+	/**
+	 * Declares the namespaces found by `#detach` on the elements that were inserted where they are bound differently.
+	 */
+	static #keepNamespaces(namespaces) {
+		for (const [node, inherited] of namespaces) {
+			for (const [prefix, uri] of inherited) {
+				if (lookupNamespaceURI(node, prefix) !== uri) node.#setAttribute(prefix ? `xmlns:${prefix}` : "xmlns", uri)
+			}
+		}
+	}
+}
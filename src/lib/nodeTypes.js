@@ -40,3 +40,9 @@ export const Text = 5
  * @category Constants
  */
 export const Comment = 6
+/**
+ * The EntityReference Node type.
+ *
+ * @category Constants
+ */
+export const EntityReference = 7
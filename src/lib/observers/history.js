@@ -0,0 +1,345 @@
+import { setState } from "../keyMask.js"
+import Node from "../node.js"
+import { addMutationListener, removeMutationListener } from "./mutationObserver.js"
+
+/**
+ * Puts the given Nodes back among the children of the given parent, between the given siblings.
+ */
+const insert = (parent, nodes, previousSibling, nextSibling) => {
+	if (previousSibling?.parent === parent) previousSibling.appendSibling(nodes)
+	else if (nextSibling?.parent === parent) nextSibling.prependSibling(nodes)
+	else parent.appendChild(nodes)
+}
+
+/**
+ * Works out the attributes the given Node had before the given change to them, from the ones it has after it.
+ */
+const attributesBefore = (node, { attributeName, oldValue, hadAttribute, index, oldAttributes }) => {
+	if (oldAttributes) return { ...oldAttributes }
+
+	const entries = Object.entries(node.attributes).filter(([name]) => name !== attributeName)
+
+	if (hadAttribute)
+		entries.splice(node.hasAttribute(attributeName) ? Object.keys(node.attributes).indexOf(attributeName) : index, 0, [
+			attributeName,
+			oldValue
+		])
+
+	return Object.fromEntries(entries)
+}
+
+/**
+ * Creates the operation that undoes and redoes the given change, or `undefined` if the change changed nothing.
+ *
+ * @return {{undo: function(): void, redo: function(): void}|undefined}
+ */
+const createOperation = (type, target, fields) => {
+	if (type === "childList") {
+		const { addedNodes, removedNodes, previousSibling, nextSibling } = fields
+
+		if (addedNodes?.length)
+			return {
+				undo: () => addedNodes.forEach(node => node.emancipate()),
+				redo: () => insert(target, addedNodes, previousSibling, nextSibling)
+			}
+
+		return {
+			undo: () => insert(target, removedNodes, previousSibling, nextSibling),
+			redo: () => target.removeChild(removedNodes)
+		}
+	}
+
+	if (type === "attributes") {
+		const before = attributesBefore(target, fields)
+		const after = { ...target.attributes }
+
+		return {
+			undo: () => target[setState]("attributes", before),
+			redo: () => target[setState]("attributes", after)
+		}
+	}
+
+	const property = type === "characterData" ? "value" : type
+	const { oldValue } = fields
+	const newValue = target[property]
+
+	if (oldValue === newValue) return undefined
+
+	return {
+		undo: () => target[setState](property, oldValue),
+		redo: () => target[setState](property, newValue)
+	}
+}
+
+/**
+ * Records the changes made to a tree through the methods of Node, so that they can be undone and redone.
+ *
+ * @note Changes are grouped into steps: those made within `transaction` form one step, and the others form one step
+ * for each run of synchronous code, i.e. until the next microtask, or until `undo`, `redo`, or `transaction` is used.
+ * Making a change after undoing some steps drops the steps that could have been redone.
+ * @note Children added, moved, and removed, attributes, values, names, types, and the XML and doctype declarations of
+ * Document Nodes are recorded. Changes made to declarations themselves (e.g. with `DoctypeDeclaration#setElement`) are
+ * not, nor are changes made to Nodes while they are outside of the tree.
+ * @note Undoing and redoing changes the tree through the methods of Node too, so that mutation observers see it.
+ */
+export default class History {
+	#root
+	#limit
+	#undoSteps = []
+	#redoSteps = []
+	#step
+	#transactionDepth = 0
+	#isApplying = false
+	#listener = (type, target, fields) => this.#record(type, target, fields)
+
+	/**
+	 * @param {object} init
+	 * @param {Node} init.root The Node whose subtree to record the changes of
+	 * @param {number} [init.limit] How many steps to keep, dropping the oldest ones past it (default: `100`)
+	 */
+	constructor(init) {
+		if (Object.prototype.toString.call(init) !== "[object Object]")
+			throw new TypeError(`Expected init to be an object, instead got ${typeof init}`)
+		if (!Node.isNode(init.root)) throw new TypeError(`Expected init.root to be a Node, instead got ${typeof init.root}`)
+		if (init.limit === undefined) init = { ...init, limit: 100 }
+		if (!Number.isInteger(init.limit) || init.limit < 1)
+			throw new TypeError(`Expected init.limit to be a positive integer, instead got ${init.limit}`)
+
+		this.#root = init.root
+		this.#limit = init.limit
+
+		addMutationListener(this.#listener)
+	}
+
+	/**
+	 * Checks if the given value is a History.
+	 *
+	 * @param {unknown} value
+	 * @return {boolean}
+	 */
+	static isHistory(value) {
+		return value instanceof History
+	}
+
+	/**
+	 * Whether there is a step to undo.
+	 *
+	 * @return {boolean}
+	 */
+	get canUndo() {
+		this.#endStep()
+
+		return this.#undoSteps.length > 0
+	}
+
+	/**
+	 * Whether there is a step to redo.
+	 *
+	 * @return {boolean}
+	 */
+	get canRedo() {
+		return this.#redoSteps.length > 0
+	}
+
+	/**
+	 * How many steps are kept.
+	 *
+	 * @return {number}
+	 */
+	get limit() {
+		return this.#limit
+	}
+
+	/**
+	 * The name of the step `redo` would redo, if it was made with `transaction`.
+	 *
+	 * @return {string|undefined}
+	 */
+	get redoName() {
+		return this.#redoSteps[this.#redoSteps.length - 1]?.name
+	}
+
+	/**
+	 * The Node whose subtree the changes are recorded of.
+	 *
+	 * @return {Node}
+	 */
+	get root() {
+		return this.#root
+	}
+
+	/**
+	 * The name of the step `undo` would undo, if it was made with `transaction`.
+	 *
+	 * @return {string|undefined}
+	 */
+	get undoName() {
+		this.#endStep()
+
+		return this.#undoSteps[this.#undoSteps.length - 1]?.name
+	}
+
+	/**
+	 * Undoes the last step.
+	 *
+	 * @return {History} The instance for chaining
+	 * @throws {Error} If used within a transaction
+	 */
+	undo() {
+		if (this.#transactionDepth) throw new Error(`Cannot use undo within a transaction`)
+
+		this.#endStep()
+
+		const step = this.#undoSteps.pop()
+
+		if (!step) return this
+
+		this.#apply(() => {
+			for (let i = step.operations.length - 1; i >= 0; i--) step.operations[i].undo()
+		})
+		this.#redoSteps.push(step)
+
+		return this
+	}
+
+	/**
+	 * Redoes the last step that was undone.
+	 *
+	 * @return {History} The instance for chaining
+	 * @throws {Error} If used within a transaction
+	 */
+	redo() {
+		if (this.#transactionDepth) throw new Error(`Cannot use redo within a transaction`)
+
+		this.#endStep()
+
+		const step = this.#redoSteps.pop()
+
+		if (!step) return this
+
+		this.#apply(() => {
+			for (const operation of step.operations) operation.redo()
+		})
+		this.#undoSteps.push(step)
+
+		return this
+	}
+
+	/**
+	 * Makes the changes made by the given function one step, with the given name.
+	 *
+	 * @note Transactions within transactions are part of the outermost one. If the function throws, the changes it made
+	 * are undone, and the error is thrown again.
+	 * @param {string} name The name of the step, e.g. to show as "Undo <name>"
+	 * @param {function(): T} callback Makes the changes
+	 * @return {T} What the function returned
+	 * @template T
+	 */
+	transaction(name, callback) {
+		if (typeof name !== "string") throw new TypeError(`Expected name to be a string, instead got ${typeof name}`)
+		if (typeof callback !== "function")
+			throw new TypeError(`Expected callback to be a function, instead got ${typeof callback}`)
+
+		if (!this.#transactionDepth) {
+			this.#endStep()
+			this.#step = { name, operations: [] }
+		}
+
+		this.#transactionDepth++
+
+		try {
+			return callback()
+		} catch (error) {
+			if (this.#transactionDepth === 1) {
+				const { operations } = this.#step
+
+				this.#step = undefined
+				this.#apply(() => {
+					for (let i = operations.length - 1; i >= 0; i--) operations[i].undo()
+				})
+			}
+
+			throw error
+		} finally {
+			this.#transactionDepth--
+
+			if (!this.#transactionDepth) this.#endStep()
+		}
+	}
+
+	/**
+	 * Forgets every step.
+	 *
+	 * @return {History} The instance for chaining
+	 */
+	clear() {
+		this.#step = this.#transactionDepth ? { ...this.#step, operations: [] } : undefined
+		this.#undoSteps = []
+		this.#redoSteps = []
+
+		return this
+	}
+
+	/**
+	 * Stops recording changes. The steps recorded so far can still be undone and redone.
+	 *
+	 * @return {History} The instance for chaining
+	 */
+	disconnect() {
+		removeMutationListener(this.#listener)
+
+		this.#endStep()
+
+		return this
+	}
+
+	#record(type, target, fields) {
+		if (this.#isApplying) return
+
+		let node = target
+
+		while (node && node !== this.#root) node = node.parent
+
+		if (!node) return
+
+		const operation = createOperation(type, target, fields)
+
+		if (!operation) return
+		if (!this.#step) {
+			const step = { name: undefined, operations: [] }
+
+			this.#step = step
+
+			queueMicrotask(() => {
+				if (this.#step === step) this.#endStep()
+			})
+		}
+
+		this.#step.operations.push(operation)
+		this.#redoSteps = []
+	}
+
+	#endStep() {
+		if (this.#transactionDepth) return
+
+		const step = this.#step
+
+		this.#step = undefined
+
+		if (!step?.operations.length) return
+
+		this.#undoSteps.push(step)
+
+		if (this.#undoSteps.length > this.#limit) this.#undoSteps.splice(0, this.#undoSteps.length - this.#limit)
+	}
+
+	#apply(callback) {
+		this.#isApplying = true
+
+		try {
+			callback()
+		} finally {
+			this.#isApplying = false
+		}
+	}
+}
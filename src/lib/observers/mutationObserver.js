@@ -0,0 +1,271 @@
+import Node from "../node.js"
+
+/**
+ * @typedef {object} MutationRecord
+ * @property {"childList"|"attributes"|"characterData"|"name"|"type"} type What changed: the children of `target`, one
+ * of its attributes, its value, its name, or its type
+ * @property {Node} target The Node that changed
+ * @property {Array<Node>} addedNodes The Nodes added to the children of `target`
+ * @property {Array<Node>} removedNodes The Nodes removed from the children of `target`
+ * @property {Node|undefined} previousSibling The sibling before the added or removed Nodes
+ * @property {Node|undefined} nextSibling The sibling after the added or removed Nodes
+ * @property {string|undefined} attributeName The name of the attribute that changed
+ * @property {string|number|undefined} oldValue The attribute's value, the value, the name, or the type from before the
+ * change, when the observer asked for it (`undefined` for an attribute that did not exist)
+ */
+
+const RECORD_TYPES = new Set(["childList", "attributes", "characterData", "name", "type"])
+const OPTIONS = [
+	"childList",
+	"attributes",
+	"characterData",
+	"name",
+	"type",
+	"subtree",
+	"attributeOldValue",
+	"characterDataOldValue"
+]
+
+// The functions told about every change as it happens, e.g. by History
+const listeners = new Set()
+// The observers registered on each Node, with the options they were registered with
+const registrations = new WeakMap()
+// The callbacks of the observers, and the records waiting to be delivered to each
+const callbacks = new WeakMap()
+const pendingRecords = new Map()
+let registrationCount = 0
+let isDeliveryQueued = false
+
+const deliver = () => {
+	isDeliveryQueued = false
+
+	for (const [observer, records] of [...pendingRecords]) {
+		pendingRecords.delete(observer)
+
+		try {
+			callbacks.get(observer)(records, observer)
+		} catch (error) {
+			// Reported the way an uncaught error would be, without keeping the other observers from getting their records
+			queueMicrotask(() => {
+				throw error
+			})
+		}
+	}
+}
+
+/**
+ * Adds a function to call with every change made through the methods of Node, right as it is made.
+ *
+ * @param {function(string, Node, object): void} listener Called with the type of the change, the Node that changed,
+ * and the other fields of the change, as given to `queueMutation`
+ */
+export const addMutationListener = listener => {
+	listeners.add(listener)
+}
+
+/**
+ * Removes a function added with `addMutationListener`.
+ *
+ * @param {function(string, Node, object): void} listener
+ */
+export const removeMutationListener = listener => {
+	listeners.delete(listener)
+}
+
+/**
+ * Tells the listeners about the given change, then queues a record of it for the observers of the given Node and its
+ * ancestors that asked for it, and schedules their delivery.
+ *
+ * @note Besides the fields of MutationRecord, attribute changes come with `hadAttribute` (whether the attribute
+ * existed), `index` (the position of a removed attribute), and `oldAttributes` (all the attributes, when they were
+ * replaced at once), and changes to declarations have the types `xmlDeclaration` and `doctypeDeclaration`. These are
+ * only given to listeners.
+ * @param {string} type
+ * @param {Node} target
+ * @param {object} [fields] The other properties of the record
+ */
+export const queueMutation = (type, target, fields) => {
+	for (const listener of listeners) listener(type, target, fields ?? {})
+
+	if (!registrationCount || !RECORD_TYPES.has(type)) return
+
+	const interested = new Map()
+
+	for (let node = target; node; node = node.parent) {
+		for (const { observer, options } of registrations.get(node) ?? []) {
+			if (node !== target && !options.subtree) continue
+			if (!options[type]) continue
+			if (type === "attributes" && options.attributeFilter && !options.attributeFilter.includes(fields.attributeName))
+				continue
+
+			const withOldValue =
+				type === "attributes"
+					? options.attributeOldValue
+					: type === "characterData"
+					? options.characterDataOldValue
+					: true
+
+			interested.set(observer, interested.get(observer) || withOldValue)
+		}
+	}
+
+	for (const [observer, withOldValue] of interested) {
+		const record = Object.freeze({
+			type,
+			target,
+			addedNodes: fields?.addedNodes ?? [],
+			removedNodes: fields?.removedNodes ?? [],
+			previousSibling: fields?.previousSibling,
+			nextSibling: fields?.nextSibling,
+			attributeName: fields?.attributeName,
+			oldValue: withOldValue ? fields?.oldValue : undefined
+		})
+
+		if (!pendingRecords.has(observer)) pendingRecords.set(observer, [])
+
+		pendingRecords.get(observer).push(record)
+	}
+
+	if (interested.size && !isDeliveryQueued) {
+		isDeliveryQueued = true
+
+		queueMicrotask(deliver)
+	}
+}
+
+/**
+ * Watches Nodes for changes, as the DOM's `MutationObserver` does. Changes made through the methods of Node are
+ * recorded, and the records are delivered to the callback in batches, in a microtask after the changes were made.
+ *
+ * @note Besides the DOM's `childList`, `attributes`, and `characterData` records, changes to the name and type of
+ * Nodes have records of their own, `name` and `type`, which always have the old name or type as `oldValue`. What
+ * `setType` clears gets records of its own, before the `type` record.
+ * @note Moving a Node to another parent is recorded as its removal from the old one followed by its addition to the
+ * new one.
+ */
+export default class MutationObserver {
+	#targets = new Set()
+
+	/**
+	 * @param {function(Array<MutationRecord>, MutationObserver): void} callback Called with the records of the changes
+	 * since the last call, and the observer
+	 */
+	constructor(callback) {
+		if (typeof callback !== "function")
+			throw new TypeError(`Expected callback to be a function, instead got ${typeof callback}`)
+
+		callbacks.set(this, callback)
+	}
+
+	/**
+	 * Checks if the given value is a MutationObserver.
+	 *
+	 * @param {unknown} value
+	 * @return {boolean}
+	 */
+	static isMutationObserver(value) {
+		return value instanceof MutationObserver
+	}
+
+	/**
+	 * Starts watching the given Node for the changes given by the options. Observing a Node that is already observed
+	 * replaces the options it was observed with.
+	 *
+	 * @param {Node} target
+	 * @param {object} options At least one of `childList`, `attributes`, `characterData`, `name`, and `type` must be
+	 * `true`
+	 * @param {boolean} [options.childList] Whether to record Nodes added to and removed from the children (default:
+	 * `false`)
+	 * @param {boolean} [options.attributes] Whether to record changes to attributes (default: `true` if
+	 * `attributeOldValue` or `attributeFilter` is given, otherwise `false`)
+	 * @param {boolean} [options.characterData] Whether to record changes to the values of character data Nodes (default:
+	 * `true` if `characterDataOldValue` is given, otherwise `false`)
+	 * @param {boolean} [options.name] Whether to record changes to names (default: `false`)
+	 * @param {boolean} [options.type] Whether to record changes to types (default: `false`)
+	 * @param {boolean} [options.subtree] Whether to watch the descendants of the Node as well (default: `false`)
+	 * @param {boolean} [options.attributeOldValue] Whether attribute records have the old value (default: `false`)
+	 * @param {boolean} [options.characterDataOldValue] Whether character data records have the old value (default:
+	 * `false`)
+	 * @param {Array<string>} [options.attributeFilter] The names of the only attributes to record changes to
+	 * @return {MutationObserver} The instance for chaining
+	 */
+	observe(target, options) {
+		if (!Node.isNode(target)) throw new TypeError(`Expected target to be a Node, instead got ${typeof target}`)
+		if (Object.prototype.toString.call(options) !== "[object Object]")
+			throw new TypeError(`Expected options to be an object, instead got ${typeof options}`)
+
+		options = { ...options }
+
+		if (options.attributes === undefined && (options.attributeOldValue || options.attributeFilter))
+			options.attributes = true
+		if (options.characterData === undefined && options.characterDataOldValue) options.characterData = true
+
+		for (const option of OPTIONS) {
+			if (options[option] === undefined) options[option] = false
+			if (typeof options[option] !== "boolean")
+				throw new TypeError(`Expected options.${option} to be a boolean, instead got ${typeof options[option]}`)
+		}
+
+		if (
+			options.attributeFilter !== undefined &&
+			(!Array.isArray(options.attributeFilter) || options.attributeFilter.some(name => typeof name !== "string"))
+		)
+			throw new TypeError(`Expected options.attributeFilter to be an array of strings`)
+		if (!options.childList && !options.attributes && !options.characterData && !options.name && !options.type)
+			throw new TypeError(`Expected one of options.childList|attributes|characterData|name|type to be true`)
+		if (!options.attributes && (options.attributeOldValue || options.attributeFilter))
+			throw new TypeError(`Expected options.attributes to be true when attributeOldValue or attributeFilter is used`)
+		if (!options.characterData && options.characterDataOldValue)
+			throw new TypeError(`Expected options.characterData to be true when characterDataOldValue is used`)
+
+		if (!registrations.has(target)) registrations.set(target, [])
+
+		const list = registrations.get(target)
+		const existing = list.find(registration => registration.observer === this)
+
+		if (existing) {
+			existing.options = options
+		} else {
+			list.push({ observer: this, options })
+			this.#targets.add(target)
+			registrationCount++
+		}
+
+		return this
+	}
+
+	/**
+	 * Stops watching every Node, and drops the records that have not been delivered yet.
+	 *
+	 * @return {MutationObserver} The instance for chaining
+	 */
+	disconnect() {
+		for (const target of this.#targets) {
+			const list = registrations.get(target)
+
+			list.splice(
+				list.findIndex(registration => registration.observer === this),
+				1
+			)
+			registrationCount--
+		}
+
+		this.#targets.clear()
+		pendingRecords.delete(this)
+
+		return this
+	}
+
+	/**
+	 * Takes the records that have not been delivered yet, so that they will not be.
+	 *
+	 * @return {Array<MutationRecord>}
+	 */
+	takeRecords() {
+		const records = pendingRecords.get(this) ?? []
+
+		pendingRecords.delete(this)
+
+		return records
+	}
+}
@@ -0,0 +1,666 @@
+import AttListDeclaration from "../declarations/attlist.js"
+import DoctypeDeclaration from "../declarations/doctype.js"
+import { parseContentModel } from "../declarations/contentModel.js"
+import ElementDeclaration from "../declarations/element.js"
+import EntityDeclaration from "../declarations/entity.js"
+import NotationDeclaration from "../declarations/notation.js"
+import Scanner, { NMTOKEN, normalizeLineEndings } from "./scanner.js"
+
+const MARKUP_DECLARATIONS = ["<!ELEMENT", "<!ATTLIST", "<!ENTITY", "<!NOTATION"]
+const TOKENIZED_TYPES = ["CDATA", "IDREFS", "IDREF", "ID", "ENTITY", "ENTITIES", "NMTOKENS", "NMTOKEN"]
+const NON_PUBID_CHAR = /[^\x20\x0d\x0a a-zA-Z0-9\-'()+,./:=?;!*#@$_%]/
+const REFERENCE = /&(?:#[0-9]+|#x[0-9a-fA-F]+|[^\s&;]+);/y
+const TEXT_DECLARATION = /^<\?xml[\x20\x09\x0a][^]*?\?>/
+
+/**
+ * Expands the character references in the given literal, as happens to entity values when they are declared.
+ *
+ * @param {string} literal
+ * @return {string}
+ */
+export const expandCharacterReferences = literal =>
+	literal.replace(/&#(x[0-9a-fA-F]+|[0-9]+);/g, (_, code) =>
+		String.fromCodePoint(code[0] === "x" ? parseInt(code.slice(1), 16) : parseInt(code, 10))
+	)
+
+/**
+ * Reads the external entity with the given identifiers through the given resolver.
+ *
+ * @param {{publicID?: string, systemURI?: string}} externalID
+ * @param {function({publicID?: string, systemURI?: string}): (string|undefined)} [resolveEntity]
+ * @return {string|undefined} The text of the entity, without its text declaration, or `undefined` if it cannot be
+ * resolved
+ */
+export const readExternalEntity = (externalID, resolveEntity) => {
+	const text = resolveEntity?.(externalID)
+
+	if (text === undefined) return undefined
+	if (typeof text !== "string")
+		throw new TypeError(`Expected resolveEntity to return a string or undefined, instead got ${typeof text}`)
+
+	// The text declaration an external entity may start with is not part of its replacement text
+	return normalizeLineEndings(text.replace(/^\uFEFF/, "")).replace(TEXT_DECLARATION, "")
+}
+
+/**
+ * Gets the replacement text of the given entity, reading external entities through the given resolver.
+ *
+ * @param {EntityDeclaration} entity
+ * @param {function({publicID?: string, systemURI?: string}): (string|undefined)} [resolveEntity]
+ * @return {string|undefined} The replacement text, or `undefined` if the entity is external and cannot be resolved
+ */
+export const replacementText = (entity, resolveEntity) =>
+	entity.isInternal ? expandCharacterReferences(entity.value ?? "") : readExternalEntity(entity, resolveEntity)
+
+/**
+ * Creates the state shared by every declaration parsed for a single document type.
+ *
+ * @param {function({publicID?: string, systemURI?: string}): (string|undefined)} [resolveEntity] Reads external
+ * entities, which are left out when it is not given or returns `undefined`
+ * @return {{entities: Map<string, EntityDeclaration>, parameterEntities: Map<string, EntityDeclaration>, attributes: Map<string, Map<string, object>>, resolveEntity?: Function}}
+ */
+export const createDTDState = resolveEntity => ({
+	entities: new Map(),
+	parameterEntities: new Map(),
+	attributes: new Map(),
+	resolveEntity
+})
+
+/**
+ * Creates the state for a document type whose declarations have already been parsed, where the first declaration of
+ * an entity or attribute is binding.
+ *
+ * @param {Array<(AttListDeclaration|ElementDeclaration|EntityDeclaration|NotationDeclaration)>} declarations
+ * @param {function({publicID?: string, systemURI?: string}): (string|undefined)} [resolveEntity]
+ * @return {object}
+ */
+export const createDTDStateFrom = (declarations, resolveEntity) => {
+	const state = createDTDState(resolveEntity)
+
+	for (const declaration of declarations) {
+		if (EntityDeclaration.isEntityDeclaration(declaration) && declaration.name) {
+			const entities = declaration.isParameterEntityDeclaration ? state.parameterEntities : state.entities
+
+			if (!entities.has(declaration.name)) entities.set(declaration.name, declaration)
+		} else if (AttListDeclaration.isAttListDeclaration(declaration) && declaration.element) {
+			if (!state.attributes.has(declaration.element)) state.attributes.set(declaration.element, new Map())
+
+			const known = state.attributes.get(declaration.element)
+
+			for (const attribute of declaration.attributes) {
+				if (!known.has(attribute.name)) known.set(attribute.name, attribute)
+			}
+		}
+	}
+
+	return state
+}
+
+const checkReferences = (scanner, literal, start, construct) => {
+	for (let i = literal.indexOf("&"); i !== -1; i = literal.indexOf("&", i + 1)) {
+		REFERENCE.lastIndex = i
+
+		if (!REFERENCE.test(literal))
+			throw scanner.error(`Expected "&" to begin a character or entity reference in the ${construct}`, start + i)
+	}
+}
+
+/**
+ * Reads an ExternalID (`SYSTEM "uri"` or `PUBLIC "id" "uri"`) if the input continues with one.
+ *
+ * @param {Scanner} scanner
+ * @param {boolean} allowPublicOnly Whether the system literal may be omitted after a public ID, as in notations
+ * @return {{publicID?: string, systemURI?: string}|undefined}
+ */
+export const readExternalID = (scanner, allowPublicOnly) => {
+	if (scanner.consume("SYSTEM")) {
+		scanner.requireWhitespace(`after "SYSTEM"`)
+
+		return { systemURI: scanner.readQuoted("a quoted system literal") }
+	}
+
+	if (!scanner.consume("PUBLIC")) return undefined
+
+	scanner.requireWhitespace(`after "PUBLIC"`)
+
+	const start = scanner.pos + 1
+	const publicID = scanner.readQuoted("a quoted public ID literal")
+	const invalid = NON_PUBID_CHAR.exec(publicID)
+
+	if (invalid)
+		throw scanner.error(`Expected only public ID characters, instead found "${invalid[0]}"`, start + invalid.index)
+
+	const hadWhitespace = scanner.skipWhitespace()
+
+	if (scanner.peek() !== '"' && scanner.peek() !== "'") {
+		if (allowPublicOnly) return { publicID }
+
+		throw scanner.unexpected("a quoted system literal")
+	}
+	if (!hadWhitespace) throw scanner.unexpected("whitespace before the system literal")
+
+	return { publicID, systemURI: scanner.readQuoted("a quoted system literal") }
+}
+
+const parseElementDeclaration = scanner => {
+	scanner.requireWhitespace(`after "<!ELEMENT"`)
+
+	const name = scanner.readName("an element name")
+
+	scanner.requireWhitespace("after the element name")
+
+	const start = scanner.pos
+	const rules = scanner.readUntil(">", "element declaration")
+	const contentModel = parseContentModel(rules, (message, pos) => scanner.error(message, start + pos))
+
+	return new ElementDeclaration({ name, contentModel })
+}
+
+const parseAttListDeclaration = (scanner, state) => {
+	scanner.requireWhitespace(`after "<!ATTLIST"`)
+
+	const element = scanner.readName("an element name")
+	const declaration = new AttListDeclaration({ element })
+
+	if (!state.attributes.has(element)) state.attributes.set(element, new Map())
+
+	const known = state.attributes.get(element)
+
+	while (true) {
+		const hadWhitespace = scanner.skipWhitespace()
+
+		if (scanner.consume(">")) return declaration
+		if (!hadWhitespace) throw scanner.unexpected(`whitespace or ">"`)
+
+		const attribute = { name: scanner.readName("an attribute name") }
+
+		scanner.requireWhitespace("after the attribute name")
+
+		const keyword = TOKENIZED_TYPES.find(t => scanner.startsWith(t))
+
+		if (keyword) {
+			scanner.pos += keyword.length
+			attribute.type = keyword.toLowerCase()
+		} else {
+			if (scanner.consume("NOTATION")) {
+				scanner.requireWhitespace(`after "NOTATION"`)
+				attribute.isNotationType = true
+			}
+
+			scanner.expect("(", attribute.isNotationType ? `"("` : "an attribute type")
+			attribute.type = []
+
+			do {
+				scanner.skipWhitespace()
+
+				const start = scanner.pos
+
+				while (!scanner.done && !/[\s|)]/.test(scanner.peek())) scanner.pos++
+
+				const value = scanner.input.slice(start, scanner.pos)
+
+				if (!NMTOKEN.test(value)) {
+					scanner.pos = start
+					throw scanner.unexpected(attribute.isNotationType ? "a notation name" : "an enumerated value")
+				}
+
+				attribute.type.push(value)
+				scanner.skipWhitespace()
+			} while (scanner.consume("|"))
+
+			scanner.expect(")", `"|" or ")"`)
+		}
+
+		scanner.requireWhitespace("after the attribute type")
+
+		if (scanner.consume("#REQUIRED")) {
+			attribute.defaultType = "required"
+		} else if (scanner.consume("#IMPLIED")) {
+			attribute.defaultType = "optional"
+		} else {
+			if (scanner.consume("#FIXED")) {
+				scanner.requireWhitespace(`after "#FIXED"`)
+				attribute.defaultType = "fixed"
+			} else {
+				attribute.defaultType = "default"
+			}
+
+			const start = scanner.pos + 1
+
+			attribute.defaultValue = scanner.readQuoted("#REQUIRED, #IMPLIED, #FIXED, or a quoted default value")
+
+			if (attribute.defaultValue.includes("<"))
+				throw scanner.error(
+					`Expected the default value not to contain "<"`,
+					start + attribute.defaultValue.indexOf("<")
+				)
+
+			checkReferences(scanner, attribute.defaultValue, start, "default value")
+		}
+
+		declaration.addAttribute({ ...attribute })
+
+		// The first declaration of an attribute is binding, later ones are ignored
+		if (!known.has(attribute.name)) known.set(attribute.name, declaration.getAttribute(attribute.name))
+	}
+}
+
+/**
+ * Replaces the parameter entity references in the given entity value with their replacement text, as happens to entity
+ * values declared outside of the internal subset.
+ */
+const expandParameterEntities = (scanner, state, value, start) =>
+	value.replace(/%([^\s%;]+);/g, (reference, name, offset) => {
+		const entity = state.parameterEntities.get(name)
+
+		if (!entity) throw scanner.error(`Parameter entity "${reference}" is not declared`, start + offset)
+
+		// External parameter entities that cannot be resolved are replaced with nothing
+		return replacementText(entity, state.resolveEntity) ?? ""
+	})
+
+const parseEntityDeclaration = (scanner, state, internal) => {
+	scanner.requireWhitespace(`after "<!ENTITY"`)
+
+	const isParameterEntityDeclaration = scanner.consume("%")
+
+	if (isParameterEntityDeclaration) scanner.requireWhitespace(`after "%"`)
+
+	const name = scanner.readName("an entity name")
+	const declaration = new EntityDeclaration({ name, isParameterEntityDeclaration })
+
+	scanner.requireWhitespace("after the entity name")
+
+	const externalID = readExternalID(scanner, false)
+
+	if (externalID) {
+		if (externalID.publicID !== undefined) declaration.setPublicID(externalID.publicID, externalID.systemURI)
+		else declaration.setSystemURI(externalID.systemURI)
+
+		const hadWhitespace = scanner.skipWhitespace()
+
+		if (!isParameterEntityDeclaration && scanner.startsWith("NDATA")) {
+			if (!hadWhitespace) throw scanner.unexpected(`whitespace before "NDATA"`)
+
+			scanner.pos += 5
+			scanner.requireWhitespace(`after "NDATA"`)
+			declaration.setNDATA(scanner.readName("a notation name"))
+		}
+	} else {
+		const start = scanner.pos + 1
+		const value = scanner.readQuoted(`a quoted entity value, "SYSTEM", or "PUBLIC"`)
+
+		if (internal && value.includes("%"))
+			throw scanner.error(
+				`Expected no parameter entity references within markup declarations in the internal subset`,
+				start + value.indexOf("%")
+			)
+
+		checkReferences(scanner, value, start, "entity value")
+		declaration.setValue(internal ? value : expandParameterEntities(scanner, state, value, start))
+	}
+
+	scanner.skipWhitespace()
+	scanner.expect(">")
+
+	const entities = isParameterEntityDeclaration ? state.parameterEntities : state.entities
+
+	// The first declaration of an entity is binding, later ones are ignored
+	if (!entities.has(name)) entities.set(name, declaration)
+
+	return declaration
+}
+
+const parseNotationDeclaration = scanner => {
+	scanner.requireWhitespace(`after "<!NOTATION"`)
+
+	const name = scanner.readName("a notation name")
+
+	scanner.requireWhitespace("after the notation name")
+
+	const externalID = readExternalID(scanner, true)
+
+	if (!externalID) throw scanner.unexpected(`"SYSTEM" or "PUBLIC"`)
+
+	scanner.skipWhitespace()
+	scanner.expect(">")
+
+	return new NotationDeclaration({ name, ...externalID })
+}
+
+const parseMarkupDeclaration = (scanner, state, internal) => {
+	if (scanner.consume("<!ELEMENT")) return parseElementDeclaration(scanner)
+	if (scanner.consume("<!ATTLIST")) return parseAttListDeclaration(scanner, state)
+	if (scanner.consume("<!ENTITY")) return parseEntityDeclaration(scanner, state, internal)
+
+	scanner.expect("<!NOTATION")
+
+	return parseNotationDeclaration(scanner)
+}
+
+/**
+ * Finds the offset after the `>` that ends the markup declaration at the current position, skipping quoted literals.
+ */
+const findDeclarationEnd = scanner => {
+	const { input } = scanner
+
+	for (let i = scanner.pos; i < input.length; i++) {
+		if (input[i] === '"' || input[i] === "'") {
+			const end = input.indexOf(input[i], i + 1)
+
+			if (end === -1) return input.length
+
+			i = end
+		} else if (input[i] === ">") {
+			return i + 1
+		}
+	}
+
+	return input.length
+}
+
+/**
+ * Outside of the internal subset, parameter entity references may appear within markup declarations, where each is
+ * replaced by its replacement text with a space on either side (inside of it, they are an error). Returns a Scanner over the markup declaration at the
+ * current position with its references replaced, and moves the given Scanner past it, or returns the given Scanner
+ * as it is if the declaration has no references.
+ */
+const withReferencesExpanded = (scanner, state, internal) => {
+	const start = scanner.pos
+	const end = findDeclarationEnd(scanner)
+	const declaration = scanner.input.slice(start, end)
+	let hasReferences = false
+	let expanded = ""
+
+	for (let i = 0; i < declaration.length; i++) {
+		const char = declaration[i]
+
+		if (char === '"' || char === "'") {
+			const close = declaration.indexOf(char, i + 1)
+			const literalEnd = close === -1 ? declaration.length : close + 1
+
+			expanded = `${expanded}${declaration.slice(i, literalEnd)}`
+			i = literalEnd - 1
+			continue
+		}
+
+		const match = char === "%" ? /^%([^\s%;]+);/.exec(declaration.slice(i)) : null
+
+		if (!match) {
+			expanded = `${expanded}${char}`
+			continue
+		}
+
+		if (internal)
+			throw scanner.error(
+				`Expected no parameter entity references within markup declarations in the internal subset`,
+				start + i
+			)
+
+		const entity = state.parameterEntities.get(match[1])
+
+		if (!entity) throw scanner.error(`Parameter entity "%${match[1]};" is not declared`, start + i)
+
+		hasReferences = true
+		expanded = `${expanded} ${replacementText(entity, state.resolveEntity) ?? ""} `
+		i += match[0].length - 1
+	}
+
+	if (!hasReferences) return scanner
+
+	scanner.pos = end
+
+	return new Scanner(expanded, { scanner, pos: start, description: "the parameter entities in this declaration" })
+}
+
+/**
+ * Parses the conditional section whose `<![` has just been consumed, returning the declarations it includes.
+ */
+const parseConditionalSection = (scanner, state, expanding, start) => {
+	scanner.skipWhitespace()
+
+	let keyword
+
+	if (scanner.consume("%")) {
+		const referenceStart = scanner.pos - 1
+		const name = scanner.readName("a parameter entity name")
+
+		scanner.expect(";", `";" to end the parameter entity reference`)
+
+		const entity = state.parameterEntities.get(name)
+
+		if (!entity) throw scanner.error(`Parameter entity "%${name};" is not declared`, referenceStart)
+
+		keyword = (entity.value ?? "").trim()
+	} else {
+		keyword = scanner.consume("INCLUDE") ? "INCLUDE" : scanner.consume("IGNORE") ? "IGNORE" : undefined
+	}
+
+	if (keyword !== "INCLUDE" && keyword !== "IGNORE") throw scanner.unexpected(`"INCLUDE" or "IGNORE"`)
+
+	scanner.skipWhitespace()
+	scanner.expect("[", `"[" to begin the conditional section`)
+
+	if (keyword === "INCLUDE") {
+		const declarations = parseMarkupDeclarations(scanner, state, { internal: false, expanding })
+
+		if (!scanner.consume("]]>"))
+			throw scanner.error(`Expected "]]>" to close the conditional section that starts here`, start)
+
+		return declarations
+	}
+
+	// Ignored sections may contain nested conditional sections, which are ignored along with them
+	for (let depth = 1; depth > 0; ) {
+		const open = scanner.input.indexOf("<![", scanner.pos)
+		const close = scanner.input.indexOf("]]>", scanner.pos)
+
+		if (close === -1) {
+			scanner.pos = scanner.input.length
+			throw scanner.error(`Expected "]]>" to close the conditional section that starts here`, start)
+		}
+
+		if (open !== -1 && open < close) {
+			depth++
+			scanner.pos = open + 3
+		} else {
+			depth--
+			scanner.pos = close + 3
+		}
+	}
+
+	return []
+}
+
+/**
+ * Parses the document type declaration whose `<!DOCTYPE` has just been consumed.
+ *
+ * @note The external subset is read through the state's `resolveEntity`, after the internal subset, whose
+ * declarations take precedence.
+ * @param {Scanner} scanner
+ * @param {{dtd: object, hasExternalSubset: boolean}} state The state created by `createDTDState`, and whether the
+ * document has an external subset that could not be read, which this sets
+ * @param {object} [options]
+ * @param {boolean} [options.internal] Whether the internal subset follows the rules XML sets for it in documents, which
+ * forbid conditional sections and parameter entity references within declarations, instead of those of `parseDTD`
+ * (default: `true`)
+ * @return {DoctypeDeclaration}
+ */
+export const parseDoctypeDeclaration = (scanner, state, options = {}) => {
+	scanner.requireWhitespace(`after "<!DOCTYPE"`)
+
+	const declaration = new DoctypeDeclaration({ element: scanner.readName("the root element name") })
+	const hadWhitespace = scanner.skipWhitespace()
+	const externalStart = scanner.pos
+	const externalID = readExternalID(scanner, false)
+
+	if (externalID) {
+		if (!hadWhitespace) throw scanner.error(`Expected whitespace after the root element name`, externalStart)
+		if (externalID.publicID !== undefined) declaration.setFormalPublicIdentifier(externalID.publicID)
+
+		declaration.setSystemIdentifier(externalID.systemURI)
+		state.hasExternalSubset = true
+		scanner.skipWhitespace()
+	}
+
+	if (scanner.consume("[")) {
+		const subset = parseMarkupDeclarations(scanner, state.dtd, { internal: options.internal ?? true })
+
+		scanner.expect("]", `"]" to end the internal subset`)
+		scanner.skipWhitespace()
+
+		if (subset.length) declaration.setInternalSubset(subset)
+	}
+
+	scanner.expect(">", `">" to end the document type declaration`)
+
+	const text = externalID && readExternalEntity(externalID, state.dtd.resolveEntity)
+
+	if (text !== undefined) {
+		const external = new Scanner(text, { scanner, pos: externalStart, description: "the external subset" })
+
+		parseMarkupDeclarations(external, state.dtd, { internal: false })
+
+		if (!external.done) throw external.unexpected("a markup declaration")
+
+		state.hasExternalSubset = false
+	}
+
+	return declaration
+}
+
+/**
+ * Reads the external subset of the given DoctypeDeclaration through the given resolver, with the entities declared in
+ * its internal subset taking precedence.
+ *
+ * @param {DoctypeDeclaration} doctype
+ * @param {function({publicID?: string, systemURI?: string}): (string|undefined)} resolveEntity
+ * @return {Array<(AttListDeclaration|ElementDeclaration|EntityDeclaration|NotationDeclaration)>|undefined} The
+ * declarations of the external subset, or `undefined` if there is none or it cannot be resolved
+ * @throws {SyntaxError} If the external subset is malformed
+ */
+export const parseExternalSubset = (doctype, resolveEntity) => {
+	if (doctype.systemIdentifier === undefined) return undefined
+
+	const externalID = { publicID: doctype.formalPublicIdentifier, systemURI: doctype.systemIdentifier }
+	const text = readExternalEntity(externalID, resolveEntity)
+
+	if (text === undefined) return undefined
+
+	const scanner = new Scanner(text)
+	const declarations = parseMarkupDeclarations(
+		scanner,
+		createDTDStateFrom(doctype.internalSubset ?? [], resolveEntity),
+		{
+			internal: false
+		}
+	)
+
+	if (!scanner.done) throw scanner.unexpected("a markup declaration")
+
+	return declarations
+}
+
+/**
+ * Parses markup declarations (and the comments, processing instructions, and parameter entity references between
+ * them) until the end of the input or a closing `]`, which is left unconsumed.
+ *
+ * @param {Scanner} scanner
+ * @param {object} state The state created by `createDTDState`
+ * @param {object} [options]
+ * @param {boolean} [options.internal] Whether the declarations belong to an internal subset (default: `true`)
+ * @param {Array<string>} [options.expanding] The parameter entities currently being expanded
+ * @return {Array<(AttListDeclaration|ElementDeclaration|EntityDeclaration|NotationDeclaration)>}
+ */
+export function parseMarkupDeclarations(scanner, state, options = {}) {
+	const internal = options.internal ?? true
+	const expanding = options.expanding ?? []
+	const declarations = []
+
+	while (true) {
+		scanner.skipWhitespace()
+
+		if (scanner.done || scanner.peek() === "]") return declarations
+
+		const start = scanner.pos
+
+		if (scanner.consume("<!--")) {
+			const comment = scanner.readUntil("-->", "comment")
+
+			if (comment.includes("--") || comment.endsWith("-"))
+				throw scanner.error(`Expected comments not to contain "--"`, start + 4 + comment.search(/--|-$/))
+		} else if (scanner.consume("<?")) {
+			scanner.readName("a processing instruction target")
+			scanner.readUntil("?>", "processing instruction")
+		} else if (scanner.startsWith("<![")) {
+			if (internal) throw scanner.error(`Expected conditional sections only outside of the internal subset`, start)
+
+			scanner.pos += 3
+			declarations.push(...parseConditionalSection(scanner, state, expanding, start))
+		} else if (MARKUP_DECLARATIONS.some(keyword => scanner.startsWith(keyword))) {
+			declarations.push(parseMarkupDeclaration(withReferencesExpanded(scanner, state, internal), state, internal))
+		} else if (scanner.consume("%")) {
+			const name = scanner.readName("a parameter entity name")
+
+			scanner.expect(";", `";" to end the parameter entity reference`)
+
+			const entity = state.parameterEntities.get(name)
+
+			if (!entity) throw scanner.error(`Parameter entity "%${name};" is not declared`, start)
+			if (expanding.includes(name)) throw scanner.error(`Parameter entity "%${name};" references itself`, start)
+
+			const text = replacementText(entity, state.resolveEntity)
+
+			// External parameter entities that cannot be resolved are skipped, along with their declarations
+			if (text !== undefined) {
+				const replacement = new Scanner(text, { scanner, pos: start, description: `parameter entity "%${name};"` })
+
+				declarations.push(
+					...parseMarkupDeclarations(replacement, state, {
+						// The rules of the internal subset do not apply within external entities
+						internal: internal && entity.isInternal,
+						expanding: [...expanding, name]
+					})
+				)
+
+				if (!replacement.done) throw replacement.unexpected("a markup declaration")
+			}
+		} else {
+			throw scanner.unexpected("a markup declaration, comment, processing instruction, or parameter entity reference")
+		}
+	}
+}
+
+/**
+ * Parses the given string as a DTD, such as the contents of a `.dtd` file (an external subset).
+ *
+ * @note Comments, processing instructions, parameter entity references (both between and within declarations), and
+ * `INCLUDE`/`IGNORE` conditional sections are handled, and a text declaration at the start is skipped. External
+ * parameter entities are only read through `resolveEntity`, and replaced with nothing otherwise.
+ * @param {string} dtd
+ * @param {object} [options]
+ * @param {function({publicID?: string, systemURI?: string}): (string|undefined)} [options.resolveEntity] Gets the
+ * content of the external entity with the given identifiers (e.g. through `XMLCatalog#createResolver`), or `undefined`
+ * if it cannot be found
+ * @return {Array<(AttListDeclaration|ElementDeclaration|EntityDeclaration|NotationDeclaration)>}
+ * @throws {SyntaxError} If the DTD is malformed. The error's `line` and `column` properties point to the problem.
+ */
+export default function parseDTD(dtd, options) {
+	if (typeof dtd !== "string") throw new TypeError(`Expected dtd to be a string, instead got ${typeof dtd}`)
+	if (options === undefined) options = {}
+	if (Object.prototype.toString.call(options) !== "[object Object]")
+		throw new TypeError(`Expected options to be an object, instead got ${typeof options}`)
+	if (options.resolveEntity !== undefined && typeof options.resolveEntity !== "function")
+		throw new TypeError(`Expected options.resolveEntity to be a function, instead got ${typeof options.resolveEntity}`)
+
+	const scanner = new Scanner(normalizeLineEndings(dtd.replace(/^\uFEFF/, "")))
+	const state = createDTDState(options.resolveEntity)
+
+	if (/^<\?xml[\x20\x09\x0a]/.test(scanner.input)) scanner.readUntil("?>", "text declaration")
+
+	const declarations = parseMarkupDeclarations(scanner, state, { internal: false })
+
+	if (!scanner.done) throw scanner.unexpected("a markup declaration")
+
+	return declarations
+}
@@ -0,0 +1,118 @@
+import Node from "../node.js"
+import { Document, Element, Text, EntityReference } from "../nodeTypes.js"
+import { createDTDStateFrom, parseExternalSubset } from "./dtd.js"
+import Scanner, { PREDEFINED_ENTITIES } from "./scanner.js"
+import { TreeBuilder, XMLReader, getMaxExpansionLength, replacementScanner } from "./xml.js"
+
+const findEntityReferences = root => {
+	const result = []
+	const stack = [root]
+
+	while (stack.length) {
+		const node = stack.pop()
+
+		if (node.type === EntityReference) result.push(node)
+
+		for (let i = node.children.length - 1; i >= 0; i--) stack.push(node.children[i])
+	}
+
+	return result
+}
+
+/**
+ * Joins the adjacent Text Nodes among the children of the given Node, as the parser would have read them.
+ */
+const mergeText = node => {
+	for (let i = node.children.length - 1; i > 0; i--) {
+		const child = node.children[i]
+		const previous = node.children[i - 1]
+
+		if (child.type === Text && previous.type === Text) {
+			previous.setValue(`${previous.value}${child.value}`)
+			child.emancipate()
+		}
+	}
+}
+
+/**
+ * Replaces the EntityReference Nodes in the given Document with the content their entities stand for, as declared by
+ * the internal subset of its DoctypeDeclaration (or the external subset, when `resolveEntity` can read it).
+ *
+ * @note Replacement texts are parsed as XML content, and the references within them are expanded in turn. An entity
+ * that references itself, directly or not, is an error, as are entity expansions that add up to more than
+ * `maxExpansionLength` characters (which stops entities that expand exponentially, as in the "billion laughs" attack).
+ * @note The external subset and external entities are read through `resolveEntity`. References to external entities
+ * it cannot resolve, and to entities that may be declared in an external subset it cannot resolve, are left in place.
+ * @param {Node} document
+ * @param {object} [options]
+ * @param {function({publicID?: string, systemURI?: string}): (string|undefined)} [options.resolveEntity] Gets the
+ * content of the given external entity (e.g. from the file at its `systemURI`, or through `XMLCatalog#createResolver`),
+ * or `undefined` if it cannot be found
+ * @param {number} [options.maxExpansionLength] How many characters the replacement texts of expanded entities may add
+ * up to (default: `10000000`)
+ * @return {Node} The Document Node for chaining
+ * @throws {Error} If a reference is to an undeclared or unparsed entity
+ * @throws {SyntaxError} If a replacement text is not well-formed, an entity references itself, or the expansions add
+ * up to too many characters
+ */
+export default function expandEntities(document, options) {
+	if (document?.type !== Document)
+		throw new TypeError(`Expected document to be a Document Node, instead got ${document?.typeText ?? typeof document}`)
+	if (options === undefined) options = {}
+	if (Object.prototype.toString.call(options) !== "[object Object]")
+		throw new TypeError(`Expected options to be an object, instead got ${typeof options}`)
+	if (options.resolveEntity !== undefined && typeof options.resolveEntity !== "function")
+		throw new TypeError(`Expected options.resolveEntity to be a function, instead got ${typeof options.resolveEntity}`)
+
+	const maxExpansionLength = getMaxExpansionLength(options)
+	const doctype = document.doctypeDeclaration
+	const external = doctype && options.resolveEntity && parseExternalSubset(doctype, options.resolveEntity)
+	const dtd = createDTDStateFrom([...(doctype?.internalSubset ?? []), ...(external ?? [])], options.resolveEntity)
+	const hasExternalSubset = doctype?.systemIdentifier !== undefined && !external
+	const parents = new Set()
+	let expansionLength = 0
+
+	for (const reference of findEntityReferences(document)) {
+		const { name, parent } = reference
+		const entity = dtd.entities.get(name)
+		let replacement
+
+		if (Object.hasOwn(PREDEFINED_ENTITIES, name)) {
+			replacement = [new Node({ type: Text, value: PREDEFINED_ENTITIES[name] })]
+		} else if (!entity) {
+			if (hasExternalSubset) continue
+
+			throw new Error(`Entity "&${name};" is not declared`)
+		} else if (entity.ndata) {
+			throw new Error(`Expected a parsed entity, instead found unparsed entity "&${name};"`)
+		} else {
+			const container = new Node({ type: Element })
+			const reader = new XMLReader(new TreeBuilder(container))
+
+			Object.assign(reader, {
+				dtd,
+				hasExternalSubset,
+				expansionLength,
+				maxExpansionLength
+			})
+
+			const scanner = replacementScanner(new Scanner(`&${name};`), reader, entity, 0)
+
+			if (!scanner) continue
+
+			reader.readContent(scanner, [name])
+			expansionLength = reader.expansionLength
+			replacement = [...container.children]
+			container.removeChildren()
+		}
+
+		if (replacement.length) reference.appendSibling(replacement)
+
+		reference.emancipate()
+		parents.add(parent)
+	}
+
+	for (const parent of parents) mergeText(parent)
+
+	return document
+}
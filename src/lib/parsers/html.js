@@ -0,0 +1,2032 @@
+import { toHashTable } from "alltheutils"
+import DoctypeDeclaration from "../declarations/doctype.js"
+import Node from "../node.js"
+import { Document, Element, VoidElement, Text, Comment } from "../nodeTypes.js"
+import HTMLTokenizer from "./htmlTokenizer.js"
+
+const HTML_NAMESPACE = "http://www.w3.org/1999/xhtml"
+const MATHML_NAMESPACE = "http://www.w3.org/1998/Math/MathML"
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg"
+
+const WHITESPACE = /^[\t\n\f\r ]*/
+const NON_WHITESPACE = /[^\t\n\f\r ]/
+const MARKER = Symbol("marker")
+
+/**
+ * The elements that never have contents, and have no end tag.
+ */
+export const VOID_ELEMENTS = toHashTable([
+	"area",
+	"base",
+	"basefont",
+	"bgsound",
+	"br",
+	"col",
+	"embed",
+	"frame",
+	"hr",
+	"img",
+	"input",
+	"keygen",
+	"link",
+	"meta",
+	"param",
+	"source",
+	"track",
+	"wbr"
+])
+const SPECIAL_ELEMENTS = toHashTable([
+	"address",
+	"applet",
+	"area",
+	"article",
+	"aside",
+	"base",
+	"basefont",
+	"bgsound",
+	"blockquote",
+	"body",
+	"br",
+	"button",
+	"caption",
+	"center",
+	"col",
+	"colgroup",
+	"dd",
+	"details",
+	"dir",
+	"div",
+	"dl",
+	"dt",
+	"embed",
+	"fieldset",
+	"figcaption",
+	"figure",
+	"footer",
+	"form",
+	"frame",
+	"frameset",
+	"h1",
+	"h2",
+	"h3",
+	"h4",
+	"h5",
+	"h6",
+	"head",
+	"header",
+	"hgroup",
+	"hr",
+	"html",
+	"iframe",
+	"img",
+	"input",
+	"keygen",
+	"li",
+	"link",
+	"listing",
+	"main",
+	"marquee",
+	"menu",
+	"meta",
+	"nav",
+	"noembed",
+	"noframes",
+	"noscript",
+	"object",
+	"ol",
+	"p",
+	"param",
+	"plaintext",
+	"pre",
+	"script",
+	"search",
+	"section",
+	"select",
+	"source",
+	"style",
+	"summary",
+	"table",
+	"tbody",
+	"td",
+	"template",
+	"textarea",
+	"tfoot",
+	"th",
+	"thead",
+	"title",
+	"tr",
+	"track",
+	"ul",
+	"wbr",
+	"xmp"
+])
+const DEFAULT_SCOPE = toHashTable(["applet", "caption", "html", "table", "td", "th", "marquee", "object", "template"])
+const MATHML_TEXT_INTEGRATION_POINTS = toHashTable(["mi", "mo", "mn", "ms", "mtext"])
+const SVG_HTML_INTEGRATION_POINTS = toHashTable(["foreignObject", "desc", "title"])
+const IMPLIED_END_TAGS = toHashTable(["dd", "dt", "li", "optgroup", "option", "p", "rb", "rp", "rt", "rtc"])
+const THOROUGHLY_IMPLIED_END_TAGS = toHashTable([
+	...Object.keys(IMPLIED_END_TAGS),
+	"caption",
+	"colgroup",
+	"tbody",
+	"td",
+	"tfoot",
+	"th",
+	"thead",
+	"tr"
+])
+const FORMATTING_ELEMENTS = toHashTable([
+	"a",
+	"b",
+	"big",
+	"code",
+	"em",
+	"font",
+	"i",
+	"nobr",
+	"s",
+	"small",
+	"strike",
+	"strong",
+	"tt",
+	"u"
+])
+const HEADINGS = ["h1", "h2", "h3", "h4", "h5", "h6"]
+const CLOSES_P = toHashTable([
+	"address",
+	"article",
+	"aside",
+	"blockquote",
+	"center",
+	"details",
+	"dialog",
+	"dir",
+	"div",
+	"dl",
+	"fieldset",
+	"figcaption",
+	"figure",
+	"footer",
+	"header",
+	"hgroup",
+	"main",
+	"menu",
+	"nav",
+	"ol",
+	"p",
+	"search",
+	"section",
+	"summary",
+	"ul"
+])
+const CLOSES_BLOCK = toHashTable([...Object.keys(CLOSES_P).filter(name => name !== "p"), "button", "listing", "pre"])
+const HEAD_ELEMENTS = toHashTable([
+	"base",
+	"basefont",
+	"bgsound",
+	"link",
+	"meta",
+	"noframes",
+	"script",
+	"style",
+	"template",
+	"title"
+])
+const TABLE_SECTIONS = ["tbody", "tfoot", "thead"]
+const TABLE_STRUCTURE = ["caption", "col", "colgroup", "tbody", "td", "tfoot", "th", "thead", "tr"]
+const FOREIGN_BREAKOUT_ELEMENTS = toHashTable([
+	"b",
+	"big",
+	"blockquote",
+	"body",
+	"br",
+	"center",
+	"code",
+	"dd",
+	"div",
+	"dl",
+	"dt",
+	"em",
+	"embed",
+	...HEADINGS,
+	"head",
+	"hr",
+	"i",
+	"img",
+	"li",
+	"listing",
+	"menu",
+	"meta",
+	"nobr",
+	"ol",
+	"p",
+	"pre",
+	"ruby",
+	"s",
+	"small",
+	"span",
+	"strong",
+	"strike",
+	"sub",
+	"sup",
+	"table",
+	"tt",
+	"u",
+	"ul",
+	"var"
+])
+
+// The HTML tokenizer lowercases every name, so SVG's camelCased names are restored when SVG elements are created
+const camelCaseTable = names => Object.fromEntries(names.map(name => [name.toLowerCase(), name]))
+const SVG_ELEMENT_NAMES = camelCaseTable([
+	"altGlyph",
+	"altGlyphDef",
+	"altGlyphItem",
+	"animateColor",
+	"animateMotion",
+	"animateTransform",
+	"clipPath",
+	"feBlend",
+	"feColorMatrix",
+	"feComponentTransfer",
+	"feComposite",
+	"feConvolveMatrix",
+	"feDiffuseLighting",
+	"feDisplacementMap",
+	"feDistantLight",
+	"feDropShadow",
+	"feFlood",
+	"feFuncA",
+	"feFuncB",
+	"feFuncG",
+	"feFuncR",
+	"feGaussianBlur",
+	"feImage",
+	"feMerge",
+	"feMergeNode",
+	"feMorphology",
+	"feOffset",
+	"fePointLight",
+	"feSpecularLighting",
+	"feSpotLight",
+	"feTile",
+	"feTurbulence",
+	"foreignObject",
+	"glyphRef",
+	"linearGradient",
+	"radialGradient",
+	"textPath"
+])
+const SVG_ATTRIBUTE_NAMES = camelCaseTable([
+	"attributeName",
+	"attributeType",
+	"baseFrequency",
+	"baseProfile",
+	"calcMode",
+	"clipPathUnits",
+	"diffuseConstant",
+	"edgeMode",
+	"filterUnits",
+	"glyphRef",
+	"gradientTransform",
+	"gradientUnits",
+	"kernelMatrix",
+	"kernelUnitLength",
+	"keyPoints",
+	"keySplines",
+	"keyTimes",
+	"lengthAdjust",
+	"limitingConeAngle",
+	"markerHeight",
+	"markerUnits",
+	"markerWidth",
+	"maskContentUnits",
+	"maskUnits",
+	"numOctaves",
+	"pathLength",
+	"patternContentUnits",
+	"patternTransform",
+	"patternUnits",
+	"pointsAtX",
+	"pointsAtY",
+	"pointsAtZ",
+	"preserveAlpha",
+	"preserveAspectRatio",
+	"primitiveUnits",
+	"refX",
+	"refY",
+	"repeatCount",
+	"repeatDur",
+	"requiredExtensions",
+	"requiredFeatures",
+	"specularConstant",
+	"specularExponent",
+	"spreadMethod",
+	"startOffset",
+	"stdDeviation",
+	"stitchTiles",
+	"surfaceScale",
+	"systemLanguage",
+	"tableValues",
+	"targetX",
+	"targetY",
+	"textLength",
+	"viewBox",
+	"viewTarget",
+	"xChannelSelector",
+	"yChannelSelector",
+	"zoomAndPan"
+])
+const MATHML_ATTRIBUTE_NAMES = camelCaseTable(["definitionURL"])
+
+// Public identifiers of the legacy doctypes that put documents in quirks mode
+const QUIRKY_PUBLIC_ID_PREFIXES = [
+	"+//silmaril//dtd html pro v0r11 19970101//",
+	"-//as//dtd html 3.0 aswedit + extensions//",
+	"-//advasoft ltd//dtd html 3.0 aswedit + extensions//",
+	"-//ietf//dtd html 2.0 level 1//",
+	"-//ietf//dtd html 2.0 level 2//",
+	"-//ietf//dtd html 2.0 strict level 1//",
+	"-//ietf//dtd html 2.0 strict level 2//",
+	"-//ietf//dtd html 2.0 strict//",
+	"-//ietf//dtd html 2.0//",
+	"-//ietf//dtd html 2.1e//",
+	"-//ietf//dtd html 3.0//",
+	"-//ietf//dtd html 3.2 final//",
+	"-//ietf//dtd html 3.2//",
+	"-//ietf//dtd html 3//",
+	"-//ietf//dtd html level 0//",
+	"-//ietf//dtd html level 1//",
+	"-//ietf//dtd html level 2//",
+	"-//ietf//dtd html level 3//",
+	"-//ietf//dtd html strict level 0//",
+	"-//ietf//dtd html strict level 1//",
+	"-//ietf//dtd html strict level 2//",
+	"-//ietf//dtd html strict level 3//",
+	"-//ietf//dtd html strict//",
+	"-//ietf//dtd html//",
+	"-//metrius//dtd metrius presentational//",
+	"-//microsoft//dtd internet explorer 2.0 html strict//",
+	"-//microsoft//dtd internet explorer 2.0 html//",
+	"-//microsoft//dtd internet explorer 2.0 tables//",
+	"-//microsoft//dtd internet explorer 3.0 html strict//",
+	"-//microsoft//dtd internet explorer 3.0 html//",
+	"-//microsoft//dtd internet explorer 3.0 tables//",
+	"-//netscape comm. corp.//dtd html//",
+	"-//netscape comm. corp.//dtd strict html//",
+	"-//o'reilly and associates//dtd html 2.0//",
+	"-//o'reilly and associates//dtd html extended 1.0//",
+	"-//o'reilly and associates//dtd html extended relaxed 1.0//",
+	"-//sq//dtd html 2.0 hotmetal + extensions//",
+	"-//softquad software//dtd hotmetal pro 6.0::19990601::extensions to html 4.0//",
+	"-//softquad//dtd hotmetal pro 4.0::19971010::extensions to html 4.0//",
+	"-//spyglass//dtd html 2.0 extended//",
+	"-//sun microsystems corp.//dtd hotjava html//",
+	"-//sun microsystems corp.//dtd hotjava strict html//",
+	"-//w3c//dtd html 3 1995-03-24//",
+	"-//w3c//dtd html 3.2 draft//",
+	"-//w3c//dtd html 3.2 final//",
+	"-//w3c//dtd html 3.2//",
+	"-//w3c//dtd html 3.2s draft//",
+	"-//w3c//dtd html 4.0 frameset//",
+	"-//w3c//dtd html 4.0 transitional//",
+	"-//w3c//dtd html experimental 19960712//",
+	"-//w3c//dtd html experimental 970421//",
+	"-//w3c//dtd w3 html//",
+	"-//w3o//dtd w3 html 3.0//",
+	"-//webtechs//dtd mozilla html 2.0//",
+	"-//webtechs//dtd mozilla html//"
+]
+const QUIRKY_PUBLIC_IDS = ["-//w3o//dtd w3 html strict 3.0//en//", "-/w3c/dtd html 4.0 transitional/en", "html"]
+const QUIRKY_WITHOUT_SYSTEM_ID_PREFIXES = ["-//w3c//dtd html 4.01 frameset//", "-//w3c//dtd html 4.01 transitional//"]
+
+const isQuirky = token => {
+	if (token.forceQuirks || token.name !== "html") return true
+	if (token.systemId?.toLowerCase() === "http://www.ibm.com/data/dtd/v11/ibmxhtml1-transitional.dtd") return true
+	if (token.publicId === undefined) return false
+
+	const publicId = token.publicId.toLowerCase()
+
+	return (
+		QUIRKY_PUBLIC_IDS.includes(publicId) ||
+		QUIRKY_PUBLIC_ID_PREFIXES.some(prefix => publicId.startsWith(prefix)) ||
+		(token.systemId === undefined && QUIRKY_WITHOUT_SYSTEM_ID_PREFIXES.some(prefix => publicId.startsWith(prefix)))
+	)
+}
+
+const sameAttributes = (a, b) => {
+	const keys = Object.keys(a)
+
+	return keys.length === Object.keys(b).length && keys.every(key => Object.hasOwn(b, key) && a[key] === b[key])
+}
+
+const startTag = (name, attributes = {}) => ({ type: "startTag", name, attributes, selfClosing: false })
+
+/**
+ * Builds a Document Node from HTML tokens following the WHATWG tree construction rules, with scripting disabled.
+ */
+class TreeBuilder {
+	#tokenizer
+	#document = new Node({ type: Document })
+	#namespaces = new WeakMap()
+	#mode = "initial"
+	#originalMode
+	#templateModes = []
+	#stack = []
+	#formatting = []
+	#head
+	#form
+	#framesetOk = true
+	#quirks = false
+	#fosterParenting = false
+	#pendingTableText = []
+	#skipNewline = false
+
+	constructor(html) {
+		this.#tokenizer = new HTMLTokenizer(html)
+	}
+
+	/**
+	 * Parses the whole input.
+	 *
+	 * @return {Node} The Document Node
+	 */
+	run() {
+		while (true) {
+			const adjustedCurrentNode = this.#currentNode
+
+			this.#tokenizer.allowCDATA = !!adjustedCurrentNode && !this.#isHTML(adjustedCurrentNode)
+
+			let token = this.#tokenizer.next()
+
+			// A newline directly after <pre>, <listing>, or <textarea> is dropped
+			if (this.#skipNewline) {
+				this.#skipNewline = false
+
+				if (token.type === "character" && token.data[0] === "\n") {
+					if (token.data.length === 1) continue
+
+					token = { type: "character", data: token.data.slice(1) }
+				}
+			}
+
+			this.#dispatch(token)
+
+			if (token.type === "eof") break
+		}
+
+		if (!this.#document.doctypeDeclaration)
+			this.#document.setDoctypeDeclaration(new DoctypeDeclaration({ element: "html" }))
+
+		return this.#document
+	}
+
+	get #currentNode() {
+		return this.#stack[this.#stack.length - 1]
+	}
+
+	#isHTML(node) {
+		return this.#namespaces.get(node) === HTML_NAMESPACE
+	}
+
+	#is(node, ...names) {
+		return !!node && this.#isHTML(node) && names.includes(node.name)
+	}
+
+	#isSpecial(node) {
+		const namespace = this.#namespaces.get(node)
+
+		if (namespace === HTML_NAMESPACE) return !!SPECIAL_ELEMENTS[node.name]
+		if (namespace === MATHML_NAMESPACE)
+			return !!MATHML_TEXT_INTEGRATION_POINTS[node.name] || node.name === "annotation-xml"
+
+		return !!SVG_HTML_INTEGRATION_POINTS[node.name]
+	}
+
+	#isHTMLIntegrationPoint(node) {
+		const namespace = this.#namespaces.get(node)
+
+		if (namespace === SVG_NAMESPACE) return !!SVG_HTML_INTEGRATION_POINTS[node.name]
+		if (namespace !== MATHML_NAMESPACE || node.name !== "annotation-xml") return false
+
+		const encoding = node.getAttribute("encoding")?.toLowerCase()
+
+		return encoding === "text/html" || encoding === "application/xhtml+xml"
+	}
+
+	#isMathMLTextIntegrationPoint(node) {
+		return this.#namespaces.get(node) === MATHML_NAMESPACE && !!MATHML_TEXT_INTEGRATION_POINTS[node.name]
+	}
+
+	#lastIndexOf(name) {
+		for (let i = this.#stack.length - 1; i >= 0; i--) {
+			if (this.#is(this.#stack[i], name)) return i
+		}
+
+		return -1
+	}
+
+	#isScopeBoundary(node, scope) {
+		const namespace = this.#namespaces.get(node)
+
+		if (scope === "table") return namespace === HTML_NAMESPACE && ["html", "table", "template"].includes(node.name)
+		if (scope === "select") return !this.#is(node, "optgroup", "option")
+		if (namespace === MATHML_NAMESPACE)
+			return !!MATHML_TEXT_INTEGRATION_POINTS[node.name] || node.name === "annotation-xml"
+		if (namespace === SVG_NAMESPACE) return !!SVG_HTML_INTEGRATION_POINTS[node.name]
+
+		return (
+			!!DEFAULT_SCOPE[node.name] ||
+			(scope === "list item" && (node.name === "ol" || node.name === "ul")) ||
+			(scope === "button" && node.name === "button")
+		)
+	}
+
+	/**
+	 * Checks whether an element (given by name, by names, or as a Node) is in the given scope.
+	 */
+	#inScope(target, scope = "default") {
+		for (let i = this.#stack.length - 1; i >= 0; i--) {
+			const node = this.#stack[i]
+
+			if (Node.isNode(target) ? node === target : this.#is(node, ...[target].flat())) return true
+			if (this.#isScopeBoundary(node, scope)) return false
+		}
+
+		return false
+	}
+
+	#popUntil(...names) {
+		while (this.#stack.length) {
+			if (this.#is(this.#stack.pop(), ...names)) return
+		}
+	}
+
+	#generateImpliedEndTags(except, thoroughly = false) {
+		const implied = thoroughly ? THOROUGHLY_IMPLIED_END_TAGS : IMPLIED_END_TAGS
+
+		while (this.#isHTML(this.#currentNode) && implied[this.#currentNode.name] && this.#currentNode.name !== except)
+			this.#stack.pop()
+	}
+
+	#closeP() {
+		this.#generateImpliedEndTags("p")
+		this.#popUntil("p")
+	}
+
+	#closePInButtonScope() {
+		if (this.#inScope("p", "button")) this.#closeP()
+	}
+
+	#clearStackBackTo(...names) {
+		while (!this.#is(this.#currentNode, ...names, "template", "html")) this.#stack.pop()
+	}
+
+	/**
+	 * Finds where a new Node is inserted, moving it before the table it would otherwise be inserted into when foster
+	 * parenting is on.
+	 */
+	#appropriatePlace(target = this.#currentNode) {
+		if (!this.#fosterParenting || !this.#is(target, "table", "tbody", "tfoot", "thead", "tr")) return { parent: target }
+
+		const lastTemplate = this.#lastIndexOf("template")
+		const lastTable = this.#lastIndexOf("table")
+
+		if (lastTemplate !== -1 && (lastTable === -1 || lastTemplate > lastTable))
+			return { parent: this.#stack[lastTemplate] }
+		if (lastTable === -1) return { parent: this.#stack[0] }
+
+		const table = this.#stack[lastTable]
+
+		return table.parent ? { parent: table.parent, before: table } : { parent: this.#stack[lastTable - 1] }
+	}
+
+	#insertAt(place, node) {
+		if (place.before) place.before.prependSibling(node)
+		else place.parent.appendChild(node)
+	}
+
+	#createElement(token, namespace) {
+		const isVoid = namespace === HTML_NAMESPACE ? !!VOID_ELEMENTS[token.name] : token.selfClosing
+		const element = new Node({
+			type: isVoid ? VoidElement : Element,
+			name: token.name,
+			attributes: { ...token.attributes }
+		})
+
+		this.#namespaces.set(element, namespace)
+
+		return element
+	}
+
+	#insertElement(token, namespace = HTML_NAMESPACE) {
+		const element = this.#createElement(token, namespace)
+
+		this.#insertAt(this.#appropriatePlace(), element)
+		this.#stack.push(element)
+
+		return element
+	}
+
+	#insertVoidElement(token) {
+		this.#insertElement(token)
+		this.#stack.pop()
+	}
+
+	#insertForeignElement(token, namespace) {
+		const attributes = {}
+		const adjustments = namespace === SVG_NAMESPACE ? SVG_ATTRIBUTE_NAMES : MATHML_ATTRIBUTE_NAMES
+
+		for (const [name, value] of Object.entries(token.attributes)) attributes[adjustments[name] ?? name] = value
+
+		const name = namespace === SVG_NAMESPACE ? SVG_ELEMENT_NAMES[token.name] ?? token.name : token.name
+
+		this.#insertElement({ ...token, name, attributes }, namespace)
+
+		if (token.selfClosing) this.#stack.pop()
+	}
+
+	#insertCharacters(data) {
+		const place = this.#appropriatePlace()
+
+		if (place.parent.type === Document) return
+
+		const previous = place.before ? place.before.previous : place.parent.lastChild
+
+		if (previous?.type === Text) previous.setValue(`${previous.value}${data}`)
+		else this.#insertAt(place, new Node({ type: Text, value: data }))
+	}
+
+	#insertComment(token, parent) {
+		const comment = new Node({ type: Comment, value: token.data })
+
+		if (parent) parent.appendChild(comment)
+		else this.#insertAt(this.#appropriatePlace(), comment)
+	}
+
+	#addMissingAttributes(element, token) {
+		for (const [name, value] of Object.entries(token.attributes)) {
+			if (!element.hasAttribute(name)) element.addAttribute(name, value)
+		}
+	}
+
+	#parseText(token, state) {
+		this.#insertElement(token)
+		this.#tokenizer.state = state
+		this.#originalMode = this.#mode
+		this.#mode = "text"
+	}
+
+	#pushFormattingElement(element, token) {
+		let count = 0
+
+		// At most three identical formatting elements are kept after the last marker (the "Noah's Ark" clause)
+		for (let i = this.#formatting.length - 1; i >= 0 && this.#formatting[i] !== MARKER; i--) {
+			const entry = this.#formatting[i]
+
+			if (
+				entry.element.name === token.name &&
+				sameAttributes(entry.token.attributes, token.attributes) &&
+				++count === 3
+			) {
+				this.#formatting.splice(i, 1)
+				break
+			}
+		}
+
+		this.#formatting.push({ element, token })
+	}
+
+	#reconstructFormattingElements() {
+		const formatting = this.#formatting
+		const isOpen = entry => entry === MARKER || this.#stack.includes(entry.element)
+
+		if (!formatting.length || isOpen(formatting[formatting.length - 1])) return
+
+		let i = formatting.length - 1
+
+		while (i > 0 && !isOpen(formatting[i - 1])) i--
+
+		for (; i < formatting.length; i++) {
+			const { token } = formatting[i]
+
+			formatting[i] = { element: this.#insertElement(token), token }
+		}
+	}
+
+	#clearFormattingToMarker() {
+		while (this.#formatting.length && this.#formatting.pop() !== MARKER);
+	}
+
+	#resetInsertionMode() {
+		for (let i = this.#stack.length - 1; i >= 0; i--) {
+			const node = this.#stack[i]
+			const last = i === 0
+			const name = this.#isHTML(node) ? node.name : undefined
+
+			if (name === "select") {
+				for (let j = i - 1; j > 0; j--) {
+					if (this.#is(this.#stack[j], "template")) break
+					if (this.#is(this.#stack[j], "table")) return (this.#mode = "in select in table")
+				}
+
+				return (this.#mode = "in select")
+			}
+			if ((name === "td" || name === "th") && !last) return (this.#mode = "in cell")
+			if (name === "tr") return (this.#mode = "in row")
+			if (TABLE_SECTIONS.includes(name)) return (this.#mode = "in table body")
+			if (name === "caption") return (this.#mode = "in caption")
+			if (name === "colgroup") return (this.#mode = "in column group")
+			if (name === "table") return (this.#mode = "in table")
+			if (name === "template") return (this.#mode = this.#templateModes[this.#templateModes.length - 1])
+			if (name === "head" && !last) return (this.#mode = "in head")
+			if (name === "body") return (this.#mode = "in body")
+			if (name === "frameset") return (this.#mode = "in frameset")
+			if (name === "html") return (this.#mode = this.#head ? "after head" : "before head")
+			if (last) return (this.#mode = "in body")
+		}
+	}
+
+	/**
+	 * Runs the adoption agency algorithm, which untangles misnested formatting elements like `<b><p></b></p>`.
+	 */
+	#adoptionAgency(token) {
+		const stack = this.#stack
+		const formatting = this.#formatting
+		const subject = token.name
+
+		if (this.#is(this.#currentNode, subject) && !formatting.some(entry => entry.element === this.#currentNode)) {
+			stack.pop()
+			return
+		}
+
+		for (let outer = 0; outer < 8; outer++) {
+			let formattingEntry
+
+			for (let i = formatting.length - 1; i >= 0 && formatting[i] !== MARKER; i--) {
+				if (formatting[i].element.name === subject) {
+					formattingEntry = formatting[i]
+					break
+				}
+			}
+
+			if (!formattingEntry) return this.#anyOtherEndTag(token)
+
+			const formattingElement = formattingEntry.element
+			const formattingIndex = stack.indexOf(formattingElement)
+
+			if (formattingIndex === -1) {
+				formatting.splice(formatting.indexOf(formattingEntry), 1)
+				return
+			}
+			if (!this.#inScope(formattingElement)) return
+
+			const furthestIndex = stack.findIndex((node, i) => i > formattingIndex && this.#isSpecial(node))
+
+			if (furthestIndex === -1) {
+				stack.length = formattingIndex
+				formatting.splice(formatting.indexOf(formattingEntry), 1)
+				return
+			}
+
+			const furthestBlock = stack[furthestIndex]
+			const commonAncestor = stack[formattingIndex - 1]
+			let bookmark = formatting.indexOf(formattingEntry)
+			let lastNode = furthestBlock
+			let nodeIndex = furthestIndex
+
+			for (let inner = 1; ; inner++) {
+				nodeIndex--
+
+				const node = stack[nodeIndex]
+
+				if (node === formattingElement) break
+
+				let entryIndex = formatting.findIndex(entry => entry !== MARKER && entry.element === node)
+
+				if (inner > 3 && entryIndex !== -1) {
+					formatting.splice(entryIndex, 1)
+
+					if (entryIndex < bookmark) bookmark--
+
+					entryIndex = -1
+				}
+				if (entryIndex === -1) {
+					stack.splice(nodeIndex, 1)
+					continue
+				}
+
+				const element = this.#createElement(formatting[entryIndex].token, HTML_NAMESPACE)
+
+				formatting[entryIndex] = { element, token: formatting[entryIndex].token }
+				stack[nodeIndex] = element
+
+				if (lastNode === furthestBlock) bookmark = entryIndex + 1
+
+				element.appendChild(lastNode)
+				lastNode = element
+			}
+
+			this.#insertAt(this.#appropriatePlace(commonAncestor), lastNode)
+
+			const element = this.#createElement(formattingEntry.token, HTML_NAMESPACE)
+			const entryIndex = formatting.indexOf(formattingEntry)
+
+			element.appendChild([...furthestBlock.children])
+			furthestBlock.appendChild(element)
+			formatting.splice(entryIndex, 1)
+
+			if (entryIndex < bookmark) bookmark--
+
+			formatting.splice(bookmark, 0, { element, token: formattingEntry.token })
+			stack.splice(stack.indexOf(formattingElement), 1)
+			stack.splice(stack.indexOf(furthestBlock) + 1, 0, element)
+		}
+	}
+
+	#anyOtherEndTag(token) {
+		for (let i = this.#stack.length - 1; i >= 0; i--) {
+			const node = this.#stack[i]
+
+			if (this.#is(node, token.name)) {
+				this.#generateImpliedEndTags(token.name)
+				this.#stack.length = i
+				return
+			}
+			if (this.#isSpecial(node)) return
+		}
+	}
+
+	/**
+	 * Sends the token to the current insertion mode, or to the rules for foreign content.
+	 */
+	#dispatch(token) {
+		const node = this.#currentNode
+
+		if (
+			!node ||
+			this.#isHTML(node) ||
+			token.type === "eof" ||
+			(this.#isMathMLTextIntegrationPoint(node) &&
+				(token.type === "character" ||
+					(token.type === "startTag" && token.name !== "mglyph" && token.name !== "malignmark"))) ||
+			(this.#namespaces.get(node) === MATHML_NAMESPACE &&
+				node.name === "annotation-xml" &&
+				token.type === "startTag" &&
+				token.name === "svg") ||
+			(this.#isHTMLIntegrationPoint(node) && (token.type === "character" || token.type === "startTag"))
+		)
+			this.#process(token)
+		else this.#inForeignContent(token)
+	}
+
+	#process(token, mode = this.#mode) {
+		switch (mode) {
+			case "initial":
+				return this.#initial(token)
+			case "before html":
+				return this.#beforeHtml(token)
+			case "before head":
+				return this.#beforeHead(token)
+			case "in head":
+				return this.#inHead(token)
+			case "in head noscript":
+				return this.#inHeadNoscript(token)
+			case "after head":
+				return this.#afterHead(token)
+			case "in body":
+				return this.#inBody(token)
+			case "text":
+				return this.#text(token)
+			case "in table":
+				return this.#inTable(token)
+			case "in table text":
+				return this.#inTableText(token)
+			case "in caption":
+				return this.#inCaption(token)
+			case "in column group":
+				return this.#inColumnGroup(token)
+			case "in table body":
+				return this.#inTableBody(token)
+			case "in row":
+				return this.#inRow(token)
+			case "in cell":
+				return this.#inCell(token)
+			case "in select":
+				return this.#inSelect(token)
+			case "in select in table":
+				return this.#inSelectInTable(token)
+			case "in template":
+				return this.#inTemplate(token)
+			case "after body":
+				return this.#afterBody(token)
+			case "in frameset":
+				return this.#inFrameset(token)
+			case "after frameset":
+				return this.#afterFrameset(token)
+			case "after after body":
+				return this.#afterAfterBody(token)
+			case "after after frameset":
+				return this.#afterAfterFrameset(token)
+		}
+	}
+
+	/**
+	 * Handles the whitespace at the start of a character token with the given callback, and returns a token holding
+	 * the rest of the characters, if there are any.
+	 */
+	#splitWhitespace(token, handleWhitespace) {
+		const whitespace = WHITESPACE.exec(token.data)[0]
+
+		if (whitespace.length && handleWhitespace) handleWhitespace(whitespace)
+
+		return whitespace.length === token.data.length
+			? undefined
+			: { type: "character", data: token.data.slice(whitespace.length) }
+	}
+
+	#initial(token) {
+		if (token.type === "character" && !(token = this.#splitWhitespace(token))) return
+		if (token.type === "comment") return this.#insertComment(token, this.#document)
+		if (token.type === "doctype") {
+			const declaration = new DoctypeDeclaration()
+
+			if (token.name) declaration.setElement(token.name)
+			if (token.publicId !== undefined) declaration.setFormalPublicIdentifier(token.publicId)
+			if (token.systemId !== undefined) declaration.setSystemIdentifier(token.systemId)
+
+			this.#document.setDoctypeDeclaration(declaration)
+			this.#quirks = isQuirky(token)
+			this.#mode = "before html"
+			return
+		}
+
+		this.#quirks = true
+		this.#mode = "before html"
+		this.#dispatch(token)
+	}
+
+	#beforeHtml(token) {
+		if (token.type === "doctype") return
+		if (token.type === "comment") return this.#insertComment(token, this.#document)
+		if (token.type === "character" && !(token = this.#splitWhitespace(token))) return
+		if (token.type === "endTag" && !["head", "body", "html", "br"].includes(token.name)) return
+
+		const html = this.#createElement(
+			token.type === "startTag" && token.name === "html" ? token : startTag("html"),
+			HTML_NAMESPACE
+		)
+
+		this.#document.appendChild(html)
+		this.#stack.push(html)
+		this.#mode = "before head"
+
+		if (token.type !== "startTag" || token.name !== "html") this.#dispatch(token)
+	}
+
+	#beforeHead(token) {
+		if (token.type === "character" && !(token = this.#splitWhitespace(token))) return
+		if (token.type === "comment") return this.#insertComment(token)
+		if (token.type === "doctype") return
+		if (token.type === "startTag" && token.name === "html") return this.#process(token, "in body")
+		if (token.type === "startTag" && token.name === "head") {
+			this.#head = this.#insertElement(token)
+			this.#mode = "in head"
+			return
+		}
+		if (token.type === "endTag" && !["head", "body", "html", "br"].includes(token.name)) return
+
+		this.#head = this.#insertElement(startTag("head"))
+		this.#mode = "in head"
+		this.#dispatch(token)
+	}
+
+	#inHead(token) {
+		if (token.type === "character" && !(token = this.#splitWhitespace(token, ws => this.#insertCharacters(ws)))) return
+		if (token.type === "comment") return this.#insertComment(token)
+		if (token.type === "doctype") return
+
+		if (token.type === "startTag") {
+			switch (token.name) {
+				case "html":
+					return this.#process(token, "in body")
+				case "base":
+				case "basefont":
+				case "bgsound":
+				case "link":
+				case "meta":
+					return this.#insertVoidElement(token)
+				case "title":
+					return this.#parseText(token, "rcdata")
+				case "noframes":
+				case "style":
+					return this.#parseText(token, "rawtext")
+				case "noscript":
+					this.#insertElement(token)
+					this.#mode = "in head noscript"
+					return
+				case "script":
+					return this.#parseText(token, "rawtext")
+				case "template":
+					this.#insertElement(token)
+					this.#formatting.push(MARKER)
+					this.#framesetOk = false
+					this.#mode = "in template"
+					this.#templateModes.push("in template")
+					return
+				case "head":
+					return
+			}
+		}
+
+		if (token.type === "endTag") {
+			switch (token.name) {
+				case "head":
+					this.#stack.pop()
+					this.#mode = "after head"
+					return
+				case "template":
+					if (this.#lastIndexOf("template") === -1) return
+
+					this.#generateImpliedEndTags(undefined, true)
+					this.#popUntil("template")
+					this.#clearFormattingToMarker()
+					this.#templateModes.pop()
+					this.#resetInsertionMode()
+					return
+				case "body":
+				case "html":
+				case "br":
+					break
+				default:
+					return
+			}
+		}
+
+		this.#stack.pop()
+		this.#mode = "after head"
+		this.#dispatch(token)
+	}
+
+	#inHeadNoscript(token) {
+		if (token.type === "doctype") return
+		if (token.type === "startTag" && token.name === "html") return this.#process(token, "in body")
+		if (token.type === "endTag" && token.name === "noscript") {
+			this.#stack.pop()
+			this.#mode = "in head"
+			return
+		}
+		if (token.type === "character" && !(token = this.#splitWhitespace(token, ws => this.#insertCharacters(ws)))) return
+		if (
+			token.type === "comment" ||
+			(token.type === "startTag" && ["basefont", "bgsound", "link", "meta", "noframes", "style"].includes(token.name))
+		)
+			return this.#process(token, "in head")
+		if (token.type === "startTag" && (token.name === "head" || token.name === "noscript")) return
+		if (token.type === "endTag" && token.name !== "br") return
+
+		this.#stack.pop()
+		this.#mode = "in head"
+		this.#dispatch(token)
+	}
+
+	#afterHead(token) {
+		if (token.type === "character" && !(token = this.#splitWhitespace(token, ws => this.#insertCharacters(ws)))) return
+		if (token.type === "comment") return this.#insertComment(token)
+		if (token.type === "doctype") return
+
+		if (token.type === "startTag") {
+			if (token.name === "html") return this.#process(token, "in body")
+			if (token.name === "body") {
+				this.#insertElement(token)
+				this.#framesetOk = false
+				this.#mode = "in body"
+				return
+			}
+			if (token.name === "frameset") {
+				this.#insertElement(token)
+				this.#mode = "in frameset"
+				return
+			}
+			if (HEAD_ELEMENTS[token.name]) {
+				this.#stack.push(this.#head)
+				this.#process(token, "in head")
+				this.#stack.splice(this.#stack.lastIndexOf(this.#head), 1)
+				return
+			}
+			if (token.name === "head") return
+		}
+
+		if (token.type === "endTag") {
+			if (token.name === "template") return this.#process(token, "in head")
+			if (!["body", "html", "br"].includes(token.name)) return
+		}
+
+		this.#insertElement(startTag("body"))
+		this.#mode = "in body"
+		this.#dispatch(token)
+	}
+
+	#inBody(token) {
+		switch (token.type) {
+			case "character": {
+				const data = token.data.replace(/\0/g, "")
+
+				if (!data.length) return
+
+				this.#reconstructFormattingElements()
+				this.#insertCharacters(data)
+
+				if (NON_WHITESPACE.test(data)) this.#framesetOk = false
+
+				return
+			}
+			case "comment":
+				return this.#insertComment(token)
+			case "doctype":
+				return
+			case "eof":
+				if (this.#templateModes.length) return this.#process(token, "in template")
+
+				return
+			case "startTag":
+				return this.#inBodyStartTag(token)
+			case "endTag":
+				return this.#inBodyEndTag(token)
+		}
+	}
+
+	#inBodyStartTag(token) {
+		const name = token.name
+
+		if (name === "html") {
+			if (this.#lastIndexOf("template") === -1) this.#addMissingAttributes(this.#stack[0], token)
+
+			return
+		}
+		if (HEAD_ELEMENTS[name]) return this.#process(token, "in head")
+		if (name === "body") {
+			const body = this.#stack[1]
+
+			if (!this.#is(body, "body") || this.#lastIndexOf("template") !== -1) return
+
+			this.#framesetOk = false
+			this.#addMissingAttributes(body, token)
+			return
+		}
+		if (name === "frameset") {
+			const body = this.#stack[1]
+
+			if (!this.#is(body, "body") || !this.#framesetOk) return
+
+			body.parent?.removeChild(body)
+			this.#stack.length = 1
+			this.#insertElement(token)
+			this.#mode = "in frameset"
+			return
+		}
+		if (CLOSES_P[name]) {
+			this.#closePInButtonScope()
+			this.#insertElement(token)
+			return
+		}
+		if (HEADINGS.includes(name)) {
+			this.#closePInButtonScope()
+
+			if (this.#is(this.#currentNode, ...HEADINGS)) this.#stack.pop()
+
+			this.#insertElement(token)
+			return
+		}
+		if (name === "pre" || name === "listing") {
+			this.#closePInButtonScope()
+			this.#insertElement(token)
+			this.#skipNewline = true
+			this.#framesetOk = false
+			return
+		}
+		if (name === "form") {
+			const hasTemplate = this.#lastIndexOf("template") !== -1
+
+			if (this.#form && !hasTemplate) return
+
+			this.#closePInButtonScope()
+
+			const form = this.#insertElement(token)
+
+			if (!hasTemplate) this.#form = form
+
+			return
+		}
+		if (name === "li" || name === "dd" || name === "dt") {
+			const closes = name === "li" ? ["li"] : ["dd", "dt"]
+
+			this.#framesetOk = false
+
+			for (let i = this.#stack.length - 1; i >= 0; i--) {
+				const node = this.#stack[i]
+
+				if (this.#is(node, ...closes)) {
+					this.#generateImpliedEndTags(node.name)
+					this.#popUntil(node.name)
+					break
+				}
+				if (this.#isSpecial(node) && !this.#is(node, "address", "div", "p")) break
+			}
+
+			this.#closePInButtonScope()
+			this.#insertElement(token)
+			return
+		}
+		if (name === "plaintext") {
+			this.#closePInButtonScope()
+			this.#insertElement(token)
+			this.#tokenizer.state = "plaintext"
+			return
+		}
+		if (name === "button") {
+			if (this.#inScope("button")) {
+				this.#generateImpliedEndTags()
+				this.#popUntil("button")
+			}
+
+			this.#reconstructFormattingElements()
+			this.#insertElement(token)
+			this.#framesetOk = false
+			return
+		}
+		if (name === "a") {
+			for (let i = this.#formatting.length - 1; i >= 0 && this.#formatting[i] !== MARKER; i--) {
+				const entry = this.#formatting[i]
+
+				if (entry.element.name !== "a") continue
+
+				this.#adoptionAgency(token)
+
+				const index = this.#formatting.indexOf(entry)
+				const stackIndex = this.#stack.indexOf(entry.element)
+
+				if (index !== -1) this.#formatting.splice(index, 1)
+				if (stackIndex !== -1) this.#stack.splice(stackIndex, 1)
+
+				break
+			}
+
+			this.#reconstructFormattingElements()
+			this.#pushFormattingElement(this.#insertElement(token), token)
+			return
+		}
+		if (name === "nobr") {
+			this.#reconstructFormattingElements()
+
+			if (this.#inScope("nobr")) {
+				this.#adoptionAgency(token)
+				this.#reconstructFormattingElements()
+			}
+
+			this.#pushFormattingElement(this.#insertElement(token), token)
+			return
+		}
+		if (FORMATTING_ELEMENTS[name]) {
+			this.#reconstructFormattingElements()
+			this.#pushFormattingElement(this.#insertElement(token), token)
+			return
+		}
+		if (name === "applet" || name === "marquee" || name === "object") {
+			this.#reconstructFormattingElements()
+			this.#insertElement(token)
+			this.#formatting.push(MARKER)
+			this.#framesetOk = false
+			return
+		}
+		if (name === "table") {
+			if (!this.#quirks) this.#closePInButtonScope()
+
+			this.#insertElement(token)
+			this.#framesetOk = false
+			this.#mode = "in table"
+			return
+		}
+		if (["area", "br", "embed", "img", "keygen", "wbr"].includes(name)) {
+			this.#reconstructFormattingElements()
+			this.#insertVoidElement(token)
+			this.#framesetOk = false
+			return
+		}
+		if (name === "input") {
+			this.#reconstructFormattingElements()
+			this.#insertVoidElement(token)
+
+			if (token.attributes.type?.toLowerCase() !== "hidden") this.#framesetOk = false
+
+			return
+		}
+		if (name === "param" || name === "source" || name === "track") return this.#insertVoidElement(token)
+		if (name === "hr") {
+			this.#closePInButtonScope()
+			this.#insertVoidElement(token)
+			this.#framesetOk = false
+			return
+		}
+		if (name === "image") return this.#dispatch({ ...token, name: "img" })
+		if (name === "textarea") {
+			this.#insertElement(token)
+			this.#skipNewline = true
+			this.#tokenizer.state = "rcdata"
+			this.#originalMode = this.#mode
+			this.#framesetOk = false
+			this.#mode = "text"
+			return
+		}
+		if (name === "xmp") {
+			this.#closePInButtonScope()
+			this.#reconstructFormattingElements()
+			this.#framesetOk = false
+			this.#parseText(token, "rawtext")
+			return
+		}
+		if (name === "iframe") {
+			this.#framesetOk = false
+			this.#parseText(token, "rawtext")
+			return
+		}
+		if (name === "noembed") return this.#parseText(token, "rawtext")
+		if (name === "select") {
+			this.#reconstructFormattingElements()
+			this.#insertElement(token)
+			this.#framesetOk = false
+			this.#mode = ["in table", "in caption", "in table body", "in row", "in cell"].includes(this.#mode)
+				? "in select in table"
+				: "in select"
+			return
+		}
+		if (name === "optgroup" || name === "option") {
+			if (this.#is(this.#currentNode, "option")) this.#stack.pop()
+
+			this.#reconstructFormattingElements()
+			this.#insertElement(token)
+			return
+		}
+		if (name === "rb" || name === "rtc") {
+			if (this.#inScope("ruby")) this.#generateImpliedEndTags()
+
+			this.#insertElement(token)
+			return
+		}
+		if (name === "rp" || name === "rt") {
+			if (this.#inScope("ruby")) this.#generateImpliedEndTags("rtc")
+
+			this.#insertElement(token)
+			return
+		}
+		if (name === "math" || name === "svg") {
+			this.#reconstructFormattingElements()
+			this.#insertForeignElement(token, name === "math" ? MATHML_NAMESPACE : SVG_NAMESPACE)
+			return
+		}
+		if (TABLE_STRUCTURE.includes(name) || name === "frame" || name === "head") return
+
+		this.#reconstructFormattingElements()
+		this.#insertElement(token)
+	}
+
+	#inBodyEndTag(token) {
+		const name = token.name
+
+		if (name === "template") return this.#process(token, "in head")
+		if (name === "body" || name === "html") {
+			if (!this.#inScope("body")) return
+
+			this.#mode = "after body"
+
+			if (name === "html") this.#dispatch(token)
+
+			return
+		}
+		if (CLOSES_BLOCK[name]) {
+			if (!this.#inScope(name)) return
+
+			this.#generateImpliedEndTags()
+			this.#popUntil(name)
+			return
+		}
+		if (name === "form") {
+			if (this.#lastIndexOf("template") === -1) {
+				const form = this.#form
+
+				this.#form = undefined
+
+				if (!form || !this.#inScope(form)) return
+
+				this.#generateImpliedEndTags()
+				this.#stack.splice(this.#stack.indexOf(form), 1)
+				return
+			}
+			if (!this.#inScope("form")) return
+
+			this.#generateImpliedEndTags()
+			this.#popUntil("form")
+			return
+		}
+		if (name === "p") {
+			if (!this.#inScope("p", "button")) this.#insertElement(startTag("p"))
+
+			this.#closeP()
+			return
+		}
+		if (name === "li" || name === "dd" || name === "dt") {
+			if (!this.#inScope(name, name === "li" ? "list item" : "default")) return
+
+			this.#generateImpliedEndTags(name)
+			this.#popUntil(name)
+			return
+		}
+		if (HEADINGS.includes(name)) {
+			if (!this.#inScope(HEADINGS)) return
+
+			this.#generateImpliedEndTags()
+			this.#popUntil(...HEADINGS)
+			return
+		}
+		if (FORMATTING_ELEMENTS[name]) return this.#adoptionAgency(token)
+		if (name === "applet" || name === "marquee" || name === "object") {
+			if (!this.#inScope(name)) return
+
+			this.#generateImpliedEndTags()
+			this.#popUntil(name)
+			this.#clearFormattingToMarker()
+			return
+		}
+		if (name === "br") return this.#inBodyStartTag(startTag("br"))
+
+		this.#anyOtherEndTag(token)
+	}
+
+	#text(token) {
+		if (token.type === "character") return this.#insertCharacters(token.data)
+
+		this.#stack.pop()
+		this.#mode = this.#originalMode
+
+		if (token.type === "eof") this.#dispatch(token)
+	}
+
+	#inTable(token) {
+		if (token.type === "character" && this.#is(this.#currentNode, "table", "template", ...TABLE_SECTIONS, "tr")) {
+			this.#pendingTableText = []
+			this.#originalMode = this.#mode
+			this.#mode = "in table text"
+			return this.#dispatch(token)
+		}
+		if (token.type === "comment") return this.#insertComment(token)
+		if (token.type === "doctype") return
+		if (token.type === "eof") return this.#process(token, "in body")
+
+		if (token.type === "startTag") {
+			switch (token.name) {
+				case "caption":
+					this.#clearStackBackTo("table")
+					this.#formatting.push(MARKER)
+					this.#insertElement(token)
+					this.#mode = "in caption"
+					return
+				case "colgroup":
+					this.#clearStackBackTo("table")
+					this.#insertElement(token)
+					this.#mode = "in column group"
+					return
+				case "col":
+					this.#clearStackBackTo("table")
+					this.#insertElement(startTag("colgroup"))
+					this.#mode = "in column group"
+					return this.#dispatch(token)
+				case "tbody":
+				case "tfoot":
+				case "thead":
+					this.#clearStackBackTo("table")
+					this.#insertElement(token)
+					this.#mode = "in table body"
+					return
+				case "td":
+				case "th":
+				case "tr":
+					this.#clearStackBackTo("table")
+					this.#insertElement(startTag("tbody"))
+					this.#mode = "in table body"
+					return this.#dispatch(token)
+				case "table":
+					if (!this.#inScope("table", "table")) return
+
+					this.#popUntil("table")
+					this.#resetInsertionMode()
+					return this.#dispatch(token)
+				case "style":
+				case "script":
+				case "template":
+					return this.#process(token, "in head")
+				case "input":
+					if (token.attributes.type?.toLowerCase() !== "hidden") break
+
+					return this.#insertVoidElement(token)
+				case "form":
+					if (this.#form || this.#lastIndexOf("template") !== -1) return
+
+					this.#form = this.#insertElement(token)
+					this.#stack.pop()
+					return
+			}
+		}
+
+		if (token.type === "endTag") {
+			switch (token.name) {
+				case "table":
+					if (!this.#inScope("table", "table")) return
+
+					this.#popUntil("table")
+					this.#resetInsertionMode()
+					return
+				case "template":
+					return this.#process(token, "in head")
+				case "body":
+				case "caption":
+				case "col":
+				case "colgroup":
+				case "html":
+				case "tbody":
+				case "td":
+				case "tfoot":
+				case "th":
+				case "thead":
+				case "tr":
+					return
+			}
+		}
+
+		// Anything else ends up before the table, through foster parenting
+		this.#fosterParenting = true
+		this.#process(token, "in body")
+		this.#fosterParenting = false
+	}
+
+	#inTableText(token) {
+		if (token.type === "character") {
+			const data = token.data.replace(/\0/g, "")
+
+			if (data.length) this.#pendingTableText.push(data)
+
+			return
+		}
+
+		const text = this.#pendingTableText.join("")
+
+		this.#pendingTableText = []
+
+		if (NON_WHITESPACE.test(text)) {
+			this.#fosterParenting = true
+			this.#process({ type: "character", data: text }, "in body")
+			this.#fosterParenting = false
+		} else if (text.length) {
+			this.#insertCharacters(text)
+		}
+
+		this.#mode = this.#originalMode
+		this.#dispatch(token)
+	}
+
+	#closeCaption() {
+		if (!this.#inScope("caption", "table")) return false
+
+		this.#generateImpliedEndTags()
+		this.#popUntil("caption")
+		this.#clearFormattingToMarker()
+		this.#mode = "in table"
+
+		return true
+	}
+
+	#inCaption(token) {
+		if (token.type === "endTag" && token.name === "caption") return void this.#closeCaption()
+		if (
+			(token.type === "startTag" && TABLE_STRUCTURE.includes(token.name)) ||
+			(token.type === "endTag" && token.name === "table")
+		) {
+			if (this.#closeCaption()) this.#dispatch(token)
+
+			return
+		}
+		if (
+			token.type === "endTag" &&
+			["body", "col", "colgroup", "html", "tbody", "td", "tfoot", "th", "thead", "tr"].includes(token.name)
+		)
+			return
+
+		this.#process(token, "in body")
+	}
+
+	#inColumnGroup(token) {
+		if (token.type === "character" && !(token = this.#splitWhitespace(token, ws => this.#insertCharacters(ws)))) return
+		if (token.type === "comment") return this.#insertComment(token)
+		if (token.type === "doctype") return
+		if (token.type === "startTag" && token.name === "html") return this.#process(token, "in body")
+		if (token.type === "startTag" && token.name === "col") return this.#insertVoidElement(token)
+		if (token.type === "endTag" && token.name === "colgroup") {
+			if (!this.#is(this.#currentNode, "colgroup")) return
+
+			this.#stack.pop()
+			this.#mode = "in table"
+			return
+		}
+		if (token.type === "endTag" && token.name === "col") return
+		if (token.name === "template") return this.#process(token, "in head")
+		if (token.type === "eof") return this.#process(token, "in body")
+		if (!this.#is(this.#currentNode, "colgroup")) return
+
+		this.#stack.pop()
+		this.#mode = "in table"
+		this.#dispatch(token)
+	}
+
+	#inTableBody(token) {
+		if (token.type === "startTag" && token.name === "tr") {
+			this.#clearStackBackTo(...TABLE_SECTIONS)
+			this.#insertElement(token)
+			this.#mode = "in row"
+			return
+		}
+		if (token.type === "startTag" && (token.name === "th" || token.name === "td")) {
+			this.#clearStackBackTo(...TABLE_SECTIONS)
+			this.#insertElement(startTag("tr"))
+			this.#mode = "in row"
+			return this.#dispatch(token)
+		}
+		if (token.type === "endTag" && TABLE_SECTIONS.includes(token.name)) {
+			if (!this.#inScope(token.name, "table")) return
+
+			this.#clearStackBackTo(...TABLE_SECTIONS)
+			this.#stack.pop()
+			this.#mode = "in table"
+			return
+		}
+		if (
+			(token.type === "startTag" && ["caption", "col", "colgroup", ...TABLE_SECTIONS].includes(token.name)) ||
+			(token.type === "endTag" && token.name === "table")
+		) {
+			if (!this.#inScope(TABLE_SECTIONS, "table")) return
+
+			this.#clearStackBackTo(...TABLE_SECTIONS)
+			this.#stack.pop()
+			this.#mode = "in table"
+			return this.#dispatch(token)
+		}
+		if (
+			token.type === "endTag" &&
+			["body", "caption", "col", "colgroup", "html", "td", "th", "tr"].includes(token.name)
+		)
+			return
+
+		this.#process(token, "in table")
+	}
+
+	#closeRow() {
+		if (!this.#inScope("tr", "table")) return false
+
+		this.#clearStackBackTo("tr")
+		this.#stack.pop()
+		this.#mode = "in table body"
+
+		return true
+	}
+
+	#inRow(token) {
+		if (token.type === "startTag" && (token.name === "th" || token.name === "td")) {
+			this.#clearStackBackTo("tr")
+			this.#insertElement(token)
+			this.#mode = "in cell"
+			this.#formatting.push(MARKER)
+			return
+		}
+		if (token.type === "endTag" && token.name === "tr") return void this.#closeRow()
+		if (
+			(token.type === "startTag" && ["caption", "col", "colgroup", ...TABLE_SECTIONS, "tr"].includes(token.name)) ||
+			(token.type === "endTag" && token.name === "table")
+		) {
+			if (this.#closeRow()) this.#dispatch(token)
+
+			return
+		}
+		if (token.type === "endTag" && TABLE_SECTIONS.includes(token.name)) {
+			if (!this.#inScope(token.name, "table")) return
+			if (this.#closeRow()) this.#dispatch(token)
+
+			return
+		}
+		if (token.type === "endTag" && ["body", "caption", "col", "colgroup", "html", "td", "th"].includes(token.name))
+			return
+
+		this.#process(token, "in table")
+	}
+
+	#closeCell() {
+		this.#generateImpliedEndTags()
+		this.#popUntil("td", "th")
+		this.#clearFormattingToMarker()
+		this.#mode = "in row"
+	}
+
+	#inCell(token) {
+		if (token.type === "endTag" && (token.name === "td" || token.name === "th")) {
+			if (!this.#inScope(token.name, "table")) return
+
+			this.#generateImpliedEndTags()
+			this.#popUntil(token.name)
+			this.#clearFormattingToMarker()
+			this.#mode = "in row"
+			return
+		}
+		if (token.type === "startTag" && TABLE_STRUCTURE.includes(token.name)) {
+			if (!this.#inScope(["td", "th"], "table")) return
+
+			this.#closeCell()
+			return this.#dispatch(token)
+		}
+		if (token.type === "endTag" && ["body", "caption", "col", "colgroup", "html"].includes(token.name)) return
+		if (token.type === "endTag" && ["table", ...TABLE_SECTIONS, "tr"].includes(token.name)) {
+			if (!this.#inScope(token.name, "table")) return
+
+			this.#closeCell()
+			return this.#dispatch(token)
+		}
+
+		this.#process(token, "in body")
+	}
+
+	#inSelect(token) {
+		switch (token.type) {
+			case "character": {
+				const data = token.data.replace(/\0/g, "")
+
+				if (data.length) this.#insertCharacters(data)
+
+				return
+			}
+			case "comment":
+				return this.#insertComment(token)
+			case "eof":
+				return this.#process(token, "in body")
+			case "startTag":
+				switch (token.name) {
+					case "html":
+						return this.#process(token, "in body")
+					case "option":
+						if (this.#is(this.#currentNode, "option")) this.#stack.pop()
+
+						this.#insertElement(token)
+						return
+					case "optgroup":
+						if (this.#is(this.#currentNode, "option")) this.#stack.pop()
+						if (this.#is(this.#currentNode, "optgroup")) this.#stack.pop()
+
+						this.#insertElement(token)
+						return
+					case "hr":
+						if (this.#is(this.#currentNode, "option")) this.#stack.pop()
+						if (this.#is(this.#currentNode, "optgroup")) this.#stack.pop()
+
+						this.#insertVoidElement(token)
+						return
+					case "select":
+						if (!this.#inScope("select", "select")) return
+
+						this.#popUntil("select")
+						this.#resetInsertionMode()
+						return
+					case "input":
+					case "keygen":
+					case "textarea":
+						if (!this.#inScope("select", "select")) return
+
+						this.#popUntil("select")
+						this.#resetInsertionMode()
+						return this.#dispatch(token)
+					case "script":
+					case "template":
+						return this.#process(token, "in head")
+				}
+
+				return
+			case "endTag":
+				switch (token.name) {
+					case "optgroup":
+						if (this.#is(this.#currentNode, "option") && this.#is(this.#stack[this.#stack.length - 2], "optgroup"))
+							this.#stack.pop()
+						if (this.#is(this.#currentNode, "optgroup")) this.#stack.pop()
+
+						return
+					case "option":
+						if (this.#is(this.#currentNode, "option")) this.#stack.pop()
+
+						return
+					case "select":
+						if (!this.#inScope("select", "select")) return
+
+						this.#popUntil("select")
+						this.#resetInsertionMode()
+						return
+					case "template":
+						return this.#process(token, "in head")
+				}
+		}
+	}
+
+	#inSelectInTable(token) {
+		const names = ["caption", "table", ...TABLE_SECTIONS, "tr", "td", "th"]
+
+		if (token.type === "startTag" && names.includes(token.name)) {
+			this.#popUntil("select")
+			this.#resetInsertionMode()
+			return this.#dispatch(token)
+		}
+		if (token.type === "endTag" && names.includes(token.name)) {
+			if (!this.#inScope(token.name, "table")) return
+
+			this.#popUntil("select")
+			this.#resetInsertionMode()
+			return this.#dispatch(token)
+		}
+
+		this.#process(token, "in select")
+	}
+
+	#inTemplate(token) {
+		if (token.type === "character" || token.type === "comment" || token.type === "doctype")
+			return this.#process(token, "in body")
+		if (
+			(token.type === "startTag" && HEAD_ELEMENTS[token.name]) ||
+			(token.type === "endTag" && token.name === "template")
+		)
+			return this.#process(token, "in head")
+
+		if (token.type === "startTag") {
+			const mode = ["caption", "colgroup", ...TABLE_SECTIONS].includes(token.name)
+				? "in table"
+				: token.name === "col"
+				? "in column group"
+				: token.name === "tr"
+				? "in table body"
+				: token.name === "td" || token.name === "th"
+				? "in row"
+				: "in body"
+
+			this.#templateModes.pop()
+			this.#templateModes.push(mode)
+			this.#mode = mode
+			return this.#dispatch(token)
+		}
+		if (token.type === "endTag") return
+		if (this.#lastIndexOf("template") === -1) return
+
+		this.#popUntil("template")
+		this.#clearFormattingToMarker()
+		this.#templateModes.pop()
+		this.#resetInsertionMode()
+		this.#dispatch(token)
+	}
+
+	#afterBody(token) {
+		if (token.type === "character" && !NON_WHITESPACE.test(token.data)) return this.#process(token, "in body")
+		if (token.type === "comment") return this.#insertComment(token, this.#stack[0])
+		if (token.type === "doctype" || token.type === "eof") return
+		if (token.type === "startTag" && token.name === "html") return this.#process(token, "in body")
+		if (token.type === "endTag" && token.name === "html") {
+			this.#mode = "after after body"
+			return
+		}
+
+		this.#mode = "in body"
+		this.#dispatch(token)
+	}
+
+	#inFrameset(token) {
+		if (token.type === "character") {
+			const whitespace = token.data.replace(/[^\t\n\f\r ]/g, "")
+
+			if (whitespace.length) this.#insertCharacters(whitespace)
+
+			return
+		}
+		if (token.type === "comment") return this.#insertComment(token)
+		if (token.type === "startTag") {
+			if (token.name === "html") return this.#process(token, "in body")
+			if (token.name === "frameset") return void this.#insertElement(token)
+			if (token.name === "frame") return this.#insertVoidElement(token)
+			if (token.name === "noframes") return this.#process(token, "in head")
+		}
+		if (token.type === "endTag" && token.name === "frameset") {
+			if (this.#is(this.#currentNode, "html")) return
+
+			this.#stack.pop()
+
+			if (!this.#is(this.#currentNode, "frameset")) this.#mode = "after frameset"
+		}
+	}
+
+	#afterFrameset(token) {
+		if (token.type === "character") {
+			const whitespace = token.data.replace(/[^\t\n\f\r ]/g, "")
+
+			if (whitespace.length) this.#insertCharacters(whitespace)
+
+			return
+		}
+		if (token.type === "comment") return this.#insertComment(token)
+		if (token.type === "startTag" && token.name === "html") return this.#process(token, "in body")
+		if (token.type === "startTag" && token.name === "noframes") return this.#process(token, "in head")
+		if (token.type === "endTag" && token.name === "html") this.#mode = "after after frameset"
+	}
+
+	#afterAfterBody(token) {
+		if (token.type === "comment") return this.#insertComment(token, this.#document)
+		if (
+			token.type === "doctype" ||
+			(token.type === "character" && !NON_WHITESPACE.test(token.data)) ||
+			(token.type === "startTag" && token.name === "html")
+		)
+			return this.#process(token, "in body")
+		if (token.type === "eof") return
+
+		this.#mode = "in body"
+		this.#dispatch(token)
+	}
+
+	#afterAfterFrameset(token) {
+		if (token.type === "comment") return this.#insertComment(token, this.#document)
+		if (
+			token.type === "doctype" ||
+			(token.type === "character" && !NON_WHITESPACE.test(token.data)) ||
+			(token.type === "startTag" && token.name === "html")
+		)
+			return this.#process(token, "in body")
+		if (token.type === "startTag" && token.name === "noframes") return this.#process(token, "in head")
+	}
+
+	#inForeignContent(token) {
+		if (token.type === "character") {
+			const data = token.data.replace(/\0/g, "\uFFFD")
+
+			this.#insertCharacters(data)
+
+			if (NON_WHITESPACE.test(data)) this.#framesetOk = false
+
+			return
+		}
+		if (token.type === "comment") return this.#insertComment(token)
+		if (token.type === "doctype") return
+
+		if (token.type === "startTag") {
+			if (
+				FOREIGN_BREAKOUT_ELEMENTS[token.name] ||
+				(token.name === "font" && ["color", "face", "size"].some(name => Object.hasOwn(token.attributes, name)))
+			) {
+				while (
+					!this.#isHTML(this.#currentNode) &&
+					!this.#isMathMLTextIntegrationPoint(this.#currentNode) &&
+					!this.#isHTMLIntegrationPoint(this.#currentNode)
+				)
+					this.#stack.pop()
+
+				return this.#dispatch(token)
+			}
+
+			return this.#insertForeignElement(token, this.#namespaces.get(this.#currentNode))
+		}
+
+		// End tags close the nearest foreign element of the same name, or fall back to the insertion mode's rules
+		for (let i = this.#stack.length - 1; i > 0; i--) {
+			const node = this.#stack[i]
+
+			if (node.name.toLowerCase() === token.name) {
+				this.#stack.length = i
+				return
+			}
+			if (this.#isHTML(this.#stack[i - 1])) return this.#process(token)
+		}
+	}
+}
+
+/**
+ * Parses the given string as an HTML document, following the WHATWG parsing rules (with scripting disabled).
+ *
+ * @note As in browsers, missing `html`, `head`, and `body` elements are implied, unclosed elements are closed where
+ * the rules say they are, and character references are decoded. Elements from the void element list (and
+ * self-closing SVG and MathML elements) become VoidElement Nodes, and the contents of `script`, `style`, `textarea`,
+ * and `title` elements are read as text. The Document Node's DoctypeDeclaration is the document's own, or
+ * `<!DOCTYPE html>` if it doesn't have one.
+ * @param {string} html
+ * @return {Node} The Document Node
+ */
+export default function parseHTML(html) {
+	if (typeof html !== "string") throw new TypeError(`Expected html to be a string, instead got ${typeof html}`)
+
+	// Newlines are normalized before tokenizing, as the input stream preprocessing rules require
+	return new TreeBuilder(html.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n")).run()
+}
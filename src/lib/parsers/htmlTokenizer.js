@@ -0,0 +1,473 @@
+import NAMED_CHARACTER_REFERENCES from "./htmlEntities.js"
+
+const WHITESPACE = /[\t\n\f ]/
+const ASCII_ALPHA = /[A-Za-z]/
+const ASCII_ALPHANUMERIC = /[A-Za-z0-9]/
+const LONGEST_NAMED_REFERENCE = Math.max(...Object.keys(NAMED_CHARACTER_REFERENCES).map(name => name.length))
+
+// Numeric references to C1 controls are read as the windows-1252 characters that occupy those code points
+const WINDOWS_1252 = {
+	0x80: 0x20ac,
+	0x82: 0x201a,
+	0x83: 0x0192,
+	0x84: 0x201e,
+	0x85: 0x2026,
+	0x86: 0x2020,
+	0x87: 0x2021,
+	0x88: 0x02c6,
+	0x89: 0x2030,
+	0x8a: 0x0160,
+	0x8b: 0x2039,
+	0x8c: 0x0152,
+	0x8e: 0x017d,
+	0x91: 0x2018,
+	0x92: 0x2019,
+	0x93: 0x201c,
+	0x94: 0x201d,
+	0x95: 0x2022,
+	0x96: 0x2013,
+	0x97: 0x2014,
+	0x98: 0x02dc,
+	0x99: 0x2122,
+	0x9a: 0x0161,
+	0x9b: 0x203a,
+	0x9c: 0x0153,
+	0x9e: 0x017e,
+	0x9f: 0x0178
+}
+
+const replaceNull = text => text.replace(/\0/g, "\uFFFD")
+
+const readNumericReference = (input, pos) => {
+	const hex = input[pos + 2] === "x" || input[pos + 2] === "X"
+	const digits = hex ? /[0-9A-Fa-f]/ : /[0-9]/
+	const start = pos + (hex ? 3 : 2)
+	let end = start
+
+	while (end < input.length && digits.test(input[end])) end++
+
+	if (end === start) return undefined
+
+	let code = parseInt(input.slice(start, end), hex ? 16 : 10)
+
+	if (input[end] === ";") end++
+	if (code === 0 || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) code = 0xfffd
+	else if (WINDOWS_1252[code]) code = WINDOWS_1252[code]
+
+	return { value: String.fromCodePoint(code), end }
+}
+
+const readNamedReference = (input, pos, inAttribute) => {
+	let end = pos + 1
+
+	while (end < input.length && end - pos <= LONGEST_NAMED_REFERENCE && ASCII_ALPHANUMERIC.test(input[end])) end++
+
+	if (input[end] === ";") end++
+
+	// The longest name that matches wins, e.g. "&notit;" is read as "&not" followed by "it;"
+	for (let length = end - pos - 1; length > 0; length--) {
+		const name = input.slice(pos + 1, pos + 1 + length)
+		const value = Object.hasOwn(NAMED_CHARACTER_REFERENCES, name) ? NAMED_CHARACTER_REFERENCES[name] : undefined
+
+		if (value === undefined) continue
+
+		const next = input[pos + 1 + length]
+
+		// Within attribute values, legacy references followed by "=" or an alphanumeric are left as they are
+		if (inAttribute && !name.endsWith(";") && next !== undefined && (next === "=" || ASCII_ALPHANUMERIC.test(next)))
+			return undefined
+
+		return { value, end: pos + 1 + length }
+	}
+
+	return undefined
+}
+
+/**
+ * Decodes the character references within the given text.
+ *
+ * @param {string} text
+ * @param {boolean} [inAttribute] Whether the text is an attribute value (default: `false`)
+ * @return {string}
+ */
+export const decodeCharacterReferences = (text, inAttribute = false) => {
+	let result = ""
+	let last = 0
+
+	for (let i = text.indexOf("&"); i !== -1; i = text.indexOf("&", i)) {
+		const reference = text[i + 1] === "#" ? readNumericReference(text, i) : readNamedReference(text, i, inAttribute)
+
+		if (!reference) {
+			i++
+			continue
+		}
+
+		result = `${result}${text.slice(last, i)}${reference.value}`
+		last = i = reference.end
+	}
+
+	return `${result}${text.slice(last)}`
+}
+
+/**
+ * Splits HTML into tokens following the WHATWG tokenization rules. The tree builder switches `state` to change how
+ * the text after a start tag is read.
+ *
+ * @ignore
+ */
+export default class HTMLTokenizer {
+	#input
+	#pos = 0
+
+	/**
+	 * How the text at the current position is read.
+	 *
+	 * @type {"data"|"rcdata"|"rawtext"|"plaintext"}
+	 */
+	state = "data"
+
+	/**
+	 * Whether `<![CDATA[` begins a CDATA section, which is only the case within foreign (SVG and MathML) content.
+	 *
+	 * @type {boolean}
+	 */
+	allowCDATA = false
+
+	/**
+	 * The name of the last start tag emitted, which is the only end tag that ends RCDATA and raw text.
+	 *
+	 * @type {string|undefined}
+	 */
+	lastStartTagName
+
+	/**
+	 * @param {string} input The preprocessed input, with its newlines normalized
+	 */
+	constructor(input) {
+		this.#input = input
+	}
+
+	/**
+	 * Reads the next token.
+	 *
+	 * @return {object}
+	 */
+	next() {
+		const input = this.#input
+
+		if (this.#pos >= input.length) return { type: "eof" }
+
+		if (this.state === "plaintext") {
+			const data = input.slice(this.#pos)
+
+			this.#pos = input.length
+
+			return { type: "character", data: replaceNull(data) }
+		}
+
+		if (this.state === "rcdata" || this.state === "rawtext") {
+			const end = this.#findAppropriateEndTag()
+			const data = input.slice(this.#pos, end)
+
+			if (end === this.#pos) {
+				this.state = "data"
+
+				return this.#readTag()
+			}
+
+			this.#pos = end
+
+			return {
+				type: "character",
+				data: replaceNull(this.state === "rcdata" ? decodeCharacterReferences(data) : data)
+			}
+		}
+
+		if (input[this.#pos] === "<") {
+			const token = this.#readMarkup()
+
+			if (token) return token
+		}
+
+		let end = input.indexOf("<", this.#pos + 1)
+
+		if (end === -1) end = input.length
+
+		const data = input.slice(this.#pos, end)
+
+		this.#pos = end
+
+		return { type: "character", data: decodeCharacterReferences(data) }
+	}
+
+	#findAppropriateEndTag() {
+		const input = this.#input
+		const name = this.lastStartTagName ?? ""
+		let pos = this.#pos
+
+		while (true) {
+			pos = input.indexOf("</", pos)
+
+			if (pos === -1) return input.length
+
+			const after = input[pos + 2 + name.length]
+
+			if (
+				input.slice(pos + 2, pos + 2 + name.length).toLowerCase() === name &&
+				(after === "/" || after === ">" || (after !== undefined && WHITESPACE.test(after)))
+			)
+				return pos
+
+			pos += 2
+		}
+	}
+
+	/**
+	 * Reads the markup starting at a "<", or returns undefined if the "<" is just text.
+	 */
+	#readMarkup() {
+		const input = this.#input
+		const next = input[this.#pos + 1]
+
+		if (next === "!") {
+			if (input.startsWith("<!--", this.#pos)) return this.#readComment()
+			if (input.slice(this.#pos + 2, this.#pos + 9).toUpperCase() === "DOCTYPE") return this.#readDoctype()
+			if (this.allowCDATA && input.startsWith("<![CDATA[", this.#pos)) {
+				let end = input.indexOf("]]>", this.#pos + 9)
+
+				if (end === -1) end = input.length
+
+				const data = input.slice(this.#pos + 9, end)
+
+				this.#pos = Math.min(end + 3, input.length)
+
+				return data.length ? { type: "character", data } : this.next()
+			}
+
+			return this.#readBogusComment(this.#pos + 2)
+		}
+
+		if (next === "/") {
+			const after = input[this.#pos + 2]
+
+			if (after === undefined) return undefined
+			if (after === ">") {
+				this.#pos += 3
+
+				return this.next()
+			}
+			if (!ASCII_ALPHA.test(after)) return this.#readBogusComment(this.#pos + 2)
+
+			return this.#readTag()
+		}
+
+		if (next === "?") return this.#readBogusComment(this.#pos + 1)
+		if (next !== undefined && ASCII_ALPHA.test(next)) return this.#readTag()
+
+		return undefined
+	}
+
+	#readBogusComment(start) {
+		let end = this.#input.indexOf(">", start)
+
+		if (end === -1) end = this.#input.length
+
+		this.#pos = end + 1
+
+		return { type: "comment", data: replaceNull(this.#input.slice(start, end)) }
+	}
+
+	#readComment() {
+		const input = this.#input
+		const start = this.#pos + 4
+
+		// "<!-->" and "<!--->" are (malformed) empty comments
+		if (input[start] === ">" || input.startsWith("->", start)) {
+			this.#pos = input.indexOf(">", start) + 1
+
+			return { type: "comment", data: "" }
+		}
+
+		let end = start
+		let length = 3
+
+		while (true) {
+			end = input.indexOf("--", end)
+
+			if (end === -1) {
+				end = input.length
+				length = 0
+				break
+			}
+			if (input[end + 2] === ">") break
+			if (input.startsWith("!>", end + 2)) {
+				length = 4
+				break
+			}
+
+			end++
+		}
+
+		this.#pos = Math.min(end + length, input.length)
+
+		return { type: "comment", data: replaceNull(input.slice(start, end)) }
+	}
+
+	#skipWhitespace() {
+		while (this.#pos < this.#input.length && WHITESPACE.test(this.#input[this.#pos])) this.#pos++
+	}
+
+	#readDoctype() {
+		const input = this.#input
+		const token = { type: "doctype", name: undefined, publicId: undefined, systemId: undefined, forceQuirks: false }
+		const readIdentifier = () => {
+			this.#skipWhitespace()
+
+			const quote = input[this.#pos]
+
+			if (quote !== '"' && quote !== "'") return undefined
+
+			const start = this.#pos + 1
+			let end = start
+
+			while (end < input.length && input[end] !== quote && input[end] !== ">") end++
+
+			if (input[end] !== quote) token.forceQuirks = true
+
+			this.#pos = input[end] === quote ? end + 1 : end
+
+			return replaceNull(input.slice(start, end))
+		}
+
+		this.#pos += 9
+		this.#skipWhitespace()
+
+		let end = this.#pos
+
+		while (end < input.length && !WHITESPACE.test(input[end]) && input[end] !== ">") end++
+
+		if (end > this.#pos) token.name = replaceNull(input.slice(this.#pos, end).toLowerCase())
+
+		this.#pos = end
+		this.#skipWhitespace()
+
+		const keyword = input.slice(this.#pos, this.#pos + 6).toUpperCase()
+
+		if (keyword === "PUBLIC" || keyword === "SYSTEM") {
+			this.#pos += 6
+
+			if (keyword === "PUBLIC") {
+				token.publicId = readIdentifier()
+
+				if (token.publicId === undefined) token.forceQuirks = true
+			}
+
+			token.systemId = readIdentifier()
+
+			if (keyword === "SYSTEM" && token.systemId === undefined) token.forceQuirks = true
+		} else if (this.#pos < input.length && input[this.#pos] !== ">") {
+			token.forceQuirks = true
+		}
+
+		end = input.indexOf(">", this.#pos)
+
+		if (end === -1) {
+			token.forceQuirks = true
+			end = input.length
+		}
+		if (!token.name) token.forceQuirks = true
+
+		this.#pos = end + 1
+
+		return token
+	}
+
+	#readTag() {
+		const input = this.#input
+		const isEndTag = input[this.#pos + 1] === "/"
+		const token = { type: isEndTag ? "endTag" : "startTag", name: "", attributes: {}, selfClosing: false }
+		let end = this.#pos + (isEndTag ? 2 : 1)
+
+		while (end < input.length && !WHITESPACE.test(input[end]) && input[end] !== "/" && input[end] !== ">") end++
+
+		token.name = replaceNull(input.slice(this.#pos + (isEndTag ? 2 : 1), end).toLowerCase())
+		this.#pos = end
+
+		while (true) {
+			this.#skipWhitespace()
+
+			// A tag cut off by the end of the input is dropped
+			if (this.#pos >= input.length) return { type: "eof" }
+
+			const char = input[this.#pos]
+
+			if (char === ">") {
+				this.#pos++
+				break
+			}
+			if (char === "/") {
+				this.#pos++
+
+				if (input[this.#pos] === ">") {
+					token.selfClosing = true
+					this.#pos++
+					break
+				}
+
+				continue
+			}
+
+			// An attribute name can begin with "=", but is otherwise ended by it
+			end = this.#pos + 1
+
+			while (end < input.length && !WHITESPACE.test(input[end]) && !"/>=".includes(input[end])) end++
+
+			const name = replaceNull(input.slice(this.#pos, end).toLowerCase())
+			let value = ""
+
+			this.#pos = end
+			this.#skipWhitespace()
+
+			if (input[this.#pos] === "=") {
+				this.#pos++
+				this.#skipWhitespace()
+
+				const quote = input[this.#pos]
+
+				if (quote === '"' || quote === "'") {
+					end = input.indexOf(quote, this.#pos + 1)
+
+					if (end === -1) {
+						this.#pos = input.length
+
+						return { type: "eof" }
+					}
+
+					value = input.slice(this.#pos + 1, end)
+					this.#pos = end + 1
+				} else {
+					end = this.#pos
+
+					while (end < input.length && !WHITESPACE.test(input[end]) && input[end] !== ">") end++
+
+					value = input.slice(this.#pos, end)
+					this.#pos = end
+				}
+
+				value = replaceNull(decodeCharacterReferences(value, true))
+			}
+
+			// Only the first of several attributes sharing a name is kept
+			if (!Object.hasOwn(token.attributes, name)) token.attributes[name] = value
+		}
+
+		if (isEndTag) {
+			delete token.attributes
+			delete token.selfClosing
+		} else {
+			this.lastStartTagName = token.name
+		}
+
+		return token
+	}
+}
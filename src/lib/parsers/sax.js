@@ -0,0 +1,434 @@
+import { toHashTable } from "alltheutils"
+import Node from "../node.js"
+import {
+	Document,
+	Element,
+	VoidElement,
+	CDATA,
+	ProcessingInstruction,
+	Text,
+	Comment,
+	EntityReference
+} from "../nodeTypes.js"
+import { parseSelector } from "../query/css.js"
+import Scanner, { NAME, normalizeLineEndings } from "./scanner.js"
+import { XMLReader } from "./xml.js"
+
+const EVENTS = [
+	"xmlDeclaration",
+	"doctype",
+	"openTag",
+	"closeTag",
+	"text",
+	"cdata",
+	"comment",
+	"processingInstruction",
+	"entityReference",
+	"end"
+]
+const IS_EVENT = toHashTable(EVENTS)
+const DELIMITED = [
+	["<!--", "-->"],
+	["<![CDATA[", "]]>"],
+	["<?", "?>"]
+]
+
+/**
+ * Finds the end of the tag or document type declaration that starts at the given offset, skipping over quoted values
+ * (and, in a document type declaration, over the internal subset).
+ *
+ * @return {number} The offset after the closing `>`, or -1 if the text ends first
+ */
+const findTagEnd = (text, pos, isDoctype) => {
+	let inSubset = false
+
+	for (let i = pos; i < text.length; i++) {
+		const char = text[i]
+
+		if (char === '"' || char === "'") {
+			i = text.indexOf(char, i + 1)
+		} else if (inSubset && text.startsWith("<!--", i)) {
+			i = text.indexOf("-->", i + 4)
+			if (i !== -1) i += 2
+		} else if (inSubset && text.startsWith("<?", i)) {
+			i = text.indexOf("?>", i + 2)
+			if (i !== -1) i += 1
+		} else if (isDoctype && char === "[") {
+			inSubset = true
+		} else if (char === "]") {
+			inSubset = false
+		} else if (char === ">" && !inSubset) {
+			return i + 1
+		}
+
+		if (i === -1) return -1
+	}
+
+	return -1
+}
+
+/**
+ * Finds the end of the markup that starts at the given offset.
+ *
+ * @return {number} The offset after the markup, or -1 if the text ends first
+ */
+const findMarkupEnd = (text, pos) => {
+	for (const [open, close] of DELIMITED) {
+		if (!text.startsWith(open, pos)) continue
+
+		const end = text.indexOf(close, pos + open.length)
+
+		return end === -1 ? -1 : end + close.length
+	}
+
+	if (text.startsWith("<!DOCTYPE", pos)) return findTagEnd(text, pos + 9, true)
+
+	const start = text.slice(pos, pos + 9)
+
+	// The text might end partway through one of the openers above
+	if (["<!--", "<![CDATA[", "<!DOCTYPE"].some(open => open.startsWith(start))) return -1
+
+	// Anything else starting with "<!" is malformed, which the reader reports as soon as it gets to it
+	if (start.startsWith("<!")) return text.length
+
+	return findTagEnd(text, pos + 1, false)
+}
+
+/**
+ * Finds how much of the given text can be read without waiting for more. Character data is only complete once the
+ * markup after it starts, so that it is reported in one piece.
+ */
+const findCompleteEnd = text => {
+	let end = 0
+	let pos = 0
+
+	while (pos < text.length) {
+		if (text[pos] !== "<") {
+			pos = text.indexOf("<", pos)
+
+			if (pos === -1) return end
+
+			end = pos
+		} else {
+			pos = findMarkupEnd(text, pos)
+
+			if (pos === -1) return end
+
+			end = pos
+		}
+	}
+
+	return end
+}
+
+/**
+ * Finds what the given unread text, as left by `findCompleteEnd`, needs to see before more of it can be read: the
+ * start of markup after character data, the delimiter that closes a comment, CDATA section, or processing
+ * instruction, or the `>` that may close a tag or document type declaration. Short text that might still become any of
+ * these waits for nothing, and is looked at again with every chunk.
+ */
+const findAwaited = text => {
+	if (!text.startsWith("<")) return "<"
+
+	for (const [open, close] of DELIMITED) {
+		if (text.startsWith(open)) return close
+	}
+
+	return text.length < 9 && text.startsWith("<!") ? "" : ">"
+}
+
+const toChunks = source => {
+	if (typeof source === "string" || source instanceof Uint8Array) return [source]
+	if (source && (typeof source[Symbol.asyncIterator] === "function" || typeof source[Symbol.iterator] === "function"))
+		return source
+
+	throw new TypeError(
+		`Expected source to be a string, a Uint8Array, or an iterable of chunks, instead got ${typeof source}`
+	)
+}
+
+const compilePath = path => {
+	if (typeof path !== "string") throw new TypeError(`Expected options.path to be a string, instead got ${typeof path}`)
+
+	const isAnchored = path.startsWith("/")
+	const steps = (isAnchored ? path.slice(1) : path).split("/")
+
+	for (const step of steps) {
+		if (step !== "*" && !NAME.test(step))
+			throw new SyntaxError(`Expected each step of the path to be an element name or "*", instead got "${step}"`)
+	}
+
+	return names => {
+		if (isAnchored ? names.length !== steps.length : names.length < steps.length) return false
+
+		const offset = names.length - steps.length
+
+		return steps.every((step, i) => step === "*" || step === names[offset + i])
+	}
+}
+
+/**
+ * A streaming XML parser which reads a document in chunks and emits events as it goes, without building a tree.
+ *
+ * @note The document is checked for well-formedness exactly as `parseXML` does, and a SyntaxError with `line` and
+ * `column` properties is thrown from `write` or `end` as soon as a problem is found.
+ * @note Character data is emitted in one piece between two pieces of markup, so a `text` event never splits text
+ * across chunks.
+ * @see `parseXML` for how references, attribute defaults, and the internal subset are handled.
+ */
+export default class SAXParser {
+	#listeners = new Map()
+	#reader
+	#buffer = []
+	#awaited = ""
+	#tail = ""
+	#held = ""
+	#decoder
+	#location = { line: 1, column: 1 }
+	#isStart = true
+	#isEnded = false
+
+	constructor() {
+		this.#reader = new XMLReader({
+			xmlDeclaration: declaration => this.#emit("xmlDeclaration", declaration),
+			doctype: declaration => this.#emit("doctype", declaration),
+			openTag: (name, attributes, isSelfClosing) => this.#emit("openTag", { name, attributes, isSelfClosing }),
+			closeTag: name => this.#emit("closeTag", { name }),
+			text: value => this.#emit("text", value),
+			cdata: value => this.#emit("cdata", value),
+			comment: value => this.#emit("comment", value),
+			processingInstruction: (name, value) => this.#emit("processingInstruction", { name, value }),
+			entityReference: name => this.#emit("entityReference", { name })
+		})
+	}
+
+	/**
+	 * Parses the given source as a stream of XML, yielding a Node for each element that matches the given path or
+	 * selector once its end tag has been read.
+	 *
+	 * Only the matching elements are built in full. Everything else is discarded as soon as it has been read, which
+	 * keeps memory use flat when processing record-oriented documents one record at a time.
+	 *
+	 * @note Elements nested within a match are part of that match's subtree and are not yielded separately.
+	 * @note Selectors are matched when an element's start tag is read, against the element's name and attributes and
+	 * its ancestors' names and attributes. Nothing else is available at that point, so pseudo-classes that depend on
+	 * siblings or content (such as `:first-child` or `:empty`) do not work as they would on a whole document.
+	 * @note The yielded Nodes have no parent.
+	 * @param {string|Uint8Array|Iterable|AsyncIterable} source The document, or its chunks (such as a Node.js Readable)
+	 * @param {object} options
+	 * @param {string} [options.path] Slash-separated element names, where `*` matches any name. Paths starting with
+	 * `/` start at the root element, e.g. `/feed/entry`, and others may start at any depth, e.g. `item` or `channel/*`
+	 * @param {string} [options.selector] A CSS selector list
+	 * @return {AsyncGenerator<Node>}
+	 * @throws {SyntaxError} If the document is not well-formed, or the path or selector is malformed
+	 */
+	static async *subtrees(source, options) {
+		if (Object.prototype.toString.call(options) !== "[object Object]")
+			throw new TypeError(`Expected options to be an object, instead got ${typeof options}`)
+		if ((options.path === undefined) === (options.selector === undefined))
+			throw new TypeError(`Expected options to have either a path or a selector`)
+
+		let isMatch
+
+		if (options.path !== undefined) {
+			const matchesPath = compilePath(options.path)
+
+			isMatch = (element, ancestors) => matchesPath([...ancestors.slice(1).map(a => a.name), element.name])
+		} else {
+			parseSelector(options.selector)
+			isMatch = element => element.matches(options.selector)
+		}
+
+		const parser = new SAXParser()
+		const ancestors = [new Node({ type: Document })]
+		const building = []
+		const matched = []
+		const append = (type, init) => {
+			if (building.length) building[building.length - 1].appendChild(new Node({ type, ...init }))
+		}
+
+		parser
+			.on("openTag", ({ name, attributes, isSelfClosing }) => {
+				const element = new Node({ type: isSelfClosing ? VoidElement : Element, name, attributes })
+
+				if (building.length) {
+					building[building.length - 1].appendChild(element)
+					building.push(element)
+					return
+				}
+
+				// Elements outside of a match are kept only while open, so that selectors can see their ancestors
+				ancestors[ancestors.length - 1].appendChild(element)
+
+				if (isMatch(element, ancestors)) building.push(element)
+				else ancestors.push(element)
+			})
+			.on("closeTag", () => {
+				if (!building.length) {
+					ancestors.pop().emancipate()
+					return
+				}
+
+				const element = building.pop()
+
+				if (!building.length) matched.push(element.emancipate())
+			})
+			.on("text", value => append(Text, { value }))
+			.on("cdata", value => append(CDATA, { value }))
+			.on("comment", value => append(Comment, { value }))
+			.on("processingInstruction", ({ name, value }) => append(ProcessingInstruction, { name, value }))
+			.on("entityReference", ({ name }) => append(EntityReference, { name }))
+
+		for await (const chunk of toChunks(source)) {
+			parser.write(chunk)
+
+			yield* matched.splice(0)
+		}
+
+		parser.end()
+
+		yield* matched.splice(0)
+	}
+
+	#emit(event, data) {
+		for (const listener of this.#listeners.get(event) ?? []) listener(data)
+	}
+
+	/**
+	 * Adds the given text to what is unread, and reads as much of it as is complete. The unread text is only joined up
+	 * and scanned again once the new text has what it is waiting for, so that text that spans many chunks (such as a
+	 * large text node) is scanned once rather than with every chunk.
+	 */
+	#read(string, isFinal) {
+		if (this.#isStart && string) {
+			this.#isStart = false
+			string = string.replace(/^\uFEFF/, "")
+		}
+
+		// A carriage return at the end of a chunk might be followed by a line feed in the next one
+		string = `${this.#held}${string}`
+		this.#held = !isFinal && string.endsWith("\r") ? "\r" : ""
+		string = normalizeLineEndings(this.#held ? string.slice(0, -1) : string)
+
+		// The awaited text may start in the chunks before
+		const tail = `${this.#tail}${string}`
+
+		this.#buffer.push(string)
+		this.#tail = tail.slice(Math.max(0, tail.length - this.#awaited.length + 1))
+
+		if (!isFinal && this.#awaited && !tail.includes(this.#awaited)) return
+
+		const text = this.#buffer.join("")
+		const end = isFinal ? text.length : findCompleteEnd(text)
+
+		if (end > 0) {
+			const scanner = new Scanner(text.slice(0, end), undefined, this.#location)
+
+			this.#reader.read(scanner)
+			this.#location = scanner.location(end)
+		}
+
+		this.#buffer = [text.slice(end)]
+		this.#awaited = findAwaited(this.#buffer[0])
+		this.#tail = this.#buffer[0].slice(Math.max(0, this.#buffer[0].length - this.#awaited.length + 1))
+	}
+
+	/**
+	 * Parses whatever is left of the document and checks that it is complete, then emits `end`.
+	 *
+	 * @return {SAXParser} The instance for chaining
+	 * @throws {SyntaxError} If the document is not well-formed or is incomplete
+	 */
+	end() {
+		if (this.#isEnded) throw new Error(`Cannot end a SAXParser that has already ended`)
+
+		this.#isEnded = true
+		this.#read(this.#decoder?.decode() ?? "", true)
+		this.#reader.finish(this.#location)
+		this.#emit("end")
+
+		return this
+	}
+
+	/**
+	 * Removes a listener added with `on`.
+	 *
+	 * @param {string} event
+	 * @param {function} listener
+	 * @return {SAXParser} The instance for chaining
+	 */
+	off(event, listener) {
+		const listeners = this.#listeners.get(event)
+		const index = listeners?.indexOf(listener) ?? -1
+
+		if (index !== -1) listeners.splice(index, 1)
+
+		return this
+	}
+
+	/**
+	 * Adds a listener for the given event.
+	 *
+	 * @note The events, and what their listeners are called with, are:
+	 * - `xmlDeclaration`: the XmlDeclaration
+	 * - `doctype`: the DoctypeDeclaration
+	 * - `openTag`: `{name, attributes, isSelfClosing}`
+	 * - `closeTag`: `{name}`, also emitted right after the `openTag` of self-closing tags
+	 * - `text`, `cdata`, `comment`: the string value
+	 * - `processingInstruction`: `{name, value}`
+	 * - `entityReference`: `{name}`, for references to entities that may be declared in an external subset that is not
+	 * read
+	 * - `end`: nothing, once the whole document has been read
+	 * @param {string} event
+	 * @param {function} listener
+	 * @return {SAXParser} The instance for chaining
+	 */
+	on(event, listener) {
+		if (!IS_EVENT[event])
+			throw new TypeError(`Expected event to be one of ${EVENTS.join(", ")}, instead got "${event}"`)
+		if (typeof listener !== "function")
+			throw new TypeError(`Expected listener to be a function, instead got ${typeof listener}`)
+
+		if (!this.#listeners.has(event)) this.#listeners.set(event, [])
+
+		this.#listeners.get(event).push(listener)
+
+		return this
+	}
+
+	/**
+	 * Writes every chunk of the given source, then ends the parser.
+	 *
+	 * @param {string|Uint8Array|Iterable|AsyncIterable} source The document, or its chunks (such as a Node.js Readable)
+	 * @return {Promise<SAXParser>} The instance, once the whole source has been parsed
+	 * @throws {SyntaxError} If the document is not well-formed
+	 */
+	async parse(source) {
+		for await (const chunk of toChunks(source)) this.write(chunk)
+
+		return this.end()
+	}
+
+	/**
+	 * Parses the next chunk of the document, emitting events for everything in it that is complete.
+	 *
+	 * @note Uint8Array chunks (including Node.js Buffers) are decoded as UTF-8, and may split characters.
+	 * @param {string|Uint8Array} chunk
+	 * @return {SAXParser} The instance for chaining
+	 * @throws {SyntaxError} If the document is not well-formed
+	 */
+	write(chunk) {
+		if (this.#isEnded) throw new Error(`Cannot write to a SAXParser that has ended`)
+
+		if (typeof chunk === "string") {
+			this.#read(chunk, false)
+		} else if (chunk instanceof Uint8Array) {
+			this.#decoder ??= new TextDecoder()
+			this.#read(this.#decoder.decode(chunk, { stream: true }), false)
+		} else {
+			throw new TypeError(`Expected chunk to be a string or a Uint8Array, instead got ${typeof chunk}`)
+		}
+
+		return this
+	}
+}
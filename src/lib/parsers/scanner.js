@@ -0,0 +1,309 @@
+const NAME_START =
+	":A-Z_a-z\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u02FF\\u0370-\\u037D\\u037F-\\u1FFF\\u200C-\\u200D\\u2070-\\u218F\\u2C00-\\u2FEF\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD\\u{10000}-\\u{EFFFF}"
+const NAME_CHAR = `${NAME_START}\\-.0-9\\u00B7\\u0300-\\u036F\\u203F-\\u2040`
+
+/**
+ * Matches an XML Name (XML 1.0, 5th edition).
+ */
+export const NAME = new RegExp(`^[${NAME_START}][${NAME_CHAR}]*$`, "u")
+
+/**
+ * Matches an XML Nmtoken.
+ */
+export const NMTOKEN = new RegExp(`^[${NAME_CHAR}]+$`, "u")
+
+/**
+ * Matches any character that is not an XML Char.
+ */
+export const INVALID_CHAR = /[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/u
+
+const NAME_AT = new RegExp(`[${NAME_START}][${NAME_CHAR}]*`, "uy")
+
+/**
+ * The entities every XML processor recognizes without a declaration.
+ */
+export const PREDEFINED_ENTITIES = { lt: "<", gt: ">", amp: "&", apos: "'", quot: '"' }
+
+const isWhitespace = char => char === " " || char === "\t" || char === "\n" || char === "\r"
+const codePointLabel = char => `U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, "0")}`
+
+/**
+ * Computes the 1-based line and column of the given offset within the given input.
+ *
+ * @param {string} input
+ * @param {number} offset
+ * @return {{line: number, column: number}}
+ */
+export const locate = (input, offset) => {
+	let line = 1
+	let lineStart = 0
+
+	for (let i = 0; i < offset && i < input.length; i++) {
+		if (input[i] === "\n") {
+			line++
+			lineStart = i + 1
+		}
+	}
+
+	return { line, column: offset - lineStart + 1 }
+}
+
+/**
+ * Normalizes the line endings of the given text (XML 1.0 section 2.11).
+ *
+ * @param {string} text
+ * @return {string}
+ */
+export const normalizeLineEndings = text => text.replace(/\r\n?/g, "\n")
+
+/**
+ * Creates a SyntaxError describing a problem at the given location.
+ *
+ * @param {string} message
+ * @param {{line: number, column: number}} location
+ * @return {SyntaxError}
+ */
+export const createSyntaxError = (message, { line, column }) => {
+	const error = new SyntaxError(`${message} at line ${line}, column ${column}`)
+
+	error.line = line
+	error.column = column
+
+	return error
+}
+
+/**
+ * A cursor over markup text that reports errors with their line and column.
+ *
+ * @note Scanners created for the replacement text of an entity report their errors at the location of the
+ * reference in the enclosing text. Scanners created for part of a larger input (such as a chunk of a stream) report
+ * their errors relative to where that part starts.
+ * @ignore
+ */
+export default class Scanner {
+	#input
+	#origin
+	#start
+	pos = 0
+
+	/**
+	 * @param {string} input
+	 * @param {object} [origin] Where the input came from, when it is the replacement text of an entity
+	 * @param {Scanner} origin.scanner The Scanner that contains the reference
+	 * @param {number} origin.pos The offset of the reference within that Scanner
+	 * @param {string} origin.description A description of the entity, e.g. `entity "&name;"`
+	 * @param {{line: number, column: number}} [start] Where the input starts within the whole document (default: line
+	 * 1, column 1)
+	 */
+	constructor(input, origin, start = { line: 1, column: 1 }) {
+		this.#input = input
+		this.#origin = origin
+		this.#start = start
+	}
+
+	/**
+	 * The text being scanned.
+	 *
+	 * @return {string}
+	 */
+	get input() {
+		return this.#input
+	}
+
+	/**
+	 * Whether the whole input has been consumed.
+	 *
+	 * @return {boolean}
+	 */
+	get done() {
+		return this.pos >= this.#input.length
+	}
+
+	/**
+	 * Computes the line and column of the given offset within the whole document.
+	 *
+	 * @param {number} [at] The offset (default: the current position)
+	 * @return {{line: number, column: number}}
+	 */
+	location(at = this.pos) {
+		if (this.#origin) return this.#origin.scanner.location(this.#origin.pos)
+
+		const { line, column } = locate(this.#input, at)
+
+		return line === 1
+			? { line: this.#start.line, column: this.#start.column + column - 1 }
+			: { line: this.#start.line + line - 1, column }
+	}
+
+	/**
+	 * Creates a SyntaxError describing a problem at the given offset.
+	 *
+	 * @param {string} message
+	 * @param {number} [at] The offset of the problem (default: the current position)
+	 * @return {SyntaxError}
+	 */
+	error(message, at = this.pos) {
+		if (this.#origin)
+			return this.#origin.scanner.error(
+				`${message} (in the replacement text of ${this.#origin.description})`,
+				this.#origin.pos
+			)
+
+		return createSyntaxError(message, this.location(at))
+	}
+
+	/**
+	 * Creates a SyntaxError stating what was expected at the current position and what was found instead.
+	 *
+	 * @param {string} expected
+	 * @return {SyntaxError}
+	 */
+	unexpected(expected) {
+		return this.error(`Expected ${expected}, instead found ${this.describe()}`)
+	}
+
+	/**
+	 * Describes the character at the current position for error messages.
+	 *
+	 * @return {string}
+	 */
+	describe() {
+		if (this.done) return "the end of the input"
+
+		const char = String.fromCodePoint(this.#input.codePointAt(this.pos))
+
+		return isWhitespace(char) || INVALID_CHAR.test(char) ? codePointLabel(char) : `"${char}"`
+	}
+
+	peek(offset = 0) {
+		return this.#input[this.pos + offset]
+	}
+
+	startsWith(str) {
+		return this.#input.startsWith(str, this.pos)
+	}
+
+	/**
+	 * Consumes the given string if the input continues with it.
+	 *
+	 * @param {string} str
+	 * @return {boolean} Whether the string was consumed
+	 */
+	consume(str) {
+		if (!this.startsWith(str)) return false
+
+		this.pos += str.length
+
+		return true
+	}
+
+	/**
+	 * Consumes the given string, throwing if the input does not continue with it.
+	 *
+	 * @param {string} str
+	 * @param {string} [expected] How to describe the string in the error message
+	 * @return {void}
+	 */
+	expect(str, expected = `"${str}"`) {
+		if (!this.consume(str)) throw this.unexpected(expected)
+	}
+
+	/**
+	 * Skips any whitespace at the current position.
+	 *
+	 * @return {boolean} Whether any whitespace was skipped
+	 */
+	skipWhitespace() {
+		const start = this.pos
+
+		while (isWhitespace(this.#input[this.pos])) this.pos++
+
+		return this.pos > start
+	}
+
+	/**
+	 * Skips the whitespace at the current position, throwing if there is none.
+	 *
+	 * @param {string} context What the whitespace separates, for the error message
+	 * @return {void}
+	 */
+	requireWhitespace(context) {
+		if (!this.skipWhitespace()) throw this.unexpected(`whitespace ${context}`)
+	}
+
+	/**
+	 * Reads an XML Name at the current position.
+	 *
+	 * @param {string} [expected] How to describe the name in the error message
+	 * @return {string}
+	 */
+	readName(expected = "a name") {
+		NAME_AT.lastIndex = this.pos
+
+		const match = NAME_AT.exec(this.#input)
+
+		if (!match) throw this.unexpected(expected)
+
+		this.pos += match[0].length
+
+		return match[0]
+	}
+
+	/**
+	 * Reads everything up to the given terminator and consumes the terminator.
+	 *
+	 * @param {string} terminator
+	 * @param {string} construct What is being read, for the error message
+	 * @return {string}
+	 */
+	readUntil(terminator, construct) {
+		const end = this.#input.indexOf(terminator, this.pos)
+
+		if (end === -1) {
+			const start = this.pos
+
+			this.pos = this.#input.length
+
+			throw this.error(`Expected "${terminator}" to close the ${construct} that starts here`, start)
+		}
+
+		const result = this.#input.slice(this.pos, end)
+
+		this.pos = end + terminator.length
+
+		return result
+	}
+
+	/**
+	 * Reads a single or double quoted literal and returns its contents.
+	 *
+	 * @param {string} expected How to describe the literal in the error message
+	 * @return {string}
+	 */
+	readQuoted(expected) {
+		const quote = this.peek()
+
+		if (quote !== '"' && quote !== "'") throw this.unexpected(expected)
+
+		this.pos++
+
+		return this.readUntil(quote, expected)
+	}
+
+	/**
+	 * Throws if the given text contains a character that is not allowed in XML documents.
+	 *
+	 * @param {string} text
+	 * @param {number} start The offset where the text starts
+	 * @return {void}
+	 */
+	checkCharacters(text, start) {
+		const match = INVALID_CHAR.exec(text)
+
+		if (match)
+			throw this.error(
+				`Expected only valid XML characters, instead found ${codePointLabel(match[0])}`,
+				start + match.index
+			)
+	}
+}
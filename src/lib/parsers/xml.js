@@ -0,0 +1,622 @@
+import XmlDeclaration from "../declarations/xml.js"
+import Node from "../node.js"
+import {
+	Document,
+	Element,
+	VoidElement,
+	CDATA,
+	ProcessingInstruction,
+	Text,
+	Comment,
+	EntityReference
+} from "../nodeTypes.js"
+import { createDTDState, parseDoctypeDeclaration, replacementText } from "./dtd.js"
+import Scanner, { INVALID_CHAR, PREDEFINED_ENTITIES, createSyntaxError, normalizeLineEndings } from "./scanner.js"
+
+const XML_DECLARATION = /^<\?xml[\x20\x09\x0a?]/
+const CHARACTER_REFERENCE = /&#(?:x([0-9a-fA-F]+)|([0-9]+));/y
+const ENTITY_REFERENCE = /&([^\s&;<]+);/y
+
+// How many characters the replacement texts of the entities in a document may add up to by default, which is plenty
+// for real documents but stops entities that expand exponentially (as in the "billion laughs" attack) early on
+const MAX_EXPANSION_LENGTH = 10000000
+
+/**
+ * Gets the `maxExpansionLength` option, or its default.
+ *
+ * @param {object} options
+ * @return {number}
+ * @throws {TypeError} If the option is not a non-negative integer
+ * @ignore
+ */
+export const getMaxExpansionLength = options => {
+	if (options.maxExpansionLength === undefined) return MAX_EXPANSION_LENGTH
+	if (!Number.isInteger(options.maxExpansionLength) || options.maxExpansionLength < 0)
+		throw new TypeError(
+			`Expected options.maxExpansionLength to be a non-negative integer, instead got ${options.maxExpansionLength}`
+		)
+
+	return options.maxExpansionLength
+}
+
+const readCharacterReference = (scanner, start) => {
+	CHARACTER_REFERENCE.lastIndex = start
+
+	const match = CHARACTER_REFERENCE.exec(scanner.input)
+
+	if (!match) throw scanner.error(`Expected a decimal or hexadecimal character reference`, start)
+
+	const code = match[1] ? parseInt(match[1], 16) : parseInt(match[2], 10)
+	const char = code <= 0x10ffff ? String.fromCodePoint(code) : undefined
+
+	if (!char || INVALID_CHAR.test(char))
+		throw scanner.error(
+			`Expected the character reference to refer to a valid XML character, instead got ${match[0]}`,
+			start
+		)
+
+	scanner.pos = start + match[0].length
+
+	return char
+}
+
+const readEntityReference = (scanner, state, start, expanding, allowUndeclared = false) => {
+	ENTITY_REFERENCE.lastIndex = start
+
+	const match = ENTITY_REFERENCE.exec(scanner.input)
+
+	if (!match) throw scanner.error(`Expected "&" to begin a character or entity reference`, start)
+
+	const name = match[1]
+
+	scanner.pos = start + match[0].length
+
+	if (Object.hasOwn(PREDEFINED_ENTITIES, name)) return PREDEFINED_ENTITIES[name]
+
+	const entity = state.dtd.entities.get(name)
+
+	// Entities may be declared in the external subset, so whether they exist cannot be known and the reference is kept
+	if (!entity && allowUndeclared && state.hasExternalSubset) return undefined
+	if (!entity)
+		throw scanner.error(
+			state.hasExternalSubset
+				? `Entity "&${name};" is not declared in the internal subset, and the external subset is not read`
+				: `Entity "&${name};" is not declared`,
+			start
+		)
+	if (entity.ndata) throw scanner.error(`Expected a parsed entity, instead found unparsed entity "&${name};"`, start)
+	if (expanding.includes(name)) throw scanner.error(`Entity "&${name};" references itself`, start)
+
+	return entity
+}
+
+/**
+ * Creates a Scanner over the replacement text of the given entity, referenced at the given offset of the given Scanner,
+ * keeping count of the characters expanded.
+ *
+ * @param {Scanner} scanner
+ * @param {XMLReader} state
+ * @param {EntityDeclaration} entity
+ * @param {number} start
+ * @return {Scanner|undefined} The Scanner, or `undefined` if the entity is external and cannot be resolved
+ * @throws {SyntaxError} If the replacement texts expanded so far add up to more than `state.maxExpansionLength`
+ * @ignore
+ */
+export const replacementScanner = (scanner, state, entity, start) => {
+	const text = replacementText(entity, state.dtd.resolveEntity)
+
+	if (text === undefined) return undefined
+
+	state.expansionLength += text.length
+
+	if (state.expansionLength > state.maxExpansionLength)
+		throw scanner.error(
+			`Expected the replacement texts of entities to add up to at most ${state.maxExpansionLength} characters`,
+			start
+		)
+
+	return new Scanner(text, { scanner, pos: start, description: `entity "&${entity.name};"` })
+}
+
+const normalizeAttributeValue = (scanner, state, end, expanding) => {
+	let value = ""
+
+	while (scanner.pos < end) {
+		const char = scanner.peek()
+		const start = scanner.pos
+
+		if (char === "<") throw scanner.error(`Expected attribute values not to contain "<"`)
+
+		if (char !== "&") {
+			value = `${value}${char === "\t" || char === "\n" || char === "\r" ? " " : char}`
+			scanner.pos++
+		} else if (scanner.peek(1) === "#") {
+			value = `${value}${readCharacterReference(scanner, start)}`
+		} else {
+			const entity = readEntityReference(scanner, state, start, expanding)
+
+			if (typeof entity === "string") {
+				value = `${value}${entity}`
+			} else if (!entity.isInternal) {
+				throw scanner.error(`Expected attribute values not to reference external entity "&${entity.name};"`, start)
+			} else {
+				const replacement = replacementScanner(scanner, state, entity, start)
+
+				value = `${value}${normalizeAttributeValue(replacement, state, replacement.input.length, [
+					...expanding,
+					entity.name
+				])}`
+			}
+		}
+	}
+
+	return value
+}
+
+// Attributes of any declared type other than CDATA have their whitespace collapsed as well
+const collapseWhitespace = (value, definition) =>
+	definition && definition.type[0] !== "cdata" ? value.replace(/ +/g, " ").trim() : value
+
+const parseAttributes = (scanner, state, name) => {
+	const attributes = {}
+	const definitions = state.dtd.attributes.get(name)
+
+	while (true) {
+		const hadWhitespace = scanner.skipWhitespace()
+
+		if (scanner.startsWith(">") || scanner.startsWith("/>")) break
+		if (!hadWhitespace) throw scanner.unexpected(`whitespace, ">", or "/>"`)
+
+		const start = scanner.pos
+		const attributeName = scanner.readName(`an attribute name, ">", or "/>"`)
+
+		if (Object.hasOwn(attributes, attributeName))
+			throw scanner.error(`Expected attribute "${attributeName}" to be specified only once`, start)
+
+		scanner.skipWhitespace()
+		scanner.expect("=", `"=" after the attribute name`)
+		scanner.skipWhitespace()
+
+		const quote = scanner.peek()
+
+		if (quote !== '"' && quote !== "'") throw scanner.unexpected("a quoted attribute value")
+
+		const end = scanner.input.indexOf(quote, scanner.pos + 1)
+
+		if (end === -1) throw scanner.error(`Expected ${quote} to close the attribute value that starts here`)
+
+		scanner.pos++
+
+		const value = normalizeAttributeValue(scanner, state, end, [])
+
+		scanner.pos = end + 1
+		attributes[attributeName] = collapseWhitespace(value, definitions?.get(attributeName))
+	}
+
+	for (const [attributeName, definition] of definitions ?? []) {
+		if (Object.hasOwn(attributes, attributeName) || definition.defaultValue === undefined) continue
+
+		const defaultValue = new Scanner(definition.defaultValue, {
+			scanner,
+			pos: scanner.pos,
+			description: `the default value of attribute "${attributeName}"`
+		})
+
+		attributes[attributeName] = collapseWhitespace(
+			normalizeAttributeValue(defaultValue, state, defaultValue.input.length, []),
+			definition
+		)
+	}
+
+	return attributes
+}
+
+const parseComment = (scanner, start) => {
+	const value = scanner.readUntil("-->", "comment")
+	const invalid = value.search(/--|-$/)
+
+	if (invalid !== -1) throw scanner.error(`Expected comments not to contain "--"`, start + 4 + invalid)
+
+	scanner.checkCharacters(value, start + 4)
+
+	return value
+}
+
+const parseProcessingInstruction = (scanner, start) => {
+	const name = scanner.readName("a processing instruction target")
+
+	if (name.toLowerCase() === "xml")
+		throw scanner.error(`Expected the processing instruction target not to be "${name}", which is reserved`, start + 2)
+
+	let value = ""
+
+	if (!scanner.consume("?>")) {
+		scanner.requireWhitespace("after the processing instruction target")
+
+		const valueStart = scanner.pos
+
+		value = scanner.readUntil("?>", "processing instruction")
+		scanner.checkCharacters(value, valueStart)
+	}
+
+	return { name, value }
+}
+
+const parseXmlDeclaration = scanner => {
+	const declaration = new XmlDeclaration()
+	const readPseudoAttribute = (name, pattern, expected) => {
+		const start = scanner.pos
+		const hadWhitespace = scanner.skipWhitespace()
+
+		if (!scanner.startsWith(name)) {
+			scanner.pos = start
+			return undefined
+		}
+		if (!hadWhitespace) throw scanner.unexpected(`whitespace before "${name}"`)
+
+		scanner.pos += name.length
+		scanner.skipWhitespace()
+		scanner.expect("=", `"=" after "${name}"`)
+		scanner.skipWhitespace()
+
+		const valueStart = scanner.pos + 1
+		const value = scanner.readQuoted(`a quoted ${name}`)
+
+		if (!pattern.test(value))
+			throw scanner.error(`Expected ${name} to be ${expected}, instead got "${value}"`, valueStart)
+
+		return value
+	}
+
+	scanner.expect("<?xml")
+
+	const version = readPseudoAttribute("version", /^1\.[0-9]+$/, "1.x")
+
+	if (version === undefined) throw scanner.unexpected(`"version" in the XML declaration`)
+
+	const encoding = readPseudoAttribute("encoding", /^[A-Za-z][A-Za-z0-9._-]*$/, "an encoding name")
+	const standalone = readPseudoAttribute("standalone", /^(yes|no)$/, `"yes" or "no"`)
+
+	scanner.skipWhitespace()
+	scanner.expect("?>", `"?>" to end the XML declaration`)
+	declaration.setVersion(version)
+
+	if (encoding !== undefined) declaration.setEncoding(encoding)
+	if (standalone !== undefined) declaration.setIsStandalone(standalone === "yes")
+
+	return declaration
+}
+
+/**
+ * Reads XML markup and reports what it finds to a handler, checking well-formedness as it goes. The input can be
+ * given all at once or as consecutive pieces, as long as every piece ends between two constructs (and character data
+ * only ends where markup starts).
+ *
+ * The handler is an object with the methods `xmlDeclaration(declaration)`, `doctype(declaration)`,
+ * `openTag(name, attributes, isSelfClosing)`, `closeTag(name)`, `text(value)`, `cdata(value)`, `comment(value)`,
+ * `processingInstruction(name, value)`, and `entityReference(name)` (used when `keepEntityReferences` is set, and for
+ * references to entities that may be declared in an external subset that is not read).
+ * Every `openTag` is matched by a `closeTag`, including self-closing ones, and adjacent character data (including
+ * expanded references) is reported as a single `text`.
+ *
+ * @ignore
+ */
+export class XMLReader {
+	dtd = createDTDState()
+	hasExternalSubset = false
+	// Whether references to general entities in the input are reported as they are instead of being expanded
+	keepEntityReferences = false
+	expansionLength = 0
+	maxExpansionLength = MAX_EXPANSION_LENGTH
+	#handler
+	#stack = []
+	#text = ""
+	#isStart = true
+	#hasDoctypeDeclaration = false
+	#hasRoot = false
+
+	/**
+	 * @param {object} handler
+	 */
+	constructor(handler) {
+		this.#handler = handler
+	}
+
+	#addText(text) {
+		this.#text = `${this.#text}${text}`
+	}
+
+	#flushText() {
+		if (this.#text.length) this.#handler.text(this.#text)
+
+		this.#text = ""
+	}
+
+	#readStartTag(scanner, start) {
+		const name = scanner.readName("an element name")
+		const attributes = parseAttributes(scanner, this, name)
+		const isSelfClosing = scanner.consume("/>")
+
+		if (!isSelfClosing) scanner.expect(">")
+
+		this.#flushText()
+		this.#handler.openTag(name, attributes, isSelfClosing)
+
+		if (isSelfClosing) this.#handler.closeTag(name)
+		// Where the element starts is only worked out should it be left open, as that takes a pass over the input
+		else this.#stack.push({ name, scanner, start })
+	}
+
+	#readEndTag(scanner, start, depth) {
+		if (this.#stack.length === depth) throw scanner.error(`Expected entities to close every element they open`, start)
+
+		const { name: current } = this.#stack[this.#stack.length - 1]
+		const name = scanner.readName("an element name")
+
+		if (name !== current)
+			throw scanner.error(`Expected "</${current}>" to close "<${current}>", instead found "</${name}>"`, start)
+
+		scanner.skipWhitespace()
+		scanner.expect(">", `">" to end the end tag`)
+		this.#flushText()
+		this.#stack.pop()
+		this.#handler.closeTag(name)
+	}
+
+	#readOutsideRoot(scanner) {
+		if (scanner.skipWhitespace()) return
+
+		const start = scanner.pos
+
+		if (scanner.consume("<!--")) {
+			this.#handler.comment(parseComment(scanner, start))
+		} else if (scanner.consume("<?")) {
+			const { name, value } = parseProcessingInstruction(scanner, start)
+
+			this.#handler.processingInstruction(name, value)
+		} else if (!this.#hasRoot && !this.#hasDoctypeDeclaration && scanner.consume("<!DOCTYPE")) {
+			this.#hasDoctypeDeclaration = true
+			this.#handler.doctype(parseDoctypeDeclaration(scanner, this))
+		} else if (!this.#hasRoot && scanner.startsWith("<") && !scanner.startsWith("<!") && !scanner.startsWith("</")) {
+			this.#hasRoot = true
+			scanner.pos++
+			this.#readStartTag(scanner, start)
+		} else {
+			throw scanner.unexpected(
+				this.#hasRoot ? "a comment or processing instruction after the root element" : "the root element"
+			)
+		}
+	}
+
+	/**
+	 * Reads everything in the given Scanner.
+	 *
+	 * @param {Scanner} scanner
+	 * @param {Array<string>} [expanding] The entities being expanded, when reading the replacement text of an entity
+	 * @return {void}
+	 */
+	read(scanner, expanding = []) {
+		// Elements opened in the replacement text of an entity must be closed there, but otherwise the input may end
+		// (and the next piece start) with elements still open
+		const depth = expanding.length ? this.#stack.length : 0
+
+		if (this.#isStart && !scanner.done) {
+			this.#isStart = false
+
+			if (XML_DECLARATION.test(scanner.input)) this.#handler.xmlDeclaration(parseXmlDeclaration(scanner))
+		}
+
+		while (!scanner.done) {
+			if (!this.#stack.length) {
+				this.#readOutsideRoot(scanner)
+				continue
+			}
+
+			const start = scanner.pos
+
+			if (scanner.consume("</")) {
+				this.#readEndTag(scanner, start, depth)
+			} else if (scanner.consume("<!--")) {
+				const value = parseComment(scanner, start)
+
+				this.#flushText()
+				this.#handler.comment(value)
+			} else if (scanner.consume("<![CDATA[")) {
+				const value = scanner.readUntil("]]>", "CDATA section")
+
+				scanner.checkCharacters(value, start + 9)
+				this.#flushText()
+				this.#handler.cdata(value)
+			} else if (scanner.consume("<?")) {
+				const { name, value } = parseProcessingInstruction(scanner, start)
+
+				this.#flushText()
+				this.#handler.processingInstruction(name, value)
+			} else if (scanner.startsWith("<!")) {
+				throw scanner.unexpected("an element, comment, CDATA section, or processing instruction")
+			} else if (scanner.consume("<")) {
+				this.#readStartTag(scanner, start)
+			} else if (scanner.startsWith("&#")) {
+				this.#addText(readCharacterReference(scanner, start))
+			} else if (scanner.startsWith("&")) {
+				const entity = readEntityReference(scanner, this, start, expanding, true)
+
+				if (typeof entity === "string") {
+					this.#addText(entity)
+				} else if (!entity || (this.keepEntityReferences && !expanding.length)) {
+					this.#flushText()
+					this.#handler.entityReference(scanner.input.slice(start + 1, scanner.pos - 1))
+				} else {
+					const replacement = replacementScanner(scanner, this, entity, start)
+
+					// External parsed entities that cannot be resolved are left out
+					if (replacement) this.read(replacement, [...expanding, entity.name])
+				}
+			} else {
+				let end = start
+
+				while (end < scanner.input.length && scanner.input[end] !== "<" && scanner.input[end] !== "&") end++
+
+				const text = scanner.input.slice(start, end)
+				const invalid = text.indexOf("]]>")
+
+				if (invalid !== -1) throw scanner.error(`Expected character data not to contain "]]>"`, start + invalid)
+
+				scanner.checkCharacters(text, start)
+				this.#addText(text)
+				scanner.pos = end
+			}
+		}
+
+		if (!expanding.length) {
+			this.#flushText()
+		} else if (this.#stack.length > depth) {
+			throw scanner.error(
+				`Expected "</${this.#stack[this.#stack.length - 1].name}>" to close the element that starts here`
+			)
+		}
+	}
+
+	/**
+	 * Reads everything in the given Scanner as the content of an element, such as the replacement text of an entity.
+	 *
+	 * @param {Scanner} scanner
+	 * @param {Array<string>} expanding The entities being expanded, ending with the one the Scanner holds the replacement
+	 * text of
+	 * @return {void}
+	 */
+	readContent(scanner, expanding) {
+		this.#isStart = false
+		this.#hasRoot = true
+		this.#stack.push({ name: "", scanner, start: scanner.pos })
+		this.read(scanner, expanding)
+		this.#flushText()
+		this.#stack.pop()
+	}
+
+	/**
+	 * Checks that the input read so far is a complete document.
+	 *
+	 * @param {{line: number, column: number}} location Where the input ends
+	 * @return {void}
+	 */
+	finish(location) {
+		this.#flushText()
+
+		if (this.#stack.length) {
+			const { name, scanner, start } = this.#stack[this.#stack.length - 1]
+
+			throw createSyntaxError(`Expected "</${name}>" to close the element that starts here`, scanner.location(start))
+		}
+		if (!this.#hasRoot)
+			throw createSyntaxError("Expected the root element, instead found the end of the input", location)
+	}
+}
+
+/**
+ * Builds a tree of Nodes from what an XMLReader reports.
+ *
+ * @ignore
+ */
+export class TreeBuilder {
+	root
+	#stack
+
+	/**
+	 * @param {Node} [root] The Node to add the Nodes read to (default: a new Document Node)
+	 */
+	constructor(root = new Node({ type: Document })) {
+		this.root = root
+		this.#stack = [root]
+	}
+
+	get #current() {
+		return this.#stack[this.#stack.length - 1]
+	}
+
+	xmlDeclaration(declaration) {
+		this.root.setXmlDeclaration(declaration)
+	}
+
+	doctype(declaration) {
+		this.root.setDoctypeDeclaration(declaration)
+	}
+
+	openTag(name, attributes, isSelfClosing) {
+		const element = new Node({ type: isSelfClosing ? VoidElement : Element, name, attributes })
+
+		this.#current.appendChild(element)
+		this.#stack.push(element)
+	}
+
+	closeTag() {
+		this.#stack.pop()
+	}
+
+	text(value) {
+		this.#current.appendChild(new Node({ type: Text, value }))
+	}
+
+	cdata(value) {
+		this.#current.appendChild(new Node({ type: CDATA, value }))
+	}
+
+	comment(value) {
+		this.#current.appendChild(new Node({ type: Comment, value }))
+	}
+
+	processingInstruction(name, value) {
+		this.#current.appendChild(new Node({ type: ProcessingInstruction, name, value }))
+	}
+
+	entityReference(name) {
+		this.#current.appendChild(new Node({ type: EntityReference, name }))
+	}
+}
+
+/**
+ * Parses the given string as an XML 1.0 document.
+ *
+ * @note Character and entity references are expanded, including the internal entities declared in the internal
+ * subset, and attribute values are normalized and defaulted according to the internal subset's ATTLIST declarations.
+ * External entities and the external subset are only read through `resolveEntity`, after which their declarations
+ * apply as well. Empty-element tags (`<x/>`) become VoidElement Nodes, and whitespace outside of the root element is
+ * discarded.
+ * @note With `keepEntityReferences`, references to entities other than the predefined ones (`&lt;`, `&amp;`, ...)
+ * become EntityReference Nodes, which `expandEntities` can replace later on.
+ * @note References in content to entities the internal subset does not declare are allowed in documents with an
+ * external subset that is not read, as they may be declared there. They become EntityReference Nodes, just as
+ * `expandEntities` leaves them in place.
+ * @param {string} xml
+ * @param {object} [options]
+ * @param {boolean} [options.keepEntityReferences] Whether to keep entity references in content as EntityReference
+ * Nodes instead of expanding them (default: `false`)
+ * @param {number} [options.maxExpansionLength] How many characters the replacement texts of expanded entities may add
+ * up to, as a guard against entities that expand exponentially (default: `10000000`)
+ * @param {function({publicID?: string, systemURI?: string}): (string|undefined)} [options.resolveEntity] Gets the
+ * content of the external subset or external entity with the given identifiers (e.g. through
+ * `XMLCatalog#createResolver`), or `undefined` if it cannot be found, in which case it is skipped
+ * @return {Node} The Document Node
+ * @throws {SyntaxError} If the document is not well-formed. The error's `line` and `column` properties point to the
+ * problem.
+ */
+export default function parseXML(xml, options) {
+	if (typeof xml !== "string") throw new TypeError(`Expected xml to be a string, instead got ${typeof xml}`)
+	if (Object.prototype.toString.call(options) !== "[object Object]") options = {}
+
+	const scanner = new Scanner(normalizeLineEndings(xml.replace(/^\uFEFF/, "")))
+	const builder = new TreeBuilder()
+	const reader = new XMLReader(builder)
+
+	if (options.resolveEntity !== undefined && typeof options.resolveEntity !== "function")
+		throw new TypeError(`Expected options.resolveEntity to be a function, instead got ${typeof options.resolveEntity}`)
+
+	reader.dtd = createDTDState(options.resolveEntity)
+	reader.keepEntityReferences = options.keepEntityReferences === true
+	reader.maxExpansionLength = getMaxExpansionLength(options)
+
+	reader.read(scanner)
+	reader.finish(scanner.location())
+
+	return builder.root
+}
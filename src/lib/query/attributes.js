@@ -0,0 +1,248 @@
+import { isElementNode, walkElements } from "./walk.js"
+
+// The attribute query language matches Element Nodes by boolean logic over their attribute names and values.
+//
+// [attrName] (matches nodes that have the given attribute name)
+// [attrName: attrValue] (matches nodes that have the given attribute name with the given attribute value)
+// [attrName1|attrName2] (matches nodes that have one of the given attribute names)
+// [attrName1&attrName2] (matches nodes that have both of the given attribute names)
+// [attrName: attrValue1|attrValue2] (matches nodes that have the given attribute name with one of the given values)
+// [attrName: attrValue1&attrValue2] (matches nodes that have the given attribute name with both of the given values)
+// [:attrValue] (matches nodes that have any attribute with the given attribute value)
+// [(a|b)&c] (parentheses group sub-expressions; "&" binds tighter than "|" otherwise)
+// [a][b] (consecutive groups must all match)
+//
+// Values may be bare words or quoted with " or ' (use \ to escape the quote). A value operand fully matches the
+// attribute's value, and attributes added without a value match "true".
+
+const OPERATORS = { "|": "or", "&": "and" }
+const PUNCTUATORS = { "[": true, "]": true, "(": true, ")": true, ":": true, "|": true, "&": true }
+const MAX_CACHED_QUERIES = 256
+
+const cache = new Map()
+
+const isWhitespace = char => /\s/.test(char)
+
+const describe = token => (token.type === "end" ? "the end of the query" : `"${token.raw}"`)
+
+/**
+ * Splits the given attribute query into tokens.
+ *
+ * @param {string} query
+ * @return {Array<{type: string, value: string, raw: string, position: number}>}
+ * @throws {SyntaxError} If a quoted value is never closed
+ */
+export function tokenizeAttributeQuery(query) {
+	if (typeof query !== "string") throw new TypeError(`Expected query to be a string, instead got ${typeof query}`)
+
+	const tokens = []
+	let pos = 0
+
+	while (pos < query.length) {
+		const char = query[pos]
+
+		if (isWhitespace(char)) {
+			pos++
+			continue
+		}
+
+		if (PUNCTUATORS[char]) {
+			tokens.push({ type: char, value: char, raw: char, position: pos })
+			pos++
+			continue
+		}
+
+		const start = pos
+
+		if (char === '"' || char === "'") {
+			let value = ""
+
+			pos++
+
+			while (query[pos] !== char) {
+				if (pos >= query.length)
+					throw new SyntaxError(
+						`Expected a closing ${char} for the value opened at position ${start}, instead found the end of the query at position ${pos}`
+					)
+				if (query[pos] === "\\" && pos + 1 < query.length) pos++
+
+				value = `${value}${query[pos++]}`
+			}
+
+			pos++
+			tokens.push({ type: "string", value, raw: query.slice(start, pos), position: start })
+			continue
+		}
+
+		while (pos < query.length && !PUNCTUATORS[query[pos]] && !isWhitespace(query[pos])) {
+			if (query[pos] === '"' || query[pos] === "'")
+				throw new SyntaxError(
+					`Expected a name or value to end before "${query[pos]}", instead found it at position ${pos}`
+				)
+
+			pos++
+		}
+
+		const word = query.slice(start, pos)
+
+		tokens.push({ type: "word", value: word, raw: word, position: start })
+	}
+
+	tokens.push({ type: "end", value: "", raw: "", position: query.length })
+
+	return tokens
+}
+
+/**
+ * Parses the given attribute query into its compiled form.
+ *
+ * @param {string} query
+ * @return {Array<{names: object|undefined, values: object|undefined}>} The bracket groups, all of which must match
+ * @throws {SyntaxError} If the query is malformed
+ */
+export function parseAttributeQuery(query) {
+	const cached = cache.get(query)
+
+	if (cached) return cached
+
+	const tokens = tokenizeAttributeQuery(query)
+	let index = 0
+
+	const peek = () => tokens[index]
+	const fail = expected => {
+		const token = peek()
+
+		throw new SyntaxError(`Expected ${expected}, instead found ${describe(token)} at position ${token.position}`)
+	}
+	const expect = (type, expected) => {
+		if (peek().type !== type) fail(expected)
+
+		return tokens[index++]
+	}
+	const parsePrimary = kind => {
+		const token = peek()
+
+		if (token.type === "(") {
+			index++
+
+			const expression = parseOr(kind)
+
+			expect(")", `"&", "|", or ")"`)
+
+			return expression
+		}
+		if (token.type === "word" || token.type === "string") {
+			index++
+
+			return { type: kind, value: token.value }
+		}
+
+		fail(`an attribute ${kind}`)
+	}
+	const parseAnd = kind => {
+		const operands = [parsePrimary(kind)]
+
+		while (peek().type === "&") {
+			index++
+			operands.push(parsePrimary(kind))
+		}
+
+		return operands.length === 1 ? operands[0] : { type: OPERATORS["&"], operands }
+	}
+	const parseOr = kind => {
+		const operands = [parseAnd(kind)]
+
+		while (peek().type === "|") {
+			index++
+			operands.push(parseAnd(kind))
+		}
+
+		return operands.length === 1 ? operands[0] : { type: OPERATORS["|"], operands }
+	}
+	const parseGroup = () => {
+		const open = expect("[", `"["`)
+		const group = { names: undefined, values: undefined }
+
+		if (peek().type !== ":" && peek().type !== "]") group.names = parseOr("name")
+		if (peek().type === ":") {
+			index++
+			group.values = parseOr("value")
+		}
+
+		if (!group.names && !group.values)
+			throw new SyntaxError(
+				`Expected an attribute name or value inside the group opened at position ${open.position}, instead found an empty group`
+			)
+
+		expect("]", group.values ? `"&", "|", or "]"` : `"&", "|", ":", or "]"`)
+
+		return group
+	}
+
+	const groups = [parseGroup()]
+
+	while (peek().type !== "end") groups.push(parseGroup())
+
+	if (cache.size >= MAX_CACHED_QUERIES) cache.delete(cache.keys().next().value)
+
+	cache.set(query, groups)
+
+	return groups
+}
+
+const evaluate = (expression, test) => {
+	switch (expression.type) {
+		case "or":
+			return expression.operands.some(operand => evaluate(operand, test))
+		case "and":
+			return expression.operands.every(operand => evaluate(operand, test))
+		default:
+			return test(expression.value)
+	}
+}
+
+const attributeValue = (node, name) => node.getAttribute(name) ?? "true"
+
+const matchesGroup = (node, group) => {
+	const matchesValue = name => !group.values || evaluate(group.values, value => attributeValue(node, name) === value)
+
+	if (!group.names) return Object.keys(node.attributes).some(matchesValue)
+
+	return evaluate(group.names, name => node.hasAttribute(name) && matchesValue(name))
+}
+
+/**
+ * Checks if the given Node matches the given attribute query.
+ *
+ * @param {Node} node
+ * @param {string} query
+ * @return {boolean}
+ */
+export function matchesAttributeQuery(node, query) {
+	const groups = parseAttributeQuery(query)
+
+	return isElementNode(node) && groups.every(group => matchesGroup(node, group))
+}
+
+/**
+ * Collects the descendant Element Nodes of the given Node that match the given attribute query, in document order.
+ *
+ * @param {Node} root The Document or Element Node to search within
+ * @param {string} query
+ * @param {boolean} [firstOnly] Whether to stop at the first match (default: `false`)
+ * @return {Array<Node>}
+ */
+export function selectAttributes(root, query, firstOnly = false) {
+	const groups = parseAttributeQuery(query)
+	const result = []
+
+	for (const node of walkElements(root)) {
+		if (!groups.every(group => matchesGroup(node, group))) continue
+
+		result.push(node)
+
+		if (firstOnly) break
+	}
+
+	return result
+}
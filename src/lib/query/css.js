@@ -0,0 +1,662 @@
+import { Document, CDATA, Text } from "../nodeTypes.js"
+import { attributeNamespaceURI, localNameOf, lookupNamespaceURI } from "./namespaces.js"
+import { isElementNode, walkElements } from "./walk.js"
+
+const COMBINATORS = { ">": true, "+": true, "~": true }
+const ATTRIBUTE_OPERATORS = ["=", "~=", "|=", "^=", "$=", "*="]
+const NTH_PSEUDO_CLASSES = {
+	"nth-child": true,
+	"nth-last-child": true,
+	"nth-of-type": true,
+	"nth-last-of-type": true
+}
+const SIMPLE_PSEUDO_CLASSES = {
+	empty: true,
+	"first-child": true,
+	"first-of-type": true,
+	"last-child": true,
+	"last-of-type": true,
+	"only-child": true,
+	"only-of-type": true,
+	root: true,
+	scope: true
+}
+const SELECTOR_PSEUDO_CLASSES = { has: true, is: true, not: true, where: true }
+const MAX_CACHED_SELECTORS = 256
+
+const cache = new Map()
+
+const isWhitespace = char => char === " " || char === "\t" || char === "\n" || char === "\r" || char === "\f"
+const isHexDigit = char => char !== undefined && /[0-9a-fA-F]/.test(char)
+const isNameStart = char => char !== undefined && (/[a-zA-Z_]/.test(char) || char.charCodeAt(0) >= 0x80)
+const isNameChar = char => char !== undefined && (/[a-zA-Z0-9_-]/.test(char) || char.charCodeAt(0) >= 0x80)
+
+/**
+ * Parses the given CSS selector list into its compiled form.
+ *
+ * @param {string} selector
+ * @return {Array<object>}
+ * @throws {SyntaxError} If the selector is malformed
+ */
+export function parseSelector(selector) {
+	if (typeof selector !== "string")
+		throw new TypeError(`Expected selector to be a string, instead got ${typeof selector}`)
+
+	const cached = cache.get(selector)
+
+	if (cached) return cached
+
+	let pos = 0
+	const prefixes = new Set()
+
+	const peek = (offset = 0) => selector[pos + offset]
+	const fail = expected => {
+		const found = pos < selector.length ? `"${selector[pos]}"` : "the end of the selector"
+
+		throw new SyntaxError(`Expected ${expected}, instead found ${found} at position ${pos}`)
+	}
+	const skipWhitespace = () => {
+		const start = pos
+
+		while (isWhitespace(peek())) pos++
+
+		return pos > start
+	}
+	const startsIdentifier = () => {
+		const c = peek()
+
+		if (c === "\\") return true
+		if (c === "-") return isNameStart(peek(1)) || peek(1) === "-" || peek(1) === "\\"
+
+		return isNameStart(c)
+	}
+	const parseEscape = () => {
+		pos++ // backslash
+
+		if (pos >= selector.length) fail("an escaped character")
+
+		let hex = ""
+
+		while (hex.length < 6 && isHexDigit(peek())) hex = `${hex}${selector[pos++]}`
+
+		if (!hex.length) return selector[pos++]
+		if (isWhitespace(peek())) pos++
+
+		const codePoint = parseInt(hex, 16)
+
+		return codePoint === 0 || codePoint > 0x10ffff ? "�" : String.fromCodePoint(codePoint)
+	}
+	const parseIdentifier = () => {
+		if (!startsIdentifier()) fail("an identifier")
+
+		let result = ""
+
+		while (pos < selector.length) {
+			const c = peek()
+
+			if (c === "\\") result = `${result}${parseEscape()}`
+			else if (isNameChar(c)) result = `${result}${selector[pos++]}`
+			else break
+		}
+
+		return result
+	}
+	const parseString = () => {
+		const quote = selector[pos++]
+		let result = ""
+
+		while (true) {
+			const c = peek()
+
+			if (c === undefined) fail(`a closing ${quote}`)
+			if (c === quote) {
+				pos++
+				return result
+			}
+			if (c === "\\") {
+				if (peek(1) === "\n") pos += 2
+				else result = `${result}${parseEscape()}`
+			} else {
+				result = `${result}${c}`
+				pos++
+			}
+		}
+	}
+	// Reads the `prefix|`, `*|`, or `|` (no namespace) before a type or attribute name, if there is one
+	const parseNamespacePrefix = () => {
+		const start = pos
+		let prefix
+
+		if (peek() === "|") prefix = ""
+		else if (peek() === "*" && peek(1) === "|") prefix = selector[pos++]
+		else if (startsIdentifier()) prefix = parseIdentifier()
+
+		if (prefix !== undefined && peek() === "|" && peek(1) !== "=") {
+			if (prefix && prefix !== "*") prefixes.add(prefix)
+
+			pos++
+			return prefix
+		}
+
+		pos = start
+
+		return undefined
+	}
+	const parseAttribute = () => {
+		pos++ // [
+		skipWhitespace()
+
+		const namespace = parseNamespacePrefix()
+		const attribute = { kind: "attribute", namespace, name: parseIdentifier() }
+
+		skipWhitespace()
+
+		if (peek() === "]") {
+			pos++
+			return attribute
+		}
+
+		const operator = ATTRIBUTE_OPERATORS.find(op => selector.startsWith(op, pos))
+
+		if (!operator) fail(`one of "]"|${ATTRIBUTE_OPERATORS.map(op => `"${op}"`).join("|")}`)
+
+		pos += operator.length
+		skipWhitespace()
+
+		attribute.operator = operator
+		attribute.value = peek() === '"' || peek() === "'" ? parseString() : parseIdentifier()
+
+		skipWhitespace()
+
+		if (/[iIsS]/.test(peek() ?? "") && (isWhitespace(peek(1)) || peek(1) === "]")) {
+			attribute.caseInsensitive = selector[pos++].toLowerCase() === "i"
+			skipWhitespace()
+		}
+
+		if (peek() !== "]") fail(`"]"`)
+
+		pos++
+
+		return attribute
+	}
+	const parseNth = name => {
+		const start = pos
+		let depth = 0
+
+		while (pos < selector.length) {
+			if (peek() === "(") depth++
+			if (peek() === ")") {
+				if (!depth) break
+				depth--
+			}
+			pos++
+		}
+
+		const raw = selector.slice(start, pos)
+		const ofMatch = /\s+of\s+/i.exec(raw)
+		const formula = (ofMatch ? raw.slice(0, ofMatch.index) : raw).trim().toLowerCase().replace(/\s+/g, "")
+		let a
+		let b
+
+		if (formula === "odd") {
+			a = 2
+			b = 1
+		} else if (formula === "even") {
+			a = 2
+			b = 0
+		} else if (/^[+-]?\d+$/.test(formula)) {
+			a = 0
+			b = parseInt(formula, 10)
+		} else {
+			const match = /^([+-]?\d*)n([+-]\d+)?$/.exec(formula)
+
+			if (!match) {
+				pos = start
+				fail(`a valid An+B expression for :${name}()`)
+			}
+
+			a = match[1] === "" || match[1] === "+" ? 1 : match[1] === "-" ? -1 : parseInt(match[1], 10)
+			b = match[2] ? parseInt(match[2], 10) : 0
+		}
+
+		const pseudo = { kind: "pseudo", name, a, b }
+
+		if (ofMatch) {
+			if (name !== "nth-child" && name !== "nth-last-child") {
+				pos = start + ofMatch.index
+				fail(`")"`)
+			}
+
+			const end = pos
+
+			pos = start + ofMatch.index + ofMatch[0].length
+			pseudo.of = parseList(false)
+
+			if (pos !== end) fail(`")"`)
+		}
+
+		return pseudo
+	}
+	const parsePseudo = () => {
+		pos++ // :
+
+		if (peek() === ":") fail("a pseudo-class (pseudo-elements are not supported)")
+
+		const start = pos
+		const name = parseIdentifier().toLowerCase()
+
+		if (peek() !== "(") {
+			if (!SIMPLE_PSEUDO_CLASSES[name]) {
+				pos = start
+				fail(`a supported pseudo-class, such as ${Object.keys(SIMPLE_PSEUDO_CLASSES).join("|")}`)
+			}
+
+			return { kind: "pseudo", name }
+		}
+
+		pos++ // (
+		skipWhitespace()
+
+		let pseudo
+
+		if (NTH_PSEUDO_CLASSES[name]) {
+			pseudo = parseNth(name)
+		} else if (SELECTOR_PSEUDO_CLASSES[name]) {
+			pseudo = { kind: "pseudo", name, selectors: parseList(name === "has") }
+		} else {
+			pos = start
+			fail(
+				`a supported functional pseudo-class, such as ${[
+					...Object.keys(NTH_PSEUDO_CLASSES),
+					...Object.keys(SELECTOR_PSEUDO_CLASSES)
+				].join("|")}`
+			)
+		}
+
+		skipWhitespace()
+
+		if (peek() !== ")") fail(`")"`)
+
+		pos++
+
+		return pseudo
+	}
+	const parseCompound = () => {
+		const compound = { namespace: parseNamespacePrefix(), tag: undefined, filters: [] }
+		const start = pos
+
+		if (peek() === "*") pos++
+		else if (startsIdentifier()) compound.tag = parseIdentifier()
+		else if (compound.namespace !== undefined) fail("a type selector or * after the namespace prefix")
+
+		while (pos < selector.length) {
+			const c = peek()
+
+			if (c === "#") {
+				pos++
+				compound.filters.push({ kind: "id", value: parseIdentifier() })
+			} else if (c === ".") {
+				pos++
+				compound.filters.push({ kind: "class", value: parseIdentifier() })
+			} else if (c === "[") {
+				compound.filters.push(parseAttribute())
+			} else if (c === ":") {
+				compound.filters.push(parsePseudo())
+			} else {
+				break
+			}
+		}
+
+		if (pos === start) fail("a type, class, id, attribute, or pseudo-class selector")
+
+		compound.isScope =
+			!compound.tag &&
+			compound.namespace === undefined &&
+			compound.filters.length === 1 &&
+			compound.filters[0].name === "scope"
+
+		return compound
+	}
+	const parseComplex = relative => {
+		const complex = { compounds: [], combinators: [] }
+
+		skipWhitespace()
+
+		if (relative) {
+			let combinator = " "
+
+			if (COMBINATORS[peek()]) {
+				combinator = selector[pos++]
+				skipWhitespace()
+			}
+
+			// Relative selectors are anchored to the element being tested through an implicit :scope
+			complex.compounds.push({ tag: undefined, filters: [{ kind: "pseudo", name: "scope" }], isScope: true })
+			complex.combinators.push(combinator)
+		}
+
+		complex.compounds.push(parseCompound())
+
+		while (pos < selector.length) {
+			const hadWhitespace = skipWhitespace()
+			const c = peek()
+
+			if (COMBINATORS[c]) {
+				pos++
+				skipWhitespace()
+				complex.combinators.push(c)
+			} else if (hadWhitespace && c !== undefined && c !== "," && c !== ")") {
+				complex.combinators.push(" ")
+			} else {
+				break
+			}
+
+			complex.compounds.push(parseCompound())
+		}
+
+		return complex
+	}
+	const parseList = relative => {
+		const list = [parseComplex(relative)]
+
+		skipWhitespace()
+
+		while (peek() === ",") {
+			pos++
+			list.push(parseComplex(relative))
+			skipWhitespace()
+		}
+
+		return list
+	}
+
+	const list = parseList(false)
+
+	if (pos < selector.length) fail(`"," or a combinator`)
+	if (cache.size >= MAX_CACHED_SELECTORS) cache.delete(cache.keys().next().value)
+
+	// The namespace prefixes used anywhere in the selector, which must all be declared
+	list.prefixes = [...prefixes]
+	cache.set(selector, list)
+
+	return list
+}
+
+const parentElement = node => (isElementNode(node.parent) ? node.parent : undefined)
+
+const previousElement = node => {
+	let n = node.previous
+
+	while (n && !isElementNode(n)) n = n.previous
+
+	return n
+}
+
+const nextElement = node => {
+	let n = node.next
+
+	while (n && !isElementNode(n)) n = n.next
+
+	return n
+}
+
+const elementSiblings = node => (node.parent ? node.parent.children.filter(isElementNode) : [node])
+
+const matchesNth = (a, b, index) => {
+	if (a === 0) return index === b
+
+	const n = (index - b) / a
+
+	return Number.isInteger(n) && n >= 0
+}
+
+const matchesAttributeValue = (actual, filter) => {
+	let expected = filter.value
+
+	if (filter.caseInsensitive) {
+		actual = actual.toLowerCase()
+		expected = expected.toLowerCase()
+	}
+
+	switch (filter.operator) {
+		case "=":
+			return actual === expected
+		case "~=":
+			return !!expected.length && !/\s/.test(expected) && actual.split(/\s+/).includes(expected)
+		case "|=":
+			return actual === expected || actual.startsWith(`${expected}-`)
+		case "^=":
+			return !!expected.length && actual.startsWith(expected)
+		case "$=":
+			return !!expected.length && actual.endsWith(expected)
+		case "*=":
+			return !!expected.length && actual.includes(expected)
+	}
+}
+
+/**
+ * Gets the names of the attributes of the given element that the given attribute selector refers to. Without a
+ * namespace prefix, that is the attribute with the exact name, and with one, every attribute with the local name in
+ * that namespace.
+ */
+const attributeNames = (node, filter, context) => {
+	if (filter.namespace === undefined) return node.hasAttribute(filter.name) ? [filter.name] : []
+
+	const namespaceURI = filter.namespace === "*" ? undefined : context.resolvePrefix(filter.namespace)
+
+	return Object.keys(node.attributes).filter(
+		name =>
+			localNameOf(name) === filter.name &&
+			(filter.namespace === "*" || attributeNamespaceURI(node, name) === namespaceURI)
+	)
+}
+
+const matchesAttribute = (node, filter, context) => {
+	const names = attributeNames(node, filter, context)
+
+	if (!filter.operator) return names.length > 0
+
+	return names.some(name => matchesAttributeValue(node.getAttribute(name) ?? "", filter))
+}
+
+const matchesPseudo = (node, filter, context) => {
+	switch (filter.name) {
+		case "empty":
+			return !node.children.some(c => isElementNode(c) || ((c.type === Text || c.type === CDATA) && c.value.length))
+		case "first-child":
+			return !previousElement(node)
+		case "last-child":
+			return !nextElement(node)
+		case "only-child":
+			return !previousElement(node) && !nextElement(node)
+		case "first-of-type":
+			return !elementSiblings(node).some((s, i, all) => s.name === node.name && i < all.indexOf(node))
+		case "last-of-type":
+			return !elementSiblings(node).some((s, i, all) => s.name === node.name && i > all.indexOf(node))
+		case "only-of-type":
+			return elementSiblings(node).filter(s => s.name === node.name).length === 1
+		case "root":
+			return !isElementNode(node.parent)
+		case "scope":
+			return node === context.scope
+		case "nth-child":
+		case "nth-last-child":
+		case "nth-of-type":
+		case "nth-last-of-type": {
+			let siblings = elementSiblings(node)
+
+			if (filter.name.endsWith("of-type")) siblings = siblings.filter(s => s.name === node.name)
+			if (filter.of) {
+				if (!matchesList(node, filter.of, context)) return false
+
+				siblings = siblings.filter(s => matchesList(s, filter.of, context))
+			}
+			if (filter.name.startsWith("nth-last")) siblings.reverse()
+
+			return matchesNth(filter.a, filter.b, siblings.indexOf(node) + 1)
+		}
+		case "is":
+		case "where":
+			return matchesList(node, filter.selectors, context)
+		case "not":
+			return !matchesList(node, filter.selectors, context)
+		case "has":
+			return matchesRelative(node, filter.selectors, context)
+	}
+
+	return false
+}
+
+const matchesCompound = (node, compound, context) => {
+	if (!isElementNode(node)) return compound.isScope && node === context.scope
+	if (compound.namespace === undefined) {
+		if (compound.tag !== undefined && compound.tag !== node.name) return false
+	} else {
+		if (compound.tag !== undefined && compound.tag !== node.localName) return false
+		if (compound.namespace !== "*" && node.namespaceURI !== context.resolvePrefix(compound.namespace)) return false
+	}
+
+	for (const filter of compound.filters) {
+		switch (filter.kind) {
+			case "id":
+				if (node.getAttribute("id") !== filter.value) return false
+				break
+			case "class":
+				if (!(node.getAttribute("class") ?? "").split(/\s+/).includes(filter.value)) return false
+				break
+			case "attribute":
+				if (!matchesAttribute(node, filter, context)) return false
+				break
+			case "pseudo":
+				if (!matchesPseudo(node, filter, context)) return false
+				break
+		}
+	}
+
+	return true
+}
+
+const matchesComplex = (node, complex, index, context) => {
+	if (!matchesCompound(node, complex.compounds[index], context)) return false
+	if (index === 0) return true
+
+	switch (complex.combinators[index - 1]) {
+		case " ":
+			for (let a = node.parent; a; a = a.parent) {
+				if (matchesComplex(a, complex, index - 1, context)) return true
+			}
+
+			return false
+		case ">":
+			return !!node.parent && matchesComplex(node.parent, complex, index - 1, context)
+		case "+": {
+			const p = previousElement(node)
+
+			return !!p && matchesComplex(p, complex, index - 1, context)
+		}
+		case "~":
+			for (let p = previousElement(node); p; p = previousElement(p)) {
+				if (matchesComplex(p, complex, index - 1, context)) return true
+			}
+
+			return false
+	}
+
+	return false
+}
+
+const matchesList = (node, list, context) => list.some(c => matchesComplex(node, c, c.compounds.length - 1, context))
+
+const matchesRelative = (node, list, context) => {
+	const relativeContext = { ...context, scope: node }
+
+	for (const complex of list) {
+		const index = complex.compounds.length - 1
+		const combinator = complex.combinators[0]
+		let roots
+
+		if (combinator === " " || combinator === ">") {
+			roots = node.children
+		} else {
+			roots = []
+
+			for (let s = nextElement(node); s; s = nextElement(s)) {
+				roots.push(s)
+
+				if (combinator === "+") break
+			}
+		}
+
+		for (const root of roots) {
+			for (const candidate of walkElements(root, true)) {
+				if (matchesComplex(candidate, complex, index, relativeContext)) return true
+			}
+		}
+	}
+
+	return false
+}
+
+/**
+ * Creates the context selectors are matched in, where namespace prefixes resolve through the given map or else the
+ * `xmlns` declarations in scope at the given scope Node.
+ */
+const createContext = (list, scope, namespaces = {}) => {
+	if (Object.prototype.toString.call(namespaces) !== "[object Object]")
+		throw new TypeError(`Expected options.namespaces to be an object, instead got ${typeof namespaces}`)
+
+	const resolved = new Map()
+
+	for (const prefix of list.prefixes) {
+		const namespaceURI = Object.hasOwn(namespaces, prefix) ? namespaces[prefix] : lookupNamespaceURI(scope, prefix)
+
+		if (namespaceURI === undefined) throw new SyntaxError(`Expected namespace prefix "${prefix}" to be declared`)
+
+		resolved.set(prefix, namespaceURI)
+	}
+
+	// `|name` (an empty prefix) refers to names in no namespace
+	return { scope, resolvePrefix: prefix => resolved.get(prefix) }
+}
+
+/**
+ * Checks if the given Node matches the given CSS selector list.
+ *
+ * @param {Node} node
+ * @param {string} selector
+ * @param {{[prefix: string]: string}} [namespaces] The namespace URIs of the prefixes used in the selector
+ * @param {Node} [scope] The Node that `:scope` refers to (default: `node`)
+ * @return {boolean}
+ */
+export function matches(node, selector, namespaces, scope = node) {
+	const list = parseSelector(selector)
+
+	return matchesList(node, list, createContext(list, scope, namespaces))
+}
+
+/**
+ * Collects the descendant Element Nodes of the given Node that match the given CSS selector list, in document order.
+ *
+ * @param {Node} root The Document or Element Node to search within
+ * @param {string} selector
+ * @param {boolean} [firstOnly] Whether to stop at the first match (default: `false`)
+ * @param {{[prefix: string]: string}} [namespaces] The namespace URIs of the prefixes used in the selector
+ * @return {Array<Node>}
+ */
+export function select(root, selector, firstOnly = false, namespaces) {
+	const list = parseSelector(selector)
+	const context = createContext(list, root, namespaces)
+	const result = []
+
+	if (root.type !== Document && !isElementNode(root)) return result
+
+	for (const node of walkElements(root, false)) {
+		if (!matchesList(node, list, context)) continue
+
+		result.push(node)
+
+		if (firstOnly) break
+	}
+
+	return result
+}
@@ -0,0 +1,242 @@
+import { Document } from "../nodeTypes.js"
+import { isElementNode } from "./walk.js"
+
+/**
+ * The namespace the `xml` prefix is bound to.
+ */
+export const XML_NAMESPACE = "http://www.w3.org/XML/1998/namespace"
+/**
+ * The namespace of `xmlns` and `xmlns:*` attributes.
+ */
+export const XMLNS_NAMESPACE = "http://www.w3.org/2000/xmlns/"
+
+/**
+ * Gets the prefix of the given qualified name, or `""` if it has none.
+ *
+ * @param {string} name
+ * @return {string}
+ */
+export const prefixOf = name => (name.includes(":") ? name.slice(0, name.indexOf(":")) : "")
+
+/**
+ * Gets the local part of the given qualified name.
+ *
+ * @param {string} name
+ * @return {string}
+ */
+export const localNameOf = name => name.slice(name.indexOf(":") + 1)
+
+/**
+ * Checks if the given attribute name declares a namespace, i.e. is `xmlns` or starts with `xmlns:`.
+ *
+ * @param {string} name
+ * @return {boolean}
+ */
+export const isNamespaceDeclaration = name => name === "xmlns" || name.startsWith("xmlns:")
+
+const declaredPrefix = name => (name === "xmlns" ? "" : name.slice(6))
+
+/**
+ * Finds the namespace URI the given prefix is bound to at the given Node, through the `xmlns` declarations on it and
+ * its ancestors. A Document Node looks through its root element.
+ *
+ * @param {Node} node
+ * @param {string} prefix The prefix, or `""` for the default namespace
+ * @return {string|undefined} The namespace URI, or `undefined` if the prefix is not bound (or undeclared with `""`)
+ */
+export const lookupNamespaceURI = (node, prefix) => {
+	if (prefix === "xml") return XML_NAMESPACE
+	if (prefix === "xmlns") return XMLNS_NAMESPACE
+
+	const name = prefix ? `xmlns:${prefix}` : "xmlns"
+
+	for (let n = node.type === Document ? node.children.find(isElementNode) : node; n; n = n.parent) {
+		if (isElementNode(n) && n.hasAttribute(name)) return n.getAttribute(name) || undefined
+	}
+
+	return undefined
+}
+
+/**
+ * Finds a prefix bound to the given namespace URI at the given Node, preferring the closest declaration.
+ *
+ * @param {Node} node
+ * @param {string} namespaceURI
+ * @return {string|undefined} The prefix, or `undefined` if only the default namespace (or nothing) is bound to it
+ */
+export const lookupPrefix = (node, namespaceURI) => {
+	if (namespaceURI === XML_NAMESPACE) return "xml"
+	if (namespaceURI === XMLNS_NAMESPACE) return "xmlns"
+
+	for (let n = node.type === Document ? node.children.find(isElementNode) : node; n; n = n.parent) {
+		if (!isElementNode(n)) continue
+
+		for (const [name, value] of Object.entries(n.attributes)) {
+			if (!name.startsWith("xmlns:") || value !== namespaceURI) continue
+
+			// A closer declaration may have bound the prefix to something else
+			if (lookupNamespaceURI(node, name.slice(6)) === namespaceURI) return name.slice(6)
+		}
+	}
+
+	return undefined
+}
+
+/**
+ * Gets the namespace URI of the attribute with the given name on the given element. Unprefixed attributes are in no
+ * namespace, as default namespaces do not apply to them, while namespace declarations are in the `xmlns` namespace.
+ *
+ * @param {Node} node
+ * @param {string} name
+ * @return {string|undefined}
+ */
+export const attributeNamespaceURI = (node, name) => {
+	if (isNamespaceDeclaration(name)) return XMLNS_NAMESPACE
+
+	const prefix = prefixOf(name)
+
+	return prefix ? lookupNamespaceURI(node, prefix) : undefined
+}
+
+/**
+ * Finds the name of the attribute in the given namespace with the given local name on the given element.
+ *
+ * @param {Node} node
+ * @param {string|undefined} namespaceURI
+ * @param {string} localName
+ * @return {string|undefined}
+ */
+export const findAttributeNS = (node, namespaceURI, localName) => {
+	for (const name of Object.keys(node.attributes)) {
+		if (localNameOf(name) === localName && attributeNamespaceURI(node, name) === namespaceURI) return name
+	}
+
+	return undefined
+}
+
+/**
+ * Picks the name to store an attribute with the given namespace and qualified name under on the given element, and
+ * the prefix that must be declared on the element for it, if any.
+ *
+ * @note An existing attribute with the same namespace and local name keeps its name. When the prefix of the qualified
+ * name is missing or bound to another namespace, a prefix already bound to the namespace is used instead, or else a
+ * new `ns1`, `ns2`, ... prefix.
+ * @param {Node} node
+ * @param {string|undefined} namespaceURI
+ * @param {string} qualifiedName
+ * @return {{name: string, declare?: string}}
+ * @throws {Error} If the qualified name cannot be used with the namespace
+ */
+export const qualifyAttributeName = (node, namespaceURI, qualifiedName) => {
+	const prefix = prefixOf(qualifiedName)
+	const localName = localNameOf(qualifiedName)
+	const isXMLNS = qualifiedName === "xmlns" || prefix === "xmlns"
+
+	if (prefix === "xml" && namespaceURI !== XML_NAMESPACE)
+		throw new Error(`Expected the "xml" prefix to be used with namespace ${XML_NAMESPACE}, instead got ${namespaceURI}`)
+	if (isXMLNS !== (namespaceURI === XMLNS_NAMESPACE))
+		throw new Error(`Expected namespace ${XMLNS_NAMESPACE} to be used with "xmlns" attributes, and only with them`)
+	if (namespaceURI === undefined) {
+		if (prefix)
+			throw new Error(`Expected an attribute in no namespace to have no prefix, instead got "${qualifiedName}"`)
+
+		return { name: qualifiedName }
+	}
+	if (isXMLNS) return { name: qualifiedName }
+	if (namespaceURI === XML_NAMESPACE) return { name: `xml:${localName}` }
+
+	const existing = findAttributeNS(node, namespaceURI, localName)
+
+	if (existing !== undefined) return { name: existing }
+
+	if (prefix) {
+		const bound = lookupNamespaceURI(node, prefix)
+
+		if (bound === namespaceURI) return { name: qualifiedName }
+		if (bound === undefined && !node.hasAttribute(`xmlns:${prefix}`)) return { name: qualifiedName, declare: prefix }
+	}
+
+	const bound = lookupPrefix(node, namespaceURI)
+
+	if (bound !== undefined) return { name: `${bound}:${localName}` }
+
+	let i = 1
+
+	while (lookupNamespaceURI(node, `ns${i}`) !== undefined || node.hasAttribute(`xmlns:ns${i}`)) i++
+
+	return { name: `ns${i}:${localName}`, declare: `ns${i}` }
+}
+
+/**
+ * Finds the namespaces in scope at the given element, through the `xmlns` declarations on it and its ancestors. The
+ * `xml` prefix is always in scope.
+ *
+ * @param {Node} node
+ * @return {Array<[prefix: string, namespaceURI: string]>} The prefixes (`""` for the default namespace) and the
+ * namespace URIs they are bound to
+ */
+export const inScopeNamespaces = node => {
+	const inScope = new Map([["xml", XML_NAMESPACE]])
+
+	for (let n = node; isElementNode(n); n = n.parent) {
+		for (const [name, value] of Object.entries(n.attributes)) {
+			if (isNamespaceDeclaration(name) && !inScope.has(declaredPrefix(name))) inScope.set(declaredPrefix(name), value)
+		}
+	}
+
+	// Undeclaring the default namespace (`xmlns=""`) takes it out of scope
+	for (const [prefix, uri] of inScope) {
+		if (!uri) inScope.delete(prefix)
+	}
+
+	return [...inScope]
+}
+
+/**
+ * Finds the namespace declarations that the given element and its descendants rely on from the element's ancestors,
+ * i.e. those that would be lost if the element were taken out of its tree.
+ *
+ * @param {Node} node
+ * @param {boolean} [subtree] Whether to include the namespaces used by the element's descendants (default: `true`)
+ * @return {Array<[prefix: string, namespaceURI: string]>} The prefixes (`""` for the default namespace) and the
+ * namespace URIs they are bound to
+ */
+export const inheritedNamespaces = (node, subtree = true) => {
+	const inherited = new Map()
+
+	for (let ancestor = node.parent; isElementNode(ancestor); ancestor = ancestor.parent) {
+		for (const [name, value] of Object.entries(ancestor.attributes)) {
+			if (isNamespaceDeclaration(name) && !inherited.has(declaredPrefix(name)))
+				inherited.set(declaredPrefix(name), value)
+		}
+	}
+
+	// Undeclaring the default namespace (`xmlns=""`) is the same as not declaring it
+	for (const [prefix, uri] of inherited) {
+		if (!uri) inherited.delete(prefix)
+	}
+
+	if (!inherited.size) return []
+
+	const needed = new Map()
+	const stack = [{ node, declared: new Set() }]
+
+	while (stack.length) {
+		let { node, declared } = stack.pop()
+		const names = Object.keys(node.attributes)
+		const declarations = names.filter(isNamespaceDeclaration)
+
+		if (declarations.length) declared = new Set([...declared, ...declarations.map(declaredPrefix)])
+
+		const used = [prefixOf(node.name), ...names.filter(name => name.includes(":")).map(prefixOf)]
+
+		for (const prefix of used) {
+			if (!declared.has(prefix) && inherited.has(prefix)) needed.set(prefix, inherited.get(prefix))
+		}
+		for (const child of subtree ? node.children : []) {
+			if (isElementNode(child)) stack.push({ node: child, declared })
+		}
+	}
+
+	return [...needed]
+}
@@ -0,0 +1,140 @@
+import { Element, VoidElement } from "../nodeTypes.js"
+
+/**
+ * Checks if the given Node is an Element or VoidElement Node.
+ *
+ * @param {Node|undefined} node
+ * @return {boolean}
+ */
+export const isElementNode = node => node?.type === Element || node?.type === VoidElement
+
+/**
+ * Walks the Element Nodes under the given root in document order.
+ *
+ * @param {Node} root
+ * @param {boolean} [includeRoot] Whether to yield the root itself (default: `false`)
+ * @return {Generator<Node>}
+ */
+export function* walkElements(root, includeRoot = false) {
+	const stack = includeRoot ? [root] : [...root.children].reverse()
+
+	while (stack.length) {
+		const node = stack.pop()
+
+		if (!isElementNode(node)) continue
+
+		yield node
+
+		for (let i = node.children.length - 1; i >= 0; i--) stack.push(node.children[i])
+	}
+}
+
+/**
+ * Walks the descendants of the given root.
+ *
+ * @note Each Node's children are read when the walk gets to them, so changes made to the parts of the tree the walk
+ * has not reached yet are seen by it.
+ * @param {Node} root
+ * @param {"pre"|"post"|"breadth"} [order] Whether to yield each Node before its descendants, after them, or level by
+ * level (default: `"pre"`)
+ * @param {function(Node): boolean} [filter] Which Nodes to yield (the descendants of the others are still walked)
+ * @return {Generator<Node>}
+ */
+export function* walkDescendants(root, order = "pre", filter = () => true) {
+	if (order === "breadth") {
+		let level = root.children
+
+		while (level.length) {
+			const next = []
+
+			for (const node of level) {
+				if (filter(node)) yield node
+
+				for (const child of node.children) next.push(child)
+			}
+
+			level = next
+		}
+	} else if (order === "post") {
+		const stack = [...root.children].reverse().map(node => ({ node, isExpanded: false }))
+
+		while (stack.length) {
+			const top = stack[stack.length - 1]
+
+			if (top.isExpanded) {
+				stack.pop()
+
+				if (filter(top.node)) yield top.node
+			} else {
+				top.isExpanded = true
+
+				for (let i = top.node.children.length - 1; i >= 0; i--)
+					stack.push({ node: top.node.children[i], isExpanded: false })
+			}
+		}
+	} else {
+		const stack = [...root.children].reverse()
+
+		while (stack.length) {
+			const node = stack.pop()
+
+			if (filter(node)) yield node
+
+			for (let i = node.children.length - 1; i >= 0; i--) stack.push(node.children[i])
+		}
+	}
+}
+
+/**
+ * Walks the ancestors of the given Node, from its parent up.
+ *
+ * @param {Node} node
+ * @return {Generator<Node>}
+ */
+export function* walkAncestors(node) {
+	for (let n = node.parent; n; n = n.parent) yield n
+}
+
+/**
+ * Walks the Nodes after the given Node in document order, leaving out its descendants.
+ *
+ * @param {Node} node
+ * @return {Generator<Node>}
+ */
+export function* walkFollowing(node) {
+	for (let n = node; n; n = n.parent) {
+		for (let s = n.next; s; s = s.next) {
+			yield s
+			yield* walkDescendants(s)
+		}
+	}
+}
+
+/**
+ * Walks the Nodes before the given Node in reverse document order, leaving out its ancestors.
+ *
+ * @param {Node} node
+ * @return {Generator<Node>}
+ */
+export function* walkPreceding(node) {
+	for (let n = node; n; n = n.parent) {
+		for (let s = n.previous; s; s = s.previous) {
+			// A post-order walk that takes the children from last to first is the reverse of a pre-order walk
+			const stack = [{ node: s, isExpanded: false }]
+
+			while (stack.length) {
+				const top = stack[stack.length - 1]
+
+				if (top.isExpanded) {
+					stack.pop()
+
+					yield top.node
+				} else {
+					top.isExpanded = true
+
+					for (const child of top.node.children) stack.push({ node: child, isExpanded: false })
+				}
+			}
+		}
+	}
+}
@@ -0,0 +1,376 @@
+import parseXML from "../parsers/xml.js"
+import { isElementNode } from "../query/walk.js"
+
+const PUBLIC_ID_URN = /^urn:publicid:/i
+const URN_TRANSCRIPTIONS = {
+	"+": " ",
+	":": "//",
+	";": "::",
+	"%2B": "+",
+	"%3A": ":",
+	"%2F": "/",
+	"%3B": ";",
+	"%27": "'",
+	"%3F": "?",
+	"%23": "#",
+	"%25": "%"
+}
+
+/**
+ * Gets the given Node.js built-in module. The modules that read files are only loaded when files are read, so that the
+ * rest of virty does not depend on Node.js.
+ */
+const builtinModule = name => {
+	const module = globalThis.process?.getBuiltinModule?.(name)
+
+	if (!module) throw new Error(`Cannot load "${name}", as reading files requires Node.js 20.16 or later`)
+
+	return module
+}
+
+/**
+ * @typedef {object} CatalogEntry
+ * @property {string} type One of `"public"`, `"system"`, `"rewriteSystem"`, `"systemSuffix"`, `"delegatePublic"`,
+ * `"delegateSystem"`, or `"nextCatalog"`
+ * @property {string} [publicID] The public ID matched by a `public` entry
+ * @property {string} [systemURI] The system ID matched by a `system` entry
+ * @property {string} [startString] The start of the IDs matched by a `rewriteSystem` or `delegate*` entry
+ * @property {string} [suffix] The end of the system IDs matched by a `systemSuffix` entry
+ * @property {string} [uri] The absolute URI a `public`, `system`, or `systemSuffix` entry maps to
+ * @property {string} [rewritePrefix] The absolute URI a `rewriteSystem` entry replaces the start string with
+ * @property {string} [catalog] The absolute URI of the catalog a `delegate*` or `nextCatalog` entry refers to
+ * @property {boolean} [preferPublic] Whether a `public` or `delegatePublic` entry is used when a system ID is given
+ */
+
+const normalizePublicID = publicID => publicID.replace(/[\x20\x09\x0d\x0a]+/g, " ").trim()
+
+/**
+ * Unwraps the given `urn:publicid:` URN into the public ID it stands for.
+ */
+const unwrapURN = urn =>
+	urn
+		.slice("urn:publicid:".length)
+		.replace(/%2B|%3A|%2F|%3B|%27|%3F|%23|%25|[+:;]/gi, match => URN_TRANSCRIPTIONS[match.toUpperCase()])
+
+const localName = name => name.slice(name.indexOf(":") + 1)
+
+/**
+ * Collects the entries of the given catalog or group element, resolving their URIs against the `xml:base` in effect.
+ */
+const collectEntries = (node, baseURI, preferPublic, entries) => {
+	if (node.attributes["xml:base"] !== undefined) baseURI = new URL(node.attributes["xml:base"], baseURI).href
+	if (node.attributes.prefer !== undefined) preferPublic = node.attributes.prefer === "public"
+
+	for (const child of node.children) {
+		if (!isElementNode(child)) continue
+
+		const attributes = child.attributes
+		const base = attributes["xml:base"] === undefined ? baseURI : new URL(attributes["xml:base"], baseURI).href
+		const prefer = attributes.prefer === undefined ? preferPublic : attributes.prefer === "public"
+		const resolve = uri => new URL(uri, base).href
+
+		// Entries missing a required attribute are ignored, as are elements from other vocabularies
+		switch (localName(child.name)) {
+			case "group":
+				collectEntries(child, baseURI, preferPublic, entries)
+				break
+			case "public":
+				if (attributes.publicId !== undefined && attributes.uri !== undefined)
+					entries.push({
+						type: "public",
+						publicID: normalizePublicID(attributes.publicId),
+						uri: resolve(attributes.uri),
+						preferPublic: prefer
+					})
+				break
+			case "system":
+				if (attributes.systemId !== undefined && attributes.uri !== undefined)
+					entries.push({ type: "system", systemURI: attributes.systemId, uri: resolve(attributes.uri) })
+				break
+			case "rewriteSystem":
+				if (attributes.systemIdStartString !== undefined && attributes.rewritePrefix !== undefined)
+					entries.push({
+						type: "rewriteSystem",
+						startString: attributes.systemIdStartString,
+						rewritePrefix: resolve(attributes.rewritePrefix)
+					})
+				break
+			case "systemSuffix":
+				if (attributes.systemIdSuffix !== undefined && attributes.uri !== undefined)
+					entries.push({ type: "systemSuffix", suffix: attributes.systemIdSuffix, uri: resolve(attributes.uri) })
+				break
+			case "delegatePublic":
+				if (attributes.publicIdStartString !== undefined && attributes.catalog !== undefined)
+					entries.push({
+						type: "delegatePublic",
+						startString: normalizePublicID(attributes.publicIdStartString),
+						catalog: resolve(attributes.catalog),
+						preferPublic: prefer
+					})
+				break
+			case "delegateSystem":
+				if (attributes.systemIdStartString !== undefined && attributes.catalog !== undefined)
+					entries.push({
+						type: "delegateSystem",
+						startString: attributes.systemIdStartString,
+						catalog: resolve(attributes.catalog)
+					})
+				break
+			case "nextCatalog":
+				if (attributes.catalog !== undefined)
+					entries.push({ type: "nextCatalog", catalog: resolve(attributes.catalog) })
+				break
+		}
+	}
+
+	return entries
+}
+
+/**
+ * Finds the entry of the given type whose string the given ID starts or ends with, preferring the longest one.
+ */
+const longestMatch = (entries, type, key, matches) => {
+	let best
+
+	for (const entry of entries) {
+		if (entry.type === type && matches(entry[key]) && entry[key].length > (best?.[key].length ?? -1)) best = entry
+	}
+
+	return best
+}
+
+/**
+ * An OASIS XML Catalog, which maps the public and system IDs of external entities and DTDs to other (usually local)
+ * URIs.
+ *
+ * @note Implements the external identifier resolution of the OASIS XML Catalogs 1.1 specification, i.e. the `public`,
+ * `system`, `rewriteSystem`, `systemSuffix`, `delegatePublic`, `delegateSystem`, `nextCatalog`, and `group` entries,
+ * along with the `prefer` and `xml:base` attributes. URI resolution entries (`uri`, `rewriteURI`, ...) are ignored.
+ * @note Catalogs referred to by delegate and `nextCatalog` entries are loaded when first needed. Catalogs that cannot
+ * be read or parsed are treated as empty, as the specification requires.
+ */
+export default class XMLCatalog {
+	#entries
+	#loaded = new Map()
+
+	/**
+	 * @note To be created with `XMLCatalog.load` or `XMLCatalog.parse`
+	 * @param {object} [init]
+	 * @param {CatalogEntry[]} [init.entries] The entries of the catalog, in document order
+	 */
+	constructor(init) {
+		if (Object.prototype.toString.call(init) !== "[object Object]") init = {}
+		if (init.entries !== undefined && !Array.isArray(init.entries))
+			throw new TypeError(`Expected init.entries to be an array, instead got ${typeof init.entries}`)
+
+		this.#entries = Object.freeze((init.entries ?? []).map(entry => Object.freeze({ ...entry })))
+	}
+
+	/**
+	 * Checks if the given value is an XMLCatalog.
+	 *
+	 * @param {unknown} value
+	 * @return {boolean}
+	 */
+	static isXMLCatalog(value) {
+		return value instanceof XMLCatalog
+	}
+
+	/**
+	 * Reads the catalog file at the given path or `file:` URL.
+	 *
+	 * @note Reading files requires Node.js 20.16 or later, as does reading through `createResolver`.
+	 * @param {string|URL} path
+	 * @return {XMLCatalog}
+	 * @throws {SyntaxError} If the catalog is not well-formed XML
+	 */
+	static load(path) {
+		if (typeof path !== "string" && !(path instanceof URL))
+			throw new TypeError(`Expected path to be a string or a URL, instead got ${typeof path}`)
+
+		const url =
+			path instanceof URL || path.startsWith("file:") ? new URL(path) : builtinModule("node:url").pathToFileURL(path)
+
+		return XMLCatalog.parse(builtinModule("node:fs").readFileSync(url, "utf8"), { baseURI: url.href })
+	}
+
+	/**
+	 * Parses the given string as a catalog.
+	 *
+	 * @param {string} xml
+	 * @param {object} [options]
+	 * @param {string} [options.baseURI] The URI relative URIs in the catalog are resolved against (default: the
+	 * current working directory, which requires Node.js)
+	 * @return {XMLCatalog}
+	 * @throws {SyntaxError} If the catalog is not well-formed XML
+	 */
+	static parse(xml, options) {
+		if (typeof xml !== "string") throw new TypeError(`Expected xml to be a string, instead got ${typeof xml}`)
+		if (options === undefined) options = {}
+		if (Object.prototype.toString.call(options) !== "[object Object]")
+			throw new TypeError(`Expected options to be an object, instead got ${typeof options}`)
+		if (options.baseURI !== undefined && typeof options.baseURI !== "string")
+			throw new TypeError(`Expected options.baseURI to be a string, instead got ${typeof options.baseURI}`)
+
+		const baseURI = options.baseURI ?? builtinModule("node:url").pathToFileURL("./").href
+		const root = parseXML(xml).children.find(isElementNode)
+		const entries = root && localName(root.name) === "catalog" ? collectEntries(root, baseURI, true, []) : []
+
+		return new XMLCatalog({ entries })
+	}
+
+	/**
+	 * The entries of the XMLCatalog, in document order and with groups flattened.
+	 *
+	 * @return {ReadonlyArray<CatalogEntry>}
+	 */
+	get entries() {
+		return this.#entries
+	}
+
+	/**
+	 * Gets the catalog at the given URI, loading it the first time.
+	 */
+	#catalogAt(uri) {
+		if (!this.#loaded.has(uri)) {
+			let catalog
+
+			try {
+				catalog = XMLCatalog.load(new URL(uri))
+			} catch {
+				catalog = new XMLCatalog()
+			}
+
+			catalog.#loaded = this.#loaded
+			this.#loaded.set(uri, catalog)
+		}
+
+		return this.#loaded.get(uri)
+	}
+
+	/**
+	 * Resolves the given IDs through the catalogs at the given URIs in turn, as delegate entries do.
+	 */
+	#delegate(entries, publicID, systemURI, visited) {
+		const uris = entries.sort((a, b) => b.startString.length - a.startString.length).map(entry => entry.catalog)
+
+		for (const uri of new Set(uris)) {
+			const resolved = this.#catalogAt(uri).#resolve(publicID, systemURI, visited)
+
+			if (resolved !== undefined) return resolved
+		}
+
+		return undefined
+	}
+
+	#resolve(publicID, systemURI, visited) {
+		if (visited.has(this)) return undefined
+
+		visited.add(this)
+
+		const entries = this.#entries
+
+		if (systemURI !== undefined) {
+			const system = entries.find(entry => entry.type === "system" && entry.systemURI === systemURI)
+
+			if (system) return system.uri
+
+			const rewrite = longestMatch(entries, "rewriteSystem", "startString", start => systemURI.startsWith(start))
+
+			if (rewrite) return `${rewrite.rewritePrefix}${systemURI.slice(rewrite.startString.length)}`
+
+			const suffix = longestMatch(entries, "systemSuffix", "suffix", end => systemURI.endsWith(end))
+
+			if (suffix) return suffix.uri
+
+			const delegates = entries.filter(
+				entry => entry.type === "delegateSystem" && systemURI.startsWith(entry.startString)
+			)
+
+			if (delegates.length) return this.#delegate(delegates, undefined, systemURI, visited)
+		}
+
+		if (publicID !== undefined) {
+			// Unless preferred, public entries only apply when no system ID is given
+			const applies = entry => entry.preferPublic || systemURI === undefined
+			const match = entries.find(entry => entry.type === "public" && entry.publicID === publicID && applies(entry))
+
+			if (match) return match.uri
+
+			const delegates = entries.filter(
+				entry => entry.type === "delegatePublic" && publicID.startsWith(entry.startString) && applies(entry)
+			)
+
+			if (delegates.length) return this.#delegate(delegates, publicID, undefined, visited)
+		}
+
+		for (const entry of entries) {
+			if (entry.type !== "nextCatalog") continue
+
+			const resolved = this.#catalogAt(entry.catalog).#resolve(publicID, systemURI, visited)
+
+			if (resolved !== undefined) return resolved
+		}
+
+		return undefined
+	}
+
+	/**
+	 * Resolves the given public and system IDs to the URI the catalog maps them to.
+	 *
+	 * @note Public IDs are normalized, and `urn:publicid:` URNs are unwrapped, before they are matched. System IDs are
+	 * matched first, then public IDs.
+	 * @param {object} externalID E.g. a DoctypeDeclaration's `formalPublicIdentifier` and `systemIdentifier`, or an
+	 * EntityDeclaration
+	 * @param {string} [externalID.publicID]
+	 * @param {string} [externalID.systemURI]
+	 * @return {string|undefined} The absolute URI, or `undefined` if the catalog has no mapping for the IDs
+	 */
+	resolveExternalID(externalID) {
+		if (externalID === null || typeof externalID !== "object")
+			throw new TypeError(`Expected externalID to be an object, instead got ${typeof externalID}`)
+
+		let { publicID, systemURI } = externalID
+
+		if (publicID !== undefined && typeof publicID !== "string")
+			throw new TypeError(`Expected externalID.publicID to be a string, instead got ${typeof publicID}`)
+		if (systemURI !== undefined && typeof systemURI !== "string")
+			throw new TypeError(`Expected externalID.systemURI to be a string, instead got ${typeof systemURI}`)
+
+		if (publicID !== undefined)
+			publicID = normalizePublicID(PUBLIC_ID_URN.test(publicID) ? unwrapURN(publicID) : publicID)
+
+		// A system ID that is a public ID URN stands in for the public ID, and is ignored when it contradicts it
+		if (systemURI !== undefined && PUBLIC_ID_URN.test(systemURI)) {
+			publicID ??= normalizePublicID(unwrapURN(systemURI))
+			systemURI = undefined
+		}
+
+		return this.#resolve(publicID, systemURI, new Set())
+	}
+
+	/**
+	 * Creates a function that reads the local file the catalog maps the given IDs to, to be passed as the
+	 * `resolveEntity` option of `parseXML`, `parseDTD`, `validate`, and `expandEntities`.
+	 *
+	 * @note Only `file:` URIs are read, so IDs that the catalog does not map, or maps to other URIs, are never
+	 * fetched and resolve to `undefined`. So do IDs mapped to files that do not exist, which parsers then skip as they
+	 * skip unmapped ones.
+	 * @return {function({publicID?: string, systemURI?: string}): (string|undefined)}
+	 */
+	createResolver() {
+		return externalID => {
+			const uri = this.resolveExternalID(externalID)
+
+			if (!uri?.startsWith("file:")) return undefined
+
+			try {
+				return builtinModule("node:fs").readFileSync(new URL(uri), "utf8")
+			} catch (error) {
+				if (error?.code === "ENOENT") return undefined
+
+				throw error
+			}
+		}
+	}
+}
@@ -0,0 +1,197 @@
+import {
+	Document,
+	Element,
+	VoidElement,
+	CDATA,
+	ProcessingInstruction,
+	Text,
+	Comment,
+	EntityReference
+} from "../nodeTypes.js"
+import { XML_NAMESPACE, isNamespaceDeclaration, localNameOf, prefixOf } from "../query/namespaces.js"
+
+const isElementNode = node => node.type === Element || node.type === VoidElement
+const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0)
+
+const escapeText = value =>
+	value.replace(/[&<>\r]/g, char => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\r": "&#xD;" }[char]))
+
+const escapeAttribute = value =>
+	value.replace(
+		/[&<"\t\n\r]/g,
+		char => ({ "&": "&amp;", "<": "&lt;", '"': "&quot;", "\t": "&#x9;", "\n": "&#xA;", "\r": "&#xD;" }[char])
+	)
+
+/**
+ * Adds the namespace declarations of the given element to a copy of the given prefix to namespace URI map.
+ */
+const declareNamespaces = (node, inScope) => {
+	const result = new Map(inScope)
+
+	for (const [name, value] of Object.entries(node.attributes)) {
+		if (isNamespaceDeclaration(name)) result.set(name === "xmlns" ? "" : name.slice(6), value ?? "")
+	}
+
+	return result
+}
+
+/**
+ * Collects the namespaces and `xml:*` attributes in scope at the given element from its ancestors.
+ */
+const inheritFromAncestors = node => {
+	const ancestors = []
+
+	for (let parent = node.parent; parent && isElementNode(parent); parent = parent.parent) ancestors.unshift(parent)
+
+	const xmlAttributes = {}
+	let inScope = new Map()
+
+	for (const ancestor of ancestors) {
+		inScope = declareNamespaces(ancestor, inScope)
+
+		for (const [name, value] of Object.entries(ancestor.attributes)) {
+			if (name.startsWith("xml:")) xmlAttributes[name] = value ?? ""
+		}
+	}
+
+	return { inScope, xmlAttributes }
+}
+
+/**
+ * Picks the namespace declarations to write on an element, given the namespaces in scope and those already written on
+ * its ancestors in the output.
+ */
+const namespacesToRender = (node, inScope, rendered, options) => {
+	let prefixes
+
+	if (options.exclusive) {
+		// Only the namespaces the element or its attributes visibly use, plus the InclusiveNamespaces PrefixList
+		prefixes = new Set([prefixOf(node.name)])
+
+		for (const name of Object.keys(node.attributes)) {
+			if (!isNamespaceDeclaration(name) && name.includes(":")) prefixes.add(prefixOf(name))
+		}
+		for (const prefix of options.inclusiveNamespaces) {
+			if (inScope.has(prefix)) prefixes.add(prefix)
+		}
+	} else {
+		prefixes = new Set(inScope.keys())
+	}
+
+	prefixes.delete("xml")
+
+	const result = []
+
+	for (const prefix of prefixes) {
+		const uri = inScope.get(prefix) ?? (prefix === "" ? "" : undefined)
+
+		if (uri === undefined || uri === (rendered.get(prefix) ?? "")) continue
+		// Undeclaring a prefix other than the default one is not possible in XML 1.0
+		if (prefix !== "" && uri === "") continue
+
+		result.push([prefix, uri])
+	}
+
+	return result.sort(([a], [b]) => compare(a, b))
+}
+
+const startTag = (node, inScope, rendered, inheritedXmlAttributes, options) => {
+	const namespaces = namespacesToRender(node, inScope, rendered, options)
+	const attributes = Object.entries(node.attributes)
+		.filter(([name]) => !isNamespaceDeclaration(name))
+		.map(([name, value]) => ({ name, value: value ?? "" }))
+
+	for (const [name, value] of Object.entries(inheritedXmlAttributes)) {
+		if (!Object.hasOwn(node.attributes, name)) attributes.push({ name, value })
+	}
+
+	// Attributes are sorted by namespace URI, then by local name, with unqualified attributes first
+	for (const attribute of attributes) {
+		const prefix = prefixOf(attribute.name)
+
+		attribute.uri = prefix === "" ? "" : prefix === "xml" ? XML_NAMESPACE : inScope.get(prefix) ?? ""
+	}
+
+	attributes.sort((a, b) => compare(a.uri, b.uri) || compare(localNameOf(a.name), localNameOf(b.name)))
+
+	const ns = namespaces.map(([prefix, uri]) => ` ${prefix ? `xmlns:${prefix}` : "xmlns"}="${escapeAttribute(uri)}"`)
+	const attr = attributes.map(({ name, value }) => ` ${name}="${escapeAttribute(value)}"`)
+
+	return { tag: `<${node.name}${ns.join("")}${attr.join("")}>`, rendered: new Map([...rendered, ...namespaces]) }
+}
+
+const serializeLeaf = (node, options) => {
+	if (node.type === Text || node.type === CDATA) return escapeText(node.value)
+	if (node.type === Comment) return options.withComments ? `<!--${node.value}-->` : ""
+	if (node.type === ProcessingInstruction) return `<?${node.name}${node.value ? ` ${node.value}` : ""}?>`
+	if (node.type === EntityReference)
+		throw new Error(`Cannot canonicalize EntityReference Node "&${node.name};", expand it with expandEntities first`)
+
+	return ""
+}
+
+const canonicalizeElement = (root, options) => {
+	const { inScope, xmlAttributes } = inheritFromAncestors(root)
+	const result = []
+	const stack = [{ node: root, inScope, rendered: new Map() }]
+
+	while (stack.length) {
+		const { node, inScope, rendered, endTag } = stack.pop()
+
+		if (endTag) {
+			result.push(endTag)
+			continue
+		}
+		if (!isElementNode(node)) {
+			result.push(serializeLeaf(node, options))
+			continue
+		}
+
+		const scope = declareNamespaces(node, inScope)
+		// Only inclusive canonicalization copies the `xml:*` attributes of ancestors left out of a document subset
+		const inherited = node === root && !options.exclusive ? xmlAttributes : {}
+		const start = startTag(node, scope, rendered, inherited, options)
+		const children = node.children.map(child => ({ node: child, inScope: scope, rendered: start.rendered }))
+
+		result.push(start.tag)
+		stack.push({ endTag: `</${node.name}>` }, ...children.reverse())
+	}
+
+	return result.join("")
+}
+
+/**
+ * Converts the given Document or Element Node into its canonical form, per Canonical XML 1.0 or Exclusive XML
+ * Canonicalization 1.0.
+ *
+ * @note An Element Node is canonicalized as the document subset made of it and its descendants, so namespaces (and,
+ * for inclusive canonicalization, `xml:*` attributes) declared on its ancestors are taken into account.
+ * @param {Node} node
+ * @param {object} options
+ * @param {boolean} options.exclusive Whether to use Exclusive XML Canonicalization
+ * @param {boolean} options.withComments Whether to keep comments
+ * @param {Array<string>} options.inclusiveNamespaces The InclusiveNamespaces PrefixList, with `""` for the default
+ * namespace
+ * @return {string}
+ */
+export default function canonicalize(node, options) {
+	if (node.type !== Document) return canonicalizeElement(node, options)
+
+	const result = []
+	let isAfterRoot = false
+
+	// Nodes outside of the root element are separated from it by a line feed
+	for (const child of node.children) {
+		if (isElementNode(child)) {
+			result.push(canonicalizeElement(child, options))
+			isAfterRoot = true
+			continue
+		}
+
+		const leaf = serializeLeaf(child, options)
+
+		if (leaf) result.push(isAfterRoot ? `\n${leaf}` : `${leaf}\n`)
+	}
+
+	return result.join("")
+}
@@ -0,0 +1,39 @@
+const NAMED = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" }
+
+/**
+ * Creates the reference for the given character, either named (e.g. `&lt;`) or numeric (e.g. `&#60;`).
+ *
+ * @param {string} char
+ * @param {"named"|"numeric"} entities
+ * @return {string}
+ */
+const reference = (char, entities) => (entities === "named" && NAMED[char] ? NAMED[char] : `&#${char.codePointAt(0)};`)
+
+/**
+ * Escapes the given character data for use as the text content of an element.
+ *
+ * @param {string} text
+ * @param {"named"|"numeric"} [entities] Which kind of reference to use (default: `"named"`)
+ * @return {string}
+ */
+export const escapeText = (text, entities = "named") => text.replace(/[&<>]/g, char => reference(char, entities))
+
+/**
+ * Escapes the given attribute value for use between the given quote characters.
+ *
+ * @note Tabs, line feeds, and carriage returns are escaped as well, since parsers normalize them to spaces otherwise.
+ * @param {string} value
+ * @param {'"'|"'"} [quote] The quote character the value will be wrapped in (default: `'"'`)
+ * @param {"named"|"numeric"} [entities] Which kind of reference to use (default: `"named"`)
+ * @return {string}
+ */
+export const escapeAttribute = (value, quote = '"', entities = "named") =>
+	value.replace(quote === '"' ? /[&<>"\t\n\r]/g : /[&<>'\t\n\r]/g, char => reference(char, entities))
+
+/**
+ * Splits the given value into as many CDATA sections as needed for none of them to contain `]]>`.
+ *
+ * @param {string} value
+ * @return {string}
+ */
+export const escapeCDATA = value => `<![CDATA[${value.replaceAll("]]>", "]]]]><![CDATA[>")}]]>`
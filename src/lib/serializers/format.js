@@ -0,0 +1,203 @@
+import { toHashTable } from "alltheutils"
+import { Document, Element, VoidElement, Text } from "../nodeTypes.js"
+import serialize, { emptyTagEnd, serializeAttributes, serializeLeaf, serializePieces, serializeText } from "./markup.js"
+
+// The elements whose whitespace is part of their content, either by definition or because it is code
+const WHITESPACE_SENSITIVE_ELEMENTS = toHashTable(["listing", "plaintext", "pre", "script", "style", "textarea", "xmp"])
+
+const isElementNode = node => node.type === Element || node.type === VoidElement
+const collapse = value => value.replace(/[\t\n\r ]+/g, " ")
+
+/**
+ * Checks if the whitespace in the given element's content must be kept as it is, given whether its parent's must.
+ */
+const isPreserving = (node, isParentPreserving) => {
+	const space = node.attributes["xml:space"]
+
+	if (space === "preserve") return true
+	if (space === "default") return false
+
+	return isParentPreserving || WHITESPACE_SENSITIVE_ELEMENTS[node.name.toLowerCase()] === true
+}
+
+/**
+ * Checks if the whitespace in the given Node's parent must be kept as it is.
+ */
+const isParentPreserving = node => {
+	const ancestors = []
+
+	for (let parent = node.parent; parent && isElementNode(parent); parent = parent.parent) ancestors.unshift(parent)
+
+	return ancestors.reduce((isPreservingSoFar, ancestor) => isPreserving(ancestor, isPreservingSoFar), false)
+}
+
+const serializeExactly = (node, options) =>
+	node.children.map(c => serialize(c, { ...options, indentSize: 0, useNewLine: false })).join("")
+
+/**
+ * Serializes the given Node on a single line, collapsing whitespace where it is insignificant, or gives up and returns
+ * `undefined` once the line gets longer than the given limit.
+ */
+const serializeInline = (node, options, limit) => {
+	if (!isElementNode(node)) return serializeLeaf(node, options)
+
+	let result = `<${node.name}${serializeAttributes(node, options).join("")}`
+	const tagEnd = emptyTagEnd(node, options.mode)
+
+	if (tagEnd) return `${result}${tagEnd}`
+
+	result = `${result}>`
+
+	if (isPreserving(node, false)) {
+		for (const child of node.children) {
+			for (const piece of serializePieces(child, { ...options, indentSize: 0, useNewLine: false })) {
+				result = `${result}${piece}`
+
+				if (result.length > limit) return undefined
+			}
+		}
+
+		return `${result}</${node.name}>`
+	}
+
+	const last = node.children.length - 1
+
+	for (const [i, child] of node.children.entries()) {
+		if (result.length > limit) return undefined
+
+		if (child.type !== Text) {
+			const inline = serializeInline(child, options, limit - result.length)
+
+			if (inline === undefined) return undefined
+
+			result = `${result}${inline}`
+			continue
+		}
+
+		let value = collapse(child.value)
+
+		// Whitespace at the very start and end of the content is what an end of line would replace
+		if (i === 0) value = value.trimStart()
+		if (i === last) value = value.trimEnd()
+
+		result = `${result}${serializeText(value, node, options)}`
+	}
+
+	return `${result}</${node.name}>`
+}
+
+/**
+ * Splits the given words into as few lines as possible without going past the print width.
+ */
+const fill = (words, indent, printWidth) => {
+	const lines = []
+	let line = ""
+
+	for (const word of words) {
+		if (line && indent.length + line.length + 1 + word.length > printWidth) {
+			lines.push(`${indent}${line}`)
+			line = word
+		} else {
+			line = line ? `${line} ${word}` : word
+		}
+	}
+
+	if (line) lines.push(`${indent}${line}`)
+
+	return lines
+}
+
+function* formatLines(node, depth, options, isParentPreserving) {
+	const unit = options.indentChar.repeat(options.indentSize)
+	const indent = unit.repeat(depth)
+	const fits = line => line !== undefined && !line.includes("\n") && indent.length + line.length <= options.printWidth
+
+	if (node.type === Document) {
+		if (options.mode !== "html" && node.xmlDeclaration) yield node.xmlDeclaration.toString()
+		if (node.doctypeDeclaration) yield node.doctypeDeclaration.toString()
+
+		for (const child of node.children) yield* formatLines(child, depth, options, false)
+
+		return
+	}
+
+	if (node.type === Text) {
+		const text = collapse(node.value).trim()
+
+		if (text) yield* fill(serializeText(text, node.parent, options).split(" "), indent, options.printWidth)
+
+		return
+	}
+
+	if (!isElementNode(node)) {
+		yield `${indent}${serializeLeaf(node, options)}`
+		return
+	}
+
+	const preserving = isPreserving(node, isParentPreserving)
+
+	if (!preserving) {
+		const inline = serializeInline(node, options, options.printWidth - indent.length)
+
+		if (fits(inline)) {
+			yield `${indent}${inline}`
+			return
+		}
+	}
+
+	const attributes = serializeAttributes(node, options)
+	const tagEnd = emptyTagEnd(node, options.mode)
+	const startTag = `<${node.name}${attributes.join("")}${tagEnd ?? ">"}`
+	const lines =
+		fits(startTag) || !attributes.length
+			? [`${indent}${startTag}`]
+			: [
+					`${indent}<${node.name}`,
+					...attributes.map(a => `${indent}${unit}${a.slice(1)}`),
+					`${indent}${tagEnd?.trim() ?? ">"}`
+			  ]
+
+	if (tagEnd) {
+		yield* lines
+		return
+	}
+
+	// Nothing is added around the content of whitespace-sensitive elements, so it continues the start tag's last line
+	if (preserving) {
+		yield* lines.slice(0, -1)
+		yield `${lines[lines.length - 1]}${serializeExactly(node, options)}</${node.name}>`
+		return
+	}
+
+	yield* lines
+
+	for (const child of node.children) yield* formatLines(child, depth + 1, options, false)
+
+	yield `${indent}</${node.name}>`
+}
+
+/**
+ * Converts the given Node and all of its descendants into lines, with each Node on its own line unless it fits on
+ * the line of its parent.
+ *
+ * @note Whitespace between Nodes is treated as insignificant and replaced, except within whitespace-sensitive content:
+ * the contents of `pre`, `textarea`, `listing`, `plaintext`, `script`, `style`, and `xmp` elements, and of elements
+ * with `xml:space="preserve"`.
+ * @param {Node} node
+ * @param {object} options The options of `Node.prototype.toString`, with every default filled in
+ * @return {Generator<string>}
+ */
+export function formatPieces(node, options) {
+	return formatLines(node, 0, { ...options, root: node }, isParentPreserving(node))
+}
+
+/**
+ * Converts the given Node and all of its descendants into a string, formatted as described for `formatPieces`.
+ *
+ * @param {Node} node
+ * @param {object} options The options of `Node.prototype.toString`, with every default filled in
+ * @return {string}
+ */
+export default function format(node, options) {
+	return [...formatPieces(node, options)].join("\n")
+}
@@ -0,0 +1,246 @@
+import { toHashTable } from "alltheutils"
+import { VOID_ELEMENTS } from "../parsers/html.js"
+import {
+	Document,
+	Element,
+	VoidElement,
+	CDATA,
+	ProcessingInstruction,
+	Text,
+	Comment,
+	EntityReference
+} from "../nodeTypes.js"
+import { inheritedNamespaces } from "../query/namespaces.js"
+import { escapeAttribute, escapeCDATA, escapeText } from "./escape.js"
+
+// The elements whose text HTML parsers read without decoding references (`noscript` is left out, as virty parses it
+// as though scripting is disabled)
+const RAW_TEXT_ELEMENTS = toHashTable(["iframe", "noembed", "noframes", "plaintext", "script", "style", "xmp"])
+const BOOLEAN_ATTRIBUTES = toHashTable([
+	"allowfullscreen",
+	"async",
+	"autofocus",
+	"autoplay",
+	"checked",
+	"controls",
+	"default",
+	"defer",
+	"disabled",
+	"formnovalidate",
+	"hidden",
+	"inert",
+	"ismap",
+	"itemscope",
+	"loop",
+	"multiple",
+	"muted",
+	"nomodule",
+	"novalidate",
+	"open",
+	"playsinline",
+	"readonly",
+	"required",
+	"reversed",
+	"selected"
+])
+
+const isBooleanAttribute = (name, value) => {
+	if (value === undefined) return true
+
+	const lowerName = name.toLowerCase()
+
+	return BOOLEAN_ATTRIBUTES[lowerName] === true && (value === "" || value.toLowerCase() === lowerName)
+}
+
+/**
+ * Serializes the attributes of the given element, each with a leading space.
+ *
+ * @note The element the serialization starts at (`options.root`) also gets declarations for the namespaces it and its
+ * descendants use from its ancestors, which are not part of the output.
+ * @param {Node} node
+ * @param {object} options
+ * @return {Array<string>}
+ */
+export const serializeAttributes = (node, options) => {
+	const attributes = Object.entries(node.attributes)
+
+	if (node === options.root && options.mode !== "html") {
+		for (const [prefix, uri] of inheritedNamespaces(node)) attributes.push([prefix ? `xmlns:${prefix}` : "xmlns", uri])
+	}
+
+	return attributes.map(([name, value]) => {
+		if (options.mode === "html" && isBooleanAttribute(name, value)) return ` ${name}`
+
+		// Attributes without a value are written the XHTML way (`checked="checked"`), as XML requires a value
+		const escaped = escapeAttribute(value ?? name, options.quote, options.entities)
+
+		return ` ${name}=${options.quote}${escaped}${options.quote}`
+	})
+}
+
+/**
+ * Gets how the start tag of the given element ends when the element has no end tag, or `undefined` when it has one.
+ *
+ * @param {Node} node
+ * @param {"xml"|"html"|"xhtml"} mode
+ * @return {string|undefined}
+ * @throws {Error} If the element is named as an HTML void element but has children, which HTML cannot express
+ */
+export const emptyTagEnd = (node, mode) => {
+	const isHTMLVoid = VOID_ELEMENTS[node.name.toLowerCase()] === true
+
+	if (mode === "html" && isHTMLVoid && node.children.length)
+		throw new Error(`Cannot serialize <${node.name}> with children in html mode, as void elements have no end tag`)
+	if (mode === "html") return isHTMLVoid ? ">" : undefined
+	if (node.children.length) return undefined
+	if (mode === "xml") return "/>"
+
+	return isHTMLVoid || node.type === VoidElement ? " />" : undefined
+}
+
+/**
+ * Serializes the given character data as the text content of the given parent.
+ *
+ * @param {string} value
+ * @param {Node} [parent]
+ * @param {object} options
+ * @return {string}
+ */
+export const serializeText = (value, parent, options) => {
+	const isRawText = options.mode === "html" && RAW_TEXT_ELEMENTS[parent?.name.toLowerCase()] === true
+
+	return isRawText ? value : escapeText(value, options.entities)
+}
+
+/**
+ * Serializes the given Text, Comment, CDATA, ProcessingInstruction, or EntityReference Node.
+ *
+ * @param {Node} node
+ * @param {object} options
+ * @return {string}
+ * @throws {Error} If a Comment or ProcessingInstruction has a value that would end it early, which cannot be escaped
+ */
+export const serializeLeaf = (node, options) => {
+	if (node.type === Text) return serializeText(node.value, node.parent, options)
+	if (node.type === CDATA) return escapeCDATA(node.value)
+	if (node.type === EntityReference) return `&${node.name};`
+	if (node.type === Comment) {
+		// HTML only ends comments at `-->` (or `--!>`), while XML does not allow `--` in them at all
+		const end = options.mode === "html" ? /--!?>/.exec(node.value) : /--/.exec(node.value)
+
+		if (end) throw new Error(`Cannot serialize a Comment containing "${end[0]}", as comments cannot escape it`)
+
+		return `<!-- ${node.value} -->`
+	}
+
+	// HTML reads processing instructions as comments that end at the first `>`
+	const end = options.mode === "html" ? />/.exec(node.value) : /\?>/.exec(node.value)
+
+	if (end)
+		throw new Error(
+			`Cannot serialize a ProcessingInstruction containing "${end[0]}", as processing instructions cannot escape it`
+		)
+
+	return `<?${node.name} ${node.value}?>`
+}
+
+/**
+ * Fills in the defaults of the options of `Node.prototype.toString`, and checks the ones that are given.
+ *
+ * @param {object} [options]
+ * @return {object}
+ * @throws {TypeError} If `mode`, `entities`, or `quote` is not one of the accepted values
+ */
+export const normalizeOptions = options => {
+	options = Object.prototype.toString.call(options) === "[object Object]" ? { ...options } : {}
+
+	if (options.mode === undefined) options.mode = "xml"
+	if (options.mode !== "xml" && options.mode !== "html" && options.mode !== "xhtml")
+		throw new TypeError(`Expected options.mode to be one of xml|html|xhtml, instead got ${options.mode}`)
+	if (options.entities === undefined) options.entities = "named"
+	if (options.entities !== "named" && options.entities !== "numeric")
+		throw new TypeError(`Expected options.entities to be one of named|numeric, instead got ${options.entities}`)
+	if (options.quote === undefined) options.quote = '"'
+	if (options.quote !== '"' && options.quote !== "'")
+		throw new TypeError(`Expected options.quote to be one of "|', instead got ${options.quote}`)
+	if (typeof options.indentChar !== "string") options.indentChar = ""
+	if (typeof options.indentSize !== "number" || !Number.isInteger(options.indentSize)) options.indentSize = 0
+	if (typeof options.useNewLine !== "boolean")
+		options.useNewLine = options.indentChar && options.indentSize ? true : false
+	if (typeof options.printWidth !== "number" || !(options.printWidth > 0)) options.printWidth = undefined
+
+	// Where the serialization starts is up to the serializers
+	delete options.root
+
+	return options
+}
+
+/**
+ * Converts the given Node and all of its descendants into strings, one for each tag or other piece of markup, which
+ * joined with `\n` (when `useNewLine` is `true`) or `""` form the whole markup.
+ *
+ * @param {Node} node
+ * @param {object} options The options of `Node.prototype.toString`, with every default filled in, and the Node the
+ * serialization started at as `root` (default: `node`)
+ * @return {Generator<string>}
+ */
+export function* serializePieces(node, options) {
+	if (!options.root) options = { ...options, root: node }
+
+	const stack = [{ node, depth: 0 }]
+
+	while (stack.length) {
+		const { node, depth, shouldClose } = stack.pop()
+		const indent = options.indentChar.repeat(depth * options.indentSize)
+
+		if (node.type === Element || node.type === VoidElement) {
+			if (shouldClose) {
+				yield `${indent}</${node.name}>`
+				continue
+			}
+
+			const attr = serializeAttributes(node, options).join("")
+			const tagEnd = emptyTagEnd(node, options.mode)
+
+			if (tagEnd) {
+				yield `${indent}<${node.name}${attr}${tagEnd}`
+				continue
+			}
+
+			yield `${indent}<${node.name}${attr}>`
+
+			const children = node.children
+
+			stack.push({ node, depth, shouldClose: true })
+
+			for (let i = children.length - 1; i >= 0; i--) stack.push({ node: children[i], depth: depth + 1 })
+		} else if (node.type === Text) {
+			if (node.value.length) yield `${indent}${serializeLeaf(node, options)}`
+		} else if (node.type === ProcessingInstruction) {
+			yield serializeLeaf(node, options)
+		} else if (node.type === Comment || node.type === CDATA || node.type === EntityReference) {
+			yield `${indent}${serializeLeaf(node, options)}`
+		} else if (node.type === Document) {
+			// HTML documents have no XML declaration
+			const xmlDeclarationStr = options.mode === "html" ? undefined : node.xmlDeclaration?.toString()
+			const doctypeDeclarationStr = node.doctypeDeclaration?.toString()
+
+			if (xmlDeclarationStr) yield xmlDeclarationStr
+			if (doctypeDeclarationStr) yield doctypeDeclarationStr
+			const children = node.children
+
+			for (let i = children.length - 1; i >= 0; i--) stack.push({ node: children[i], depth })
+		}
+	}
+}
+
+/**
+ * Converts the given Node and all of its descendants into a string.
+ *
+ * @param {Node} node
+ * @param {object} options The options of `Node.prototype.toString`, with every default filled in
+ * @return {string}
+ */
+export default function serialize(node, options) {
+	return [...serializePieces(node, options)].join(options.useNewLine ? "\n" : "")
+}
@@ -0,0 +1,68 @@
+import {
+	Document,
+	Element,
+	VoidElement,
+	CDATA,
+	ProcessingInstruction,
+	Text,
+	Comment,
+	EntityReference
+} from "../nodeTypes.js"
+
+/**
+ * The `whatToShow` flags and filter results of `TreeWalker` and `NodeIterator`, as in the DOM.
+ *
+ * @note Each `SHOW_*` flag is `1 << type` for the Node type it shows, so the values differ from the DOM's, but code that
+ * uses the names works the same. `SHOW_ELEMENT` shows VoidElement Nodes too, while `SHOW_VOID_ELEMENT` shows only them.
+ * @category Constants
+ */
+const NodeFilter = Object.freeze({
+	FILTER_ACCEPT: 1,
+	FILTER_REJECT: 2,
+	FILTER_SKIP: 3,
+	SHOW_ALL: 0xffffffff,
+	SHOW_DOCUMENT: 1 << Document,
+	SHOW_ELEMENT: (1 << Element) | (1 << VoidElement),
+	SHOW_VOID_ELEMENT: 1 << VoidElement,
+	SHOW_CDATA_SECTION: 1 << CDATA,
+	SHOW_PROCESSING_INSTRUCTION: 1 << ProcessingInstruction,
+	SHOW_TEXT: 1 << Text,
+	SHOW_COMMENT: 1 << Comment,
+	SHOW_ENTITY_REFERENCE: 1 << EntityReference
+})
+
+export default NodeFilter
+
+/**
+ * Checks the options of `TreeWalker` and `NodeIterator`, and creates the function that filters their Nodes.
+ *
+ * @param {number} whatToShow
+ * @param {(function(Node): number)|{acceptNode: function(Node): number}|undefined} filter
+ * @return {function(Node): (1|2|3)} Gets `FILTER_ACCEPT`, `FILTER_REJECT`, or `FILTER_SKIP` for the given Node
+ */
+export const createFilter = (whatToShow, filter) => {
+	if (!Number.isInteger(whatToShow))
+		throw new TypeError(`Expected init.whatToShow to be an integer, instead got ${typeof whatToShow}`)
+	if (filter !== undefined && typeof filter !== "function" && typeof filter?.acceptNode !== "function")
+		throw new TypeError(`Expected init.filter to be a function or an object with an acceptNode method`)
+
+	let isActive = false
+
+	return node => {
+		if (!(whatToShow & (1 << node.type))) return NodeFilter.FILTER_SKIP
+		if (filter === undefined) return NodeFilter.FILTER_ACCEPT
+		if (isActive) throw new Error(`Cannot move a TreeWalker or NodeIterator from within its own filter`)
+
+		isActive = true
+
+		try {
+			const result = typeof filter === "function" ? filter(node) : filter.acceptNode(node)
+
+			return result === NodeFilter.FILTER_ACCEPT || result === NodeFilter.FILTER_REJECT
+				? result
+				: NodeFilter.FILTER_SKIP
+		} finally {
+			isActive = false
+		}
+	}
+}
@@ -0,0 +1,206 @@
+import { beforeRemove } from "../keyMask.js"
+import Node from "../node.js"
+import NodeFilter, { createFilter } from "./nodeFilter.js"
+
+// Every NodeIterator is kept here, weakly, so that they can be moved off of Nodes that are about to be removed
+const iterators = new Set()
+
+/**
+ * Tells the live NodeIterators that the given Node is about to be removed from its parent.
+ *
+ * @param {Node} node
+ */
+export const removingNode = node => {
+	for (const reference of iterators) {
+		const iterator = reference.deref()
+
+		if (iterator) iterator[beforeRemove](node)
+		else iterators.delete(reference)
+	}
+}
+
+const lastInclusiveDescendant = node => {
+	while (node.lastChild) node = node.lastChild
+
+	return node
+}
+
+const isInclusiveAncestor = (ancestor, node) => {
+	for (let n = node; n; n = n.parent) {
+		if (n === ancestor) return true
+	}
+
+	return false
+}
+
+/**
+ * Goes through the Nodes in the subtree of a root Node in document order, one at a time, as the DOM's `NodeIterator`
+ * does.
+ *
+ * @note The iterator sits between two Nodes, next to its `referenceNode`, rather than on a Node. When Nodes around it
+ * are removed, it moves to the closest Node still in the tree, as in the DOM, so that it goes on from where it was.
+ * @note Unlike with TreeWalker, rejecting a Node does not leave its descendants out: `FILTER_REJECT` and `FILTER_SKIP`
+ * both only skip the Node itself.
+ */
+export default class NodeIterator {
+	#accept
+	#filter
+	#isPointerBeforeReferenceNode = true
+	#referenceNode
+	#root
+	#whatToShow
+
+	/**
+	 * @param {object} init
+	 * @param {Node} init.root The Node whose subtree to go through
+	 * @param {number} [init.whatToShow] The `NodeFilter.SHOW_*` flags of the Node types to show (default:
+	 * `NodeFilter.SHOW_ALL`)
+	 * @param {(function(Node): number)|{acceptNode: function(Node): number}} [init.filter] Gets `NodeFilter.FILTER_ACCEPT`,
+	 * `NodeFilter.FILTER_REJECT`, or `NodeFilter.FILTER_SKIP` for each Node of the types shown
+	 */
+	constructor(init) {
+		if (Object.prototype.toString.call(init) !== "[object Object]")
+			throw new TypeError(`Expected init to be an object, instead got ${typeof init}`)
+		if (!Node.isNode(init.root)) throw new TypeError(`Expected init.root to be a Node, instead got ${typeof init.root}`)
+
+		this.#whatToShow = init.whatToShow ?? NodeFilter.SHOW_ALL
+		this.#filter = init.filter
+		this.#accept = createFilter(this.#whatToShow, this.#filter)
+		this.#root = init.root
+		this.#referenceNode = init.root
+
+		iterators.add(new WeakRef(this))
+	}
+
+	/**
+	 * Checks if the given value is a NodeIterator.
+	 *
+	 * @param {unknown} value
+	 * @return {boolean}
+	 */
+	static isNodeIterator(value) {
+		return value instanceof NodeIterator
+	}
+
+	/**
+	 * The filter given to the iterator.
+	 *
+	 * @return {(function(Node): number)|{acceptNode: function(Node): number}|undefined}
+	 */
+	get filter() {
+		return this.#filter
+	}
+
+	/**
+	 * Whether the iterator sits before its `referenceNode` (`true`) or after it (`false`).
+	 *
+	 * @return {boolean}
+	 */
+	get pointerBeforeReferenceNode() {
+		return this.#isPointerBeforeReferenceNode
+	}
+
+	/**
+	 * The Node the iterator sits next to.
+	 *
+	 * @return {Node}
+	 */
+	get referenceNode() {
+		return this.#referenceNode
+	}
+
+	/**
+	 * The Node whose subtree the iterator goes through.
+	 *
+	 * @return {Node}
+	 */
+	get root() {
+		return this.#root
+	}
+
+	/**
+	 * The `NodeFilter.SHOW_*` flags of the Node types the iterator shows.
+	 *
+	 * @return {number}
+	 */
+	get whatToShow() {
+		return this.#whatToShow
+	}
+
+	/**
+	 * Moves the iterator forward over the next shown Node in document order.
+	 *
+	 * @return {Node|undefined} The Node, or `undefined` if the iterator is at the end (and did not move)
+	 */
+	nextNode() {
+		return this.#traverse(true)
+	}
+
+	/**
+	 * Moves the iterator back over the previous shown Node in document order.
+	 *
+	 * @return {Node|undefined} The Node, or `undefined` if the iterator is at the start (and did not move)
+	 */
+	previousNode() {
+		return this.#traverse(false)
+	}
+
+	/**
+	 * Does nothing, as in the DOM, where it is only kept for compatibility.
+	 */
+	detach() {}
+
+	[beforeRemove](node) {
+		if (node === this.#root || isInclusiveAncestor(node, this.#root)) return
+		if (!isInclusiveAncestor(node, this.#referenceNode)) return
+
+		if (this.#isPointerBeforeReferenceNode) {
+			for (let n = node; n && n !== this.#root; n = n.parent) {
+				if (!n.next) continue
+
+				this.#referenceNode = n.next
+
+				return
+			}
+
+			this.#isPointerBeforeReferenceNode = false
+		}
+
+		this.#referenceNode = node.previous ? lastInclusiveDescendant(node.previous) : node.parent
+	}
+
+	#traverse(isNext) {
+		let node = this.#referenceNode
+		let isBeforeNode = this.#isPointerBeforeReferenceNode
+
+		while (true) {
+			if (isNext && !isBeforeNode) node = this.#following(node)
+			else if (!isNext && isBeforeNode) node = this.#preceding(node)
+			else isBeforeNode = !isBeforeNode
+
+			if (!node) return undefined
+			if (this.#accept(node) === NodeFilter.FILTER_ACCEPT) break
+		}
+
+		this.#referenceNode = node
+		this.#isPointerBeforeReferenceNode = isBeforeNode
+
+		return node
+	}
+
+	#following(node) {
+		if (node.firstChild) return node.firstChild
+
+		for (let n = node; n && n !== this.#root; n = n.parent) {
+			if (n.next) return n.next
+		}
+
+		return undefined
+	}
+
+	#preceding(node) {
+		if (node === this.#root) return undefined
+
+		return node.previous ? lastInclusiveDescendant(node.previous) : node.parent
+	}
+}
@@ -0,0 +1,286 @@
+import Node from "../node.js"
+import NodeFilter, { createFilter } from "./nodeFilter.js"
+
+const { FILTER_ACCEPT, FILTER_REJECT, FILTER_SKIP } = NodeFilter
+
+/**
+ * Moves around the subtree of a root Node, one Node at a time, as the DOM's `TreeWalker` does.
+ *
+ * @note Nodes left out by `whatToShow` or skipped by the filter are passed through, so their descendants can still be
+ * reached, while the descendants of Nodes the filter rejects are left out as well. The walker follows the tree as it
+ * is when it moves, so Nodes may be added or removed in between.
+ */
+export default class TreeWalker {
+	#accept
+	#currentNode
+	#filter
+	#root
+	#whatToShow
+
+	/**
+	 * @param {object} init
+	 * @param {Node} init.root The Node whose subtree to walk
+	 * @param {number} [init.whatToShow] The `NodeFilter.SHOW_*` flags of the Node types to show (default:
+	 * `NodeFilter.SHOW_ALL`)
+	 * @param {(function(Node): number)|{acceptNode: function(Node): number}} [init.filter] Gets `NodeFilter.FILTER_ACCEPT`,
+	 * `NodeFilter.FILTER_REJECT`, or `NodeFilter.FILTER_SKIP` for each Node of the types shown
+	 */
+	constructor(init) {
+		if (Object.prototype.toString.call(init) !== "[object Object]")
+			throw new TypeError(`Expected init to be an object, instead got ${typeof init}`)
+		if (!Node.isNode(init.root)) throw new TypeError(`Expected init.root to be a Node, instead got ${typeof init.root}`)
+
+		this.#whatToShow = init.whatToShow ?? NodeFilter.SHOW_ALL
+		this.#filter = init.filter
+		this.#accept = createFilter(this.#whatToShow, this.#filter)
+		this.#root = init.root
+		this.#currentNode = init.root
+	}
+
+	/**
+	 * Checks if the given value is a TreeWalker.
+	 *
+	 * @param {unknown} value
+	 * @return {boolean}
+	 */
+	static isTreeWalker(value) {
+		return value instanceof TreeWalker
+	}
+
+	/**
+	 * The Node the walker is at.
+	 *
+	 * @return {Node}
+	 */
+	get currentNode() {
+		return this.#currentNode
+	}
+
+	/**
+	 * Moves the walker to the given Node, which need not be in its root's subtree.
+	 *
+	 * @param {Node} node
+	 */
+	set currentNode(node) {
+		this.setCurrentNode(node)
+	}
+
+	/**
+	 * The filter given to the walker.
+	 *
+	 * @return {(function(Node): number)|{acceptNode: function(Node): number}|undefined}
+	 */
+	get filter() {
+		return this.#filter
+	}
+
+	/**
+	 * The Node whose subtree the walker walks.
+	 *
+	 * @return {Node}
+	 */
+	get root() {
+		return this.#root
+	}
+
+	/**
+	 * The `NodeFilter.SHOW_*` flags of the Node types the walker shows.
+	 *
+	 * @return {number}
+	 */
+	get whatToShow() {
+		return this.#whatToShow
+	}
+
+	/**
+	 * Moves the walker to the given Node, which need not be in its root's subtree.
+	 *
+	 * @param {Node} node
+	 * @return {TreeWalker} The instance for chaining
+	 */
+	setCurrentNode(node) {
+		if (!Node.isNode(node)) throw new TypeError(`Expected node to be a Node, instead got ${typeof node}`)
+
+		this.#currentNode = node
+
+		return this
+	}
+
+	/**
+	 * Moves the walker to the closest shown ancestor of the current Node, up to the root.
+	 *
+	 * @return {Node|undefined} The new current Node, or `undefined` if there is none (and the walker did not move)
+	 */
+	parentNode() {
+		for (let node = this.#currentNode; node && node !== this.#root; ) {
+			node = node.parent
+
+			if (node && this.#accept(node) === FILTER_ACCEPT) return (this.#currentNode = node)
+		}
+
+		return undefined
+	}
+
+	/**
+	 * Moves the walker to the first shown child of the current Node, looking through skipped children.
+	 *
+	 * @return {Node|undefined} The new current Node, or `undefined` if there is none (and the walker did not move)
+	 */
+	firstChild() {
+		return this.#traverseChildren(true)
+	}
+
+	/**
+	 * Moves the walker to the last shown child of the current Node, looking through skipped children.
+	 *
+	 * @return {Node|undefined} The new current Node, or `undefined` if there is none (and the walker did not move)
+	 */
+	lastChild() {
+		return this.#traverseChildren(false)
+	}
+
+	/**
+	 * Moves the walker to the next shown sibling of the current Node.
+	 *
+	 * @return {Node|undefined} The new current Node, or `undefined` if there is none (and the walker did not move)
+	 */
+	nextSibling() {
+		return this.#traverseSiblings(true)
+	}
+
+	/**
+	 * Moves the walker to the previous shown sibling of the current Node.
+	 *
+	 * @return {Node|undefined} The new current Node, or `undefined` if there is none (and the walker did not move)
+	 */
+	previousSibling() {
+		return this.#traverseSiblings(false)
+	}
+
+	/**
+	 * Moves the walker to the next shown Node in document order.
+	 *
+	 * @return {Node|undefined} The new current Node, or `undefined` if there is none (and the walker did not move)
+	 */
+	nextNode() {
+		let node = this.#currentNode
+		let result = FILTER_ACCEPT
+
+		while (true) {
+			while (result !== FILTER_REJECT && node.firstChild) {
+				node = node.firstChild
+				result = this.#accept(node)
+
+				if (result === FILTER_ACCEPT) return (this.#currentNode = node)
+			}
+
+			let sibling
+
+			for (let n = node; n && !sibling; n = n.parent) {
+				if (n === this.#root) return undefined
+
+				sibling = n.next
+			}
+
+			if (!sibling) return undefined
+
+			node = sibling
+			result = this.#accept(node)
+
+			if (result === FILTER_ACCEPT) return (this.#currentNode = node)
+		}
+	}
+
+	/**
+	 * Moves the walker to the previous shown Node in document order.
+	 *
+	 * @return {Node|undefined} The new current Node, or `undefined` if there is none (and the walker did not move)
+	 */
+	previousNode() {
+		let node = this.#currentNode
+
+		while (node !== this.#root) {
+			for (let sibling = node.previous; sibling; sibling = node.previous) {
+				node = sibling
+
+				let result = this.#accept(node)
+
+				while (result !== FILTER_REJECT && node.lastChild) {
+					node = node.lastChild
+					result = this.#accept(node)
+				}
+
+				if (result === FILTER_ACCEPT) return (this.#currentNode = node)
+			}
+
+			if (node === this.#root || !node.parent) return undefined
+
+			node = node.parent
+
+			if (this.#accept(node) === FILTER_ACCEPT) return (this.#currentNode = node)
+		}
+
+		return undefined
+	}
+
+	#traverseChildren(isFirst) {
+		let node = isFirst ? this.#currentNode.firstChild : this.#currentNode.lastChild
+
+		while (node) {
+			const result = this.#accept(node)
+
+			if (result === FILTER_ACCEPT) return (this.#currentNode = node)
+
+			const child = isFirst ? node.firstChild : node.lastChild
+
+			if (result === FILTER_SKIP && child) {
+				node = child
+				continue
+			}
+
+			while (node) {
+				const sibling = isFirst ? node.next : node.previous
+
+				if (sibling) {
+					node = sibling
+					break
+				}
+
+				const parent = node.parent
+
+				if (!parent || parent === this.#root || parent === this.#currentNode) return undefined
+
+				node = parent
+			}
+		}
+
+		return undefined
+	}
+
+	#traverseSiblings(isNext) {
+		let node = this.#currentNode
+
+		if (node === this.#root) return undefined
+
+		while (true) {
+			let sibling = isNext ? node.next : node.previous
+
+			while (sibling) {
+				node = sibling
+
+				const result = this.#accept(node)
+
+				if (result === FILTER_ACCEPT) return (this.#currentNode = node)
+
+				sibling = isNext ? node.firstChild : node.lastChild
+
+				if (result === FILTER_REJECT || !sibling) sibling = isNext ? node.next : node.previous
+			}
+
+			node = node.parent
+
+			if (!node || node === this.#root) return undefined
+			if (this.#accept(node) === FILTER_ACCEPT) return undefined
+		}
+	}
+}
@@ -0,0 +1,376 @@
+import { toHashTable } from "alltheutils"
+import AttListDeclaration from "../declarations/attlist.js"
+import ElementDeclaration from "../declarations/element.js"
+import EntityDeclaration from "../declarations/entity.js"
+import NotationDeclaration from "../declarations/notation.js"
+import { Document, CDATA, Text } from "../nodeTypes.js"
+import { isElementNode, walkElements } from "../query/walk.js"
+import { parseExternalSubset } from "../parsers/dtd.js"
+import { NAME, NMTOKEN } from "../parsers/scanner.js"
+
+const TYPE_KEYWORDS = toHashTable(["cdata", "id", "idref", "idrefs", "nmtoken", "nmtokens", "entity", "entities"])
+const LIST_TYPES = toHashTable(["idrefs", "nmtokens", "entities"])
+
+/**
+ * @typedef {object} ValidationError
+ * @property {string} code What kind of problem was found, e.g. `"undeclared-element"` or `"duplicate-id"`
+ * @property {string} message
+ * @property {Node} node The Node the problem was found on
+ * @property {string} [attribute] The name of the attribute the problem was found on, if any
+ */
+
+const normalizeTokens = value => value.replace(/ +/g, " ").trim()
+
+/**
+ * Gets the keyword type of the given declared attribute, or `"enumeration"` or `"notation"` for one that lists its
+ * allowed values.
+ */
+const typeOf = attribute => {
+	if (attribute.isNotationType) return "notation"
+	if (attribute.type.length === 1 && TYPE_KEYWORDS[attribute.type[0]]) return attribute.type[0]
+
+	return "enumeration"
+}
+
+/**
+ * Builds the Glushkov automaton of the given content particle: each element particle is a position, and the automaton
+ * is in the set of positions the names read so far can end at.
+ *
+ * @return {{names: string[], first: Set<number>, follow: Set<number>[], last: Set<number>, nullable: boolean}}
+ */
+const buildAutomaton = particle => {
+	const names = []
+	const follow = []
+	const link = (from, to) => from.forEach(position => to.forEach(next => follow[position].add(next)))
+
+	const visit = particle => {
+		let result
+
+		if (particle.type === "element") {
+			const position = names.push(particle.name) - 1
+
+			follow.push(new Set())
+			result = { first: new Set([position]), last: new Set([position]), nullable: false }
+		} else if (particle.type === "choice") {
+			result = { first: new Set(), last: new Set(), nullable: false }
+
+			for (const part of particle.particles.map(visit)) {
+				part.first.forEach(position => result.first.add(position))
+				part.last.forEach(position => result.last.add(position))
+				result.nullable ||= part.nullable
+			}
+		} else {
+			result = { first: new Set(), last: new Set(), nullable: true }
+
+			for (const part of particle.particles.map(visit)) {
+				link(result.last, part.first)
+
+				if (result.nullable) part.first.forEach(position => result.first.add(position))
+
+				result.last = part.nullable ? new Set([...result.last, ...part.last]) : part.last
+				result.nullable &&= part.nullable
+			}
+		}
+
+		if (particle.occurrence === "*" || particle.occurrence === "+") link(result.last, result.first)
+		if (particle.occurrence === "*" || particle.occurrence === "?") result.nullable = true
+
+		return result
+	}
+
+	return { names, follow, ...visit(particle) }
+}
+
+/**
+ * Compiles the given ContentModel into a function that checks if the given child element names match it, in time
+ * linear in the number of names. The automaton is made deterministic as names are read, and the states it goes through
+ * are kept for the next call.
+ *
+ * @param {ContentModel} contentModel
+ * @return {function(string[]): boolean}
+ */
+const compileContentModel = contentModel => {
+	const { names, first, follow, last, nullable } = buildAutomaton(contentModel.particle)
+	const createState = (positions, isFinal) => ({ positions, isFinal, next: new Map() })
+	const start = createState([...first], nullable)
+	const states = new Map()
+
+	const step = (state, name) => {
+		if (state.next.has(name)) return state.next.get(name)
+
+		const targets = state === start ? first : new Set(state.positions.flatMap(position => [...follow[position]]))
+		const positions = [...targets].filter(position => names[position] === name).sort((a, b) => a - b)
+		const key = positions.join(",")
+
+		if (positions.length && !states.has(key)) {
+			const isFinal = positions.some(position => last.has(position))
+
+			states.set(key, createState(positions, isFinal))
+		}
+
+		const next = positions.length ? states.get(key) : undefined
+
+		state.next.set(name, next)
+
+		return next
+	}
+
+	return childNames => {
+		let state = start
+
+		for (const name of childNames) {
+			state = step(state, name)
+
+			if (!state) return false
+		}
+
+		return state.isFinal
+	}
+}
+
+/**
+ * Indexes the given declarations by name. Only the first declaration of an element, attribute, or entity is binding.
+ */
+const indexDeclarations = declarations => {
+	const elements = new Map()
+	const attributes = new Map()
+	const entities = new Map()
+	const notations = new Map()
+
+	for (const declaration of declarations) {
+		if (ElementDeclaration.isElementDeclaration(declaration)) {
+			if (declaration.name && declaration.contentModel && !elements.has(declaration.name))
+				elements.set(declaration.name, declaration.contentModel)
+		} else if (AttListDeclaration.isAttListDeclaration(declaration)) {
+			if (!declaration.element) continue
+			if (!attributes.has(declaration.element)) attributes.set(declaration.element, new Map())
+
+			const known = attributes.get(declaration.element)
+
+			for (const attribute of declaration.attributes) {
+				if (!known.has(attribute.name)) known.set(attribute.name, attribute)
+			}
+		} else if (EntityDeclaration.isEntityDeclaration(declaration)) {
+			if (declaration.name && !declaration.isParameterEntityDeclaration && !entities.has(declaration.name))
+				entities.set(declaration.name, declaration)
+		} else if (NotationDeclaration.isNotationDeclaration(declaration)) {
+			if (declaration.name && !notations.has(declaration.name)) notations.set(declaration.name, declaration)
+		}
+	}
+
+	return { elements, attributes, entities, notations }
+}
+
+const validateContent = (node, contentModel, matchers, report) => {
+	const children = node.children
+
+	if (contentModel.type === "any") return
+	if (contentModel.type === "empty") {
+		if (children.length) report("invalid-content", `Expected <${node.name}> to be empty, as it is declared EMPTY`, node)
+		return
+	}
+	if (contentModel.type === "mixed") {
+		const allowed = toHashTable(contentModel.names)
+
+		for (const child of children) {
+			if (isElementNode(child) && !allowed[child.name])
+				report(
+					"invalid-content",
+					`Expected the content of <${node.name}> to match ${contentModel}, instead found <${child.name}>`,
+					child
+				)
+		}
+		return
+	}
+
+	for (const child of children) {
+		if ((child.type === Text && child.value.trim()) || child.type === CDATA)
+			report(
+				"invalid-content",
+				`Expected only elements in <${node.name}>, as it is declared ${contentModel}, instead found text`,
+				child
+			)
+	}
+
+	if (!matchers.has(contentModel)) matchers.set(contentModel, compileContentModel(contentModel))
+
+	const names = children.filter(isElementNode).map(child => child.name)
+
+	if (!matchers.get(contentModel)(names))
+		report(
+			"invalid-content",
+			`Expected the content of <${node.name}> to match ${contentModel}, instead found (${names.join(",")})`,
+			node
+		)
+}
+
+/**
+ * Validates the given Document against the declarations of its DTD (Document Type Definition), i.e. those in the
+ * internal subset of its DoctypeDeclaration, followed by any others given.
+ *
+ * @note Checks that every element is declared and has content matching its content model, that every attribute is
+ * declared and has a value of its declared type, that required attributes are present and fixed ones unchanged, that
+ * IDs are unique and IDREF(S) point to them, and that ENTITY and NOTATION values name declared unparsed entities and
+ * listed notations. The notations named by NDATA and NOTATION types in the declarations must be declared as well, and
+ * problems with them are reported on the Document itself.
+ * @param {Node} document
+ * @param {object} [options]
+ * @param {Array<(AttListDeclaration|ElementDeclaration|EntityDeclaration|NotationDeclaration)>} [options.declarations] The declarations
+ * of the external subset, e.g. from `parseDTD`, which the internal subset takes precedence over
+ * @param {function({publicID?: string, systemURI?: string}): (string|undefined)} [options.resolveEntity] Gets the
+ * content of the external subset or external entity with the given identifiers (e.g. through
+ * `XMLCatalog#createResolver`), so that the external subset is read when no `declarations` are given
+ * @return {ValidationError[]} The problems found, in document order except for unknown IDREFs which come last, or an
+ * empty array if the Document is valid
+ * @throws {SyntaxError} If the external subset read through `resolveEntity` is malformed
+ */
+export default function validate(document, options) {
+	if (document?.type !== Document)
+		throw new TypeError(`Expected document to be a Document Node, instead got ${document?.typeText ?? typeof document}`)
+	if (options === undefined) options = {}
+	if (Object.prototype.toString.call(options) !== "[object Object]")
+		throw new TypeError(`Expected options to be an object, instead got ${typeof options}`)
+	if (options.declarations !== undefined && !Array.isArray(options.declarations))
+		throw new TypeError(`Expected options.declarations to be an array, instead got ${typeof options.declarations}`)
+	if (options.resolveEntity !== undefined && typeof options.resolveEntity !== "function")
+		throw new TypeError(`Expected options.resolveEntity to be a function, instead got ${typeof options.resolveEntity}`)
+
+	const errors = []
+	const report = (code, message, node, attribute) =>
+		errors.push(attribute === undefined ? { code, message, node } : { code, message, node, attribute })
+	const doctype = document.doctypeDeclaration
+
+	if (!doctype) {
+		report("missing-doctype", `Expected the Document to have a DoctypeDeclaration to validate against`, document)
+		return errors
+	}
+
+	const external =
+		options.declarations ?? (options.resolveEntity && parseExternalSubset(doctype, options.resolveEntity)) ?? []
+	const { elements, attributes, entities, notations } = indexDeclarations([
+		...(doctype.internalSubset ?? []),
+		...external
+	])
+	const matchers = new Map()
+	const ids = new Set()
+	const references = []
+	const root = document.children.find(isElementNode)
+
+	for (const entity of entities.values()) {
+		if (entity.ndata !== undefined && !notations.has(entity.ndata))
+			report(
+				"undeclared-notation",
+				`Expected notation "${entity.ndata}" of unparsed entity "${entity.name}" to be declared`,
+				document
+			)
+	}
+	for (const [element, declared] of attributes) {
+		for (const attribute of declared.values()) {
+			if (!attribute.isNotationType) continue
+
+			for (const name of attribute.type) {
+				if (!notations.has(name))
+					report(
+						"undeclared-notation",
+						`Expected notation "${name}" in the type of attribute "${attribute.name}" of <${element}> to be declared`,
+						document
+					)
+			}
+		}
+	}
+
+	if (root && doctype.element && root.name !== doctype.element)
+		report(
+			"invalid-root-element",
+			`Expected the root element to be <${doctype.element}>, as declared by the DoctypeDeclaration, instead got <${root.name}>`,
+			root
+		)
+
+	for (const node of walkElements(document)) {
+		const contentModel = elements.get(node.name)
+		const declared = attributes.get(node.name) ?? new Map()
+		const values = node.attributes
+
+		if (contentModel) validateContent(node, contentModel, matchers, report)
+		else report("undeclared-element", `Expected <${node.name}> to be declared`, node)
+
+		for (const [name, value] of Object.entries(values)) {
+			const attribute = declared.get(name)
+
+			if (!attribute) {
+				report("undeclared-attribute", `Expected attribute "${name}" of <${node.name}> to be declared`, node, name)
+				continue
+			}
+
+			const type = typeOf(attribute)
+			const normalized = type === "cdata" ? value ?? "" : normalizeTokens(value ?? "")
+			const tokens = LIST_TYPES[type] ? normalized.split(" ") : [normalized]
+			const invalid = (expected, code = "invalid-attribute-value") =>
+				report(
+					code,
+					`Expected attribute "${name}" of <${node.name}> to be ${expected}, instead got "${normalized}"`,
+					node,
+					name
+				)
+
+			const fixed = type === "cdata" ? attribute.defaultValue : normalizeTokens(attribute.defaultValue ?? "")
+
+			if (attribute.defaultType === "fixed" && normalized !== fixed) {
+				invalid(`"${fixed}", as it is #FIXED`, "fixed-attribute-mismatch")
+				continue
+			}
+
+			if (type === "enumeration" || type === "notation") {
+				if (!attribute.type.includes(normalized)) invalid(`one of ${attribute.type.join("|")}`)
+			} else if (type === "nmtoken" || type === "nmtokens") {
+				if (!tokens.every(token => NMTOKEN.test(token)))
+					invalid(type === "nmtoken" ? "a name token" : "a list of name tokens")
+			} else if (type !== "cdata") {
+				if (!tokens.every(token => NAME.test(token))) {
+					invalid(LIST_TYPES[type] ? "a list of names" : "a name")
+				} else if (type === "id") {
+					if (ids.has(normalized)) invalid("unique among ID attributes", "duplicate-id")
+
+					ids.add(normalized)
+				} else if (type === "idref" || type === "idrefs") {
+					references.push({ node, name, tokens })
+				} else {
+					for (const token of tokens) {
+						if (entities.get(token)?.ndata === undefined)
+							report(
+								"undeclared-entity",
+								`Expected "${token}" in attribute "${name}" of <${node.name}> to name a declared unparsed entity`,
+								node,
+								name
+							)
+					}
+				}
+			}
+		}
+
+		for (const attribute of declared.values()) {
+			if (attribute.defaultType === "required" && !Object.hasOwn(values, attribute.name))
+				report(
+					"missing-attribute",
+					`Expected <${node.name}> to have attribute "${attribute.name}", as it is #REQUIRED`,
+					node,
+					attribute.name
+				)
+		}
+	}
+
+	// IDREFs may point forward, so they are only checked once every ID has been seen
+	for (const { node, name, tokens } of references) {
+		for (const token of tokens) {
+			if (!ids.has(token))
+				report(
+					"unknown-idref",
+					`Expected "${token}" in attribute "${name}" of <${node.name}> to match the ID of an element`,
+					node,
+					name
+				)
+		}
+	}
+
+	return errors
+}
@@ -0,0 +1,442 @@
+import { inScopeNamespaces, lookupNamespaceURI } from "../query/namespaces.js"
+import coreFunctions from "./functions.js"
+import parse from "./parse.js"
+import {
+	XPathAttribute,
+	XPathNamespace,
+	compareValues,
+	isNodeSet,
+	nodeKind,
+	toBooleanValue,
+	toNumberValue,
+	toStringValue
+} from "./values.js"
+
+const RESULT_TYPES = ["any", "node-set", "string", "number", "boolean"]
+
+// Attributes and namespaces are not children of their Element Node, but are ordered and traversed from it
+const isOwned = node => node instanceof XPathAttribute || node instanceof XPathNamespace
+
+/**
+ * Holds the per-evaluation caches: attribute and namespace wrappers, document order, and the id() index.
+ */
+class EvaluationState {
+	#attributes = new WeakMap()
+	#namespaces = new WeakMap()
+	#orders = new Map()
+	#roots = new Map()
+
+	attribute(ownerElement, name) {
+		let byName = this.#attributes.get(ownerElement)
+
+		if (!byName) {
+			byName = new Map()
+			this.#attributes.set(ownerElement, byName)
+		}
+
+		let attribute = byName.get(name)
+
+		if (!attribute) {
+			attribute = new XPathAttribute(ownerElement, name)
+			byName.set(name, attribute)
+		}
+
+		return attribute
+	}
+
+	attributes(ownerElement) {
+		return Object.keys(ownerElement.attributes).map(name => this.attribute(ownerElement, name))
+	}
+
+	namespaces(ownerElement) {
+		let namespaces = this.#namespaces.get(ownerElement)
+
+		if (!namespaces) {
+			namespaces = inScopeNamespaces(ownerElement).map(
+				([prefix, namespaceURI]) => new XPathNamespace(ownerElement, prefix, namespaceURI)
+			)
+			this.#namespaces.set(ownerElement, namespaces)
+		}
+
+		return namespaces
+	}
+
+	root(node) {
+		let n = isOwned(node) ? node.ownerElement : node
+
+		while (n.parent) n = n.parent
+
+		return n
+	}
+
+	order(node) {
+		const root = this.root(node)
+		let order = this.#orders.get(root)
+
+		if (!order) {
+			order = new Map()
+
+			let index = 0
+			const stack = [root]
+
+			while (stack.length) {
+				const n = stack.pop()
+
+				order.set(n, index++)
+
+				if (nodeKind(n) === "element") {
+					for (const namespace of this.namespaces(n)) order.set(namespace, index++)
+					for (const attribute of this.attributes(n)) order.set(attribute, index++)
+				}
+
+				for (let i = n.children.length - 1; i >= 0; i--) stack.push(n.children[i])
+			}
+
+			this.#orders.set(root, order)
+			this.#roots.set(root, this.#roots.size)
+		}
+
+		return [this.#roots.get(root), order.get(node)]
+	}
+
+	sort(nodes) {
+		const unique = [...new Set(nodes)]
+		const keys = new Map(unique.map(n => [n, this.order(n)]))
+
+		return unique.sort((a, b) => {
+			const [ra, ia] = keys.get(a)
+			const [rb, ib] = keys.get(b)
+
+			return ra - rb || ia - ib
+		})
+	}
+
+	elementsById(contextNode, ids) {
+		const result = []
+
+		for (const n of descendants(this.root(contextNode))) {
+			if (nodeKind(n) === "element" && ids.has(n.getAttribute("id"))) result.push(n)
+		}
+
+		return result
+	}
+}
+
+const hasChildren = node => {
+	const kind = nodeKind(node)
+
+	return kind === "root" || kind === "element"
+}
+
+function* descendants(node) {
+	if (!hasChildren(node)) return
+
+	const stack = [...node.children].reverse()
+
+	while (stack.length) {
+		const n = stack.pop()
+
+		yield n
+
+		for (let i = n.children.length - 1; i >= 0; i--) stack.push(n.children[i])
+	}
+}
+
+function* descendantsInReverse(node) {
+	if (!hasChildren(node)) return
+
+	for (let i = node.children.length - 1; i >= 0; i--) {
+		yield* descendantsInReverse(node.children[i])
+		yield node.children[i]
+	}
+}
+
+function* ancestors(node) {
+	for (let n = node.parent; n; n = n.parent) yield n
+}
+
+function* following(node) {
+	let n = node
+
+	if (isOwned(node)) {
+		n = node.ownerElement
+
+		yield* descendants(n)
+	}
+
+	for (; n; n = n.parent) {
+		for (let s = n.next; s; s = s.next) {
+			yield s
+			yield* descendants(s)
+		}
+	}
+}
+
+function* preceding(node) {
+	const start = isOwned(node) ? node.ownerElement : node
+
+	for (let n = start; n; n = n.parent) {
+		for (let s = n.previous; s; s = s.previous) {
+			yield* descendantsInReverse(s)
+			yield s
+		}
+	}
+}
+
+function* axisNodes(node, axis, state) {
+	const isOwnedNode = isOwned(node)
+
+	switch (axis) {
+		case "self":
+			yield node
+			break
+		case "child":
+			if (hasChildren(node)) yield* node.children
+			break
+		case "descendant":
+			yield* descendants(node)
+			break
+		case "descendant-or-self":
+			yield node
+			yield* descendants(node)
+			break
+		case "parent":
+			if (node.parent) yield node.parent
+			break
+		case "ancestor":
+			yield* ancestors(node)
+			break
+		case "ancestor-or-self":
+			yield node
+			yield* ancestors(node)
+			break
+		case "following-sibling":
+			if (!isOwnedNode) for (let s = node.next; s; s = s.next) yield s
+			break
+		case "preceding-sibling":
+			if (!isOwnedNode) for (let s = node.previous; s; s = s.previous) yield s
+			break
+		case "following":
+			yield* following(node)
+			break
+		case "preceding":
+			yield* preceding(node)
+			break
+		case "attribute":
+			if (nodeKind(node) === "element") yield* state.attributes(node)
+			break
+		case "namespace":
+			if (nodeKind(node) === "element") yield* state.namespaces(node)
+			break
+	}
+}
+
+const matchesNodeTest = (node, test, axis, namespaceURI) => {
+	const kind = nodeKind(node)
+
+	switch (test.kind) {
+		case "node":
+			return true
+		case "text":
+		case "comment":
+			return kind === test.kind
+		case "processing-instruction":
+			return kind === "processing-instruction" && (test.literal === undefined || node.name === test.literal)
+		case "name": {
+			if (kind !== (axis === "attribute" || axis === "namespace" ? axis : "element")) return false
+			// Unprefixed names are matched as they are written, whichever default namespace applies
+			if (!test.prefix) return test.localName === "*" || node.name === test.localName
+			if (node.namespaceURI !== namespaceURI) return false
+
+			return test.localName === "*" || node.localName === test.localName
+		}
+	}
+
+	return false
+}
+
+const applyPredicates = (nodes, predicates, context) => {
+	for (const predicate of predicates) {
+		const size = nodes.length
+
+		nodes = nodes.filter((node, i) => {
+			const value = evaluateNode(predicate, { ...context, node, position: i + 1, size })
+
+			return typeof value === "number" ? value === i + 1 : toBooleanValue(value)
+		})
+	}
+
+	return nodes
+}
+
+const evaluateSteps = (nodes, steps, context) => {
+	for (const step of steps) {
+		const result = []
+		const namespaceURI = step.test.prefix ? context.resolvePrefix(step.test.prefix) : undefined
+
+		for (const node of nodes) {
+			const selected = []
+
+			for (const candidate of axisNodes(node, step.axis, context.state)) {
+				if (matchesNodeTest(candidate, step.test, step.axis, namespaceURI)) selected.push(candidate)
+			}
+
+			result.push(...applyPredicates(selected, step.predicates, context))
+		}
+
+		nodes = context.state.sort(result)
+	}
+
+	return nodes
+}
+
+const expectNodeSet = (value, description) => {
+	if (!isNodeSet(value))
+		throw new TypeError(`Expected ${description} to evaluate to a node-set, instead got ${typeof value}`)
+
+	return value
+}
+
+const toXPathValue = (value, name) => {
+	if (value === undefined || value === null) throw new ReferenceError(`Variable $${name} is not defined`)
+	if (isNodeSet(value)) return value
+	if (typeof value === "string" || typeof value === "number" || typeof value === "boolean") return value
+	if (nodeKind(value)) return [value]
+
+	throw new TypeError(
+		`Expected $${name} to be one of Node|Array<Node>|string|number|boolean, instead got ${typeof value}`
+	)
+}
+
+const evaluateNode = (ast, context) => {
+	switch (ast.type) {
+		case "literal":
+		case "number":
+			return ast.value
+		case "variable":
+			return toXPathValue(context.variables[ast.name], ast.name)
+		case "negate":
+			return -toNumberValue(evaluateNode(ast.operand, context))
+		case "function": {
+			const fn = Object.hasOwn(context.functions, ast.name)
+				? context.functions[ast.name]
+				: Object.hasOwn(coreFunctions, ast.name)
+				? coreFunctions[ast.name]
+				: undefined
+
+			if (!fn) throw new ReferenceError(`Function ${ast.name}() is not defined`)
+
+			return fn(context, ...ast.args.map(arg => evaluateNode(arg, context)))
+		}
+		case "union": {
+			const left = expectNodeSet(evaluateNode(ast.left, context), "the left side of |")
+			const right = expectNodeSet(evaluateNode(ast.right, context), "the right side of |")
+
+			return context.state.sort([...left, ...right])
+		}
+		case "filter": {
+			const nodes = expectNodeSet(evaluateNode(ast.primary, context), "a filtered expression")
+
+			return applyPredicates(context.state.sort(nodes), ast.predicates, context)
+		}
+		case "path": {
+			let nodes
+
+			if (ast.filter) nodes = context.state.sort(expectNodeSet(evaluateNode(ast.filter, context), "a path's base"))
+			else if (ast.absolute) nodes = [context.state.root(context.node)]
+			else nodes = [context.node]
+
+			return evaluateSteps(nodes, ast.steps, context)
+		}
+		case "binary": {
+			switch (ast.operator) {
+				case "or":
+					return toBooleanValue(evaluateNode(ast.left, context)) || toBooleanValue(evaluateNode(ast.right, context))
+				case "and":
+					return toBooleanValue(evaluateNode(ast.left, context)) && toBooleanValue(evaluateNode(ast.right, context))
+			}
+
+			const left = evaluateNode(ast.left, context)
+			const right = evaluateNode(ast.right, context)
+
+			switch (ast.operator) {
+				case "=":
+				case "!=":
+				case "<":
+				case "<=":
+				case ">":
+				case ">=":
+					return compareValues(ast.operator, left, right)
+				case "+":
+					return toNumberValue(left) + toNumberValue(right)
+				case "-":
+					return toNumberValue(left) - toNumberValue(right)
+				case "*":
+					return toNumberValue(left) * toNumberValue(right)
+				case "div":
+					return toNumberValue(left) / toNumberValue(right)
+				case "mod":
+					return toNumberValue(left) % toNumberValue(right)
+			}
+		}
+	}
+
+	throw new Error(`Expression type ${ast.type} is not a registered XPath expression type`)
+}
+
+/**
+ * Evaluates the given XPath 1.0 expression against the given context Node.
+ *
+ * @param {string} expression The XPath 1.0 expression
+ * @param {Node|XPathAttribute|XPathNamespace} contextNode The Node to use as the context node
+ * @param {object} [options]
+ * @param {{[name: string]: Node|Array<Node>|string|number|boolean}} [options.variables] Values for `$variable` references
+ * @param {{[name: string]: Function}} [options.functions] Additional functions, called with the evaluation context followed by the evaluated arguments
+ * @param {"any"|"node-set"|"string"|"number"|"boolean"} [options.resultType] The type to convert the result into (default: `"any"`)
+ * @param {{[prefix: string]: string}} [options.namespaces] The namespace URIs of the prefixes used in name tests, which
+ * otherwise resolve through the `xmlns` declarations in scope at the context node
+ * @return {Array<Node|XPathAttribute|XPathNamespace>|string|number|boolean}
+ * @throws {ReferenceError} If a prefix used in a name test is not bound
+ */
+export default function evaluate(expression, contextNode, options) {
+	if (Object.prototype.toString.call(options) !== "[object Object]") options = {}
+	if (options.resultType === undefined) options.resultType = "any"
+	if (!RESULT_TYPES.includes(options.resultType))
+		throw new TypeError(
+			`Expected options.resultType to be one of ${RESULT_TYPES.join("|")}, instead got ${options.resultType}`
+		)
+	if (options.namespaces !== undefined && Object.prototype.toString.call(options.namespaces) !== "[object Object]")
+		throw new TypeError(`Expected options.namespaces to be an object, instead got ${typeof options.namespaces}`)
+
+	const namespaces = options.namespaces ?? {}
+	const scope = isOwned(contextNode) ? contextNode.ownerElement : contextNode
+	const ast = parse(expression)
+	const result = evaluateNode(ast, {
+		node: contextNode,
+		position: 1,
+		size: 1,
+		variables: options.variables ?? {},
+		functions: options.functions ?? {},
+		resolvePrefix: prefix => {
+			const namespaceURI = Object.hasOwn(namespaces, prefix) ? namespaces[prefix] : lookupNamespaceURI(scope, prefix)
+
+			if (namespaceURI === undefined) throw new ReferenceError(`Namespace prefix "${prefix}" is not bound`)
+
+			return namespaceURI
+		},
+		state: new EvaluationState()
+	})
+
+	switch (options.resultType) {
+		case "node-set":
+			return expectNodeSet(result, "the expression")
+		case "string":
+			return toStringValue(result)
+		case "number":
+			return toNumberValue(result)
+		case "boolean":
+			return toBooleanValue(result)
+	}
+
+	return result
+}
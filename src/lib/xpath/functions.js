@@ -0,0 +1,239 @@
+import { isNodeSet, nodeKind, stringValue, toBooleanValue, toNumberValue, toStringValue } from "./values.js"
+
+const expectArity = (name, args, min, max = min) => {
+	if (args.length < min || args.length > max)
+		throw new TypeError(
+			`Expected ${name}() to receive ${min === max ? min : `${min} to ${max === Infinity ? "any" : max}`} argument${
+				max === 1 ? "" : "s"
+			}, instead got ${args.length}`
+		)
+}
+
+const expectNodeSet = (name, value) => {
+	if (!isNodeSet(value))
+		throw new TypeError(`Expected the argument of ${name}() to be a node-set, instead got ${typeof value}`)
+
+	return value
+}
+
+const qualifiedName = node => {
+	const kind = nodeKind(node)
+
+	return ["element", "attribute", "namespace", "processing-instruction"].includes(kind) ? node.name : ""
+}
+
+const localName = node => {
+	const name = qualifiedName(node)
+
+	return nodeKind(node) === "processing-instruction" ? name : name.slice(name.indexOf(":") + 1)
+}
+
+const firstNode = (name, context, args) => {
+	if (!args.length) return context.node
+
+	return expectNodeSet(name, args[0])[0]
+}
+
+/**
+ * The XPath 1.0 core function library. Each function receives the evaluation context and its already evaluated
+ * arguments.
+ *
+ * @type {{[name: string]: (context: object, ...args: Array<unknown>) => unknown}}
+ */
+const coreFunctions = {
+	// Node set functions
+	last: (context, ...args) => {
+		expectArity("last", args, 0)
+
+		return context.size
+	},
+	position: (context, ...args) => {
+		expectArity("position", args, 0)
+
+		return context.position
+	},
+	count: (context, ...args) => {
+		expectArity("count", args, 1)
+
+		return expectNodeSet("count", args[0]).length
+	},
+	id: (context, ...args) => {
+		expectArity("id", args, 1)
+
+		const tokens = isNodeSet(args[0])
+			? args[0].flatMap(n => stringValue(n).trim().split(/\s+/))
+			: toStringValue(args[0]).trim().split(/\s+/)
+		const ids = new Set(tokens.filter(Boolean))
+
+		return context.state.elementsById(context.node, ids)
+	},
+	"local-name": (context, ...args) => {
+		expectArity("local-name", args, 0, 1)
+
+		const node = firstNode("local-name", context, args)
+
+		return node ? localName(node) : ""
+	},
+	"namespace-uri": (context, ...args) => {
+		expectArity("namespace-uri", args, 0, 1)
+
+		const node = firstNode("namespace-uri", context, args)
+
+		const kind = node && nodeKind(node)
+
+		return kind === "element" || kind === "attribute" ? node.namespaceURI ?? "" : ""
+	},
+	name: (context, ...args) => {
+		expectArity("name", args, 0, 1)
+
+		const node = firstNode("name", context, args)
+
+		return node ? qualifiedName(node) : ""
+	},
+
+	// String functions
+	string: (context, ...args) => {
+		expectArity("string", args, 0, 1)
+
+		return args.length ? toStringValue(args[0]) : stringValue(context.node)
+	},
+	concat: (context, ...args) => {
+		expectArity("concat", args, 2, Infinity)
+
+		return args.map(toStringValue).join("")
+	},
+	"starts-with": (context, ...args) => {
+		expectArity("starts-with", args, 2)
+
+		return toStringValue(args[0]).startsWith(toStringValue(args[1]))
+	},
+	contains: (context, ...args) => {
+		expectArity("contains", args, 2)
+
+		return toStringValue(args[0]).includes(toStringValue(args[1]))
+	},
+	"substring-before": (context, ...args) => {
+		expectArity("substring-before", args, 2)
+
+		const str = toStringValue(args[0])
+		const index = str.indexOf(toStringValue(args[1]))
+
+		return index === -1 ? "" : str.slice(0, index)
+	},
+	"substring-after": (context, ...args) => {
+		expectArity("substring-after", args, 2)
+
+		const str = toStringValue(args[0])
+		const search = toStringValue(args[1])
+		const index = str.indexOf(search)
+
+		return index === -1 ? "" : str.slice(index + search.length)
+	},
+	substring: (context, ...args) => {
+		expectArity("substring", args, 2, 3)
+
+		// Positions count characters, not UTF-16 code units
+		const characters = [...toStringValue(args[0])]
+		const start = coreFunctions.round(context, toNumberValue(args[1]))
+		const end = args.length === 3 ? start + coreFunctions.round(context, toNumberValue(args[2])) : Infinity
+
+		return characters.filter((_, i) => i + 1 >= start && i + 1 < end).join("")
+	},
+	"string-length": (context, ...args) => {
+		expectArity("string-length", args, 0, 1)
+
+		return [...(args.length ? toStringValue(args[0]) : stringValue(context.node))].length
+	},
+	"normalize-space": (context, ...args) => {
+		expectArity("normalize-space", args, 0, 1)
+
+		const str = args.length ? toStringValue(args[0]) : stringValue(context.node)
+
+		return str.replace(/[\x20\x09\x0d\x0a]+/g, " ").trim()
+	},
+	translate: (context, ...args) => {
+		expectArity("translate", args, 3)
+
+		const from = [...toStringValue(args[1])]
+		const to = [...toStringValue(args[2])]
+		const map = new Map()
+
+		from.forEach((c, i) => {
+			if (!map.has(c)) map.set(c, to[i] ?? "")
+		})
+
+		return [...toStringValue(args[0])].map(c => (map.has(c) ? map.get(c) : c)).join("")
+	},
+
+	// Boolean functions
+	boolean: (context, ...args) => {
+		expectArity("boolean", args, 1)
+
+		return toBooleanValue(args[0])
+	},
+	not: (context, ...args) => {
+		expectArity("not", args, 1)
+
+		return !toBooleanValue(args[0])
+	},
+	true: (context, ...args) => {
+		expectArity("true", args, 0)
+
+		return true
+	},
+	false: (context, ...args) => {
+		expectArity("false", args, 0)
+
+		return false
+	},
+	lang: (context, ...args) => {
+		expectArity("lang", args, 1)
+
+		const wanted = toStringValue(args[0]).toLowerCase()
+
+		for (let n = context.node; n; n = n.parent) {
+			if (nodeKind(n) !== "element" || !n.hasAttribute("xml:lang")) continue
+
+			const lang = (n.getAttribute("xml:lang") ?? "").toLowerCase()
+
+			return lang === wanted || lang.startsWith(`${wanted}-`)
+		}
+
+		return false
+	},
+
+	// Number functions
+	number: (context, ...args) => {
+		expectArity("number", args, 0, 1)
+
+		return toNumberValue(args.length ? args[0] : stringValue(context.node))
+	},
+	sum: (context, ...args) => {
+		expectArity("sum", args, 1)
+
+		return expectNodeSet("sum", args[0]).reduce((total, n) => total + toNumberValue(stringValue(n)), 0)
+	},
+	floor: (context, ...args) => {
+		expectArity("floor", args, 1)
+
+		return Math.floor(toNumberValue(args[0]))
+	},
+	ceiling: (context, ...args) => {
+		expectArity("ceiling", args, 1)
+
+		return Math.ceil(toNumberValue(args[0]))
+	},
+	round: (context, ...args) => {
+		expectArity("round", args, 1)
+
+		const n = toNumberValue(args[0])
+
+		if (!Number.isFinite(n)) return n
+		// Math.round already rounds halves towards positive infinity, but loses the sign of negative zero
+		if (n < 0 && n >= -0.5) return -0
+
+		return Math.round(n)
+	}
+}
+
+export default coreFunctions
@@ -0,0 +1,252 @@
+import tokenize from "./tokenize.js"
+
+const MAX_CACHED_EXPRESSIONS = 256
+const EQUALITY_OPERATORS = { "=": true, "!=": true }
+const RELATIONAL_OPERATORS = { "<": true, ">": true, "<=": true, ">=": true }
+const ADDITIVE_OPERATORS = { "+": true, "-": true }
+const MULTIPLICATIVE_OPERATORS = { "*": true, div: true, mod: true }
+
+const cache = new Map()
+
+// "//" is shorthand for "/descendant-or-self::node()/"
+const descendantOrSelfStep = () => ({ axis: "descendant-or-self", test: { kind: "node" }, predicates: [] })
+
+/**
+ * Parses the given XPath 1.0 expression into an abstract syntax tree.
+ *
+ * @param {string} expression
+ * @return {object}
+ * @throws {SyntaxError} If the expression is malformed
+ */
+export default function parse(expression) {
+	if (typeof expression !== "string")
+		throw new TypeError(`Expected expression to be a string, instead got ${typeof expression}`)
+
+	const cached = cache.get(expression)
+
+	if (cached) return cached
+
+	const tokens = tokenize(expression)
+	let index = 0
+
+	const peek = (offset = 0) => tokens[index + offset]
+	const is = (type, value) => peek().type === type && (value === undefined || peek().value === value)
+	const fail = expected => {
+		const token = peek()
+		const found = token.type === "end" ? "the end of the expression" : `"${token.value}"`
+
+		throw new SyntaxError(`Expected ${expected}, instead found ${found} at position ${token.position}`)
+	}
+	const expect = (type, value, expected) => {
+		if (!is(type, value)) fail(expected ?? `"${value}"`)
+
+		return tokens[index++]
+	}
+	const binary = (parseOperand, operators) => () => {
+		let left = parseOperand()
+
+		while (peek().type === "operator" && operators[peek().value]) {
+			const operator = tokens[index++].value
+
+			left = { type: "binary", operator, left, right: parseOperand() }
+		}
+
+		return left
+	}
+
+	const parsePredicates = () => {
+		const predicates = []
+
+		while (is("punctuation", "[")) {
+			index++
+			predicates.push(parseExpr())
+			expect("punctuation", "]")
+		}
+
+		return predicates
+	}
+	const parseNodeTest = () => {
+		const token = peek()
+
+		if (token.type === "nameTest") {
+			index++
+
+			return { kind: "name", prefix: token.prefix, localName: token.localName }
+		}
+		if (token.type === "nodeType") {
+			index++
+			expect("punctuation", "(")
+
+			let literal
+
+			if (token.value === "processing-instruction" && is("literal")) literal = tokens[index++].value
+
+			expect("punctuation", ")")
+
+			return { kind: token.value, literal }
+		}
+
+		fail("a node test")
+	}
+	const parseStep = () => {
+		if (is("punctuation", ".")) {
+			index++
+			return { axis: "self", test: { kind: "node" }, predicates: [] }
+		}
+		if (is("punctuation", "..")) {
+			index++
+			return { axis: "parent", test: { kind: "node" }, predicates: [] }
+		}
+
+		let axis = "child"
+
+		if (is("axisName")) {
+			axis = tokens[index++].value
+			expect("punctuation", "::")
+		} else if (is("punctuation", "@")) {
+			index++
+			axis = "attribute"
+		}
+
+		return { axis, test: parseNodeTest(), predicates: parsePredicates() }
+	}
+	const startsStep = () => {
+		const token = peek()
+
+		return (
+			token.type === "nameTest" ||
+			token.type === "nodeType" ||
+			token.type === "axisName" ||
+			(token.type === "punctuation" && (token.value === "." || token.value === ".." || token.value === "@"))
+		)
+	}
+	const parseRelativeLocationPath = steps => {
+		steps.push(parseStep())
+
+		while (is("operator", "/") || is("operator", "//")) {
+			if (tokens[index++].value === "//") steps.push(descendantOrSelfStep())
+
+			steps.push(parseStep())
+		}
+
+		return steps
+	}
+	const parseLocationPath = () => {
+		if (is("operator", "/")) {
+			index++
+
+			return { type: "path", absolute: true, steps: startsStep() ? parseRelativeLocationPath([]) : [] }
+		}
+		if (is("operator", "//")) {
+			index++
+
+			return { type: "path", absolute: true, steps: parseRelativeLocationPath([descendantOrSelfStep()]) }
+		}
+
+		if (!startsStep()) fail("an expression")
+
+		return { type: "path", absolute: false, steps: parseRelativeLocationPath([]) }
+	}
+	const parsePrimary = () => {
+		const token = peek()
+
+		switch (token.type) {
+			case "variable":
+				index++
+				return { type: "variable", name: token.value }
+			case "literal":
+				index++
+				return { type: "literal", value: token.value }
+			case "number":
+				index++
+				return { type: "number", value: token.value }
+			case "functionName": {
+				index++
+				expect("punctuation", "(")
+
+				const args = []
+
+				if (!is("punctuation", ")")) {
+					args.push(parseExpr())
+
+					while (is("punctuation", ",")) {
+						index++
+						args.push(parseExpr())
+					}
+				}
+
+				expect("punctuation", ")", `"," or ")"`)
+
+				return { type: "function", name: token.value, args }
+			}
+			case "punctuation":
+				if (token.value === "(") {
+					index++
+
+					const expr = parseExpr()
+
+					expect("punctuation", ")")
+
+					return expr
+				}
+		}
+
+		fail("an expression")
+	}
+	const parsePath = () => {
+		const token = peek()
+		const startsFilter =
+			token.type === "variable" ||
+			token.type === "literal" ||
+			token.type === "number" ||
+			token.type === "functionName" ||
+			(token.type === "punctuation" && token.value === "(")
+
+		if (!startsFilter) return parseLocationPath()
+
+		const primary = parsePrimary()
+		const predicates = parsePredicates()
+		const filter = predicates.length ? { type: "filter", primary, predicates } : primary
+
+		if (!is("operator", "/") && !is("operator", "//")) return filter
+
+		const steps = []
+
+		if (tokens[index++].value === "//") steps.push(descendantOrSelfStep())
+
+		return { type: "path", absolute: false, filter, steps: parseRelativeLocationPath(steps) }
+	}
+	const parseUnion = () => {
+		let left = parsePath()
+
+		while (is("operator", "|")) {
+			index++
+			left = { type: "union", left, right: parsePath() }
+		}
+
+		return left
+	}
+	const parseUnary = () => {
+		if (is("operator", "-")) {
+			index++
+			return { type: "negate", operand: parseUnary() }
+		}
+
+		return parseUnion()
+	}
+	const parseMultiplicative = binary(parseUnary, MULTIPLICATIVE_OPERATORS)
+	const parseAdditive = binary(parseMultiplicative, ADDITIVE_OPERATORS)
+	const parseRelational = binary(parseAdditive, RELATIONAL_OPERATORS)
+	const parseEquality = binary(parseRelational, EQUALITY_OPERATORS)
+	const parseAnd = binary(parseEquality, { and: true })
+	const parseExpr = binary(parseAnd, { or: true })
+
+	const ast = parseExpr()
+
+	if (!is("end")) fail("an operator or the end of the expression")
+	if (cache.size >= MAX_CACHED_EXPRESSIONS) cache.delete(cache.keys().next().value)
+
+	cache.set(expression, ast)
+
+	return ast
+}
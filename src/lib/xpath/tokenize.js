@@ -0,0 +1,213 @@
+const NODE_TYPES = { comment: true, text: true, "processing-instruction": true, node: true }
+const OPERATOR_NAMES = { and: true, or: true, mod: true, div: true }
+const AXIS_NAMES = {
+	ancestor: true,
+	"ancestor-or-self": true,
+	attribute: true,
+	child: true,
+	descendant: true,
+	"descendant-or-self": true,
+	following: true,
+	"following-sibling": true,
+	namespace: true,
+	parent: true,
+	preceding: true,
+	"preceding-sibling": true,
+	self: true
+}
+const TWO_CHARACTER_TOKENS = ["::", "..", "//", "!=", "<=", ">="]
+const SINGLE_CHARACTER_TOKENS = { "(": true, ")": true, "[": true, "]": true, ".": true, "@": true, ",": true }
+const SINGLE_CHARACTER_OPERATORS = { "/": true, "|": true, "+": true, "-": true, "=": true, "<": true, ">": true }
+
+// Tokens after which "*" is a name test and an NCName is a name rather than an operator
+const NAME_PRECEDERS = { "@": true, "::": true, "(": true, "[": true, ",": true }
+
+const isWhitespace = char => char === " " || char === "\t" || char === "\n" || char === "\r"
+const isDigit = char => char !== undefined && char >= "0" && char <= "9"
+const isNameStart = char => char !== undefined && (/[A-Za-z_]/.test(char) || char.charCodeAt(0) >= 0xc0)
+const isNameChar = char => char !== undefined && (/[A-Za-z0-9_.\-]/.test(char) || char.charCodeAt(0) >= 0xb7)
+
+/**
+ * Splits the given XPath 1.0 expression into its lexical tokens, applying the disambiguation rules from section 3.7 of
+ * the XPath 1.0 specification.
+ *
+ * @param {string} expression
+ * @return {Array<{type: string, value: string|number, position: number}>}
+ * @throws {SyntaxError} If the expression contains an invalid token
+ */
+export default function tokenize(expression) {
+	const tokens = []
+	let pos = 0
+
+	const fail = expected => {
+		const found = pos < expression.length ? `"${expression[pos]}"` : "the end of the expression"
+
+		throw new SyntaxError(`Expected ${expected}, instead found ${found} at position ${pos}`)
+	}
+	const readNCName = () => {
+		const start = pos
+
+		while (isNameChar(expression[pos])) pos++
+
+		return expression.slice(start, pos)
+	}
+	const nextNonWhitespace = from => {
+		while (isWhitespace(expression[from])) from++
+
+		return from
+	}
+	const precededByOperand = () => {
+		const previous = tokens[tokens.length - 1]
+
+		if (!previous) return false
+		if (previous.type === "operator") return false
+
+		return !NAME_PRECEDERS[previous.value]
+	}
+
+	while (pos < expression.length) {
+		const char = expression[pos]
+		const start = pos
+
+		if (isWhitespace(char)) {
+			pos++
+			continue
+		}
+
+		if (char === '"' || char === "'") {
+			const end = expression.indexOf(char, pos + 1)
+
+			if (end === -1) {
+				pos = expression.length
+				fail(`a closing ${char} for the literal opened at position ${start}`)
+			}
+
+			tokens.push({ type: "literal", value: expression.slice(pos + 1, end), position: start })
+			pos = end + 1
+			continue
+		}
+
+		if (isDigit(char) || (char === "." && isDigit(expression[pos + 1]))) {
+			while (isDigit(expression[pos])) pos++
+
+			if (expression[pos] === ".") {
+				pos++
+
+				while (isDigit(expression[pos])) pos++
+			}
+
+			tokens.push({ type: "number", value: Number(expression.slice(start, pos)), position: start })
+			continue
+		}
+
+		const twoCharacters = TWO_CHARACTER_TOKENS.find(t => expression.startsWith(t, pos))
+
+		if (twoCharacters) {
+			const type = twoCharacters === "::" || twoCharacters === ".." ? "punctuation" : "operator"
+
+			tokens.push({ type, value: twoCharacters, position: start })
+			pos += 2
+			continue
+		}
+
+		if (SINGLE_CHARACTER_TOKENS[char]) {
+			tokens.push({ type: "punctuation", value: char, position: start })
+			pos++
+			continue
+		}
+
+		if (char === "*") {
+			tokens.push(
+				precededByOperand()
+					? { type: "operator", value: "*", position: start }
+					: { type: "nameTest", value: "*", prefix: undefined, localName: "*", position: start }
+			)
+			pos++
+			continue
+		}
+
+		if (SINGLE_CHARACTER_OPERATORS[char]) {
+			tokens.push({ type: "operator", value: char, position: start })
+			pos++
+			continue
+		}
+
+		if (char === "$") {
+			pos++
+
+			if (!isNameStart(expression[pos])) fail("a variable name")
+
+			let name = readNCName()
+
+			if (expression[pos] === ":" && isNameStart(expression[pos + 1])) {
+				pos++
+				name = `${name}:${readNCName()}`
+			}
+
+			tokens.push({ type: "variable", value: name, position: start })
+			continue
+		}
+
+		if (isNameStart(char)) {
+			const name = readNCName()
+
+			if (precededByOperand()) {
+				if (!OPERATOR_NAMES[name]) {
+					pos = start
+					fail(`an operator such as "and", "or", "div", or "mod"`)
+				}
+
+				tokens.push({ type: "operator", value: name, position: start })
+				continue
+			}
+
+			let prefix
+			let localName = name
+
+			if (expression[pos] === ":" && expression[pos + 1] !== ":") {
+				if (expression[pos + 1] === "*") {
+					tokens.push({ type: "nameTest", value: `${name}:*`, prefix: name, localName: "*", position: start })
+					pos += 2
+					continue
+				}
+
+				if (!isNameStart(expression[pos + 1])) {
+					pos++
+					fail("a local name or * after the namespace prefix")
+				}
+
+				pos++
+				prefix = name
+				localName = readNCName()
+			}
+
+			const qName = prefix ? `${prefix}:${localName}` : localName
+			const after = nextNonWhitespace(pos)
+
+			if (expression[after] === "(") {
+				tokens.push({
+					type: !prefix && NODE_TYPES[localName] ? "nodeType" : "functionName",
+					value: qName,
+					position: start
+				})
+			} else if (!prefix && expression.startsWith("::", after)) {
+				if (!AXIS_NAMES[localName]) {
+					pos = start
+					fail(`an axis name such as ${Object.keys(AXIS_NAMES).join("|")}`)
+				}
+
+				tokens.push({ type: "axisName", value: localName, position: start })
+			} else {
+				tokens.push({ type: "nameTest", value: qName, prefix, localName, position: start })
+			}
+
+			continue
+		}
+
+		fail("a valid XPath token")
+	}
+
+	tokens.push({ type: "end", value: "", position: expression.length })
+
+	return tokens
+}
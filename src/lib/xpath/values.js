@@ -0,0 +1,381 @@
+import { Document, Element, VoidElement, CDATA, ProcessingInstruction, Text, Comment } from "../nodeTypes.js"
+import { attributeNamespaceURI, localNameOf, prefixOf } from "../query/namespaces.js"
+
+/**
+ * An attribute of an Element Node, as seen through the XPath `attribute` axis.
+ *
+ * @note Virty stores attributes as plain name/value pairs on their Element Node, so XPath wraps them in
+ * XPathAttribute objects when they are selected. The same attribute always produces the same XPathAttribute within
+ * a single evaluation.
+ */
+export class XPathAttribute {
+	#name
+	#ownerElement
+
+	/**
+	 * @param {Node} ownerElement The Element Node the attribute belongs to
+	 * @param {string} name The attribute name
+	 */
+	constructor(ownerElement, name) {
+		this.#ownerElement = ownerElement
+		this.#name = name
+	}
+
+	/**
+	 * Checks if the given value is an XPathAttribute.
+	 *
+	 * @param {unknown} value
+	 * @return {boolean}
+	 */
+	static isXPathAttribute(value) {
+		return value instanceof XPathAttribute
+	}
+
+	/**
+	 * The local part of the attribute's name, i.e. the name without its namespace prefix.
+	 *
+	 * @return {string}
+	 */
+	get localName() {
+		return localNameOf(this.#name)
+	}
+
+	/**
+	 * The name of the attribute.
+	 *
+	 * @return {string}
+	 */
+	get name() {
+		return this.#name
+	}
+
+	/**
+	 * The namespace URI of the attribute, as bound to its prefix at its Element Node. Unprefixed attributes are in no
+	 * namespace.
+	 *
+	 * @return {string|undefined}
+	 */
+	get namespaceURI() {
+		return attributeNamespaceURI(this.#ownerElement, this.#name)
+	}
+
+	/**
+	 * The Element Node the attribute belongs to.
+	 *
+	 * @return {Node}
+	 */
+	get ownerElement() {
+		return this.#ownerElement
+	}
+
+	/**
+	 * The Element Node the attribute belongs to, which XPath treats as the attribute's parent.
+	 *
+	 * @return {Node}
+	 */
+	get parent() {
+		return this.#ownerElement
+	}
+
+	/**
+	 * The namespace prefix of the attribute's name.
+	 *
+	 * @return {string|undefined}
+	 */
+	get prefix() {
+		return prefixOf(this.#name) || undefined
+	}
+
+	/**
+	 * The value of the attribute.
+	 *
+	 * @return {string}
+	 */
+	get value() {
+		return this.#ownerElement.getAttribute(this.#name) ?? ""
+	}
+}
+
+/**
+ * A namespace in scope at an Element Node, as seen through the XPath `namespace` axis.
+ *
+ * @note Virty has no namespace nodes, so XPath makes one XPathNamespace for each prefix bound at the Element Node,
+ * including the default namespace and the `xml` prefix. The same namespace always produces the same XPathNamespace
+ * within a single evaluation.
+ */
+export class XPathNamespace {
+	#namespaceURI
+	#ownerElement
+	#prefix
+
+	/**
+	 * @param {Node} ownerElement The Element Node the namespace is in scope at
+	 * @param {string} prefix The prefix, or `""` for the default namespace
+	 * @param {string} namespaceURI The namespace URI the prefix is bound to
+	 */
+	constructor(ownerElement, prefix, namespaceURI) {
+		this.#ownerElement = ownerElement
+		this.#prefix = prefix
+		this.#namespaceURI = namespaceURI
+	}
+
+	/**
+	 * Checks if the given value is an XPathNamespace.
+	 *
+	 * @param {unknown} value
+	 * @return {boolean}
+	 */
+	static isXPathNamespace(value) {
+		return value instanceof XPathNamespace
+	}
+
+	/**
+	 * The prefix the namespace is bound to, which XPath treats as the namespace node's local name.
+	 *
+	 * @return {string}
+	 */
+	get localName() {
+		return this.#prefix
+	}
+
+	/**
+	 * The prefix the namespace is bound to, which XPath treats as the namespace node's name, or `""` for the default
+	 * namespace.
+	 *
+	 * @return {string}
+	 */
+	get name() {
+		return this.#prefix
+	}
+
+	/**
+	 * The namespace URI of the namespace node's name, which is always `undefined`. The namespace URI the prefix is
+	 * bound to is its `value`.
+	 *
+	 * @return {undefined}
+	 */
+	get namespaceURI() {
+		return undefined
+	}
+
+	/**
+	 * The Element Node the namespace is in scope at.
+	 *
+	 * @return {Node}
+	 */
+	get ownerElement() {
+		return this.#ownerElement
+	}
+
+	/**
+	 * The Element Node the namespace is in scope at, which XPath treats as the namespace node's parent.
+	 *
+	 * @return {Node}
+	 */
+	get parent() {
+		return this.#ownerElement
+	}
+
+	/**
+	 * The namespace URI the prefix is bound to.
+	 *
+	 * @return {string}
+	 */
+	get value() {
+		return this.#namespaceURI
+	}
+}
+
+/**
+ * Checks if the given value is an XPath node-set.
+ *
+ * @param {unknown} value
+ * @return {boolean}
+ */
+export const isNodeSet = value => Array.isArray(value)
+
+/**
+ * Gets the XPath node kind of the given Node, XPathAttribute, or XPathNamespace.
+ *
+ * @param {Node|XPathAttribute|XPathNamespace} node
+ * @return {"root"|"element"|"attribute"|"namespace"|"text"|"comment"|"processing-instruction"|undefined}
+ */
+export const nodeKind = node => {
+	if (node instanceof XPathAttribute) return "attribute"
+	if (node instanceof XPathNamespace) return "namespace"
+
+	switch (node.type) {
+		case Document:
+			return "root"
+		case Element:
+		case VoidElement:
+			return "element"
+		case Text:
+		case CDATA:
+			return "text"
+		case Comment:
+			return "comment"
+		case ProcessingInstruction:
+			return "processing-instruction"
+	}
+}
+
+/**
+ * Gets the XPath string-value of the given Node, XPathAttribute, or XPathNamespace.
+ *
+ * @param {Node|XPathAttribute|XPathNamespace} node
+ * @return {string}
+ */
+export const stringValue = node => {
+	const kind = nodeKind(node)
+
+	if (kind !== "root" && kind !== "element") return node.value
+
+	let result = ""
+	const stack = [...node.children].reverse()
+
+	while (stack.length) {
+		const n = stack.pop()
+
+		if (n.type === Text || n.type === CDATA) result = `${result}${n.value}`
+
+		for (let i = n.children.length - 1; i >= 0; i--) stack.push(n.children[i])
+	}
+
+	return result
+}
+
+/**
+ * Converts the given number into a string using the XPath 1.0 `string()` rules (no exponents, no trailing zeros).
+ *
+ * @param {number} n
+ * @return {string}
+ */
+export const numberToString = n => {
+	if (Number.isNaN(n)) return "NaN"
+	if (n === 0) return "0"
+	if (!Number.isFinite(n)) return n > 0 ? "Infinity" : "-Infinity"
+
+	const str = String(n)
+	const exponentIndex = str.indexOf("e")
+
+	if (exponentIndex === -1) return str
+
+	const sign = n < 0 ? "-" : ""
+	const mantissa = str.slice(sign.length, exponentIndex).replace(".", "")
+	const pointIndex = (str.slice(sign.length, exponentIndex).indexOf(".") + 1 || exponentIndex - sign.length + 1) - 1
+	const exponent = Number(str.slice(exponentIndex + 1)) + pointIndex
+
+	if (exponent <= 0) return `${sign}0.${"0".repeat(-exponent)}${mantissa}`.replace(/0+$/, "")
+	if (exponent >= mantissa.length) return `${sign}${mantissa}${"0".repeat(exponent - mantissa.length)}`
+
+	return `${sign}${mantissa.slice(0, exponent)}.${mantissa.slice(exponent)}`
+}
+
+/**
+ * Converts the given value into an XPath string.
+ *
+ * @param {Array<Node|XPathAttribute|XPathNamespace>|string|number|boolean} value
+ * @return {string}
+ */
+export const toStringValue = value => {
+	if (isNodeSet(value)) return value.length ? stringValue(value[0]) : ""
+	if (typeof value === "number") return numberToString(value)
+	if (typeof value === "boolean") return value ? "true" : "false"
+
+	return value
+}
+
+/**
+ * Converts the given value into an XPath number.
+ *
+ * @param {Array<Node|XPathAttribute|XPathNamespace>|string|number|boolean} value
+ * @return {number}
+ */
+export const toNumberValue = value => {
+	if (typeof value === "number") return value
+	if (typeof value === "boolean") return value ? 1 : 0
+
+	const str = toStringValue(value)
+
+	return /^[\x20\x09\x0d\x0a]*-?(\d+(\.\d*)?|\.\d+)[\x20\x09\x0d\x0a]*$/.test(str) ? Number(str) : NaN
+}
+
+/**
+ * Converts the given value into an XPath boolean.
+ *
+ * @param {Array<Node|XPathAttribute|XPathNamespace>|string|number|boolean} value
+ * @return {boolean}
+ */
+export const toBooleanValue = value => {
+	if (isNodeSet(value)) return value.length > 0
+	if (typeof value === "number") return value !== 0 && !Number.isNaN(value)
+	if (typeof value === "string") return value.length > 0
+
+	return value
+}
+
+const compareAtomic = (operator, a, b) => {
+	if (operator === "=" || operator === "!=") {
+		let equal
+
+		if (typeof a === "boolean" || typeof b === "boolean") equal = toBooleanValue(a) === toBooleanValue(b)
+		else if (typeof a === "number" || typeof b === "number") equal = toNumberValue(a) === toNumberValue(b)
+		else equal = toStringValue(a) === toStringValue(b)
+
+		return operator === "=" ? equal : !equal
+	}
+
+	const x = toNumberValue(a)
+	const y = toNumberValue(b)
+
+	switch (operator) {
+		case "<":
+			return x < y
+		case "<=":
+			return x <= y
+		case ">":
+			return x > y
+		case ">=":
+			return x >= y
+	}
+}
+
+/**
+ * Compares two XPath values using the given comparison operator, following section 3.4 of the XPath 1.0
+ * specification.
+ *
+ * @param {"="|"!="|"<"|"<="|">"|">="} operator
+ * @param {Array<Node|XPathAttribute|XPathNamespace>|string|number|boolean} a
+ * @param {Array<Node|XPathAttribute|XPathNamespace>|string|number|boolean} b
+ * @return {boolean}
+ */
+export const compareValues = (operator, a, b) => {
+	if (isNodeSet(a) && isNodeSet(b)) {
+		const bStrings = b.map(stringValue)
+
+		return a.some(x => {
+			const xs = stringValue(x)
+
+			return bStrings.some(ys => compareAtomic(operator, xs, ys))
+		})
+	}
+
+	if (isNodeSet(a)) {
+		if (typeof b === "boolean") return compareAtomic(operator, toBooleanValue(a), b)
+
+		return a.some(x =>
+			compareAtomic(operator, typeof b === "number" ? toNumberValue(stringValue(x)) : stringValue(x), b)
+		)
+	}
+
+	if (isNodeSet(b)) {
+		if (typeof a === "boolean") return compareAtomic(operator, a, toBooleanValue(b))
+
+		return b.some(y =>
+			compareAtomic(operator, a, typeof a === "number" ? toNumberValue(stringValue(y)) : stringValue(y))
+		)
+	}
+
+	return compareAtomic(operator, a, b)
+}
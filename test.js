@@ -0,0 +1,823 @@
+import assert from "node:assert/strict"
+import { createHash } from "node:crypto"
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs"
+import { tmpdir } from "node:os"
+import { join } from "node:path"
+import { Writable } from "node:stream"
+import test from "node:test"
+import {
+	AttListDeclaration,
+	CDATA,
+	Comment,
+	ContentModel,
+	DoctypeDeclaration,
+	Element,
+	ElementDeclaration,
+	EntityDeclaration,
+	EntityReference,
+	History,
+	MutationObserver,
+	Node,
+	NodeFilter,
+	NodeIterator,
+	NotationDeclaration,
+	ProcessingInstruction,
+	SAXParser,
+	Text,
+	TreeWalker,
+	VoidElement,
+	XMLCatalog,
+	diff,
+	expandEntities,
+	parseDTD,
+	parseHTML,
+	parseXML,
+	patch,
+	validate
+} from "./src/index.js"
+import { createSHA256 } from "./src/lib/compare/sha256.js"
+
+test("query and queryAll match CSS selectors in document order", () => {
+	const doc = Node.fromString(
+		`<ul><li class="a b" id="x">1</li><li lang="en-US">2</li><li data-v="foobar"/><li><b/></li></ul>`
+	)
+
+	assert.equal(doc.query("li.a").getAttribute("id"), "x")
+	assert.equal(doc.query("li.c"), undefined)
+	assert.deepEqual(
+		doc.queryAll("[lang|=en], [data-v^=foo], [class~=b]").map(li => li.text),
+		["1", "2", ""]
+	)
+	assert.equal(doc.queryAll("li:nth-child(2n)").length, 2)
+	assert.equal(doc.queryAll("li:not(.a)").length, 3)
+	assert.equal(doc.queryAll("li:has(> b)").length, 1)
+	assert.equal(doc.queryAll("li:empty").length, 1)
+	assert.equal(doc.queryAll("li + li").length, 3)
+	assert.equal(doc.queryAll("ul > li:first-child").length, 1)
+	assert.throws(() => doc.query("li["), SyntaxError)
+})
+
+test("queryAttributes combines attribute names and values with boolean logic", () => {
+	const doc = Node.fromString(
+		`<form><input id="a" value="username"/><input data-value="username" b="" c=""/><p b=""/></form>`
+	)
+
+	assert.equal(doc.queryAttributes("[id|b&c]").getAttribute("id"), "a")
+	assert.equal(doc.queryAttributesAll("[b&c]").length, 1)
+	assert.equal(doc.queryAttributesAll(`[data-value|value:"username"]`).length, 2)
+	assert.equal(doc.queryAttributesAll(`[id:"a"|"z"]`).length, 1)
+	assert.equal(doc.queryAttributesAll("[(id|c)&b]").length, 1)
+	assert.throws(() => doc.queryAttributes("[a|]"), { name: "SyntaxError", message: /at position 3/ })
+})
+
+test("evaluate runs XPath 1.0 expressions over axes, predicates, and functions", () => {
+	const doc = Node.fromString(
+		`<lib><book id="b1" year="1999"><title>A</title></book><book id="b2" year="2005"><title>B</title></book><!--c--></lib>`
+	)
+
+	assert.equal(doc.evaluate("//book[@year > 2000]/title", { resultType: "string" }), "B")
+	assert.equal(doc.evaluate("count(//title/ancestor::*)"), 3)
+	assert.equal(doc.evaluate("//book[1]/following-sibling::book/@id")[0].value, "b2")
+	assert.equal(doc.evaluate("//title[. = $t]/..", { variables: { t: "A" } })[0].getAttribute("id"), "b1")
+	assert.equal(doc.evaluate("id('b2')/title/text()")[0].value, "B")
+	assert.equal(doc.evaluate("count(//comment() | //title/preceding::node())"), 4)
+	assert.throws(() => doc.evaluate("//book["), SyntaxError)
+})
+
+test("evaluate selects the namespaces in scope through the namespace axis", () => {
+	const doc = Node.fromString(`<r xmlns="urn:d" xmlns:a="urn:a"><c xmlns:b="urn:b"><e xmlns=""/></c></r>`)
+	const c = doc.evaluate("//*[local-name() = 'c']")[0]
+
+	assert.deepEqual(
+		c.evaluate("namespace::*").map(namespace => [namespace.name, namespace.value]),
+		[
+			["xml", "http://www.w3.org/XML/1998/namespace"],
+			["b", "urn:b"],
+			["", "urn:d"],
+			["a", "urn:a"]
+		]
+	)
+	assert.equal(c.evaluate("string(namespace::a)"), "urn:a")
+	assert.equal(c.evaluate("namespace::a/..")[0], c)
+	assert.equal(c.evaluate("count(namespace::a | namespace::*[. = 'urn:a'])"), 1)
+	assert.equal(doc.evaluate("count(//*[local-name() = 'e']/namespace::*)"), 3)
+	assert.equal(c.evaluate("namespace-uri(namespace::a)"), "")
+})
+
+test("Node.fromString passes its options on to the parser", () => {
+	const xml = `<!DOCTYPE r [<!ENTITY e "x">]><r>&e;</r>`
+
+	assert.equal(Node.fromString(xml).children[0].children[0].type, Text)
+	assert.equal(Node.fromString(xml, { keepEntityReferences: true }).children[0].children[0].type, EntityReference)
+	assert.throws(() => Node.fromString(xml, { maxExpansionLength: 0 }), /at most 0 characters/)
+	assert.equal(Node.fromString("<p>a", { mode: "html" }).query("p").text, "a")
+})
+
+test("parseXML builds a Document with its declarations and every Node type", () => {
+	const doc = parseXML(`<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE r [<!ELEMENT r ANY><!ATTLIST r a CDATA "d"><!ENTITY e "v">]>
+<r><x/><![CDATA[<c>]]><!--k--><?pi data?>&e;</r>`)
+	const [declarations, root] = [doc.doctypeDeclaration.internalSubset, doc.children[0]]
+
+	assert.equal(doc.xmlDeclaration.encoding, "UTF-8")
+	assert.deepEqual(
+		declarations.map(declaration => declaration.constructor),
+		[ElementDeclaration, AttListDeclaration, EntityDeclaration]
+	)
+	assert.equal(root.getAttribute("a"), "d")
+	assert.deepEqual(
+		root.children.map(child => child.typeText),
+		["VoidElement", "CDATA", "Comment", "ProcessingInstruction", "Text"]
+	)
+	assert.equal(root.text, "v")
+})
+
+test("parseXML reports where a document is not well-formed", () => {
+	assert.throws(() => parseXML("<a>\n  <b></a>"), { name: "SyntaxError", line: 2, column: 6 })
+	assert.throws(() => parseXML("<a>&nope;</a>"), SyntaxError)
+	assert.equal(parseXML(`<!DOCTYPE a SYSTEM "a.dtd"><a>&nope;</a>`).children[0].children[0].type, EntityReference)
+})
+
+test("parseHTML follows the WHATWG tree construction rules", () => {
+	const doc = parseHTML(
+		`<!DOCTYPE html><title>T</title><p>one<p>two &amp; <b>bold<i>both</b>italic</i><table><td>cell</table><br><script>a<b</script>`
+	)
+
+	assert.equal(doc.doctypeDeclaration.element, "html")
+	assert.deepEqual(
+		doc.children[0].children.map(child => child.name),
+		["head", "body"]
+	)
+	assert.deepEqual(
+		doc.queryAll("p").map(p => p.text),
+		["one", "two & boldbothitalic"]
+	)
+	assert.equal(doc.query("i").parent.name, "b")
+	assert.equal(doc.query("tbody > tr > td").text, "cell")
+	assert.equal(doc.query("br").type, VoidElement)
+	assert.equal(doc.query("script").children[0].value, "a<b")
+})
+
+test("SAXParser emits markup as soon as the chunk that completes it is written", () => {
+	const events = []
+	const parser = new SAXParser()
+		.on("text", value => events.push(["text", value]))
+		.on("cdata", value => events.push(["cdata", value]))
+		.on("comment", value => events.push(["comment", value]))
+
+	for (const chunk of ["<r>a\r", "\nb", "c<![CDATA[x]", "]", "><!-- y -", "-", ">"]) parser.write(chunk)
+
+	assert.deepEqual(events, [
+		["text", "a\nbc"],
+		["cdata", "x"],
+		["comment", " y "]
+	])
+
+	parser.write("</r>").end()
+})
+
+test("SAXParser emits the same events however the document is split", () => {
+	const xml = `<?xml version="1.0"?><feed><entry id="1">a&amp;b<?pi v?></entry><entry id="2"/></feed>`
+	const run = size => {
+		const events = []
+		const parser = new SAXParser()
+
+		for (const event of ["openTag", "closeTag", "text", "processingInstruction", "end"])
+			parser.on(event, data => events.push([event, data]))
+		for (let i = 0; i < xml.length; i += size) parser.write(new TextEncoder().encode(xml.slice(i, i + size)))
+
+		parser.end()
+
+		return events
+	}
+
+	assert.deepEqual(run(1), run(xml.length))
+	assert.deepEqual(run(xml.length)[2], ["text", "a&b"])
+	assert.throws(() => new SAXParser().write("<a></b>"), SyntaxError)
+})
+
+test("SAXParser.subtrees yields the elements that match a path or selector", async () => {
+	const xml = `<feed><entry id="1"><t>A</t></entry><other><entry id="2"/></other><entry id="3"/></feed>`
+	const ids = async options => {
+		const result = []
+
+		for await (const entry of SAXParser.subtrees(xml.split(""), options)) result.push(entry.getAttribute("id"))
+
+		return result
+	}
+
+	assert.deepEqual(await ids({ path: "/feed/entry" }), ["1", "3"])
+	assert.deepEqual(await ids({ path: "entry" }), ["1", "2", "3"])
+	assert.deepEqual(await ids({ selector: "other > entry" }), ["2"])
+
+	for await (const entry of SAXParser.subtrees(xml, { path: "/feed/entry" })) {
+		assert.equal(entry.parent, undefined)
+		assert.equal(entry.toString(), `<entry id="1"><t>A</t></entry>`)
+		break
+	}
+})
+
+test("toString escapes text, attribute values, and CDATA", () => {
+	const p = new Node({ type: Element, name: "p", attributes: { title: `a"b<\n` } }).appendChild([
+		new Node({ type: Text, value: "1 < 2 & 3 > 2" }),
+		new Node({ type: CDATA, value: "x]]>y" })
+	])
+
+	assert.equal(p.toString(), `<p title="a&quot;b&lt;&#10;">1 &lt; 2 &amp; 3 &gt; 2<![CDATA[x]]]]><![CDATA[>y]]></p>`)
+	assert.equal(
+		p.toString({ entities: "numeric", quote: "'" }),
+		`<p title='a"b&#60;&#10;'>1 &#60; 2 &#38; 3 &#62; 2<![CDATA[x]]]]><![CDATA[>y]]></p>`
+	)
+	assert.equal(parseXML(p.toString()).children[0].getAttribute("title"), `a"b<\n`)
+})
+
+test("toString refuses Comments and ProcessingInstructions that would end early", () => {
+	const comment = value => new Node({ type: Comment, value })
+	const pi = value => new Node({ type: ProcessingInstruction, name: "pi", value })
+
+	assert.throws(() => comment("a -- b").toString(), /Cannot serialize a Comment containing "--"/)
+	assert.throws(() => comment("a --> <b>").toString({ mode: "html" }), /containing "-->"/)
+	assert.equal(comment("a -- b").toString({ mode: "html" }), "<!-- a -- b -->")
+	assert.throws(() => pi("a ?> <b>").toString(), /Cannot serialize a ProcessingInstruction containing "\?>"/)
+	assert.throws(() => pi("a > b").toString({ mode: "html" }), /containing ">"/)
+	assert.equal(pi("a > b").toString(), "<?pi a > b?>")
+})
+
+test("toString writes html, xml, and xhtml markup", () => {
+	const body = parseHTML(`<p><input disabled value=x><br><script>a<b</script><div></div>`).query("body")
+
+	assert.equal(body.toString(), `<body><p><input disabled="" value="x"/><br/><script>a&lt;b</script></p><div/></body>`)
+	assert.equal(
+		body.toString({ mode: "html" }),
+		`<body><p><input disabled value="x"><br><script>a<b</script></p><div></div></body>`
+	)
+	assert.equal(
+		body.toString({ mode: "xhtml" }),
+		`<body><p><input disabled="" value="x" /><br /><script>a&lt;b</script></p><div></div></body>`
+	)
+
+	const br = new Node({ type: Element, name: "br" }).appendChild(new Node({ type: Text, value: "x" }))
+
+	assert.equal(br.toString({ mode: "xhtml" }), "<br>x</br>")
+	assert.throws(() => br.toString({ mode: "html" }), /void elements have no end tag/)
+})
+
+test("toString wraps lines at printWidth only when it is given", () => {
+	const doc = parseXML(
+		`<r><p class="a">Hello   there <b>x</b></p><q a="1111111111" b="2222222222" c="3333333333"/><pre>  keep  </pre></r>`
+	)
+
+	assert.equal(
+		doc.toString({ indentChar: "\t", indentSize: 1 }),
+		`<r>\n\t<p class="a">\n\t\tHello   there \n\t\t<b>\n\t\t\tx\n\t\t</b>\n\t</p>\n\t<q a="1111111111" b="2222222222" c="3333333333"/>\n\t<pre>\n\t\t  keep  \n\t</pre>\n</r>`
+	)
+	assert.equal(
+		doc.toString({ indentChar: "\t", indentSize: 1, printWidth: 30 }),
+		`<r>\n\t<p class="a">\n\t\tHello there\n\t\t<b>x</b>\n\t</p>\n\t<q\n\t\ta="1111111111"\n\t\tb="2222222222"\n\t\tc="3333333333"\n\t/>\n\t<pre>  keep  </pre>\n</r>`
+	)
+	assert.equal(
+		[...doc.serializeStream({ indentChar: "\t", indentSize: 1, printWidth: 30 })].join(""),
+		doc.toString({ indentChar: "\t", indentSize: 1, printWidth: 30 })
+	)
+})
+
+test("canonicalize writes Canonical XML and Exclusive C14N", () => {
+	const doc = parseXML(`<?xml version="1.0"?>\r
+<!DOCTYPE r [<!ATTLIST e d CDATA "def">]>\r
+<r xmlns="urn:r" xmlns:a="urn:a" xmlns:u="urn:u"><!--c--><e z="2" a:y="1" b="&#x9;"/>\r
+<a:s>x&gt;y</a:s></r>`)
+	const s = doc.children[0].lastChild
+
+	assert.equal(
+		doc.canonicalize(),
+		`<r xmlns="urn:r" xmlns:a="urn:a" xmlns:u="urn:u"><e b="&#x9;" d="def" z="2" a:y="1"></e>\n<a:s>x&gt;y</a:s></r>`
+	)
+	assert.match(doc.canonicalize({ withComments: true }), /^<r [^>]+><!--c--><e /)
+	assert.equal(s.canonicalize(), `<a:s xmlns="urn:r" xmlns:a="urn:a" xmlns:u="urn:u">x&gt;y</a:s>`)
+	assert.equal(s.canonicalize({ exclusive: true }), `<a:s xmlns:a="urn:a">x&gt;y</a:s>`)
+	assert.equal(
+		s.canonicalize({ exclusive: true, inclusiveNamespaces: ["#default"] }),
+		`<a:s xmlns="urn:r" xmlns:a="urn:a">x&gt;y</a:s>`
+	)
+})
+
+test("serializeStream and writeTo give the same markup as toString", async () => {
+	const root = new Node({ type: Element, name: "r" })
+
+	for (let i = 0; i < 2000; i++)
+		root.appendChild(
+			new Node({ type: Element, name: "item", attributes: { id: `${i}` } }).appendChild(
+				new Node({ type: Text, value: "a & b" })
+			)
+		)
+
+	for (const options of [{}, { indentChar: " ", indentSize: 2 }, { mode: "html" }])
+		assert.equal([...root.serializeStream(options)].join(""), root.toString(options))
+
+	let written = ""
+	let drains = 0
+	const writable = new Writable({
+		highWaterMark: 1024,
+		write(chunk, encoding, callback) {
+			written = `${written}${chunk}`
+			setImmediate(callback)
+		}
+	}).on("drain", () => drains++)
+
+	await root.writeTo(writable, { indentChar: "\t", indentSize: 1 })
+
+	assert.equal(written, root.toString({ indentChar: "\t", indentSize: 1 }))
+	assert.ok(drains > 0)
+})
+
+test("parseDTD and DoctypeDeclaration.parse read declarations", () => {
+	const declarations = parseDTD(
+		`<!-- c --><!ENTITY % t "(#PCDATA)"><!ELEMENT note %t;><![INCLUDE[<!ATTLIST note to CDATA #REQUIRED>]]><![IGNORE[<!ELEMENT x ANY>]]>`
+	)
+
+	assert.deepEqual(
+		declarations.map(declaration => declaration.toString()),
+		[`<!ENTITY % t "(#PCDATA)">`, "<!ELEMENT note (#PCDATA)>", "<!ATTLIST note to CDATA #REQUIRED>"]
+	)
+
+	const doctype = DoctypeDeclaration.parse(`<!DOCTYPE note SYSTEM "note.dtd" [<![INCLUDE[<!ELEMENT note ANY>]]>]>`)
+
+	assert.equal(doctype.element, "note")
+	assert.equal(doctype.systemIdentifier, "note.dtd")
+	assert.ok(doctype.internalSubset[0] instanceof ElementDeclaration)
+	assert.throws(() => parseDTD("<!ELEMENT x>"), { name: "SyntaxError", line: 1, column: 12 })
+})
+
+test("ElementDeclaration keeps its rules as they were set", () => {
+	const declaration = new ElementDeclaration({ name: "x", rules: "( a , b )" })
+	const custom = new ElementDeclaration({ name: "x", rules: "%custom;" })
+
+	assert.equal(declaration.rules, "( a , b )")
+	assert.equal(declaration.toString(), "<!ELEMENT x ( a , b )>")
+	assert.equal(declaration.contentModel.toString(), "(a,b)")
+	assert.equal(custom.rules, "%custom;")
+	assert.equal(custom.contentModel, undefined)
+	assert.equal(custom.clone().toString(), "<!ELEMENT x %custom;>")
+})
+
+test("ContentModel writes mixed content back as it was parsed", () => {
+	for (const rules of ["(#PCDATA)*", "(#PCDATA)", "(#PCDATA|a)*", "EMPTY", "(a,(b|c)+)?"])
+		assert.equal(ContentModel.parse(rules).toString(), rules)
+
+	assert.equal(ContentModel.parse("(#PCDATA)*").isRepeated, true)
+	assert.equal(ContentModel.mixed([], true).toString(), "(#PCDATA)*")
+	assert.equal(ContentModel.mixed(["a"]).toString(), "(#PCDATA|a)*")
+})
+
+test("validate reports where a Document breaks its DTD", () => {
+	const doc = parseXML(`<!DOCTYPE list [
+<!ELEMENT list (item+)>
+<!ELEMENT item (#PCDATA)>
+<!ATTLIST item id ID #REQUIRED ref IDREF #IMPLIED kind (a|b) "a">
+]><list><item id="x" kind="c">1</item><item ref="y">2<b/></item><other/></list>`)
+
+	assert.deepEqual(
+		validate(doc).map(error => [error.code, error.node.name, error.attribute]),
+		[
+			["invalid-content", "list", undefined],
+			["invalid-attribute-value", "item", "kind"],
+			["invalid-content", "b", undefined],
+			["missing-attribute", "item", "id"],
+			["undeclared-element", "b", undefined],
+			["undeclared-element", "other", undefined],
+			["unknown-idref", "item", "ref"]
+		]
+	)
+	assert.deepEqual(
+		validate(parseXML("<a/>")).map(error => error.code),
+		["missing-doctype"]
+	)
+})
+
+test("validate matches content models against the external subset", () => {
+	const doc = parseXML(`<!DOCTYPE list SYSTEM "list.dtd"><list>${"<a/>".repeat(30)}<b/></list>`)
+	const declarations = parseDTD(`<!ELEMENT list (${"a?,".repeat(30)}a?,b)><!ELEMENT a EMPTY><!ELEMENT b EMPTY>`)
+
+	assert.deepEqual(validate(doc, { declarations }), [])
+	assert.equal(
+		validate(doc, { declarations: parseDTD(`<!ELEMENT list (a*)><!ELEMENT a EMPTY><!ELEMENT b EMPTY>`) }).length,
+		1
+	)
+})
+
+test("NotationDeclaration is declared in the internal subset and checked by validate", () => {
+	assert.equal(
+		new NotationDeclaration({ name: "p", publicID: "-//P", systemURI: "p.dtd" }).toString(),
+		`<!NOTATION p PUBLIC "-//P" "p.dtd">`
+	)
+	assert.equal(
+		new DoctypeDeclaration({
+			element: "r",
+			internalSubset: [new NotationDeclaration({ name: "gif", systemURI: "image/gif" })]
+		}).toString(),
+		`<!DOCTYPE r [<!NOTATION gif SYSTEM "image/gif">]>`
+	)
+
+	const doc = parseXML(`<!DOCTYPE r [<!NOTATION gif SYSTEM "image/gif">
+<!ENTITY logo SYSTEM "logo.gif" NDATA gif><!ENTITY pic SYSTEM "p.png" NDATA png>
+<!ELEMENT r EMPTY><!ATTLIST r img ENTITY #REQUIRED f NOTATION (gif|jpg) #IMPLIED>]><r img="logo" f="gif"/>`)
+
+	assert.ok(doc.doctypeDeclaration.internalSubset[0] instanceof NotationDeclaration)
+	assert.deepEqual(
+		validate(doc).map(error => error.message),
+		[
+			`Expected notation "png" of unparsed entity "pic" to be declared`,
+			`Expected notation "jpg" in the type of attribute "f" of <r> to be declared`
+		]
+	)
+})
+
+test("expandEntities replaces EntityReference Nodes with their replacement text", () => {
+	const doc = parseXML(
+		`<!DOCTYPE r [<!ENTITY co "ACME <b>&inner;</b>"><!ENTITY inner "Inc"><!ENTITY ext SYSTEM "ext.xml">]><r>&co; and &ext;</r>`,
+		{ keepEntityReferences: true }
+	)
+	const r = doc.children[0]
+
+	assert.deepEqual(
+		r.children.filter(child => child.type === EntityReference).map(child => child.name),
+		["co", "ext"]
+	)
+	assert.equal(r.toString(), "<r>&co; and &ext;</r>")
+
+	expandEntities(doc, { resolveEntity: ({ systemURI }) => (systemURI === "ext.xml" ? "<i>external</i>" : undefined) })
+
+	assert.equal(r.toString(), "<r>ACME <b>Inc</b> and <i>external</i></r>")
+})
+
+test("expandEntities stops entities that expand exponentially or reference themselves", () => {
+	const laughs = parseXML(
+		`<!DOCTYPE r [<!ENTITY a "aaaaaaaaaa"><!ENTITY b "&a;&a;&a;&a;&a;&a;&a;&a;&a;&a;"><!ENTITY c "&b;&b;&b;&b;&b;&b;&b;&b;&b;&b;">]><r>&c;</r>`,
+		{ keepEntityReferences: true }
+	)
+	const cycle = parseXML(`<!DOCTYPE r [<!ENTITY a "&b;"><!ENTITY b "&a;">]><r>&a;</r>`, { keepEntityReferences: true })
+
+	assert.throws(() => expandEntities(laughs, { maxExpansionLength: 500 }), /at most 500 characters/)
+	assert.throws(() => expandEntities(cycle), /Entity "&a;" references itself/)
+})
+
+test("XMLCatalog maps public and system IDs to URIs", () => {
+	const catalog = XMLCatalog.parse(
+		`<catalog xmlns="urn:oasis:names:tc:entity:xmlns:xml:catalog">
+			<public publicId="-//Virty//DTD Doc//EN" uri="doc.dtd"/>
+			<rewriteSystem systemIdStartString="http://example.com/" rewritePrefix="dtd/"/>
+		</catalog>`,
+		{ baseURI: "file:///etc/xml/" }
+	)
+
+	assert.equal(catalog.resolveExternalID({ publicID: "-//Virty//DTD  Doc//EN" }), "file:///etc/xml/doc.dtd")
+	assert.equal(catalog.resolveExternalID({ systemURI: "urn:publicid:-:Virty:DTD+Doc:EN" }), "file:///etc/xml/doc.dtd")
+	assert.equal(catalog.resolveExternalID({ systemURI: "http://example.com/a.dtd" }), "file:///etc/xml/dtd/a.dtd")
+	assert.equal(catalog.resolveExternalID({ systemURI: "http://example.org/a.dtd" }), undefined)
+})
+
+test("XMLCatalog reads the files it maps IDs to through createResolver", () => {
+	const dir = mkdtempSync(join(tmpdir(), "virty-"))
+
+	try {
+		writeFileSync(join(dir, "doc.dtd"), `<!ENTITY co "ACME">`)
+		writeFileSync(
+			join(dir, "catalog.xml"),
+			`<catalog xmlns="urn:oasis:names:tc:entity:xmlns:xml:catalog"><public publicId="-//Virty//DTD Doc//EN" uri="doc.dtd"/></catalog>`
+		)
+
+		const resolveEntity = XMLCatalog.load(join(dir, "catalog.xml")).createResolver()
+		const doc = parseXML(`<!DOCTYPE r PUBLIC "-//Virty//DTD Doc//EN" "nowhere.dtd"><r>&co;</r>`, { resolveEntity })
+
+		assert.equal(doc.children[0].toString(), "<r>ACME</r>")
+		assert.equal(resolveEntity({ systemURI: "nowhere.dtd" }), undefined)
+	} finally {
+		rmSync(dir, { recursive: true })
+	}
+})
+
+test("Element names resolve to namespaces through the xmlns declarations in scope", () => {
+	const doc = parseXML(`<root xmlns="urn:a" xmlns:svg="http://www.w3.org/2000/svg"><svg:rect x="1"/><p/></root>`)
+	const [rect, p] = doc.children[0].children
+
+	assert.deepEqual([rect.prefix, rect.localName, rect.namespaceURI], ["svg", "rect", "http://www.w3.org/2000/svg"])
+	assert.deepEqual([p.prefix, p.localName, p.namespaceURI], [undefined, "p", "urn:a"])
+	assert.equal(rect.lookupNamespaceURI(), "urn:a")
+	assert.equal(rect.lookupNamespaceURI("xml"), "http://www.w3.org/XML/1998/namespace")
+	assert.equal(rect.lookupPrefix("http://www.w3.org/2000/svg"), "svg")
+	assert.deepEqual([doc.queryAll("svg|*").length, doc.queryAll("*|rect").length, doc.queryAll("|p").length], [1, 1, 0])
+
+	const other = parseXML("<x></x>").children[0].appendChild(rect)
+
+	assert.equal(other.toString(), `<x><svg:rect x="1" xmlns:svg="http://www.w3.org/2000/svg"/></x>`)
+})
+
+test("setAttributeNS declares the namespaces of the attributes it sets", () => {
+	const a = new Node({ type: Element, name: "a" })
+
+	a.setAttributeNS("http://www.w3.org/1999/xlink", "xlink:href", "#x").setAttributeNS("urn:x", "id", "1")
+
+	assert.equal(
+		a.toString(),
+		`<a xmlns:xlink="http://www.w3.org/1999/xlink" xlink:href="#x" xmlns:ns1="urn:x" ns1:id="1"/>`
+	)
+	assert.equal(a.getAttributeNS("urn:x", "id"), "1")
+	assert.throws(() => a.setAttributeNS(undefined, "a:b", "x"), /in no namespace to have no prefix/)
+})
+
+test("clone copies a Node, and its descendants when deep, without sharing any state", () => {
+	const doc = parseXML(`<!DOCTYPE r [<!ELEMENT r ANY>]><r xmlns:s="urn:s"><s:a k="1"><b/></s:a></r>`)
+	const a = doc.query("s|a")
+	const shallow = a.clone()
+	const deep = a.clone({ deep: true })
+
+	assert.equal(shallow.toString(), `<s:a k="1" xmlns:s="urn:s"/>`)
+	assert.equal(deep.toString(), `<s:a k="1" xmlns:s="urn:s"><b/></s:a>`)
+	assert.equal(deep.parent, undefined)
+
+	deep.addAttribute("k", "2")
+	deep.children[0].setName("c")
+
+	assert.equal(a.toString(), `<s:a k="1" xmlns:s="urn:s"><b/></s:a>`)
+
+	const copy = doc.clone({ deep: true })
+
+	copy.doctypeDeclaration.setElement("x")
+	copy.doctypeDeclaration.internalSubset[0].setRules("EMPTY")
+
+	assert.equal(doc.toString(), `<!DOCTYPE r [<!ELEMENT r ANY>]><r xmlns:s="urn:s"><s:a k="1"><b/></s:a></r>`)
+	assert.equal(copy.toString(), `<!DOCTYPE x [<!ELEMENT r EMPTY>]><r xmlns:s="urn:s"><s:a k="1"><b/></s:a></r>`)
+})
+
+test("isEqual and hash compare the content of Nodes with the given options", () => {
+	const a = parseXML(`<r><a x="1" y="2"/><!-- note -->text</r>`).children[0]
+	const b = parseXML(`<r>\n\t<a y="2" x="1"/>text</r>`).children[0]
+
+	assert.equal(a.isEqual(b), false)
+	assert.equal(a.isEqual(b, { ignoreComments: true, ignoreWhitespace: true }), true)
+	assert.equal(a.isEqual(b, { ignoreComments: true, ignoreWhitespace: true, ignoreAttributeOrder: false }), false)
+	assert.equal(
+		a.hash({ ignoreComments: true, ignoreWhitespace: true }),
+		b.hash({ ignoreComments: true, ignoreWhitespace: true })
+	)
+	assert.notEqual(a.hash(), b.hash())
+	assert.equal(a.isEqual("<r/>"), false)
+})
+
+test("hash handles attributes without a value", () => {
+	const withoutValue = new Node({ type: 1, name: "input" }).addAttribute("checked")
+	const withEmptyValue = new Node({ type: 1, name: "input" }).addAttribute("checked", "")
+
+	assert.equal(withoutValue.hash(), withoutValue.clone().hash())
+	assert.notEqual(withoutValue.hash(), withEmptyValue.hash())
+	assert.equal(withoutValue.isEqual(withEmptyValue), false)
+})
+
+test("createSHA256 matches node:crypto", () => {
+	for (const input of ["", "abc", "a".repeat(55), "a".repeat(56), "a".repeat(64), "héllo wörld 🙂".repeat(20)]) {
+		const digest = createSHA256()
+
+		digest.update(input)
+
+		assert.equal(digest.digest(), createHash("sha256").update(input).digest("hex"))
+	}
+})
+
+test("the traversal generators walk the tree lazily in the documented orders", () => {
+	const doc = parseXML(`<r><a><b/><c/></a><d/>t</r>`)
+	const r = doc.children[0]
+	const b = doc.query("b")
+	const names = nodes => [...nodes].map(node => node.name || node.typeText)
+
+	assert.deepEqual(names(r.descendants()), ["a", "b", "c", "d", "Text"])
+	assert.deepEqual(names(r.descendants({ order: "post" })), ["b", "c", "a", "d", "Text"])
+	assert.deepEqual(names(r.descendants({ order: "breadth" })), ["a", "d", "Text", "b", "c"])
+	assert.deepEqual(names(r.descendants({ filter: node => node.name !== "a" })), ["b", "c", "d", "Text"])
+	assert.deepEqual(names(b.ancestors()), ["a", "r", "Document"])
+	assert.deepEqual(names(b.following()), ["c", "d", "Text"])
+	assert.deepEqual(names(doc.query("d").preceding()), ["c", "b", "a"])
+	assert.deepEqual(names(b.siblings()), ["c"])
+
+	const descendants = r.descendants()
+
+	descendants.next()
+	r.children[1].setName("e")
+
+	assert.deepEqual(names(descendants), ["b", "c", "e", "Text"])
+})
+
+test("walk calls the visitor for each Node type, skipping and stopping where it says", () => {
+	const doc = parseXML(`<r><a><b/></a>t<c/></r>`)
+	const seen = []
+
+	doc.walk({
+		Element: node => {
+			seen.push(node.name)
+
+			if (node.name === "a") return "skip"
+		},
+		Text: node => {
+			seen.push(node.value)
+
+			return "stop"
+		}
+	})
+
+	assert.deepEqual(seen, ["r", "a", "t"])
+})
+
+test("TreeWalker shows the Nodes whatToShow and its filter accept, leaving out the subtrees it rejects", () => {
+	const r = parseXML(`<r><a><b/>x</a><!--c--><d>y</d></r>`).children[0]
+	const walked = walker => {
+		const nodes = []
+
+		for (let node = walker.nextNode(); node; node = walker.nextNode()) nodes.push(node.name || node.value)
+
+		return nodes
+	}
+	const rejecting = new TreeWalker({
+		root: r,
+		whatToShow: NodeFilter.SHOW_ELEMENT,
+		filter: node => (node.name === "a" ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+	})
+	const skipping = new TreeWalker({
+		root: r,
+		filter: { acceptNode: node => (node.name === "a" ? NodeFilter.FILTER_SKIP : NodeFilter.FILTER_ACCEPT) }
+	})
+
+	assert.deepEqual(walked(rejecting), ["d"])
+	assert.equal(rejecting.parentNode(), r)
+	assert.equal(rejecting.parentNode(), undefined)
+	assert.equal(skipping.firstChild().name, "b")
+	assert.equal(skipping.nextSibling().value, "x")
+	assert.deepEqual(walked(skipping), ["c", "d", "y"])
+
+	const reentrant = new TreeWalker({ root: r, filter: () => reentrant.nextNode() })
+
+	assert.throws(() => reentrant.nextNode(), /from within its own filter/)
+})
+
+test("NodeIterator keeps its place when the Nodes around it are removed", () => {
+	const doc = parseXML(`<r><a><b/>x</a><!--c--><d>y</d></r>`)
+	const iterator = new NodeIterator({ root: doc, whatToShow: NodeFilter.SHOW_TEXT | NodeFilter.SHOW_COMMENT })
+
+	assert.equal(iterator.nextNode().value, "x")
+	assert.equal(iterator.nextNode().value, "c")
+
+	doc.query("d").emancipate()
+
+	assert.equal(iterator.referenceNode.value, "c")
+	assert.equal(iterator.nextNode(), undefined)
+	assert.equal(iterator.previousNode().value, "c")
+	assert.equal(iterator.previousNode().value, "x")
+})
+
+test("MutationObserver delivers the changes it was asked for in a microtask", async () => {
+	const doc = parseXML(`<r><a k="1">x</a></r>`)
+	const r = doc.children[0]
+	const a = doc.query("a")
+	const batches = []
+	const observer = new MutationObserver((records, self) => {
+		assert.equal(self, observer)
+		batches.push(records)
+	})
+
+	observer.observe(r, {
+		subtree: true,
+		childList: true,
+		attributes: true,
+		attributeOldValue: true,
+		attributeFilter: ["k"]
+	})
+	a.addAttribute("k", "2").addAttribute("z", "3").setName("b")
+	r.appendChild(new Node({ type: Text, value: "t" }))
+
+	assert.equal(batches.length, 0)
+
+	await Promise.resolve()
+
+	assert.equal(batches.length, 1)
+	assert.deepEqual(
+		batches[0].map(record => [record.type, record.target, record.attributeName, record.oldValue]),
+		[
+			["attributes", a, "k", "1"],
+			["childList", r, undefined, undefined]
+		]
+	)
+	assert.equal(batches[0][1].addedNodes[0].value, "t")
+	assert.equal(batches[0][1].previousSibling, a)
+
+	a.addAttribute("k", "4")
+
+	assert.equal(observer.takeRecords().length, 1)
+
+	observer.disconnect()
+	a.addAttribute("k", "5")
+	await Promise.resolve()
+
+	assert.equal(batches.length, 1)
+})
+
+test("History undoes and redoes changes one step at a time", async () => {
+	const doc = parseXML(`<r><a k="1">x</a></r>`)
+	const r = doc.children[0]
+	const a = doc.query("a")
+	const history = new History({ root: doc })
+
+	a.addAttribute("k", "2")
+	a.setName("b")
+	await Promise.resolve()
+
+	assert.equal(
+		history.transaction("edit", () => {
+			a.setName("c")
+			a.children[0].setValue("y")
+
+			return "done"
+		}),
+		"done"
+	)
+	assert.equal(r.toString(), `<r><c k="2">y</c></r>`)
+	assert.equal(history.undoName, "edit")
+
+	history.undo()
+
+	assert.equal(r.toString(), `<r><b k="2">x</b></r>`)
+	assert.equal(history.redoName, "edit")
+
+	history.undo()
+
+	assert.equal(r.toString(), `<r><a k="1">x</a></r>`)
+	assert.equal(history.canUndo, false)
+
+	history.redo()
+	a.emancipate()
+
+	assert.equal(r.toString(), "<r/>")
+	assert.equal(history.canRedo, false)
+
+	history.undo()
+
+	assert.equal(r.toString(), `<r><b k="2">x</b></r>`)
+})
+
+test("History undoes the changes of a transaction that throws", () => {
+	const doc = parseXML(`<r><a/></r>`)
+	const history = new History({ root: doc })
+
+	assert.throws(
+		() =>
+			history.transaction("rename", () => {
+				doc.query("a").setName("b")
+				throw new Error("boom")
+			}),
+		/boom/
+	)
+	assert.equal(doc.toString(), "<r><a/></r>")
+	assert.throws(() => history.transaction("undo", () => history.undo()), /within a transaction/)
+
+	history.disconnect()
+	doc.query("a").setName("c")
+
+	assert.equal(history.canUndo, false)
+})
+
+test("diff works out the operations that patch turns one tree into the other with", () => {
+	const before = parseXML(`<ul><li id="1">one</li><li id="2">two</li><li id="3" class="x">three</li></ul>`)
+	const after = parseXML(`<ul><li id="3">three!</li><li id="1">one</li><p/></ul>`)
+	const ops = diff(before, after)
+
+	assert.deepEqual(
+		ops.map(op => op.op),
+		["remove", "move", "insert", "removeAttribute", "setValue"]
+	)
+	assert.equal(diff(after, after.clone({ deep: true })).length, 0)
+
+	const copy = before.clone({ deep: true })
+
+	patch(copy, JSON.parse(JSON.stringify(ops)))
+
+	assert.equal(copy.toString(), after.toString())
+	assert.equal(copy.isEqual(after), true)
+})
+
+test("diff pairs children by the key attribute, and patch stops at operations it cannot apply", () => {
+	const before = parseXML(`<r><a k="1"/><a k="2"/></r>`)
+	const after = parseXML(`<r><a k="2"/><a k="1"/></r>`)
+
+	assert.deepEqual(diff(before, after, { key: "k" }), [{ op: "move", path: [0, 1], index: 0 }])
+	assert.equal(
+		diff(before, after).every(op => op.op === "setAttribute"),
+		true
+	)
+	assert.throws(() => diff(before, before.children[0]), /to be a Document Node like oldNode/)
+	assert.throws(
+		() =>
+			patch(before, [
+				{ op: "rename", path: [0], name: "s" },
+				{ op: "remove", path: [0, 9] }
+			]),
+		/path 0\/9 to lead to a Node/
+	)
+	assert.equal(before.children[0].name, "s")
+})